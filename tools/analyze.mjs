@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/*
+Headless analysis: runs recordings through the same filters, beat detector,
+classifier and Heart Health Index as the web UI and prints the results.
+
+  node tools/analyze.mjs recording.txt                 device log (CSV or JSON lines)
+  node tools/analyze.mjs session.csv --format csv      exported CSV, beats as CSV
+  node tools/analyze.mjs a.txt b.csv --format csv --table health
+  options: --format json|csv     (default json)
+           --table beats|bpm|health   which series --format csv prints (default beats)
+           --rate 125            sample rate for logs without a header
+           --lead II             detection lead (I, II, III, aVR, aVL, aVF)
+           --age 40 --athlete --context resting|active|exercise   health index rule profile
+           --out results.json    write to a file instead of stdout
+
+JSON output has the session summary (rates, HRV, health index, rhythm events)
+plus every beat, the BPM series and the health index scored once per second.
+Several files give a JSON array, or CSV rows with a leading file column.
+*/
+import fs from 'node:fs'
+import path from 'node:path'
+import { analyzeRecording, readRecordingText, analysisToCsv, ANALYSIS_TABLES } from '../web/how-my-heart/src/analysis/index.js'
+import { parseEdf } from '../web/how-my-heart/src/recording/importers.js'
+import { ruleProfileFrom, HEALTH_CONTEXTS } from '../web/how-my-heart/src/healthIndex.js'
+import { LEAD_NAMES } from '../web/how-my-heart/src/leads.js'
+
+const USAGE = 'usage: analyze.mjs <file>... [--format json|csv] [--table beats|bpm|health] [--rate 125] [--lead II] [--age N] [--athlete] [--context resting|active|exercise] [--out file]';
+
+const VALUE_OPTIONS = ['--format', '--table', '--rate', '--lead', '--age', '--context', '--out'];
+
+function parseArgs(argv) {
+  const args = { files: [], format: 'json', table: 'beats', rate: 125, lead: 'II', age: null, athlete: false, context: 'resting', out: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--athlete') args.athlete = true;
+    else if (a === '--help' || a === '-h') args.help = true;
+    else if (VALUE_OPTIONS.includes(a)) args[a.slice(2)] = argv[++i];
+    else if (a.startsWith('-')) args.unknown = a;
+    else args.files.push(a);
+  }
+  args.rate = Number(args.rate);
+  args.age = args.age === null ? null : Number(args.age);
+  return args;
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(2);
+}
+
+function readRecording(file, fallbackRate) {
+  const name = path.basename(file);
+  if (/\.(edf|bdf)$/i.test(file)) {
+    const bytes = fs.readFileSync(file);
+    return parseEdf(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength), name);
+  }
+  return readRecordingText(fs.readFileSync(file, 'utf8'), { name, fallbackRate });
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.unknown) fail(`unknown option ${args.unknown}\n${USAGE}`);
+  if (args.help || !args.files.length) fail(USAGE);
+  if (args.format !== 'json' && args.format !== 'csv') fail(`--format must be json or csv\n${USAGE}`);
+  if (!ANALYSIS_TABLES[args.table]) fail(`--table must be one of ${Object.keys(ANALYSIS_TABLES).join(', ')}`);
+  if (!(args.rate > 0)) fail('--rate must be a positive number');
+  if (!LEAD_NAMES.includes(args.lead)) fail(`--lead must be one of ${LEAD_NAMES.join(', ')}`);
+  if (!HEALTH_CONTEXTS[args.context]) fail(`--context must be one of ${Object.keys(HEALTH_CONTEXTS).join(', ')}`);
+  if (args.age !== null && !(args.age >= 0)) fail('--age must be a number of years');
+
+  const rules = { ...ruleProfileFrom({ athlete: args.athlete }, { context: args.context }), age: args.age };
+
+  const results = [];
+  for (const file of args.files) {
+    let recording;
+    try {
+      recording = readRecording(file, args.rate);
+    } catch (err) {
+      fail(`${file}: ${err.message}`);
+    }
+    const result = analyzeRecording(recording, { detectionLead: args.lead, rules });
+    results.push({ file, ...result });
+  }
+
+  let output;
+  if (args.format === 'json') {
+    output = JSON.stringify(results.length === 1 ? results[0] : results, null, 2) + '\n';
+  } else if (results.length === 1) {
+    output = analysisToCsv(results[0], args.table);
+  } else {
+    output = results.map((r, k) => {
+      const [head, ...rows] = analysisToCsv(r, args.table).trimEnd().split('\n');
+      return (k === 0 ? [`file,${head}`] : []).concat(rows.map(row => `${JSON.stringify(r.file)},${row}`)).join('\n');
+    }).join('\n') + '\n';
+  }
+  if (args.out) fs.writeFileSync(args.out, output);
+  else process.stdout.write(output);
+}
+
+main();
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/*
+Serial-to-WebSocket bridge for browsers without Web Serial (Firefox, Safari).
+
+Reads newline-delimited lines from a serial device or a recorded log file and
+rebroadcasts every line as a WebSocket text message. In the web UI use
+"Connect Bridge" with ws://localhost:8765.
+
+  node tools/serial_bridge.mjs --serial /dev/ttyUSB0 [--baud 115200]
+  node tools/serial_bridge.mjs --serial COM5
+  node tools/serial_bridge.mjs --replay recording.txt [--rate 125] [--loop]
+  options: --port 8765
+
+No npm dependencies: the device is opened as a plain file (on Linux/macOS the
+baud rate is set with `stty` first), and the WebSocket handshake and framing
+are implemented below. Text sent by a browser is written to the device.
+A browser that connects after the device sent its header is sent the header
+first, so it knows the rate and scale without waiting for the next one.
+*/
+import http from 'node:http'
+import fs from 'node:fs'
+import crypto from 'node:crypto'
+import { spawnSync } from 'node:child_process'
+import { createProtocolParser, isSampleLine } from '../web/how-my-heart/src/protocol.js'
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+function parseArgs(argv) {
+  const args = { port: 8765, baud: 115200, rate: 125, loop: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--loop') args.loop = true;
+    else if (a.startsWith('--')) args[a.slice(2)] = argv[++i];
+  }
+  args.port = Number(args.port);
+  args.baud = Number(args.baud);
+  args.rate = Number(args.rate);
+  return args;
+}
+
+// --- minimal RFC 6455 server side ---
+
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode; header[1] = 126; header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode; header[1] = 127; header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Decodes complete client frames from buf; returns { frames, rest }
+function decodeFrames(buf) {
+  const frames = [];
+  let off = 0;
+  while (buf.length - off >= 2) {
+    const opcode = buf[off] & 0x0f;
+    const masked = (buf[off + 1] & 0x80) !== 0;
+    let len = buf[off + 1] & 0x7f;
+    let p = off + 2;
+    if (len === 126) { if (buf.length < p + 2) break; len = buf.readUInt16BE(p); p += 2; }
+    else if (len === 127) { if (buf.length < p + 8) break; len = Number(buf.readBigUInt64BE(p)); p += 8; }
+    const maskLen = masked ? 4 : 0;
+    if (buf.length < p + maskLen + len) break;
+    const payload = Buffer.from(buf.subarray(p + maskLen, p + maskLen + len));
+    if (masked) for (let i = 0; i < len; i++) payload[i] ^= buf[p + (i & 3)];
+    frames.push({ opcode, payload });
+    off = p + maskLen + len;
+  }
+  return { frames, rest: buf.subarray(off) };
+}
+
+const clients = new Set();
+const deviceProtocol = createProtocolParser(); // follows the device's headers
+let headerSeen = false;
+
+function broadcast(line) {
+  if (!isSampleLine(line)) {
+    const frame = deviceProtocol.parse(line);
+    if (frame && frame.type === 'header') headerSeen = true;
+  }
+  const frame = encodeFrame(line);
+  for (const sock of clients) sock.write(frame);
+}
+
+// The header as it stands now (a later header may change only some fields)
+function currentHeaderLine() {
+  const fields = Object.entries(deviceProtocol.getHeader()).filter(([, v]) => v !== null);
+  return JSON.stringify({ type: 'header', ...Object.fromEntries(fields) });
+}
+
+function startServer(port, onClientText) {
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('WebSocket endpoint for the How\'s My Heart UI\n');
+  });
+  server.on('upgrade', (req, sock) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) { sock.destroy(); return; }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    sock.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    if (headerSeen) sock.write(encodeFrame(currentHeaderLine()));
+    clients.add(sock);
+    console.log(`client connected (${clients.size})`);
+    let pending = Buffer.alloc(0);
+    sock.on('data', (chunk) => {
+      const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest;
+      for (const f of frames) {
+        if (f.opcode === 0x8) { sock.end(encodeFrame('', 0x8)); }
+        else if (f.opcode === 0x9) sock.write(encodeFrame(f.payload.toString(), 0xA));
+        else if (f.opcode === 0x1) onClientText(f.payload.toString());
+      }
+    });
+    const drop = () => { if (clients.delete(sock)) console.log(`client disconnected (${clients.size})`); };
+    sock.on('close', drop);
+    sock.on('error', drop);
+  });
+  server.listen(port, () => console.log(`bridge listening on ws://localhost:${port}`));
+}
+
+// --- line sources ---
+
+function splitLines(onLine) {
+  let partial = '';
+  return (chunk) => {
+    const lines = (partial + chunk.toString('utf8')).split('\n');
+    partial = lines.pop();
+    for (const l of lines) {
+      const line = l.trim();
+      if (line) onLine(line);
+    }
+  };
+}
+
+function openSerial(path, baud) {
+  if (process.platform !== 'win32') {
+    const flag = process.platform === 'darwin' ? '-f' : '-F';
+    const r = spawnSync('stty', [flag, path, String(baud), 'raw', '-echo']);
+    if (r.status !== 0) console.warn(`stty failed (${String(r.stderr).trim()}); using the current port settings`);
+  }
+  const devicePath = process.platform === 'win32' && !path.startsWith('\\\\.\\') ? `\\\\.\\${path}` : path;
+  const fd = fs.openSync(devicePath, 'r+');
+  const input = fs.createReadStream(null, { fd, autoClose: false });
+  input.on('data', splitLines(broadcast));
+  input.on('error', (err) => { console.error('serial error', err.message); process.exit(1); });
+  input.on('end', () => { console.error('serial device closed'); process.exit(1); });
+  console.log(`reading ${devicePath} @ ${baud} baud`);
+  return (text) => fs.write(fd, text.endsWith('\n') ? text : text + '\n', () => {});
+}
+
+// Lines carrying a sample take one sample period; other lines go out immediately
+function startReplay(file, rate, loop) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (!lines.length) throw new Error(`${file} is empty`);
+  console.log(`replaying ${lines.length} lines from ${file} at ${rate} Hz${loop ? ' (looping)' : ''}`);
+  let pos = 0;
+  let emitted = 0;
+  const t0 = Date.now();
+  const timer = setInterval(() => {
+    const due = Math.floor((Date.now() - t0) / 1000 * rate);
+    while (emitted < due) {
+      emitted++;
+      while (pos < lines.length) {
+        const line = lines[pos++];
+        broadcast(line);
+        if (isSampleLine(line)) break;
+      }
+      if (pos >= lines.length) {
+        if (!loop) { clearInterval(timer); console.log('replay finished'); return; }
+        pos = 0;
+      }
+    }
+  }, 20);
+  return (text) => console.log('ignoring command during replay:', text);
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  let write;
+  if (args.serial) write = openSerial(args.serial, args.baud);
+  else if (args.replay) write = startReplay(args.replay, args.rate, args.loop);
+  else {
+    console.error('usage: serial_bridge.mjs (--serial <device> [--baud 115200] | --replay <file> [--rate 125] [--loop]) [--port 8765]');
+    process.exit(2);
+  }
+  startServer(args.port, write);
+}
+
+main();
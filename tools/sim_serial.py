@@ -2,9 +2,13 @@
 Small serial simulator for testing the web UI without hardware.
 
 It writes JSON lines similar to the Arduino sketch:
-  {"type":"sample","v":123}
+  {"type":"header","protocol":1,"sampleRate":500,"channels":["II"],"unitsPerMv":100,"firmware":"sim"}
+  {"type":"sample","v":123,"seq":0}
   {"type":"bpm","bpm":72}
 
+and answers the UI's commands ({"cmd":"info","id":1} etc., see protocol.js)
+with acks, so the command channel can be tried over a real serial link.
+
 Set port to your COM port (Windows) or a virtual pair.
 """
 import time
@@ -14,24 +18,71 @@ import serial
 
 PORT = 'COM5'  # change to the port you want to write to
 BAUD = 115200
+GAINS = [1, 2, 4]
+
+def send(s, obj):
+    s.write((json.dumps(obj) + "\n").encode())
+
+def header(state):
+    return {"type":"header","protocol":1,"sampleRate":500,"channels":["II"],"unitsPerMv":100 * state['gain'],"firmware":"sim"}
+
+def handle_command(s, state, line):
+    try:
+        msg = json.loads(line)
+    except ValueError:
+        return
+    cmd, ack = msg.get('cmd'), {"type":"ack","id":msg.get('id'),"ok":True}
+    if cmd == 'info':
+        ack.update(firmware="sim", protocol=1, capabilities=["stream","calibrate","gain"], gains=GAINS,
+                   sampleRates=[500], gain=state['gain'], sampleRate=500, streaming=state['streaming'])
+    elif cmd in ('start', 'stop'):
+        state['streaming'] = cmd == 'start'
+    elif cmd == 'calibrate':
+        state['calibrated_at'] = time.time() + 2
+    elif cmd == 'set' and msg.get('gain') in GAINS and 'sampleRate' not in msg:
+        state['gain'] = msg['gain']
+    else:
+        ack.update(ok=False, error="unsupported")
+    send(s, ack)
+    if cmd == 'calibrate':
+        send(s, {"type":"event","event":"calibration","state":"start"})
+    if cmd == 'set' and ack['ok']:
+        send(s, header(state))
 
 def main():
     print('Opening', PORT)
     with serial.Serial(PORT, BAUD, timeout=1) as s:
+        state = {'gain': 1, 'streaming': True, 'calibrated_at': None, 'seq': 0}
+        pending = b''
+        # protocol header: tells the UI the rate, channel layout and raw-unit scale
+        send(s, header(state))
         t0 = time.time()
         while True:
             t = time.time() - t0
+            if s.in_waiting:
+                pending += s.read(s.in_waiting)
+                while b'\n' in pending:
+                    line, pending = pending.split(b'\n', 1)
+                    handle_command(s, state, line.decode(errors='replace').strip())
+            if state['calibrated_at'] and time.time() >= state['calibrated_at']:
+                state['calibrated_at'] = None
+                send(s, {"type":"event","event":"calibration","state":"complete"})
+            if not state['streaming']:
+                time.sleep(0.002)
+                continue
             # synthetic ECG-like waveform (not physiologically accurate)
             val = 60 * math.sin(2*math.pi*1.2*t) + 20*math.sin(2*math.pi*20*t) + (math.sin(2*math.pi*0.25*t)*30)
             # occasional spikes to simulate R-peaks
             spike = 0
             if int(t*1.2) != int((t-0.01)*1.2):
                 spike = 120
-            sample = int(val + spike)
-            s.write((json.dumps({"type":"sample","v": sample}) + "\n").encode())
+            sample = int((val + spike) * state['gain'])
+            # sequence numbers let the UI spot lost lines
+            send(s, {"type":"sample","v": sample, "seq": state['seq']})
+            state['seq'] += 1
             # send bpm every 2 seconds
             if int(t) % 2 == 0:
-                s.write((json.dumps({"type":"bpm","bpm": 70 + int(5*math.sin(0.2*t))}) + "\n").encode())
+                send(s, {"type":"bpm","bpm": 70 + int(5*math.sin(0.2*t))})
             time.sleep(0.002)  # ~500 Hz
 
 if __name__ == '__main__':
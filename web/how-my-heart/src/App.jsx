@@ -1,46 +1,294 @@
 import React, { useRef, useState, useEffect } from 'react'
+import { DEMO_DEFAULTS } from './synthEcg'
+import { createWebSerialSource, isWebSerialSupported, createWebSocketSource, DEFAULT_BRIDGE_URL, createReplaySource, createRecordingReplaySource, createDemoSource, createFakeDeviceSource, createConnectionManager } from './sources'
+import { createProtocolParser, PROTOCOL_VERSION } from './protocol'
+import { createDeviceControl, LEGACY_CALIBRATION_MS } from './deviceControl'
+import DeviceControls from './components/DeviceControls'
+import { createStreamMonitor, createRateDetector, MAX_GAP_SEC } from './streamMonitor'
+import LinkPanel from './components/LinkPanel'
+import { createFilterChain, DEFAULT_FILTER_CONFIG } from './dsp/filters'
+import DemoControls from './components/DemoControls'
+import FilterControls from './components/FilterControls'
+import LeadControls from './components/LeadControls'
+import { DEFAULT_LEAD_VIEW, LEAD_NAMES, deriveLead, deriveLeadSeries } from './leads'
+import { drawEcg, rowAt, visibleLeads, DEFAULT_DISPLAY } from './ecgCanvas'
+import DisplayControls from './components/DisplayControls'
+import RecordingPanel from './components/RecordingPanel'
+import ReplayControls from './components/ReplayControls'
+import HrvPanel from './components/HrvPanel'
+import { analyzeHrv, DEFAULT_HRV_WINDOW, HRV_WINDOWS } from './dsp/hrv'
+import { createArrhythmiaClassifier } from './dsp/arrhythmia'
+import { createQualityMonitor, QUALITY_HOP_SEC } from './dsp/signalQuality'
+import SignalQualityPanel from './components/SignalQualityPanel'
+import EventLog from './components/EventLog'
+import AlarmPanel from './components/AlarmPanel'
+import { createAlarmEngine, createAlarmSounder, DEFAULT_ALARM_CONFIG } from './alarms'
+import { createRecorder, recordingToCsv, recordingToEdf, recordingToWfdb, downloadBlob, recordingBaseName, importRecordingFiles, resampleRecording } from './recording'
+import { isHistorySupported, saveSession, summarizeSession } from './history'
+import HistoryView from './components/HistoryView'
+import { buildReportHtml, chooseStrips, printReport, STRIP_SEC } from './report'
+import { loadProfile, saveProfile, profileAge } from './profile'
+import ProfilePanel from './components/ProfilePanel'
+import { ruleProfileFrom, maxHeartRate } from './healthIndex'
+import { scoreRecentBeats, addDeviceIrregularity, RECENT_BEATS } from './analysis'
+import HealthRuleSettings from './components/HealthRuleSettings'
+import { analyzeDelineation } from './dsp/delineation'
+import IntervalsPanel from './components/IntervalsPanel'
+import { buildBeatTemplate } from './dsp/beatTemplate'
+import BeatTemplatePanel from './components/BeatTemplatePanel'
+import { createMarker, MARKER_KEY, MARKER_STRIP_SEC } from './markers'
+import EventDiary from './components/EventDiary'
+import { createExerciseSession, zoneOf, HR_ZONES } from './exercise'
+import ExercisePanel from './components/ExercisePanel'
+import { estimateRespiration, EDR_WINDOW_SEC } from './dsp/respiration'
+import RespirationPanel from './components/RespirationPanel'
 
-// Helper to split text stream by newlines
-class LineBreakTransformer {
-  constructor() { this.container = '' }
-  transform(chunk, controller) {
-    this.container += chunk;
-    const lines = this.container.split('\n');
-    this.container = lines.pop();
-    for (const line of lines) controller.enqueue(line);
+const HISTORY_SETTINGS_KEY = 'hmh-history-settings';
+const HEALTH_RULES_KEY = 'hmh-health-rules';
+const EXERCISE_SETTINGS_KEY = 'hmh-exercise-settings';
+const CUSTOM_MAX_HR = [100, 240]; // accepted range for a maximum heart rate set by hand
+const MIN_SAVED_SESSION_SEC = 15;
+
+// The pipeline runs at the source's own sample rate: announced in a device
+// header, known to the source (demo, replay), or measured from arrival times.
+const DEFAULT_SAMPLE_RATE = 125; // Hz - until the real rate is known
+const MAX_PIPELINE_RATE = 1000; // faster recordings are resampled down to this
+const BUFFER_SEC = 60; // scroll-back history while frozen
+const FIT_SEC = 12; // shown in "fit to window" mode
+const DELINEATION_SEC = 30; // beats for the median beat
+const BEAT_TEMPLATE_SEC = 30; // beats for the template / cascade view
+
+function loadHistorySettings() {
+  const defaults = { saveWaveforms: true, includeSimulated: false };
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(HISTORY_SETTINGS_KEY) || '{}') };
+  } catch (e) {
+    return defaults;
   }
-  flush(controller) {
-    if (this.container) controller.enqueue(this.container);
+}
+
+function loadHealthRules() {
+  try {
+    return JSON.parse(localStorage.getItem(HEALTH_RULES_KEY) || '{}');
+  } catch (e) {
+    return {};
   }
 }
 
-function computeStats(arr) {
-  if (!arr || arr.length === 0) return {mean:0,sd:0};
-  const mean = arr.reduce((a,b) => a+b,0)/arr.length;
-  const sd = Math.sqrt(arr.reduce((a,b)=>a+(b-mean)*(b-mean),0)/arr.length);
-  return {mean,sd};
+function loadExerciseSettings() {
+  const defaults = { maxHr: null }; // null: age-predicted
+  try {
+    return { ...defaults, ...JSON.parse(localStorage.getItem(EXERCISE_SETTINGS_KEY) || '{}') };
+  } catch (e) {
+    return defaults;
+  }
 }
 
 export default function App() {
   const canvasRef = useRef(null);
-  const [port, setPort] = useState(null);
+  const [source, setSource] = useState(null); // active data source (see src/sources)
+  const [sampleRate, setSampleRate] = useState(DEFAULT_SAMPLE_RATE);
+  const [rateOrigin, setRateOrigin] = useState(null); // 'header' | 'source' | 'measured' | 'measuring'
+  const rateRef = useRef(DEFAULT_SAMPLE_RATE); // pipeline rate for the sample path, timers and the animation loop
+  const rateDetectorRef = useRef(null); // set while the rate of a silent device is being measured
+  const heldSamplesRef = useRef([]); // { frame, lost } received while measuring, replayed once the rate is known
+  const samplesFor = (sec) => Math.round(sec * rateRef.current);
   const [bpm, setBpm] = useState(null);
   const [lastSerialLine, setLastSerialLine] = useState('');
   const [lastParsedBpm, setLastParsedBpm] = useState(null);
   const [lastParsedIrr, setLastParsedIrr] = useState(null);
-  const [healthCategory, setHealthCategory] = useState({level:'--',score:0,desc:''});
+  const [healthCategory, setHealthCategory] = useState({level:'--',score:null,desc:'',rules:[]});
   const [showHealthInfo, setShowHealthInfo] = useState(false);
   const [breakdown, setBreakdown] = useState({brady:0,tachy:0,irregularity:0});
   const [calibrating, setCalibrating] = useState(false);
   const [monitoringActive, setMonitoringActive] = useState(false);
-  const samplesRef = useRef([]); // Lead II (A1) samples - circular buffer
-  const samples2Ref = useRef([]); // Lead I (A0) samples - circular buffer
-  const beatsRef = useRef([]); // timestamps (ms) of heart beats (from bpm messages)
-  const MAX_SAMPLES = 1500; // ~12 seconds at 125 Hz
-  const ARDUINO_SAMPLE_RATE = 125; // Hz - incoming sample rate from Arduino
-  const SAMPLE_PERIOD_MS = 1000 / ARDUINO_SAMPLE_RATE;
-  const lastBeatTime = useRef(0);
-  const peakThreshold = useRef(0.3); // Dynamic threshold for R-peak detection
+  const [demoOptions, setDemoOptions] = useState(DEMO_DEFAULTS);
+  const [bridgeUrl, setBridgeUrl] = useState(DEFAULT_BRIDGE_URL);
+  const sourceRef = useRef(null);
+  const parserRef = useRef(createProtocolParser()); // line protocol state for the current source
+  const [deviceHeader, setDeviceHeader] = useState(null);
+  const controlRef = useRef(null); // command channel, when the source can send
+  const [device, setDevice] = useState(null); // { status: 'probing' | 'ready' | 'legacy', info, busy, error }
+  const streamMonitorRef = useRef(null); // rate / sequence / gap bookkeeping (shown in the link panel for devices)
+  const [link, setLink] = useState(null); // { state: 'connected' | 'reconnecting', reason, attempt, stats }
+  const gapsRef = useRef([]); // { start, length, reason } stretches of lost samples still in the buffer
+  const gapEndRef = useRef(0); // sample index where the stream last resumed after a gap, or the detector restarted
+  const samplesRef = useRef([]); // Lead II (A1) samples, filtered - circular buffer
+  const samples2Ref = useRef([]); // Lead I (A0) samples, filtered - circular buffer
+  const rawRef = useRef([]); // Lead II before the filter chain (for the before/after overlay)
+  const raw2Ref = useRef([]); // Lead I before the filter chain
+  const [filterConfig, setFilterConfig] = useState(DEFAULT_FILTER_CONFIG);
+  const [showRaw, setShowRaw] = useState(false);
+  const filtersRef = useRef(null); // { config, lead1, lead2 } filter chain instances
+  const [leadView, setLeadView] = useState(DEFAULT_LEAD_VIEW);
+  const [hasLeadI, setHasLeadI] = useState(false);
+  const drawOptionsRef = useRef({ showRaw: false, leadView: DEFAULT_LEAD_VIEW, hasLeadI: false, display: DEFAULT_DISPLAY, frozenAt: null, scrollBack: 0, calipers: [], calibrating: false }); // latest UI state for the animation loop (its closure never re-binds)
+  const detectionLeadRef = useRef(DEFAULT_LEAD_VIEW.detectionLead);
+  const [display, setDisplay] = useState(DEFAULT_DISPLAY); // paper/fit mode, sweep speed, gain
+  const [frozenAt, setFrozenAt] = useState(null); // sample index the view was frozen at
+  const [scrollBackSec, setScrollBackSec] = useState(0);
+  const [calipers, setCalipers] = useState([]);
+
+  // HRV: beat times + RR (seconds) kept for the longest analysis window
+  const rrSeriesRef = useRef([]);
+  const [hrvWindow, setHrvWindow] = useState(DEFAULT_HRV_WINDOW);
+  const [hrv, setHrv] = useState(null);
+
+  // Beat classification (see dsp/arrhythmia.js): labels for the on-trace markers and the event log
+  const classifierRef = useRef(createArrhythmiaClassifier(DEFAULT_SAMPLE_RATE));
+  const beatLabelsRef = useRef([]); // { index, label } for beats still in the sample buffer
+  const [rhythmEvents, setRhythmEvents] = useState([]);
+
+  // Alarms (see alarms/engine.js): evaluated once a second from the state below
+  const alarmEngineRef = useRef(createAlarmEngine(DEFAULT_ALARM_CONFIG));
+  const sounderRef = useRef(null);
+  const alarmInputsRef = useRef({});
+  const lastSampleAtRef = useRef(0); // performance.now() of the last sample line
+  const [alarmConfig, setAlarmConfig] = useState(DEFAULT_ALARM_CONFIG);
+  const [activeAlarms, setActiveAlarms] = useState([]);
+  const [alarmHistory, setAlarmHistory] = useState([]);
+
+  // Signal quality (see dsp/signalQuality.js) and lead-off
+  const qualityRef = useRef(createQualityMonitor(DEFAULT_SAMPLE_RATE));
+  const qualitySpansRef = useRef([]); // { start, end, level } per hop, for shading the canvas
+  const [quality, setQuality] = useState(null); // latest scored window
+  const [deviceLeadOff, setDeviceLeadOff] = useState(null); // null, or { latched } while the device reports leads off
+  const [showHistory, setShowHistory] = useState(false);
+  const [historySettings, setHistorySettings] = useState(loadHistorySettings);
+  const historySettingsRef = useRef(historySettings); // read when a session is saved from a source callback
+  const [historyVersion, setHistoryVersion] = useState(0); // bumped after a session is saved
+  const [profile, setProfile] = useState(loadProfile);
+  const [showProfile, setShowProfile] = useState(false);
+  const [healthRules, setHealthRules] = useState(loadHealthRules); // context, weights, cut-offs
+  const [showHealthRules, setShowHealthRules] = useState(false);
+  const [delineation, setDelineation] = useState(null); // median beat, fiducials and PR/QRS/QT(c)
+  const [beatTemplate, setBeatTemplate] = useState(null); // aligned recent beats and their per-lead template
+  const [respiration, setRespiration] = useState(null); // ECG-derived breathing rate, fused from its sources
+  const [beatView, setBeatView] = useState({ lead: 'II', layout: 'overlay', average: 'median', count: 10 });
+  const [showFiducials, setShowFiducials] = useState(true);
+  const [exercise, setExercise] = useState(null); // snapshot of the exercise session (exercise.js), null when there is none
+  const [exerciseSettings, setExerciseSettings] = useState(loadExerciseSettings);
+  const exerciseRef = useRef(null);
+  const [markers, setMarkers] = useState([]); // event markers of the current recording, each with the strip around it once captured
+  const ageMaxHr = maxHeartRate(profileAge(profile));
+  const customMaxHr = exerciseSettings.maxHr >= CUSTOM_MAX_HR[0] && exerciseSettings.maxHr <= CUSTOM_MAX_HR[1] ? exerciseSettings.maxHr : null;
+  const exerciseMaxHr = customMaxHr ?? ageMaxHr;
+  const exerciseMaxHrRef = useRef(exerciseMaxHr); // for the once-a-second update and the session summary
+  const exerciseActive = !!exercise && exercise.phase !== 'done';
+  // an exercise session switches the index to the exercise limits while it runs
+  const ruleProfile = ruleProfileFrom(profile, { ...healthRules, maxHr: customMaxHr, ...(exerciseActive && { context: 'exercise' }) });
+  const healthScoresRef = useRef([]); // Heart Health Index once per second, for the session summary
+  const sessionStatsRef = useRef(null); // latest health / events, read when the session is saved
+  const leadOff = !!deviceLeadOff || !!(quality && quality.leadOff);
+  const linkDown = !!link && link.state === 'reconnecting';
+  const signalUnreliable = linkDown || leadOff || !!(quality && quality.level === 'poor');
+  const unreliableRef = useRef(false);
+  const layoutRef = useRef(null); // canvas layout of the last frame, for mapping clicks to samples
+  const recorderRef = useRef(null); // full-session recording (kept after disconnect until the next session)
+  const beatsRef = useRef([]); // sample indices of detected R-peaks
+  const deviceIrregularityRef = useRef([]); // last irregularity values the device reported
+  const sampleCountRef = useRef(0); // absolute index of the next incoming sample
+  const replayStartRef = useRef(0); // where the current replay run started (0, or the last seek)
+  const replayDetectedRef = useRef(0); // beats detected since then, compared against the file's own annotations
+  const detectorRef = useRef(null); // Pan-Tompkins worker
+  const pendingDetectRef = useRef([]); // samples not yet posted to the worker
+
+  useEffect(() => {
+    drawOptionsRef.current = {
+      showRaw, leadView, hasLeadI, display, frozenAt, calipers, calibrating, leadOff, measuringRate: rateOrigin === 'measuring',
+      fiducials: showFiducials && delineation ? delineation.fiducials : null,
+      markers,
+      scrollBack: Math.round(scrollBackSec * sampleRate),
+    };
+  });
+
+  useEffect(() => {
+    unreliableRef.current = signalUnreliable ? (linkDown ? 'Connection lost' : leadOff ? 'Leads off' : `Poor signal (${quality.reasons.join(', ')})`) : false;
+    alarmInputsRef.current = { leadOff, bpm, monitoring: monitoringActive && !!source, source, rhythmEvents, irregularityScore: breakdown.irregularity };
+  });
+
+  useEffect(() => {
+    sessionStatsRef.current = { health: { ...healthCategory, breakdown }, events: rhythmEvents };
+  });
+
+  // nor should exercise raise the high heart rate alarm below the maximum heart rate
+  useEffect(() => {
+    exerciseMaxHrRef.current = exerciseMaxHr;
+    alarmEngineRef.current.setConfig(exerciseActive ? { ...alarmConfig, hrHigh: Math.max(alarmConfig.hrHigh, exerciseMaxHr) } : alarmConfig);
+  }, [alarmConfig, exerciseActive, exerciseMaxHr]);
+
+  useEffect(() => {
+    historySettingsRef.current = historySettings;
+    localStorage.setItem(HISTORY_SETTINGS_KEY, JSON.stringify(historySettings));
+  }, [historySettings]);
+
+  useEffect(() => {
+    saveProfile(profile);
+  }, [profile]);
+
+  useEffect(() => {
+    localStorage.setItem(HEALTH_RULES_KEY, JSON.stringify(healthRules));
+  }, [healthRules]);
+
+  useEffect(() => {
+    localStorage.setItem(EXERCISE_SETTINGS_KEY, JSON.stringify(exerciseSettings));
+  }, [exerciseSettings]);
+
+  useEffect(() => {
+    const sounder = createAlarmSounder();
+    sounderRef.current = sounder;
+    const tick = () => {
+      const engine = alarmEngineRef.current;
+      const inputs = alarmInputsRef.current;
+      // a gap in the stream is not asystole: count from where the samples came back
+      const lastBeat = Math.max(beatsRef.current.length ? beatsRef.current[beatsRef.current.length - 1] : replayStartRef.current, gapEndRef.current);
+      const paused = inputs.source && inputs.source.getState && !inputs.source.getState().playing;
+      const af = inputs.rhythmEvents && inputs.rhythmEvents.some(e => e.type === 'af' && e.end === null);
+      const now = Date.now();
+      engine.evaluate({
+        monitoring: inputs.monitoring,
+        bpm: inputs.bpm ?? null,
+        leadOff: inputs.leadOff,
+        // a flat line with the leads off is a technical alarm, not asystole
+        beatGapSec: paused || inputs.leadOff ? null : (sampleCountRef.current - lastBeat) / rateRef.current,
+        signalAgeSec: paused ? null : (performance.now() - lastSampleAtRef.current) / 1000,
+        irregular: af ? 'possible AF' : inputs.irregularityScore >= 20 ? `irregularity ${inputs.irregularityScore} pts` : false,
+      }, now);
+      sounder.update(engine.audiblePriority(now), now);
+      setActiveAlarms(engine.active());
+      setAlarmHistory(engine.history.slice());
+    };
+    const id = setInterval(tick, 1000);
+    return () => {
+      clearInterval(id);
+      sounder.close();
+    };
+  }, []);
+
+  function acknowledgeAlarm(id) {
+    alarmEngineRef.current.acknowledge(id);
+    setActiveAlarms(alarmEngineRef.current.active());
+    setAlarmHistory(alarmEngineRef.current.history.slice());
+  }
+
+  function silenceAlarms() {
+    alarmEngineRef.current.silence();
+    sounderRef.current.update(null);
+    setAlarmHistory(alarmEngineRef.current.history.slice());
+  }
+
+  // rebuild the filter chains whenever a stage is toggled
+  useEffect(() => {
+    buildFilters(filterConfig);
+  }, [filterConfig]);
+
+  function buildFilters(config) {
+    filtersRef.current = {
+      config,
+      lead1: createFilterChain(rateRef.current, config),
+      lead2: createFilterChain(rateRef.current, config),
+    };
+  }
 
   useEffect(() => {
     let anim = true;
@@ -53,184 +301,352 @@ export default function App() {
     return () => { anim = false };
   }, []);
 
-  // Browser-side R-peak detector (runs on Lead II / samplesRef)
+  // Browser-side R-peak detector: Pan-Tompkins in a Web Worker, fed with the selected detection lead (Lead II by default).
+  // Beats come back as sample indices, so RR intervals depend only on the signal and
+  // the pipeline rate, not on serial jitter or render timing.
   useEffect(() => {
-    const MIN_BEAT_INTERVAL = 300; // ms
-    let lastPeakTime = 0;
-    let lastProcessedIndex = 0;
-
-  const detectionInterval = setInterval(() => {
-      const samples = samplesRef.current;
-      const n = samples.length;
-      if (n < 50) return;
-
-      // compute recent stats for adaptive thresholding
-      const recent = samples.slice(Math.max(0, n - 200));
-      const mean = recent.reduce((a,b) => a + b, 0) / recent.length;
-      const variance = recent.reduce((a,b) => a + Math.pow(b - mean, 2), 0) / recent.length;
-      const sd = Math.sqrt(variance);
-      const thresh = mean + Math.max(0.25, sd * 0.8); // adaptive threshold
-
-      // scan new samples for local peaks
-      for (let i = Math.max(1, lastProcessedIndex); i < n - 1; i++) {
-        const v = samples[i];
-        if (v > samples[i-1] && v > samples[i+1] && v > thresh) {
-          const now = Date.now();
-          if (now - lastPeakTime > MIN_BEAT_INTERVAL) {
-            // Detected beat
-            lastPeakTime = now;
-            beatsRef.current.push(now);
-            if (beatsRef.current.length > 50) beatsRef.current.splice(0, beatsRef.current.length - 50);
-
-            // compute BPM from last interval
-            if (beatsRef.current.length >= 2) {
-              const ibi = now - beatsRef.current[beatsRef.current.length - 2];
-              const measuredBpm = Math.round(60000 / ibi);
-              setBpm(measuredBpm);
-            }
-
-            // compute irregularity (CV) from last intervals
-            if (beatsRef.current.length >= 3) {
-              const ibis = [];
-              for (let j = 1; j < beatsRef.current.length; j++) ibis.push(beatsRef.current[j] - beatsRef.current[j-1]);
-              const lastIbis = ibis.slice(-8);
-              const meanI = lastIbis.reduce((a,b) => a + b, 0) / lastIbis.length;
-              let varI = 0;
-              for (const x of lastIbis) varI += Math.pow(x - meanI, 2);
-              varI /= lastIbis.length;
-              const sdI = Math.sqrt(varI);
-              const cv = meanI > 0 ? sdI / meanI : 0;
-              const irrNorm = Math.min(1, cv * 3.0);
-              // expose to health calculator (same shape as Arduino irregularity)
-              if (!window.arduinoIrregularity) window.arduinoIrregularity = [];
-              window.arduinoIrregularity.push(irrNorm);
-              if (window.arduinoIrregularity.length > 10) window.arduinoIrregularity.shift();
-            }
-          }
-        }
-      }
+    const worker = new Worker(new URL('./detector.worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (ev) => {
+      if (ev.data.type === 'beats') handleDetectedBeats(ev.data.beats);
+    };
+    worker.postMessage({ type: 'init', sampleRate: rateRef.current, start: sampleCountRef.current });
+    detectorRef.current = worker;
 
-      lastProcessedIndex = Math.max(0, n - 2);
-  }, Math.max(20, Math.round(SAMPLE_PERIOD_MS * 4))); // run every ~4 samples (32ms at 125Hz)
+    // post samples in batches rather than one message per line
+    const flush = setInterval(() => {
+      const values = pendingDetectRef.current;
+      if (!values.length) return;
+      pendingDetectRef.current = [];
+      worker.postMessage({ type: 'samples', values });
+    }, 40);
 
-    return () => clearInterval(detectionInterval);
+    return () => {
+      clearInterval(flush);
+      worker.terminate();
+      detectorRef.current = null;
+    };
   }, []);
 
+  // switching the detection lead restarts the detector so it re-learns thresholds on the new morphology
+  useEffect(() => {
+    if (detectionLeadRef.current === leadView.detectionLead) return;
+    detectionLeadRef.current = leadView.detectionLead;
+    beatsRef.current = [];
+    resetClassifier();
+    pendingDetectRef.current = [];
+    restartDetector(sampleCountRef.current);
+  }, [leadView.detectionLead]);
+
+  // A restarted detector knows no beats yet, so the beat gap (asystole) counts from where it starts
+  function restartDetector(start) {
+    gapEndRef.current = start;
+    if (detectorRef.current) detectorRef.current.postMessage({ type: 'init', sampleRate: rateRef.current, start });
+  }
+
+  function resetClassifier() {
+    classifierRef.current = createArrhythmiaClassifier(rateRef.current);
+    beatLabelsRef.current = [];
+    setRhythmEvents([]);
+  }
+
+  // detection lead around a beat, or null if part of it already left (or hasn't reached) the buffer
+  function beatSegment(index) {
+    const classifier = classifierRef.current;
+    const from = index - classifier.rOffset - (sampleCountRef.current - samplesRef.current.length);
+    const to = from + classifier.segmentLength;
+    if (from < 0 || to > samplesRef.current.length) return null;
+    const segment = [];
+    for (let i = from; i < to; i++) {
+      const v = deriveLead(detectionLeadRef.current, samples2Ref.current[i], samplesRef.current[i]);
+      if (v === null && samplesRef.current[i] === null) return null; // reaches into a gap
+      segment.push(v === null ? samplesRef.current[i] : v);
+    }
+    return segment;
+  }
+
+  function handleDetectedBeats(beats) {
+    for (const beat of beats) {
+      beatsRef.current.push(beat.index);
+      replayDetectedRef.current++;
+      qualityRef.current.addBeat(beat.index);
+      const label = classifierRef.current.classify(beat, beatSegment(beat.index));
+      beatLabelsRef.current.push({ index: beat.index, label });
+      if (recorderRef.current) recorderRef.current.addBeat(beat.index, label);
+      if (beatsRef.current.length > RECENT_BEATS) beatsRef.current.splice(0, beatsRef.current.length - RECENT_BEATS);
+
+      // compute BPM from last interval
+      if (beat.rr) {
+        const fs = rateRef.current;
+        setBpm(Math.round(60 * fs / beat.rr));
+        const series = rrSeriesRef.current;
+        // intervals from bad stretches of signal would only add artefact to HRV
+        if (!unreliableRef.current) {
+          series.push({ t: beat.index / fs, rr: beat.rr / fs });
+          const oldest = series[series.length - 1].t - Math.max(...HRV_WINDOWS);
+          while (series.length && series[0].t < oldest) series.shift();
+        }
+      }
+
+    }
+    const bufferStart = sampleCountRef.current - samplesRef.current.length;
+    while (beatLabelsRef.current.length && beatLabelsRef.current[0].index < bufferStart) beatLabelsRef.current.shift();
+    setRhythmEvents(classifierRef.current.events.map(e => ({ ...e })));
+  }
+
   useEffect(() => {
     // whenever beatsRef updates or bpm changes, recompute rhythm metrics
     const compute = () => {
-      const beats = beatsRef.current;
-      const hasArduinoIrr = window.arduinoIrregularity && window.arduinoIrregularity.length > 0;
-      // If we don't have Arduino irregularity, require at least 3 beat timestamps to compute rhythm.
-      if (!hasArduinoIrr && beats.length < 3) {
-        setHealthCategory({level:'Insufficient data', score:0, desc:'Need at least 3 beats to assess rhythm.'});
+      if (unreliableRef.current) {
+        setHealthCategory({status:'unreliable', level:'Unreliable signal', score:null, desc:`${unreliableRef.current} — the index is paused until the signal is usable again.`, rules:[]});
+        setBreakdown({brady:0, tachy:0, irregularity:0});
         return;
       }
+      const result = scoreRecentBeats({ bpm, deviceIrregularity: deviceIrregularityRef.current, beats: beatsRef.current, sampleRate: rateRef.current }, ruleProfile);
+      setBreakdown(result.breakdown || {brady:0, tachy:0, irregularity:0});
+      setHealthCategory(result);
+      if (result.status === 'ok') healthScoresRef.current.push(result.score);
+    };
 
-      // Get irregularity from Arduino if available
-      let irregularity = 0;
-      if (hasArduinoIrr) {
-        // Use latest irregularity from Arduino (coefficient of variation)
-        const recent = window.arduinoIrregularity.slice(-5);
-        irregularity = recent.reduce((a,b) => a+b, 0) / recent.length;
-      } else {
-        // Fallback: compute inter-beat intervals (ms) from web-based detection
-        const ibis = [];
-        for (let i=1;i<beats.length;i++) ibis.push(beats[i] - beats[i-1]);
-        // use last 8 IBIs
-        const last = ibis.slice(-8);
-        const {mean, sd} = computeStats(last);
-        const cv = mean > 0 ? sd / mean : 0; // coefficient of variation
-        irregularity = Math.min(1, cv * 3.0); // scale factor
+    const id = setInterval(compute, 1000);
+    return () => clearInterval(id);
+  }, [bpm, profile, healthRules, exerciseActive, customMaxHr]);
+
+  // Delineate the median of the recent normal beats on the detection lead
+  useEffect(() => {
+    const update = () => {
+      if (unreliableRef.current) return;
+      const n = Math.min(samplesRef.current.length, samplesFor(DELINEATION_SEC));
+      const from = samplesRef.current.length - n;
+      const values = new Array(n);
+      for (let i = 0; i < n; i++) {
+        const v = deriveLead(detectionLeadRef.current, samples2Ref.current[from + i], samplesRef.current[from + i]);
+        values[i] = v === null ? samplesRef.current[from + i] : v;
       }
+      setDelineation(analyzeDelineation(values, sampleCountRef.current - n, beatLabelsRef.current, rateRef.current, { sex: profile.sex }));
+    };
+    const id = setInterval(update, 3000);
+    return () => clearInterval(id);
+  }, [profile.sex]);
 
-      // heart rate rules
-      const hr = bpm || 70; // Use Arduino BPM
-
-      // Health index scoring (higher is worse)
-      let bradyScore = 0;
-      let tachyScore = 0;
-      // bradycardia
-      if (hr < 50) bradyScore = 40;
-      else if (hr < 60) bradyScore = 20;
-      // tachycardia
-      if (hr > 120) tachyScore = 40;
-      else if (hr > 100) tachyScore = 20;
-      // irregular rhythm contribution (0..40)
-      const irrScore = Math.round(irregularity * 40);
-
-      // total
-      let score = bradyScore + tachyScore + irrScore;
-      score = Math.max(0, Math.min(100, score));
-
-      let level = 'Normal';
-      let desc = 'Heart rate and rhythm are within typical ranges.';
-      if (score >= 70) { level = 'High'; desc = 'High concern: heart rate or rhythm suggest elevated risk — seek medical attention if symptomatic.' }
-      else if (score >= 35) { level = 'Moderate'; desc = 'Moderate concern: some abnormal findings. Consider monitoring and consulting a clinician.' }
-
-      setBreakdown({brady: bradyScore, tachy: tachyScore, irregularity: irrScore});
-      setHealthCategory({level, score, desc});
+  // Align the recent beats on every lead there is and rebuild their templates
+  useEffect(() => {
+    const update = () => {
+      const n = Math.min(samplesRef.current.length, samplesFor(BEAT_TEMPLATE_SEC));
+      const lead1 = samples2Ref.current.slice(-n);
+      const lead2 = samplesRef.current.slice(-n);
+      const leads = {};
+      for (const name of LEAD_NAMES) {
+        if (name === 'II' || drawOptionsRef.current.hasLeadI) leads[name] = deriveLeadSeries(name, lead1, lead2);
+      }
+      const alignLead = leads[detectionLeadRef.current] ? detectionLeadRef.current : 'II';
+      setBeatTemplate(buildBeatTemplate(leads, sampleCountRef.current - n, beatLabelsRef.current, rateRef.current, { alignLead }));
     };
+    const id = setInterval(update, 2000);
+    return () => clearInterval(id);
+  }, []);
 
-    const id = setInterval(compute, 1000);
+  // Breathing rate from lead II: R amplitude, RR intervals and the unfiltered baseline
+  useEffect(() => {
+    const update = () => {
+      if (unreliableRef.current) {
+        setRespiration(null);
+        return;
+      }
+      const n = Math.min(samplesRef.current.length, samplesFor(EDR_WINDOW_SEC));
+      setRespiration(estimateRespiration({
+        signal: samplesRef.current.slice(-n),
+        raw: rawRef.current.slice(-n),
+        start: sampleCountRef.current - n,
+        beats: beatLabelsRef.current,
+        sampleRate: rateRef.current,
+      }));
+    };
+    const id = setInterval(update, 2000);
+    return () => clearInterval(id);
+  }, []);
+
+  // The exercise session takes the heart rate once a second while the signal is usable
+  useEffect(() => {
+    const update = () => {
+      const session = exerciseRef.current;
+      if (!session) return;
+      const inputs = alarmInputsRef.current;
+      if (inputs.monitoring && inputs.bpm && !unreliableRef.current) session.addHeartRate(inputs.bpm);
+      setExercise(session.snapshot(exerciseMaxHrRef.current));
+    };
+    const id = setInterval(update, 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  // Markers keep the strip around them once enough has been recorded after them
+  useEffect(() => {
+    const id = setInterval(() => captureMarkerStrips(), 1000);
     return () => clearInterval(id);
-  }, [bpm]);
+  }, []);
+
+  // M marks an event, unless it is being typed into a field
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key.toLowerCase() !== MARKER_KEY || e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      markEvent();
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
 
-  // Signal quality monitor - REMOVED (no auto signal quality check)
+  // Stream integrity figures for the link panel
+  useEffect(() => {
+    const id = setInterval(() => {
+      const monitor = streamMonitorRef.current;
+      if (monitor) setLink(l => l && { ...l, stats: monitor.snapshot() });
+    }, 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  useEffect(() => {
+    const update = () => setHrv(analyzeHrv(rrSeriesRef.current, { windowSec: hrvWindow }));
+    update();
+    const id = setInterval(update, 2000);
+    return () => clearInterval(id);
+  }, [hrvWindow]);
 
   function drawCanvas() {
     const canvas = canvasRef.current;
     if (!canvas) return;
     const ctx = canvas.getContext('2d');
+    const opts = drawOptionsRef.current;
+    const rows = opts.leadView.layout === 'stacked' ? Math.max(1, visibleLeads(opts.leadView, opts.hasLeadI).length) : 1;
     const w = canvas.width = canvas.clientWidth;
-    const h = canvas.height = 320;
-    ctx.fillStyle = '#0d1218'; ctx.fillRect(0,0,w,h);
-    // draw grid lines
-    ctx.strokeStyle = '#1a2530'; ctx.lineWidth = 1;
-    for (let i = 0; i < 8; i++) {
-      const y = (i / 7) * h;
-      ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
+    const h = canvas.height = Math.max(320, rows * 110);
+
+    const endIndex = sampleCountRef.current;
+    const bufferStart = endIndex - samplesRef.current.length;
+    const viewEnd = opts.frozenAt === null ? endIndex : Math.max(bufferStart + 2, opts.frozenAt - opts.scrollBack);
+
+    // show "waiting for data" message
+    let message = null;
+    if (samplesRef.current.length < 2) {
+      message = opts.measuringRate
+        ? { title: '⏱ Measuring the sample rate...', subtitle: 'The device sends no header, so its rate is timed from the incoming samples' }
+        : opts.calibrating
+        ? { title: '🔄 Calibrating ECG (5 seconds)...', subtitle: 'Keep sensor stable' }
+        : { title: 'Waiting for ECG data...', subtitle: 'Connect your device or click Demo Mode' };
     }
-    // draw midline
-    ctx.strokeStyle = '#2a3540'; ctx.lineWidth = 2;
-    ctx.beginPath(); ctx.moveTo(0,h/2); ctx.lineTo(w,h/2); ctx.stroke();
-
-    const samples = samplesRef.current; // Lead II (A1)
-    if (samples.length < 2) {
-      // show "waiting for data" message
-      ctx.fillStyle = '#555'; ctx.font = '14px Arial'; ctx.textAlign = 'center';
-      if (calibrating) {
-        ctx.fillText('🔄 Calibrating ECG (5 seconds)...', w/2, h/2 - 20);
-        ctx.fillStyle = '#777'; ctx.font = '12px Arial';
-        ctx.fillText('Keep sensor stable', w/2, h/2 + 10);
-      } else {
-        ctx.fillText('Waiting for ECG data...', w/2, h/2 - 20);
-        ctx.fillStyle = '#777'; ctx.font = '12px Arial';
-        ctx.fillText('Connect your device or click Demo Mode', w/2, h/2 + 10);
-      }
-      return;
+
+    layoutRef.current = drawEcg(ctx, {
+      width: w, height: h,
+      sampleRate: rateRef.current,
+      display: opts.display,
+      leadView: opts.leadView,
+      showRaw: opts.showRaw,
+      buffers: { lead1: samples2Ref.current, lead2: samplesRef.current, raw1: raw2Ref.current, raw2: rawRef.current, endIndex, hasLeadI: opts.hasLeadI },
+      beats: beatLabelsRef.current,
+      fiducials: opts.fiducials,
+      quality: qualitySpansRef.current,
+      gaps: gapsRef.current,
+      markers: opts.markers,
+      leadOff: opts.leadOff,
+      viewEnd,
+      fitSamples: samplesFor(FIT_SEC),
+      calipers: opts.calipers,
+      frozen: opts.frozenAt !== null,
+      message,
+    });
+  }
+
+  // Calipers: each click drops a point (absolute sample index + mV); a third click starts over
+  function handleCanvasClick(e) {
+    const layout = layoutRef.current;
+    if (!layout || samplesRef.current.length < 2) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    const row = rowAt(layout, y);
+    const leads = visibleLeads(leadView, hasLeadI);
+    const lead = leadView.leads[leads[leadView.layout === 'stacked' ? row : 0] || 'II'];
+    const point = { index: layout.indexOf(x), value: layout.valueOf(y, row, lead.gain), row, gain: lead.gain };
+    setCalipers(c => c.length >= 2 ? [point] : [...c, point]);
+  }
+
+  // Event log click: freeze the trace with the event near the right edge, if it is still buffered
+  function showEvent(event) {
+    const now = sampleCountRef.current;
+    const bufferStart = now - samplesRef.current.length;
+    const end = event.end ?? now;
+    if (end < bufferStart + samplesFor(FIT_SEC) / 2) return;
+    const frozen = frozenAt ?? now;
+    setFrozenAt(frozen);
+    setScrollBackSec(Math.max(0, (frozen - end - sampleRate) / sampleRate));
+  }
+
+  // Marks the newest sample; the activity carries over from the previous marker
+  function markEvent() {
+    const recorder = recorderRef.current;
+    if (!sourceRef.current || !recorder || !recorder.recording || !sampleCountRef.current) return;
+    const previous = drawOptionsRef.current.markers;
+    const marker = createMarker(sampleCountRef.current - 1, { activity: previous.length ? previous[previous.length - 1].activity : null });
+    recorder.addMarker(marker);
+    setMarkers(list => [...list, marker]);
+  }
+
+  function updateMarker(id, fields) {
+    if (recorderRef.current) recorderRef.current.updateMarker(id, fields);
+    setMarkers(list => list.map(m => m.id === id ? { ...m, ...fields } : m));
+  }
+
+  function removeMarker(id) {
+    if (recorderRef.current) recorderRef.current.removeMarker(id);
+    setMarkers(list => list.filter(m => m.id !== id));
+  }
+
+  // Copies the filtered Lead II around each marker that has none yet, once
+  // MARKER_STRIP_SEC[1] has passed after it, or as far as it got when the stream ends
+  function captureMarkerStrips(final = false) {
+    const end = sampleCountRef.current;
+    const bufferStart = end - samplesRef.current.length;
+    const strips = new Map();
+    for (const m of drawOptionsRef.current.markers) {
+      if (m.strip || (!final && end < m.index + samplesFor(MARKER_STRIP_SEC[1]))) continue;
+      const from = Math.max(bufferStart, m.index + samplesFor(MARKER_STRIP_SEC[0]));
+      const to = Math.min(end, m.index + samplesFor(MARKER_STRIP_SEC[1]));
+      strips.set(m.id, { start: from, values: samplesRef.current.slice(from - bufferStart, Math.max(from, to) - bufferStart) });
     }
-    
-    // Draw Lead II (A1) - primary waveform
-    ctx.strokeStyle = '#ff4444'; ctx.lineWidth = 3; ctx.beginPath();
-    const view = samples.slice(-MAX_SAMPLES);
-    const minV = -2.0; const maxV = 2.0; // normalized range after calibration
-    for (let i = 0; i < view.length; i++) {
-      const x = (i / (view.length - 1)) * w;
-      const v = view[i];
-      const y = h/2 - (v / (maxV - minV)) * h * 0.85;
-      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    if (strips.size) setMarkers(list => list.map(m => strips.has(m.id) ? { ...m, strip: strips.get(m.id) } : m));
+  }
+
+  // Moving to a phase starts a new exercise session if none is running
+  function setExercisePhase(phase) {
+    if (!exerciseRef.current || exerciseRef.current.phase === 'done') exerciseRef.current = createExerciseSession({ phase });
+    else exerciseRef.current.setPhase(phase);
+    setExercise(exerciseRef.current.snapshot(exerciseMaxHr));
+  }
+
+  function endExercise() {
+    exerciseRef.current.end();
+    setExercise(exerciseRef.current.snapshot(exerciseMaxHr));
+  }
+
+  function clearExercise() {
+    exerciseRef.current = null;
+    setExercise(null);
+  }
+
+  function toggleFreeze() {
+    if (frozenAt === null) {
+      setFrozenAt(sampleCountRef.current);
+    } else {
+      setFrozenAt(null);
+      setScrollBackSec(0);
+      setCalipers([]);
     }
-    ctx.stroke();
-    
-    // Label
-    ctx.fillStyle = '#ff4444'; ctx.font = 'bold 13px Arial'; ctx.textAlign = 'left';
-    ctx.fillText('Lead II (A1)', 10, 22);
   }
 
   // Gauge rendering (modern arc style without needle)
-  function Gauge({value}) {
-    const min = 30; const max = 180;
+  // With a maximum heart rate (exercise) the colours are the training zones
+  function Gauge({value, unreliable, maxHr = null}) {
+    const min = 30; const max = maxHr ? Math.max(180, maxHr + 10) : 180;
+    const colorOf = (v) => maxHr ? HR_ZONES[zoneOf(v, maxHr)].color : v < 60 ? '#4ade80' : v < 100 ? '#facc15' : '#ef4444';
     const clamped = Math.max(min, Math.min(max, value || 60));
     const pct = (clamped - min) / (max - min);
     const cx = 110; const cy = 110; const r = 85;
@@ -255,14 +671,14 @@ export default function App() {
               cx={cx}
               cy={cy}
               r={r}
-              stroke={clamped < 60 ? '#4ade80' : clamped < 100 ? '#facc15' : '#ef4444'}
+              stroke={colorOf(clamped)}
               strokeWidth="18"
               fill="none"
               strokeLinecap="round"
               strokeDasharray={`${2 * Math.PI * r * pct} ${2 * Math.PI * r}`}
               transform={`rotate(-90 ${cx} ${cy})`}
               style={{
-                filter: `drop-shadow(0 0 8px ${clamped < 60 ? '#4ade8060' : clamped < 100 ? '#facc1560' : '#ef444460'})`,
+                filter: `drop-shadow(0 0 8px ${colorOf(clamped)}60)`,
                 transition: 'all 0.3s ease'
               }}
             />
@@ -285,8 +701,10 @@ export default function App() {
 
         <div style={{position:'absolute',left:0,top:0,width:220,height:220,display:'flex',alignItems:'center',justifyContent:'center',pointerEvents:'none'}}>
           <div style={{textAlign:'center'}}>
-            <div style={{fontSize:48,fontWeight:800,color: clamped < 60 ? '#4ade80' : clamped < 100 ? '#facc15' : '#ef4444', letterSpacing:'-2px'}}>{value ? value : '--'}</div>
+            <div style={{fontSize:48,fontWeight:800,opacity: unreliable ? 0.4 : 1,color: colorOf(clamped), letterSpacing:'-2px'}}>{value ? value : '--'}</div>
             <div style={{fontSize:13,color:'#888',letterSpacing:'2px',marginTop:-4}}>BPM</div>
+            {maxHr && value && <div style={{fontSize:11,color:colorOf(value),marginTop:4}}>{HR_ZONES[zoneOf(value, maxHr)].name}</div>}
+            {unreliable && value && <div style={{fontSize:11,color:'#ff6b6b',marginTop:4}}>⚠ unreliable</div>}
           </div>
         </div>
       </div>
@@ -331,116 +749,486 @@ export default function App() {
     )
   }
 
-  async function connectSerial() {
-    if (!('serial' in navigator)) {
-      alert('Web Serial API not supported in this browser. Use Chrome/Edge and enable experimental features.');
-      return;
+  // Parse one line from the active source and push it into the sample buffers
+  function handleLine(value) {
+    const line = value.trim();
+    setLastSerialLine(line);
+    const frame = parserRef.current.parse(line);
+    if (!frame) return;
+    if (controlRef.current && controlRef.current.handleFrame(frame)) return;
+
+    switch (frame.type) {
+      case 'header':
+        if (!frame.supported) console.warn(`Device speaks protocol v${frame.protocol}, this UI understands v${PROTOCOL_VERSION}`);
+        setDeviceHeader(frame);
+        if (frame.sampleRate) establishRate(frame.sampleRate, 'header');
+        if (recorderRef.current) recorderRef.current.setDevice(frame);
+        return;
+      case 'log':
+        // Detect calibration messages
+        console.log('Arduino:', frame.text);
+        if (frame.calibration === 'complete') setCalibrating(false);
+        return;
+      case 'bpm':
+        handleDeviceBpm(frame.bpm, frame.irregularity);
+        return;
+      case 'leadoff':
+        setDeviceLeadOff(frame.off ? { latched: frame.latched } : null);
+        return;
+      case 'sample': {
+        if ((frame.leads.II ?? frame.leads.I) === undefined) return;
+        const lost = streamMonitorRef.current ? streamMonitorRef.current.sample(frame.seq) : 0;
+        lastSampleAtRef.current = performance.now();
+        if (rateDetectorRef.current) {
+          // no header: hold the samples until their rate has been measured
+          heldSamplesRef.current.push({ frame, lost });
+          const rate = rateDetectorRef.current.sample();
+          if (rate) establishRate(rate, 'measured');
+          return;
+        }
+        handleSample(frame, lost);
+        return;
+      }
     }
-    try {
-      const requestedPort = await navigator.serial.requestPort();
-      await requestedPort.open({ baudRate: 115200 });
-      setPort(requestedPort);
-      setCalibrating(true);
-      setMonitoringActive(false); // Monitoring disabled initially
+  }
 
-      // After 4 seconds, stop calibrating and start monitoring automatically
-      setTimeout(() => {
+  function handleSample(frame, lost) {
+    // Store Lead II (A1) as primary; single-channel devices fill it with whatever they send
+    const lead2 = frame.leads.II ?? frame.leads.I;
+    const lead1 = frame.leads.I ?? null;
+    if (lost > 0) insertGap(lost, 'seq');
+    setDeviceLeadOff(d => d && !d.latched ? null : d);
+    const filtered2 = filtersRef.current.lead2.step(lead2);
+    const filtered1 = lead1 === null ? null : filtersRef.current.lead1.step(lead1);
+    rawRef.current.push(lead2);
+    raw2Ref.current.push(lead1);
+    if (recorderRef.current) recorderRef.current.addSample(lead1, lead2);
+    samplesRef.current.push(filtered2);
+    samples2Ref.current.push(filtered1);
+    const detectValue = deriveLead(detectionLeadRef.current, filtered1, filtered2);
+    pendingDetectRef.current.push(detectValue === null ? filtered2 : detectValue);
+    const rawDetect = deriveLead(detectionLeadRef.current, lead1, lead2);
+    const scored = qualityRef.current.push(rawDetect === null ? lead2 : rawDetect, detectValue === null ? filtered2 : detectValue);
+    if (scored) {
+      const spans = qualitySpansRef.current;
+      spans.push({ start: scored.end - samplesFor(QUALITY_HOP_SEC), end: scored.end, level: scored.level });
+      while (spans.length && spans[0].end < sampleCountRef.current - samplesFor(BUFFER_SEC)) spans.shift();
+      setQuality(scored);
+    }
+    if (lead1 !== null && !hasLeadI) setHasLeadI(true);
+    sampleCountRef.current++;
+    trimBuffers();
+
+    // Use BPM from Arduino if available — always update BPM so UI shows immediately
+    if (frame.bpm) handleDeviceBpm(frame.bpm, frame.irregularity);
+  }
+
+  function trimBuffers() {
+    const maxSamples = samplesFor(BUFFER_SEC);
+    if (samplesRef.current.length > maxSamples) {
+      const excess = samplesRef.current.length - maxSamples;
+      samplesRef.current.splice(0, excess);
+      samples2Ref.current.splice(0, excess);
+      rawRef.current.splice(0, excess);
+      raw2Ref.current.splice(0, excess);
+    }
+    const bufferStart = sampleCountRef.current - samplesRef.current.length;
+    while (gapsRef.current.length && gapsRef.current[0].start + gapsRef.current[0].length < bufferStart) gapsRef.current.shift();
+  }
+
+  // Samples that never arrived keep their place as nulls, so the trace breaks
+  // where they belong instead of joining the two sides. Everything that
+  // carries state across samples (detector, quality window, RR series) starts
+  // again after the gap.
+  function insertGap(missing, reason) {
+    const length = Math.min(missing, samplesFor(MAX_GAP_SEC));
+    const start = sampleCountRef.current;
+    for (let i = 0; i < Math.min(length, samplesFor(BUFFER_SEC)); i++) {
+      samplesRef.current.push(null);
+      samples2Ref.current.push(null);
+      rawRef.current.push(null);
+      raw2Ref.current.push(null);
+    }
+    if (recorderRef.current) recorderRef.current.addGap(length);
+    sampleCountRef.current += length;
+    gapsRef.current.push({ start, length, reason });
+    if (streamMonitorRef.current) streamMonitorRef.current.addGap(start, length, reason);
+    trimBuffers();
+
+    if (detectorRef.current && pendingDetectRef.current.length) detectorRef.current.postMessage({ type: 'samples', values: pendingDetectRef.current });
+    restartDetector(sampleCountRef.current);
+    pendingDetectRef.current = [];
+    beatsRef.current = [];
+    // an interval across the gap is not a real RR, and HRV pairs neighbouring intervals
+    rrSeriesRef.current = [];
+    qualityRef.current = createQualityMonitor(rateRef.current, sampleCountRef.current);
+    setBpm(null);
+  }
+
+  // The connection manager lost the device or got it back
+  function handleLinkStatus(status) {
+    if (status.state === 'reconnecting') setBpm(null);
+    if (status.state === 'connected' && streamMonitorRef.current) {
+      streamMonitorRef.current.reconnected();
+      const missing = Math.round((performance.now() - lastSampleAtRef.current) / 1000 * rateRef.current) - 1;
+      if (missing > 0 && sampleCountRef.current > 0) insertGap(missing, 'reconnect');
+    }
+    setLink(l => ({ ...l, state: status.state, reason: status.reason ?? null, attempt: status.attempt }));
+  }
+
+  function handleDeviceBpm(arduinoBPM, arduinoIrregularity) {
+    console.log('Arduino BPM:', arduinoBPM, 'Monitoring:', monitoringActive);
+    // update displayed BPM
+    setBpm(arduinoBPM);
+    setLastParsedBpm(arduinoBPM);
+    if (recorderRef.current) recorderRef.current.addDeviceBpm(Math.max(0, sampleCountRef.current - 1), arduinoBPM, arduinoIrregularity);
+
+    // beat times come from the browser detector (sample-accurate); the device only reports the rate
+
+    // Store irregularity value directly for use in rhythm calculation (if Arduino provides)
+    if (arduinoIrregularity !== null) {
+      addDeviceIrregularity(deviceIrregularityRef.current, arduinoIrregularity);
+      setLastParsedIrr(arduinoIrregularity);
+    }
+    // If BPM arrived before UI monitoring enabled, enable it automatically
+    if (!monitoringActive) setMonitoringActive(true);
+  }
+
+  async function connectSource(nextSource) {
+    if (sourceRef.current) return;
+    sourceRef.current = nextSource;
+    if (sounderRef.current) sounderRef.current.unlock(); // still inside the click, so audio may start
+    lastSampleAtRef.current = performance.now();
+    parserRef.current = createProtocolParser();
+    setDeviceHeader(null);
+    // Replays and the demo know their rate; a device either announces it in
+    // its header or is timed until it does
+    const knownRate = nextSource.sampleRate ?? null;
+    rateDetectorRef.current = knownRate ? null : createRateDetector();
+    heldSamplesRef.current = [];
+    setPipelineRate(knownRate ?? rateRef.current, knownRate ? 'source' : 'measuring');
+    startRecorder({ sampleRate: rateRef.current, source: nextSource.label });
+    controlRef.current = nextSource.send ? createDeviceControl({ send: (line) => nextSource.send(line) }) : null;
+    streamMonitorRef.current = createStreamMonitor({ expectedRate: rateRef.current, firstSeq: nextSource.sequence ? nextSource.sequence.start : null });
+    setLink(nextSource.isDevice ? { state: 'connected', reason: null, attempt: 0, stats: null } : null);
+    try {
+      await nextSource.open({
+        onLine: handleLine,
+        onSeek: restartAt,
+        onStatus: handleLinkStatus,
+        onClose: (reason) => {
+          if (sourceRef.current !== nextSource) return;
+          // samples missing at the very end of a numbered stream only show now
+          const monitor = streamMonitorRef.current;
+          const lost = reason === 'ended' && nextSource.sequence && monitor ? monitor.ended(nextSource.sequence.end) : 0;
+          if (lost > 0) insertGap(lost, 'seq');
+          disconnectSource();
+        },
+      });
+      setSource(nextSource);
+      if (nextSource.isDevice) {
+        startDevice(nextSource, controlRef.current);
+      } else {
         setCalibrating(false);
         setMonitoringActive(true);
-      }, 4000);
-
-      // setup text stream
-      const textDecoder = new TextDecoderStream();
-      const readableStreamClosed = requestedPort.readable.pipeTo(textDecoder.writable);
-      const reader = textDecoder.readable
-        .pipeThrough(new TransformStream(new LineBreakTransformer()))
-        .getReader();
-
-      // read loop
-      while (true) {
-        const { value, done } = await reader.read();
-        if (done) break;
-        if (!value) continue;
-        
-        const line = value.trim();
-        setLastSerialLine(line);
-        
-        // Detect calibration messages
-        if (line.includes('Calibration') || line.includes('Starting') || line.includes('Baseline') || line.includes('Gain')) {
-          console.log('Arduino:', line);
-          if (line.includes('Complete')) {
-            setCalibrating(false);
-          }
-          continue;
-        }
-        
-        // Parse comma-separated values: value1,value2,bpm,irregularity
-        const parts = line.split(',');
-        if (parts.length >= 2) {
-          const val1 = parseFloat(parts[0]); // Lead I (A0)
-          const val2 = parseFloat(parts[1]); // Lead II (A1)
-          const arduinoBPM = parts.length >= 3 ? parseInt(parts[2]) : null; // BPM from Arduino
-          const arduinoIrregularity = parts.length >= 4 ? parseFloat(parts[3]) : null; // Irregularity from Arduino
-          
-          if (!isNaN(val1) && !isNaN(val2)) {
-            // Store Lead II (A1) as primary
-            samplesRef.current.push(val2);
-            samples2Ref.current.push(val1);
-            
-            if (samplesRef.current.length > MAX_SAMPLES) {
-              samplesRef.current.splice(0, samplesRef.current.length - MAX_SAMPLES);
-              samples2Ref.current.splice(0, samples2Ref.current.length - MAX_SAMPLES);
-            }
-            
-            // Use BPM from Arduino if available — always update BPM so UI shows immediately
-            if (arduinoBPM && arduinoBPM > 0) {
-              console.log('Arduino BPM:', arduinoBPM, 'Monitoring:', monitoringActive);
-              // update displayed BPM
-              setBpm(arduinoBPM);
-              setLastParsedBpm(arduinoBPM);
-
-              // store a timestamp for each beat (helps web-side rhythm fallback)
-              const now = Date.now();
-              beatsRef.current.push(now);
-              if (beatsRef.current.length > 50) {
-                beatsRef.current.splice(0, beatsRef.current.length - 50);
-              }
-
-              // Store irregularity value directly for use in rhythm calculation (if Arduino provides)
-              if (arduinoIrregularity !== null && arduinoIrregularity >= 0) {
-                if (!window.arduinoIrregularity) window.arduinoIrregularity = [];
-                window.arduinoIrregularity.push(arduinoIrregularity);
-                if (window.arduinoIrregularity.length > 10) {
-                  window.arduinoIrregularity.shift();
-                }
-                setLastParsedIrr(arduinoIrregularity);
-              }
-              // If BPM arrived before UI monitoring enabled, enable it automatically
-              if (!monitoringActive) setMonitoringActive(true);
-            }
-          }
-        }
       }
     } catch (err) {
-      console.error('Serial connect error', err);
+      console.error('Source connect error', err);
+      sourceRef.current = null;
+      if (controlRef.current) controlRef.current.dispose();
+      controlRef.current = null;
+      streamMonitorRef.current = null;
+      setLink(null);
       setCalibrating(false);
+      if (nextSource.kind === 'websocket') alert(`${err.message}. Is tools/serial_bridge.mjs running?`);
     }
   }
 
-  async function disconnectSerial() {
-    if (!port) return;
+  // Firmware with a command channel calibrates on request and reports when it
+  // is done; anything else gets the fixed wait after connecting
+  async function startDevice(nextSource, control) {
+    const connectedAt = performance.now();
+    setCalibrating(true);
+    setMonitoringActive(false); // Monitoring disabled initially
+    setDevice({ status: control ? 'probing' : 'legacy', info: null, busy: null, error: null });
+    const info = control ? await control.identify().catch(() => null) : null;
+    if (sourceRef.current !== nextSource) return;
+
+    if (!info) {
+      setDevice(d => d && { ...d, status: 'legacy' });
+      setTimeout(() => {
+        if (sourceRef.current !== nextSource) return;
+        setCalibrating(false);
+        setMonitoringActive(true);
+      }, Math.max(0, LEGACY_CALIBRATION_MS - (performance.now() - connectedAt)));
+      return;
+    }
+
+    const canCalibrate = info.capabilities.includes('calibrate');
+    setDevice({ status: 'ready', info, busy: canCalibrate ? 'Calibrating' : null, error: null });
+    let error = null;
+    if (canCalibrate) {
+      try { await control.calibrate(); } catch (err) { error = err.message; }
+    }
+    if (sourceRef.current !== nextSource) return;
+    setDevice(d => d && { ...d, info: control.getInfo(), busy: null, error });
+    setCalibrating(false);
+    setMonitoringActive(true);
+  }
+
+  // Runs a command from the device controls, showing it as busy until the device answers
+  async function runDeviceCommand(label, run) {
+    const control = controlRef.current;
+    if (!control) return;
+    setDevice(d => d && { ...d, busy: label, error: null });
+    let error = null;
+    try { await run(control); } catch (err) { error = err.message; }
+    if (controlRef.current !== control) return;
+    setDevice(d => d && { ...d, info: control.getInfo(), busy: null, error });
+  }
+
+  function recalibrateDevice() {
+    runDeviceCommand('Calibrating', async (control) => {
+      setCalibrating(true);
+      try { await control.calibrate(); } finally { setCalibrating(false); }
+    });
+  }
+
+  async function disconnectSource() {
+    const current = sourceRef.current;
+    if (!current) return;
+    sourceRef.current = null;
+    if (controlRef.current) controlRef.current.dispose();
+    controlRef.current = null;
+    setDevice(null);
+    streamMonitorRef.current = null;
+    setLink(null);
+    if (recorderRef.current) recorderRef.current.stop();
+    captureMarkerStrips(true);
     try {
-      await port.close();
+      await current.close();
     } catch(e){}
-    setPort(null);
+    saveToHistory(current);
+    setSource(null);
+    clearSession();
+  }
+
+  function summarizeCurrent(recording) {
+    const stats = sessionStatsRef.current;
+    return summarizeSession({
+      recording,
+      health: stats.health,
+      healthScores: healthScoresRef.current,
+      events: stats.events,
+      alarms: alarmEngineRef.current.history,
+      exercise: exerciseRef.current && exerciseRef.current.snapshot(exerciseMaxHrRef.current),
+    });
+  }
+
+  // Summarise the finished session into IndexedDB. Demo and replay sessions
+  // are only kept when asked for, so they don't skew the trends.
+  function saveToHistory(current) {
+    const recorder = recorderRef.current;
+    if (!recorder || !isHistorySupported() || recorder.durationSec < MIN_SAVED_SESSION_SEC) return;
+    const settings = historySettingsRef.current;
+    if (!current.isDevice && !settings.includeSimulated) return;
+    const recording = recorder.snapshot();
+    const summary = summarizeCurrent(recording);
+    saveSession(summary, settings.saveWaveforms ? recording : null)
+      .then(() => setHistoryVersion(v => v + 1))
+      .catch(err => console.error('Could not save session to history', err));
+  }
+
+  // The markers belong to the recording they were set on
+  function startRecorder(options) {
+    recorderRef.current = createRecorder(options);
+    setMarkers([]);
+  }
+
+  function clearSession() {
     setCalibrating(false);
     setMonitoringActive(false);
+    resetPipeline();
+  }
+
+  // Empties the buffers and everything derived from them, and rebuilds the
+  // rate-dependent stages (filters, detector, classifier) at rateRef
+  function resetPipeline() {
     setBpm(null);
     // Clear all samples
     samplesRef.current = [];
     samples2Ref.current = [];
+    rawRef.current = [];
+    raw2Ref.current = [];
+    setHasLeadI(false);
+    setFrozenAt(null);
+    setScrollBackSec(0);
+    setCalipers([]);
+    buildFilters(filtersRef.current.config);
     beatsRef.current = [];
-    if (window.arduinoIrregularity) window.arduinoIrregularity = [];
+    rrSeriesRef.current = [];
+    healthScoresRef.current = [];
+    setHrv(null);
+    setDelineation(null);
+    setBeatTemplate(null);
+    setRespiration(null);
+    resetClassifier();
+    qualitySpansRef.current = [];
+    gapsRef.current = [];
+    setQuality(null);
+    setDeviceLeadOff(null);
+    deviceIrregularityRef.current = [];
+    // restart the detector so its thresholds re-learn on the next signal
+    sampleCountRef.current = 0;
+    pendingDetectRef.current = [];
+    replayStartRef.current = 0;
+    replayDetectedRef.current = 0;
+    qualityRef.current = createQualityMonitor(rateRef.current);
+    restartDetector(0);
+  }
+
+  function setPipelineRate(rate, origin) {
+    setRateOrigin(origin);
+    if (rate === rateRef.current) return;
+    rateRef.current = rate;
+    setSampleRate(rate);
+    resetPipeline();
+  }
+
+  // The stream's rate turned out to be (or changed to) `rate`. What was
+  // recorded at the old rate is saved as a session of its own, since a
+  // recording has a single rate.
+  function applySampleRate(rate, origin) {
+    const current = sourceRef.current;
+    if (streamMonitorRef.current) streamMonitorRef.current.setExpectedRate(rate);
+    if (rate === rateRef.current) {
+      setRateOrigin(origin);
+      return;
+    }
+    if (current) saveToHistory(current);
+    setPipelineRate(rate, origin);
+    startRecorder({ sampleRate: rate, source: current ? current.label : 'device' });
+  }
+
+  // Stops timing the stream (if it still was) and runs the samples held
+  // meanwhile through the pipeline at the rate that was found
+  function establishRate(rate, origin) {
+    rateDetectorRef.current = null;
+    applySampleRate(rate, origin);
+    const held = heldSamplesRef.current;
+    heldSamplesRef.current = [];
+    for (const { frame, lost } of held) handleSample(frame, lost);
+  }
+
+  // A replay jumped to another position: drop everything derived from the old
+  // position and carry on as a fresh session whose sample indices match the file
+  function restartAt(index) {
+    const current = sourceRef.current;
+    clearSession();
+    setMonitoringActive(true);
+    sampleCountRef.current = index;
+    replayStartRef.current = index;
+    qualityRef.current = createQualityMonitor(rateRef.current, index);
+    startRecorder({ sampleRate: rateRef.current, source: current ? current.label : 'replay', startIndex: index });
+    restartDetector(index);
+    if (streamMonitorRef.current) streamMonitorRef.current.restartSequence(current && current.sequence ? index : null);
+  }
+
+  function exportRecording(format) {
+    const recorder = recorderRef.current;
+    if (!recorder || !recorder.sampleCount) return;
+    const recording = recorder.snapshot();
+    const name = recordingBaseName(recording);
+    if (format === 'csv') downloadBlob(new Blob([recordingToCsv(recording)], { type: 'text/csv' }), `${name}.csv`);
+    else if (format === 'edf+') downloadBlob(recordingToEdf(recording, { plus: true }), `${name}.edf`);
+    else if (format === 'edf') downloadBlob(recordingToEdf(recording, { plus: false }), `${name}-plain.edf`);
+    else if (format === 'wfdb') {
+      const files = recordingToWfdb(recording, name);
+      for (const [filename, blob] of Object.entries(files)) downloadBlob(blob, filename);
+    }
+  }
+
+  // Whole session so far: summary, events and a strip per event
+  function printSessionReport() {
+    const recorder = recorderRef.current;
+    if (!recorder || !recorder.sampleCount) return;
+    const recording = recorder.snapshot();
+    const summary = summarizeCurrent(recording);
+    printReport(buildReportHtml({ profile, summary, recording, strips: chooseStrips(summary, recording) }));
+  }
+
+  // The frozen view, cut into paper-width strips, with the session summary for context
+  function printStripReport() {
+    const recorder = recorderRef.current;
+    const layout = layoutRef.current;
+    if (!recorder || !recorder.sampleCount || !layout) return;
+    const recording = recorder.snapshot();
+    const start = Math.max(0, layout.startIndex - recording.startIndex);
+    const end = Math.min(recording.lead2.length, layout.endIndex - recording.startIndex);
+    if (end <= start) return;
+    const strips = [];
+    const stripSamples = STRIP_SEC * recording.sampleRate;
+    for (let s = start; s < end; s += stripSamples) {
+      strips.push({ start: s, end: Math.min(end, s + stripSamples), title: 'Selected strip' });
+    }
+    const summary = summarizeCurrent(recording);
+    printReport(buildReportHtml({ title: 'ECG rhythm strip', profile, summary, recording, strips }));
+  }
+
+  function printHistoryReport(summary, recording) {
+    printReport(buildReportHtml({ profile, summary, recording, strips: recording ? chooseStrips(summary, recording) : [] }));
+  }
+
+  // Device links go through the connection manager, which reopens them after a drop
+  function connectSerial() {
+    connectSource(createConnectionManager(previous => createWebSerialSource({ baudRate: 115200, grantedPort: previous ? previous.port : null })));
+  }
+
+  function connectBridge() {
+    const url = bridgeUrl;
+    connectSource(createConnectionManager(() => createWebSocketSource({ url })));
+  }
+
+  // CSV/EDF/WFDB recordings are imported and replayed at their own rate (only
+  // resampled when above MAX_PIPELINE_RATE); anything else is treated as a raw
+  // device log and replayed line by line at the rate its header gives
+  async function replayFiles(fileList) {
+    const files = Array.from(fileList || []);
+    if (!files.length) return;
+    try {
+      const recording = await importRecordingFiles(files, DEFAULT_SAMPLE_RATE);
+      if (recording) {
+        const rate = Math.min(recording.sampleRate, MAX_PIPELINE_RATE);
+        connectSource(createRecordingReplaySource({ recording: resampleRecording(recording, rate) }));
+        return;
+      }
+      const text = await files[0].text();
+      connectSource(createReplaySource({ name: files[0].name, text, sampleRate: DEFAULT_SAMPLE_RATE }));
+    } catch (err) {
+      console.error('Import error', err);
+      alert(`Could not import ${files.map(f => f.name).join(', ')}: ${err.message}`);
+    }
+  }
+
+  async function replayFromHistory(recording) {
+    setShowHistory(false);
+    await disconnectSource();
+    connectSource(createRecordingReplaySource({ recording: { ...recording, name: recordingBaseName(recording) } }));
+  }
+
+  // Scripted stand-in for the Arduino, for trying the command channel without hardware
+  function startSimulatedDevice() {
+    connectSource(createConnectionManager(() => createFakeDeviceSource()));
+  }
+
+  // Demo Mode: synthetic ECG lines go through handleLine() like any other source
+  function startDemo() {
+    connectSource(createDemoSource({ sampleRate: DEFAULT_SAMPLE_RATE, options: demoOptions }));
+  }
+
+  function updateDemoOptions(partial) {
+    setDemoOptions(o => ({...o, ...partial}));
+    if (sourceRef.current && sourceRef.current.kind === 'demo') sourceRef.current.setOptions(partial);
   }
 
   async function startMonitoring() {
@@ -497,6 +1285,9 @@ export default function App() {
     )
   }
 
+  const connected = !!source;
+  const calibrationText = !device || device.status === 'legacy' ? 'Waiting 4 seconds' : device.status === 'probing' ? 'Contacting device' : 'Device calibrating';
+
   return (
     <div style={{fontFamily:'Arial,Helvetica,sans-serif',color:'#eee',minHeight:'100vh',padding:20}}>
       {/* Header with 3D professional design */}
@@ -528,9 +1319,12 @@ export default function App() {
       </div>
 
       <div style={{display:'flex',gap:10,marginBottom:20,alignItems:'center'}}>
-        {port ? (
+        {source ? (
           <>
-            <button onClick={disconnectSerial}>🔌 Disconnect</button>
+            <button onClick={disconnectSource}>{source.isDevice ? '🔌 Disconnect' : '⏹ Stop'}</button>
+            <div style={{display:'flex',alignItems:'center',gap:10,padding:'8px 16px',background:'rgba(167, 139, 250, 0.1)',borderRadius:8,border:'1px solid rgba(167, 139, 250, 0.3)'}}>
+              <div style={{fontSize:14,color:'#a78bfa'}}>{source.kind === 'demo' ? '🧪' : source.kind === 'replay' ? '📂' : '📡'} {source.label}</div>
+            </div>
             {!monitoringActive && !calibrating && (
               <button onClick={startMonitoring} style={{background:'linear-gradient(135deg, #4ade80, #22c55e)',color:'#000',fontWeight:700}}>
                 ▶️ Start Monitoring
@@ -538,7 +1332,7 @@ export default function App() {
             )}
             {calibrating && (
               <div style={{display:'flex',alignItems:'center',gap:10,padding:'8px 16px',background:'rgba(251, 191, 36, 0.1)',borderRadius:8,border:'1px solid rgba(251, 191, 36, 0.3)'}}>
-                <div style={{fontSize:14,color:'#fbbf24'}}>⏳ Waiting 4 seconds after connection...</div>
+                <div style={{fontSize:14,color:'#fbbf24'}}>⏳ {calibrationText}{!device || device.status === 'legacy' ? ' after connection' : ''}...</div>
               </div>
             )}
             {monitoringActive && (
@@ -548,30 +1342,109 @@ export default function App() {
             )}
           </>
         ) : (
-          <button onClick={connectSerial}>🔌 Connect Device</button>
+          <>
+            {isWebSerialSupported() ? (
+              <button onClick={connectSerial}>🔌 Connect Device</button>
+            ) : (
+              <span className="small" title="Run tools/serial_bridge.mjs next to the device and connect through it">No Web Serial in this browser — use the bridge:</span>
+            )}
+            <input value={bridgeUrl} onChange={e => setBridgeUrl(e.target.value)} style={{padding:'10px 12px',borderRadius:8,border:'1px solid #2a3540',background:'#0d1218',color:'#ddd',width:190}} />
+            <button onClick={connectBridge}>🌐 Connect Bridge</button>
+            <label>
+              <input type="file" multiple accept=".txt,.csv,.log,.jsonl,.edf,.bdf,.hea,.dat,.atr" style={{display:'none'}} onChange={e => { replayFiles(e.target.files); e.target.value = ''; }} />
+              <span style={{display:'inline-block',padding:'12px 24px',borderRadius:8,border:'1px solid rgba(255, 68, 68, 0.2)',background:'rgba(20, 20, 20, 0.95)',color:'#ff4444',cursor:'pointer',fontSize:14,fontWeight:600}}>📂 Replay File</span>
+            </label>
+            <button onClick={startDemo}>🧪 Demo Mode</button>
+            {import.meta.env.DEV && <button onClick={startSimulatedDevice}>🧪 Simulated Device</button>}
+          </>
+        )}
+        <button style={{marginLeft:'auto'}} onClick={() => setShowProfile(s => !s)}>👤 Profile</button>
+        {isHistorySupported() && (
+          <button onClick={() => setShowHistory(s => !s)}>📚 History</button>
         )}
       </div>
 
+      {showProfile && <ProfilePanel profile={profile} onChange={setProfile} onClose={() => setShowProfile(false)} />}
+
+      {showHistory && (
+        <HistoryView
+          refreshKey={historyVersion}
+          settings={historySettings} onSettingsChange={setHistorySettings}
+          onReplay={replayFromHistory} onReport={printHistoryReport} onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      <AlarmPanel
+        active={activeAlarms} history={alarmHistory}
+        config={alarmConfig} onConfigChange={setAlarmConfig}
+        onAcknowledge={acknowledgeAlarm} onSilence={silenceAlarms}
+        silencedUntil={alarmEngineRef.current.silencedUntil}
+        onTest={(priority) => sounderRef.current && sounderRef.current.test(priority)}
+      />
+      {device && device.status === 'ready' && (
+        <DeviceControls
+          device={device}
+          onStart={() => runDeviceCommand('Starting', async (c) => { await c.start(); if (source.setWatching) source.setWatching(true); })}
+          onStop={() => runDeviceCommand('Stopping', async (c) => { await c.stop(); if (source.setWatching) source.setWatching(false); })}
+          onCalibrate={recalibrateDevice}
+          onGain={(gain) => runDeviceCommand('Setting gain', c => c.setGain(gain))}
+          onSampleRate={(rate) => runDeviceCommand('Setting sample rate', c => c.setSampleRate(rate))}
+        />
+      )}
+      {source && source.kind === 'demo' && <DemoControls options={demoOptions} onChange={updateDemoOptions} />}
+      {source && source.kind === 'replay' && (
+        <ReplayControls source={source} startIndex={replayStartRef.current} detectedBeats={replayDetectedRef.current} />
+      )}
+
       <div style={{display:'flex',gap:20,marginTop:20,alignItems:'flex-start'}}>
         <div style={{flex:1}}>
           {/* ECG Waveform Canvas */}
           <div style={{display:'flex',gap:12,alignItems:'stretch'}}>
-            <div style={{flex:1}}>
-              <canvas ref={canvasRef} style={{width:'100%',minHeight:'320px',border:'1px solid #2a3540',background:'#0d1218',borderRadius:6,boxShadow:'0 6px 18px rgba(0,0,0,0.5)'}} />
+            <div style={{flex:1,display:'flex',flexDirection:'column',gap:12}}>
+              <canvas ref={canvasRef} onClick={handleCanvasClick} style={{width:'100%',minHeight:'320px',border:'1px solid #2a3540',background:'#0d1218',borderRadius:6,boxShadow:'0 6px 18px rgba(0,0,0,0.5)',cursor:'crosshair'}} />
+              <DisplayControls
+                display={display} onChange={setDisplay}
+                frozen={frozenAt !== null} onFreeze={toggleFreeze}
+                scrollBackSec={scrollBackSec} onScrollBack={setScrollBackSec}
+                maxScrollBackSec={Math.max(0, (samplesRef.current.length - samplesFor(FIT_SEC)) / sampleRate)}
+                caliperCount={calipers.length} onClearCalipers={() => setCalipers([])}
+                onPrintStrip={printStripReport}
+              />
+              <EventDiary
+                markers={markers} sampleRate={sampleRate} canMark={!!source}
+                onMark={markEvent} onChange={updateMarker} onRemove={removeMarker}
+                onSelect={(m) => showEvent({ start: m.index, end: m.index + samplesFor(MARKER_STRIP_SEC[1]) })}
+              />
+              <ExercisePanel
+                exercise={exercise} maxHr={exerciseMaxHr} customMaxHr={exerciseSettings.maxHr} ageMaxHr={ageMaxHr}
+                onMaxHrChange={(maxHr) => setExerciseSettings(s => ({ ...s, maxHr }))}
+                onPhase={setExercisePhase} onEnd={endExercise} onClear={clearExercise}
+              />
+              <FilterControls config={filterConfig} sampleRate={sampleRate} onChange={setFilterConfig} showRaw={showRaw} onShowRawChange={setShowRaw} />
+              <LeadControls view={leadView} onChange={setLeadView} hasLeadI={hasLeadI} />
+              <RecordingPanel recorder={recorderRef.current} onExport={exportRecording} onReport={printSessionReport} />
+              <HrvPanel hrv={hrv} windowSec={hrvWindow} onWindowChange={setHrvWindow} />
+              <IntervalsPanel delineation={delineation} sampleRate={sampleRate} showMarkers={showFiducials} onShowMarkersChange={setShowFiducials} />
+              <BeatTemplatePanel template={beatTemplate} view={beatView} onViewChange={setBeatView} onSelect={(index) => showEvent({ start: index, end: index })} />
+              <EventLog events={rhythmEvents} sampleRate={sampleRate} onSelect={showEvent} />
             </div>
             <div style={{width:180,display:'flex',flexDirection:'column',gap:12}}>
               {/* Heart Rate Gauge Block */}
               <div style={{background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:16,borderRadius:8,border:'1px solid #2a3540',display:'flex',flexDirection:'column',alignItems:'center',gap:8}}>
-                <Gauge value={(monitoringActive && port) ? bpm : null} />
+                <Gauge value={(monitoringActive && connected && !leadOff) ? bpm : null} unreliable={signalUnreliable} maxHr={exerciseActive ? exerciseMaxHr : null} />
                 <div style={{textAlign:'center',marginTop:8}}>
                   <div style={{fontSize:14,color:'#aaa',marginBottom:4}}>Current Heart Rate</div>
-                  {calibrating && <span style={{color:'#ffb020',fontSize:11}}>⏳ Waiting 4 seconds...</span>}
-                  {port && !calibrating && monitoringActive && <span style={{color:'#7ef77e',fontSize:11}}>● Monitoring Active</span>}
-                  {port && !calibrating && !monitoringActive && <span style={{color:'#fbbf24',fontSize:11}}>⏸ Click "Start Monitoring"</span>}
-                  {!port && <span style={{color:'#888',fontSize:11}}>○ Not connected</span>}
+                  {calibrating && <span style={{color:'#ffb020',fontSize:11}}>⏳ {calibrationText}...</span>}
+                  {connected && !calibrating && monitoringActive && <span style={{color:'#7ef77e',fontSize:11}}>● Monitoring Active</span>}
+                  {connected && !calibrating && !monitoringActive && <span style={{color:'#fbbf24',fontSize:11}}>⏸ Click "Start Monitoring"</span>}
+                  {!connected && <span style={{color:'#888',fontSize:11}}>○ Not connected</span>}
                 </div>
               </div>
 
+              <RespirationPanel respiration={(monitoringActive && connected && !leadOff) ? respiration : null} connected={connected} />
+              <SignalQualityPanel quality={quality} leadOff={leadOff} deviceLeadOff={!!deviceLeadOff} connected={connected} />
+              {link && <LinkPanel link={link} malformed={parserRef.current.stats.malformed} sampleRate={sampleRate} />}
+
               {/* Sample Counter Block */}
               <div style={{background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',textAlign:'center'}}>
                 <div style={{fontSize:11,color:'#888',marginBottom:4}}>DATA SAMPLES</div>
@@ -591,7 +1464,11 @@ export default function App() {
                 <div><strong>Last line:</strong> <span style={{color:'#9ad0ff'}}>{lastSerialLine || '—'}</span></div>
                 <div><strong>Parsed BPM:</strong> <span style={{color:'#9ef78a'}}>{lastParsedBpm ?? '--'}</span></div>
                 <div><strong>Parsed Irr:</strong> <span style={{color:'#ffd280'}}>{lastParsedIrr ?? '--'}</span></div>
-                <div style={{marginTop:6}}><strong>Monitoring:</strong> {monitoringActive ? 'yes' : 'no'} &middot; <strong>Port:</strong> {port ? 'connected' : 'disconnected'}</div>
+                <div><strong>Format:</strong> {parserRef.current.stats.format ?? '--'} &middot; <strong>Malformed:</strong> <span style={{color: parserRef.current.stats.malformed ? '#ff6b6b' : '#ccc'}}>{parserRef.current.stats.malformed}</span></div>
+                {deviceHeader && <div><strong>Device:</strong> fw {deviceHeader.firmware ?? '?'} &middot; {deviceHeader.sampleRate ?? '?'} Hz &middot; {(deviceHeader.channels || []).join('/')} &middot; v{deviceHeader.protocol}</div>}
+                <div><strong>Sample rate:</strong> {rateOrigin === 'measuring' ? 'measuring…' : `${sampleRate} Hz (${rateOrigin ?? 'default'})`}</div>
+                {device && <div><strong>Commands:</strong> {device.status === 'ready' ? (device.info.capabilities.join(', ') || 'none') : device.status === 'probing' ? 'asking…' : 'not supported'}</div>}
+                <div style={{marginTop:6}}><strong>Monitoring:</strong> {monitoringActive ? 'yes' : 'no'} &middot; <strong>Source:</strong> {source ? source.kind : 'disconnected'}</div>
               </div>
             </div>
           </div>
@@ -604,10 +1481,10 @@ export default function App() {
             
             {/* Health Gauge */}
             <div style={{display:'flex',justifyContent:'center',marginBottom:12}}>
-              <HealthGauge score={healthCategory.score} />
+              <HealthGauge score={healthCategory.score ?? 0} />
             </div>
             
-            <div style={{fontSize:22,fontWeight:700,textAlign:'center',color: healthCategory.level==='High'?'#ff6b6b': healthCategory.level==='Moderate'?'#ffb020':'#7ef77e'}}>{healthCategory.level}</div>
+            <div style={{fontSize:22,fontWeight:700,textAlign:'center',color: healthCategory.level==='High'?'#ff6b6b': healthCategory.level==='Moderate'?'#ffb020': healthCategory.status!=='ok'?'#888':'#7ef77e'}}>{healthCategory.level}</div>
             <div style={{marginTop:8,color:'#bbb',textAlign:'center'}}>{healthCategory.desc}</div>
             <div style={{marginTop:12}}>
               <div style={{fontSize:13,fontWeight:700,color:'#fff'}}>Why this score?</div>
@@ -624,15 +1501,27 @@ export default function App() {
                   <div><strong>Brady:</strong> {breakdown.brady} pts &middot; <strong>Tachy:</strong> {breakdown.tachy} pts</div>
                   <div><strong>Irregularity:</strong> {breakdown.irregularity} pts</div>
                 </div>
+                {healthCategory.status === 'ok' && (
+                  <ul style={{margin:'8px 0 0',paddingLeft:18,fontSize:12,color:'#bbb'}}>
+                    {healthCategory.rules.map(r => <li key={r.id}><strong>+{r.points}</strong> {r.explanation}</li>)}
+                    {healthCategory.rules.length === 0 && (
+                      <li>No rule fired: {healthCategory.inputs.hr} bpm is within {healthCategory.limits.brady[0]}–{healthCategory.limits.tachy[0]} bpm for {healthCategory.limits.who} and the rhythm is regular.</li>
+                    )}
+                  </ul>
+                )}
               </div>
             </div>
             <div style={{marginTop:12}}>
-              <button onClick={() => setShowHealthInfo(s => !s)}>{showHealthInfo ? 'Hide' : 'What is this?'}</button>
+              <div style={{display:'flex',gap:8}}>
+                <button onClick={() => setShowHealthInfo(s => !s)}>{showHealthInfo ? 'Hide' : 'What is this?'}</button>
+                <button onClick={() => setShowHealthRules(s => !s)}>⚙ Rules</button>
+              </div>
+              {showHealthRules && <HealthRuleSettings settings={healthRules} ruleProfile={ruleProfile} onChange={setHealthRules} />}
               {showHealthInfo && (
                 <div style={{marginTop:10,color:'#bbb',fontSize:13}}>
                   <strong>Heart Health Index</strong> combines heart rate (BPM) and rhythm irregularity (variability of inter-beat intervals) into a simple score:
                   <ul>
-                    <li>Low HR (bradycardia) and very high HR (tachycardia) increase the score (worse).</li>
+                    <li>Low HR (bradycardia) and very high HR (tachycardia) increase the score (worse). The limits follow your age and athlete status from the profile and the chosen context (resting, daily activity, exercise).</li>
                     <li>High beat-to-beat variability (irregular rhythm) increases the score.</li>
                     <li>Categories: Normal &middot; Moderate &middot; High. This is a screening aid only, not diagnostic.</li>
                   </ul>
@@ -656,7 +1545,7 @@ export default function App() {
           </h3>
           <div style={{color:'#bbb',fontSize:14,lineHeight:1.6}}>
             <div style={{marginBottom:8}}>
-              <strong style={{color:'#a78bfa'}}>📡 Connection:</strong> Connect your Arduino (baud 115200) streaming comma-separated ECG data via Web Serial API (Chrome/Edge recommended).
+              <strong style={{color:'#a78bfa'}}>📡 Connection:</strong> Connect your Arduino (baud 115200) streaming comma-separated ECG data via Web Serial API (Chrome/Edge recommended), or through tools/serial_bridge.mjs in any other browser.
             </div>
             <div style={{marginBottom:8}}>
               <strong style={{color:'#ec4899'}}>🔬 Heart Health Index:</strong> This is a screening tool combining heart rate and rhythm irregularity. Categories: Normal • Moderate • High risk.
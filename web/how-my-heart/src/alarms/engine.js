@@ -0,0 +1,153 @@
+// Alarm engine: turns the monitor state into prioritised alarms.
+//
+// evaluate(state, now) is called about once a second with a snapshot of what
+// the UI already tracks:
+//   monitoring    true while a source is connected and monitoring is on
+//   bpm           current heart rate (null until the first RR interval)
+//   beatGapSec    signal time since the last detected beat
+//   signalAgeSec  wall-clock time since the last sample line arrived (null = don't check, e.g. paused replay)
+//   irregular     false, or a short reason when the rhythm is irregular (possible AF episode, high irregularity)
+//   leadOff       electrodes reported off (optional)
+//
+// Every condition needs to hold for its delay before the alarm is raised, and
+// HR alarms only clear once the rate is back inside the limit by the
+// hysteresis margin, so a value hovering at a limit doesn't toggle the alarm.
+// Acknowledging an alarm stops its tone until it clears and comes back;
+// silence() mutes all tones for a while without changing alarm states.
+
+export const PRIORITIES = ['high', 'medium', 'low'];
+
+export const PRIORITY_STYLE = {
+  high: { color: '#ff4444', label: 'HIGH' },
+  medium: { color: '#fbbf24', label: 'MED' },
+  low: { color: '#60a5fa', label: 'LOW' },
+};
+
+export const DEFAULT_ALARM_CONFIG = {
+  hrLow: 50,
+  hrHigh: 120,
+  hrHysteresis: 3,      // bpm
+  hrDelaySec: 5,
+  asystoleSec: 4,       // no beat for this long
+  irregularDelaySec: 30,
+  signalLossSec: 3,
+  silenceSec: 120,
+  enabled: { hrLow: true, hrHigh: true, asystole: true, irregular: true, signalLoss: true },
+};
+
+// raise / clear get (state, config); a missing clear means "clears as soon as raise is false"
+const ALARM_DEFS = [
+  {
+    id: 'asystole', name: 'Asystole / pause', priority: 'high', delay: () => 0,
+    raise: (s, c) => s.beatGapSec !== null && s.beatGapSec > c.asystoleSec,
+    detail: (s) => `no beat for ${s.beatGapSec.toFixed(1)} s`,
+  },
+  {
+    id: 'hrLow', name: 'Heart rate low', priority: 'medium', delay: (c) => c.hrDelaySec,
+    raise: (s, c) => s.bpm !== null && s.bpm < c.hrLow,
+    clear: (s, c) => s.bpm === null || s.bpm >= c.hrLow + c.hrHysteresis,
+    detail: (s, c) => `${s.bpm} bpm < ${c.hrLow}`,
+  },
+  {
+    id: 'hrHigh', name: 'Heart rate high', priority: 'medium', delay: (c) => c.hrDelaySec,
+    raise: (s, c) => s.bpm !== null && s.bpm > c.hrHigh,
+    clear: (s, c) => s.bpm === null || s.bpm <= c.hrHigh - c.hrHysteresis,
+    detail: (s, c) => `${s.bpm} bpm > ${c.hrHigh}`,
+  },
+  {
+    id: 'irregular', name: 'Irregular rhythm', priority: 'low', delay: (c) => c.irregularDelaySec,
+    raise: (s) => !!s.irregular,
+    detail: (s) => typeof s.irregular === 'string' ? s.irregular : 'sustained',
+  },
+  {
+    id: 'signalLoss', name: 'Signal loss', priority: 'medium', delay: () => 0,
+    raise: (s, c) => !!s.leadOff || (s.signalAgeSec !== null && s.signalAgeSec > c.signalLossSec),
+    detail: (s) => s.leadOff ? 'leads off' : `no data for ${s.signalAgeSec.toFixed(0)} s`,
+  },
+];
+
+export const ALARM_NAMES = Object.fromEntries(ALARM_DEFS.map(d => [d.id, d.name]));
+
+const MAX_HISTORY = 300;
+
+export function createAlarmEngine(config = DEFAULT_ALARM_CONFIG) {
+  let cfg = config;
+  const status = {}; // id -> { pendingSince, active, acknowledged, since, detail }
+  for (const def of ALARM_DEFS) status[def.id] = { pendingSince: null, active: false, acknowledged: false, since: null, detail: '' };
+  const history = [];
+  let silencedUntil = 0;
+
+  function log(def, event, now, detail = '') {
+    history.push({ time: new Date(now), alarm: def ? def.id : null, name: def ? def.name : 'All alarms', priority: def ? def.priority : null, event, detail });
+    if (history.length > MAX_HISTORY) history.splice(0, history.length - MAX_HISTORY);
+  }
+
+  function evaluate(state, now = Date.now()) {
+    for (const def of ALARM_DEFS) {
+      const st = status[def.id];
+      const enabled = state.monitoring && cfg.enabled[def.id];
+      const raising = enabled && def.raise(state, cfg);
+      if (!st.active) {
+        if (!raising) { st.pendingSince = null; continue; }
+        if (st.pendingSince === null) st.pendingSince = now;
+        if (now - st.pendingSince >= def.delay(cfg) * 1000) {
+          st.active = true;
+          st.acknowledged = false;
+          st.since = now;
+          st.detail = def.detail(state, cfg);
+          log(def, 'raised', now, st.detail);
+        }
+        continue;
+      }
+      const clearing = !enabled || (def.clear ? def.clear(state, cfg) : !raising);
+      if (clearing) {
+        st.active = false;
+        st.pendingSince = null;
+        log(def, 'cleared', now);
+      } else {
+        st.detail = def.detail(state, cfg);
+      }
+    }
+    return active();
+  }
+
+  // active alarms, highest priority first
+  function active() {
+    return ALARM_DEFS
+      .filter(def => status[def.id].active)
+      .map(def => ({ id: def.id, name: def.name, priority: def.priority, since: status[def.id].since, detail: status[def.id].detail, acknowledged: status[def.id].acknowledged }))
+      .sort((a, b) => PRIORITIES.indexOf(a.priority) - PRIORITIES.indexOf(b.priority));
+  }
+
+  return {
+    evaluate,
+    active,
+    history,
+
+    // highest priority still asking to be heard (null while silenced or all acknowledged)
+    audiblePriority(now = Date.now()) {
+      if (now < silencedUntil) return null;
+      const loud = active().find(a => !a.acknowledged);
+      return loud ? loud.priority : null;
+    },
+
+    acknowledge(id, now = Date.now()) {
+      const def = ALARM_DEFS.find(d => d.id === id);
+      const st = status[id];
+      if (!def || !st.active || st.acknowledged) return;
+      st.acknowledged = true;
+      log(def, 'acknowledged', now);
+    },
+
+    silence(now = Date.now()) {
+      silencedUntil = now + cfg.silenceSec * 1000;
+      log(null, 'silenced', now, `${cfg.silenceSec} s`);
+    },
+
+    get silencedUntil() { return silencedUntil; },
+
+    setConfig(next) {
+      cfg = next;
+    },
+  };
+}
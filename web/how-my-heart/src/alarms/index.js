@@ -0,0 +1,2 @@
+export { createAlarmEngine, DEFAULT_ALARM_CONFIG, PRIORITIES, PRIORITY_STYLE, ALARM_NAMES } from './engine.js'
+export { createAlarmSounder } from './sounder.js'
@@ -0,0 +1,80 @@
+// Alarm tones with Web Audio, loosely after the IEC 60601-1-8 patterns:
+//   high    two bursts of five fast pulses, repeated every 5 s
+//   medium  three slower pulses every 8 s
+//   low     two soft pulses every 20 s
+// Browsers only let audio start after a user gesture, so unlock() should be
+// called from a click handler (e.g. Connect) before the first alarm.
+
+const PATTERNS = {
+  high: { freq: 960, pulses: [0, 0.15, 0.3, 0.6, 0.75, 1.2, 1.35, 1.5, 1.8, 1.95], length: 0.12, gain: 0.35, repeatMs: 5000 },
+  medium: { freq: 660, pulses: [0, 0.3, 0.6], length: 0.2, gain: 0.25, repeatMs: 8000 },
+  low: { freq: 440, pulses: [0, 0.35], length: 0.25, gain: 0.15, repeatMs: 20000 },
+};
+
+export function createAlarmSounder() {
+  let ctx = null;
+  let lastPriority = null;
+  let lastPlayed = 0;
+  let volume = 1;
+
+  function context() {
+    if (!ctx) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return null;
+      ctx = new AudioContext();
+    }
+    if (ctx.state === 'suspended') ctx.resume();
+    return ctx;
+  }
+
+  function play(priority) {
+    const ac = context();
+    const pattern = PATTERNS[priority];
+    if (!ac || !pattern) return;
+    const t0 = ac.currentTime + 0.02;
+    for (const offset of pattern.pulses) {
+      const osc = ac.createOscillator();
+      const env = ac.createGain();
+      osc.type = 'sine';
+      osc.frequency.value = pattern.freq;
+      // short attack/release so pulses don't click
+      env.gain.setValueAtTime(0, t0 + offset);
+      env.gain.linearRampToValueAtTime(pattern.gain * volume, t0 + offset + 0.01);
+      env.gain.setValueAtTime(pattern.gain * volume, t0 + offset + pattern.length - 0.02);
+      env.gain.linearRampToValueAtTime(0, t0 + offset + pattern.length);
+      osc.connect(env).connect(ac.destination);
+      osc.start(t0 + offset);
+      osc.stop(t0 + offset + pattern.length + 0.01);
+    }
+  }
+
+  return {
+    unlock() {
+      context();
+    },
+
+    // Call periodically with the priority that should be heard (or null).
+    // A new or higher priority sounds immediately, otherwise on its repeat interval.
+    update(priority, now = Date.now()) {
+      if (!priority) { lastPriority = null; return; }
+      const due = priority !== lastPriority || now - lastPlayed >= PATTERNS[priority].repeatMs;
+      if (!due) return;
+      lastPriority = priority;
+      lastPlayed = now;
+      play(priority);
+    },
+
+    test(priority = 'medium') {
+      play(priority);
+    },
+
+    setVolume(v) {
+      volume = Math.max(0, Math.min(1, v));
+    },
+
+    close() {
+      if (ctx) ctx.close();
+      ctx = null;
+    },
+  };
+}
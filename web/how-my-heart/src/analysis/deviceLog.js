@@ -0,0 +1,54 @@
+import { createProtocolParser } from '../protocol.js'
+import { createRecorder } from '../recording/recorder.js'
+import { parseCsvRecording } from '../recording/importers.js'
+import { createStreamMonitor } from '../streamMonitor.js'
+
+// Text recordings for headless analysis. A device log (CSV sample lines or
+// JSON lines, as the serial loop receives them) goes through the same
+// protocol parser as a live stream and is captured with the recorder, so it
+// comes out in the same shape as the app's recordings and the file importers'.
+
+// Device log -> recording. The rate comes from the log's header, else fallbackRate;
+// samples missing from "seq" numbers become gaps.
+export function recordingFromDeviceLog(text, { name = 'device log', fallbackRate = 125 } = {}) {
+  const parser = createProtocolParser();
+  let recorder = null;
+  let monitor = null;
+  let device = null;
+  for (const line of text.split(/\r?\n/)) {
+    const frame = parser.parse(line);
+    if (!frame) continue;
+    if (frame.type === 'header') {
+      device = frame;
+      if (recorder) recorder.setDevice(frame);
+    } else if (frame.type === 'sample') {
+      const lead2 = frame.leads.II ?? frame.leads.I;
+      if (lead2 === undefined) continue;
+      if (!recorder) {
+        const sampleRate = parser.getHeader().sampleRate ?? fallbackRate;
+        recorder = createRecorder({ sampleRate, source: name, device });
+        monitor = createStreamMonitor({ expectedRate: sampleRate });
+      }
+      const lost = monitor.sample(frame.seq, 0);
+      if (lost > 0) recorder.addGap(lost);
+      recorder.addSample(frame.leads.I ?? null, lead2);
+      if (frame.bpm) recorder.addDeviceBpm(recorder.sampleCount - 1, frame.bpm, frame.irregularity);
+    } else if (frame.type === 'bpm' && recorder) {
+      recorder.addDeviceBpm(recorder.sampleCount - 1, frame.bpm, frame.irregularity);
+    }
+  }
+  if (!recorder) throw new Error(`${name} contains no samples`);
+  recorder.stop();
+  const recording = recorder.snapshot();
+  // a log has no wall-clock time of its own: let it end where its samples say
+  recording.endTime = new Date(recording.startTime.getTime() + recording.lead2.length / recording.sampleRate * 1000);
+  return { ...recording, name, malformedLines: parser.stats.malformed };
+}
+
+// Exported CSV (with a header row) or a device log, told apart the way the
+// import in the app does it: device logs start with a number or a JSON object
+export function readRecordingText(text, { name = 'recording', fallbackRate = 125 } = {}) {
+  const first = text.split(/\r?\n/).find(l => l.trim() && !l.startsWith('#')) || '';
+  if (/^[-+.\d{]/.test(first.trim())) return recordingFromDeviceLog(text, { name, fallbackRate });
+  return parseCsvRecording(text, name, fallbackRate);
+}
@@ -0,0 +1,3 @@
+export { createAnalysisPipeline, analyzeRecording, scoreRecentBeats, addDeviceIrregularity, RECENT_BEATS, DEVICE_IRREGULARITY_KEEP } from './pipeline.js'
+export { recordingFromDeviceLog, readRecordingText } from './deviceLog.js'
+export { analysisToCsv, ANALYSIS_TABLES } from './output.js'
@@ -0,0 +1,20 @@
+// Tables of an analyzeRecording() result as CSV, one row per entry
+export const ANALYSIS_TABLES = {
+  beats: ['t', 'index', 'label', 'rr'],
+  bpm: ['t', 'bpm', 'source'],
+  health: ['t', 'status', 'level', 'score', 'hr', 'irregularity'],
+};
+
+function cell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(4);
+  return String(value);
+}
+
+export function analysisToCsv(result, table = 'beats') {
+  const columns = ANALYSIS_TABLES[table];
+  if (!columns) throw new Error(`Unknown table ${table} (${Object.keys(ANALYSIS_TABLES).join(', ')})`);
+  const rows = [columns.join(',')];
+  for (const entry of result[table]) rows.push(columns.map(c => cell(entry[c])).join(','));
+  return rows.join('\n') + '\n';
+}
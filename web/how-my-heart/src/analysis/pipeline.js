@@ -0,0 +1,164 @@
+import { createFilterChain, DEFAULT_FILTER_CONFIG } from '../dsp/filters.js'
+import { createPanTompkins } from '../dsp/panTompkins.js'
+import { createArrhythmiaClassifier } from '../dsp/arrhythmia.js'
+import { deriveLead } from '../leads.js'
+import { scoreHealthIndex, DEFAULT_RULE_PROFILE } from '../healthIndex.js'
+import { summarizeSession } from '../history/summary.js'
+
+// The live analysis without React, Web Workers or the display: filters, the
+// Pan-Tompkins detector on the detection lead, the beat classifier and the
+// Heart Health Index, run synchronously over samples. The app keeps its own
+// loop (batched through the worker, scored on a wall-clock timer) but scores
+// with the same helpers below, so a recording run through here gives the
+// figures the app would have shown.
+
+export const RECENT_BEATS = 50; // beats the health index looks back over
+export const DEVICE_IRREGULARITY_KEEP = 10; // device irregularity values kept for the index
+export const HEALTH_EVERY_SEC = 1;
+const SEGMENT_BUFFER_SEC = 4; // detection lead kept for classifying late-confirmed beats
+
+// Appends a device-reported irregularity, keeping the last few
+export function addDeviceIrregularity(list, value) {
+  list.push(value);
+  if (list.length > DEVICE_IRREGULARITY_KEEP) list.splice(0, list.length - DEVICE_IRREGULARITY_KEEP);
+  return list;
+}
+
+// Heart Health Index from the current rate, the device's recent irregularity
+// values and the sample indices of the recent beats
+export function scoreRecentBeats({ bpm = null, deviceIrregularity = [], beats = [], sampleRate }, rules = DEFAULT_RULE_PROFILE) {
+  const rrIntervals = [];
+  const from = Math.max(1, beats.length - RECENT_BEATS + 1);
+  for (let i = from; i < beats.length; i++) rrIntervals.push((beats[i] - beats[i - 1]) / sampleRate);
+  return scoreHealthIndex({ bpm, deviceIrregularity, rrIntervals }, rules);
+}
+
+export function createAnalysisPipeline({ sampleRate, filterConfig = DEFAULT_FILTER_CONFIG, detectionLead = 'II', rules = DEFAULT_RULE_PROFILE, healthEverySec = HEALTH_EVERY_SEC }) {
+  const fs = sampleRate;
+  const filters = { lead1: createFilterChain(fs, filterConfig), lead2: createFilterChain(fs, filterConfig) };
+  const classifier = createArrhythmiaClassifier(fs);
+  const keep = Math.round(SEGMENT_BUFFER_SEC * fs);
+  const healthStep = Math.max(1, Math.round(healthEverySec * fs));
+  let detector = createPanTompkins(fs);
+  let detectorStart = 0;
+  let buffer = []; // detection lead, null in gaps
+  let bufferStart = 0;
+  let n = 0;
+  let bpm = null;
+  let recent = []; // sample indices of the last RECENT_BEATS beats since the last gap
+  const deviceIrregularity = [];
+  const beats = []; // { index, label, rr } rr in seconds, null for the first beat after a start or gap
+  const bpmSeries = []; // { index, bpm, source: 'beats' | 'device' }
+  const healthSeries = []; // { index, status, level, score, hr, irregularity }
+  let health = null;
+
+  function segmentAt(index) {
+    const from = index - classifier.rOffset - bufferStart;
+    const to = from + classifier.segmentLength;
+    if (from < 0 || to > buffer.length) return null;
+    const segment = buffer.slice(from, to);
+    return segment.includes(null) ? null : segment;
+  }
+
+  function onBeat(beat) {
+    const label = classifier.classify(beat, segmentAt(beat.index));
+    beats.push({ index: beat.index, label, rr: beat.rr ? beat.rr / fs : null });
+    recent.push(beat.index);
+    if (recent.length > RECENT_BEATS) recent.shift();
+    if (beat.rr) {
+      bpm = Math.round(60 * fs / beat.rr);
+      bpmSeries.push({ index: beat.index, bpm, source: 'beats' });
+    }
+  }
+
+  function keepBuffer(value) {
+    buffer.push(value);
+    if (buffer.length > 2 * keep) {
+      buffer = buffer.slice(-keep);
+      bufferStart = n + 1 - buffer.length;
+    }
+  }
+
+  function scoreHealth() {
+    health = scoreRecentBeats({ bpm, deviceIrregularity, beats: recent, sampleRate: fs }, rules);
+    healthSeries.push({
+      index: n, status: health.status, level: health.level, score: health.score,
+      hr: health.inputs.hr, irregularity: health.inputs.irregularity,
+    });
+  }
+
+  // Samples that never arrived: the detector starts again after them, as in the app
+  function addGap(length) {
+    for (let i = 0; i < length; i++) {
+      keepBuffer(null);
+      n++;
+      if (n % healthStep === 0) scoreHealth();
+    }
+    detector = createPanTompkins(fs);
+    detectorStart = n;
+    recent = [];
+    bpm = null;
+  }
+
+  return {
+    addGap,
+
+    // One sample per lead (mV); NaN or null in Lead II marks a lost sample
+    push(lead1, lead2) {
+      if (lead2 === null || Number.isNaN(lead2)) {
+        addGap(1);
+        return;
+      }
+      const f2 = filters.lead2.step(lead2);
+      const f1 = lead1 === null || Number.isNaN(lead1) ? null : filters.lead1.step(lead1);
+      const derived = deriveLead(detectionLead, f1, f2);
+      const value = derived === null ? f2 : derived;
+      keepBuffer(value);
+      for (const beat of detector.push(value)) onBeat({ index: detectorStart + beat.index, rr: beat.rr });
+      n++;
+      if (n % healthStep === 0) scoreHealth();
+    },
+
+    addDeviceBpm(deviceBpm, irregularity = null) {
+      bpm = deviceBpm;
+      bpmSeries.push({ index: Math.max(0, n - 1), bpm: deviceBpm, source: 'device' });
+      if (irregularity !== null) addDeviceIrregularity(deviceIrregularity, irregularity);
+    },
+
+    get sampleCount() { return n; },
+    get health() { return health; },
+    beats,
+    bpmSeries,
+    healthSeries,
+    events: classifier.events,
+  };
+}
+
+// Runs a whole recording (recorder.snapshot() or an imported file) through the
+// pipeline. Returns the session summary the history would keep plus the
+// per-beat, BPM and health index series; times are in seconds from the start.
+export function analyzeRecording(recording, options = {}) {
+  const fs = recording.sampleRate;
+  const pipeline = createAnalysisPipeline({ ...options, sampleRate: fs });
+  const deviceBpm = recording.deviceBpm || [];
+  let d = 0;
+  for (let i = 0; i < recording.lead2.length; i++) {
+    pipeline.push(recording.hasLeadI ? recording.lead1[i] : null, recording.lead2[i]);
+    for (; d < deviceBpm.length && deviceBpm[d].index <= i; d++) pipeline.addDeviceBpm(deviceBpm[d].bpm, deviceBpm[d].irregularity);
+  }
+
+  const beats = pipeline.beats.map(b => ({ t: b.index / fs, index: b.index, label: b.label, rr: b.rr }));
+  const health = pipeline.health;
+  const summary = summarizeSession({
+    recording: { ...recording, startIndex: 0, beats: pipeline.beats.map(b => ({ index: b.index, label: b.label })) },
+    health: health && { ...health },
+    healthScores: pipeline.healthSeries.filter(h => h.status === 'ok').map(h => h.score),
+    events: pipeline.events,
+  });
+  return {
+    summary,
+    beats,
+    bpm: pipeline.bpmSeries.map(b => ({ t: b.index / fs, bpm: b.bpm, source: b.source })),
+    health: pipeline.healthSeries.map(({ index, ...h }) => ({ t: index / fs, ...h })),
+  };
+}
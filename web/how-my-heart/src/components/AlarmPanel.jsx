@@ -0,0 +1,78 @@
+import React, { useState } from 'react'
+import { PRIORITY_STYLE, ALARM_NAMES } from '../alarms'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',fontSize:12,color:'#ccc',marginBottom:12};
+const inputStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'2px 4px',width:48};
+const smallButton = {padding:'6px 12px',fontSize:12};
+
+function clock(date) {
+  return date.toLocaleTimeString([], {hour:'2-digit',minute:'2-digit',second:'2-digit'});
+}
+
+// Active alarms with acknowledge / silence, the alarm limits and the alarm history
+export default function AlarmPanel({active, history, config, onConfigChange, onAcknowledge, onSilence, silencedUntil, onTest}) {
+  const [showSettings, setShowSettings] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const top = active[0];
+  const silencedFor = Math.max(0, Math.ceil((silencedUntil - Date.now()) / 1000));
+  const set = (patch) => onConfigChange({...config, ...patch});
+  const number = (key, props = {}) => (
+    <input type="number" style={inputStyle} value={config[key]} {...props} onChange={e => set({[key]: Number(e.target.value)})} />
+  );
+
+  return (
+    <div style={{...panelStyle, borderColor: top && !top.acknowledged ? PRIORITY_STYLE[top.priority].color : '#2a3540'}}>
+      <div style={{display:'flex',alignItems:'center',gap:10,flexWrap:'wrap'}}>
+        <div style={{fontWeight:700,color: top ? PRIORITY_STYLE[top.priority].color : '#aaa'}}>🔔 Alarms</div>
+        {active.length === 0 && <span style={{color:'#888'}}>No active alarms</span>}
+        {active.map(a => (
+          <span key={a.id} className={a.acknowledged ? '' : `alarm-${a.priority}`}
+            style={{display:'inline-flex',alignItems:'center',gap:6,padding:'2px 4px 2px 8px',borderRadius:6,border:`1px solid ${PRIORITY_STYLE[a.priority].color}`,color:PRIORITY_STYLE[a.priority].color,opacity:a.acknowledged ? 0.6 : 1}}>
+            <strong>{PRIORITY_STYLE[a.priority].label}</strong> {a.name} <span style={{color:'#aaa'}}>{a.detail}</span>
+            {!a.acknowledged && <button style={{padding:'2px 8px',fontSize:11}} onClick={() => onAcknowledge(a.id)}>Ack</button>}
+          </span>
+        ))}
+        <div style={{display:'flex',gap:8,marginLeft:'auto',alignItems:'center'}}>
+          {silencedFor > 0 && <span style={{color:'#fbbf24'}}>🔕 {silencedFor} s</span>}
+          <button style={smallButton} onClick={onSilence}>🔕 Silence {Math.round(config.silenceSec / 60)} min</button>
+          <button style={smallButton} onClick={() => setShowSettings(s => !s)}>⚙ Limits</button>
+          <button style={smallButton} onClick={() => setShowHistory(s => !s)}>📜 History ({history.length})</button>
+        </div>
+      </div>
+
+      {showSettings && (
+        <div style={{display:'flex',flexWrap:'wrap',gap:16,marginTop:10,alignItems:'center'}}>
+          {Object.entries(ALARM_NAMES).map(([id, name]) => (
+            <label key={id} style={{display:'flex',alignItems:'center',gap:4}}>
+              <input type="checkbox" checked={config.enabled[id]} onChange={e => set({enabled: {...config.enabled, [id]: e.target.checked}})} />
+              {name}
+            </label>
+          ))}
+          <label>HR low {number('hrLow', {min:20, max:config.hrHigh - 10})} bpm</label>
+          <label>HR high {number('hrHigh', {min:config.hrLow + 10, max:250})} bpm</label>
+          <label>± {number('hrHysteresis', {min:0, max:20})} bpm hysteresis</label>
+          <label>HR delay {number('hrDelaySec', {min:0, max:60})} s</label>
+          <label>Pause {number('asystoleSec', {min:2, max:15, step:0.5})} s</label>
+          <label>Irregular after {number('irregularDelaySec', {min:0, max:600})} s</label>
+          <label>Signal loss after {number('signalLossSec', {min:1, max:60})} s</label>
+          <button style={smallButton} onClick={() => onTest('high')}>Test tone</button>
+        </div>
+      )}
+
+      {showHistory && (
+        <div style={{maxHeight:160,overflowY:'auto',marginTop:10}}>
+          {history.length === 0 && <div style={{color:'#888'}}>No alarms yet</div>}
+          {history.slice().reverse().map((h, k) => (
+            <div key={k} style={{display:'flex',gap:10,padding:'2px 4px',borderBottom:'1px solid rgba(255,255,255,0.04)'}}>
+              <span style={{minWidth:70,color:'#888'}}>{clock(h.time)}</span>
+              <span style={{minWidth:36,color: h.priority ? PRIORITY_STYLE[h.priority].color : '#aaa'}}>{h.priority ? PRIORITY_STYLE[h.priority].label : ''}</span>
+              <span style={{minWidth:130}}>{h.name}</span>
+              <span style={{minWidth:90,color:'#aaa'}}>{h.event}</span>
+              <span style={{color:'#888'}}>{h.detail}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
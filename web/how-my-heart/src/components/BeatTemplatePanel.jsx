@@ -0,0 +1,120 @@
+import React from 'react'
+import { BEAT_LABELS } from '../dsp/arrhythmia'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',fontSize:12,color:'#ccc'};
+const selectStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'2px 4px'};
+const BEAT_COUNTS = [5, 10, 20, 30];
+const W = 320;
+const ROW = 26;
+
+function formatTime(index, sampleRate) {
+  const s = Math.max(0, index / sampleRate);
+  return `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, '0')}`;
+}
+
+function beatColor(beat) {
+  if (beat.outlier) return '#ff6b6b';
+  return beat.label === 'N' ? '#9ad0ff' : (BEAT_LABELS[beat.label]?.color ?? '#ccc');
+}
+
+function describe(beat, sampleRate) {
+  const what = beat.outlier ? 'outlier' : (BEAT_LABELS[beat.label]?.name ?? beat.label).toLowerCase();
+  return `${formatTime(beat.index, sampleRate)} ${what} · r = ${beat.corr.toFixed(2)} · ${Math.round(beat.amplitude * 100)} % amplitude`;
+}
+
+function points(values, x, y, offset = 0) {
+  return Array.from(values, (v, i) => `${x(i).toFixed(1)},${(y(v) + offset).toFixed(1)}`).join(' ');
+}
+
+// Every shown beat drawn over the template
+function Overlay({template, lead, average, beats, onSelect}) {
+  const h = 200;
+  const values = template.leads[lead][average];
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const pad = (hi - lo) * 0.25;
+  const x = (i) => i / (template.length - 1) * W;
+  const y = (v) => h - 8 - (v - lo + pad) / Math.max(1e-6, hi - lo + 2 * pad) * (h - 20);
+  return (
+    <svg width={W} height={h} style={{background:'#0d1218',borderRadius:4}}>
+      <line x1={x(template.rOffset)} x2={x(template.rOffset)} y1={4} y2={h - 4} stroke="#2a3540" strokeDasharray="3 2" />
+      {beats.map(b => b.segments[lead] && (
+        <polyline key={b.index} fill="none" stroke={beatColor(b)} strokeWidth={b.inTemplate ? 1 : 1.5} opacity={b.inTemplate ? 0.35 : 0.9}
+          points={points(b.segments[lead], x, y)} style={{cursor:'pointer'}} onClick={() => onSelect(b.index)}>
+          <title>{describe(b, template.sampleRate)}</title>
+        </polyline>
+      ))}
+      <polyline fill="none" stroke="#7ef77e" strokeWidth={2} points={points(values, x, y)} />
+      <text x={4} y={12} fill="#888" fontSize={10}>{average} of {template.count} beats</text>
+      <text x={W - 4} y={12} fill="#888" fontSize={10} textAnchor="end">{Math.round(template.length * 1000 / template.sampleRate)} ms</text>
+    </svg>
+  )
+}
+
+// One row per beat, newest at the bottom, each over a faint copy of the template
+function Cascade({template, lead, average, beats, onSelect}) {
+  const values = template.leads[lead][average];
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const mid = (lo + hi) / 2;
+  const left = 36;
+  const h = beats.length * ROW + 12;
+  const x = (i) => left + i / (template.length - 1) * (W - left);
+  const y = (v) => -(v - mid) / Math.max(1e-6, hi - lo) * ROW * 1.6;
+  return (
+    <svg width={W} height={h} style={{background:'#0d1218',borderRadius:4}}>
+      <line x1={x(template.rOffset)} x2={x(template.rOffset)} y1={0} y2={h} stroke="#2a3540" strokeDasharray="3 2" />
+      {beats.map((b, k) => {
+        const base = 6 + ROW * (k + 0.5);
+        return (
+          <g key={b.index} style={{cursor:'pointer'}} onClick={() => onSelect(b.index)}>
+            <title>{describe(b, template.sampleRate)}</title>
+            <text x={2} y={base + 3} fill={beatColor(b)} fontSize={9}>{formatTime(b.index, template.sampleRate)}</text>
+            <polyline fill="none" stroke="#7ef77e" strokeWidth={1} opacity={0.25} points={points(values, x, y, base)} />
+            {b.segments[lead] && <polyline fill="none" stroke={beatColor(b)} strokeWidth={1.2} points={points(b.segments[lead], x, y, base)} />}
+          </g>
+        );
+      })}
+    </svg>
+  )
+}
+
+// Aligned recent beats against their template (see dsp/beatTemplate.js).
+// Clicking a beat freezes the trace on it.
+export default function BeatTemplatePanel({template, view, onViewChange, onSelect}) {
+  const leads = template ? Object.keys(template.leads) : [];
+  const lead = leads.includes(view.lead) ? view.lead : template ? template.alignLead : 'II';
+  const beats = template ? template.beats.slice(-view.count) : [];
+  const set = (partial) => onViewChange({ ...view, ...partial });
+  return (
+    <div style={panelStyle}>
+      <div style={{display:'flex',alignItems:'center',gap:12,marginBottom:8,flexWrap:'wrap'}}>
+        <div style={{fontWeight:700,color:'#7ef77e'}}>〰 Beat template</div>
+        <select style={selectStyle} value={lead} onChange={e => set({ lead: e.target.value })} disabled={!template}>
+          {(leads.length ? leads : ['II']).map(name => <option key={name} value={name}>Lead {name}</option>)}
+        </select>
+        <select style={selectStyle} value={view.layout} onChange={e => set({ layout: e.target.value })}>
+          <option value="overlay">Overlay</option>
+          <option value="cascade">Cascade</option>
+        </select>
+        <select style={selectStyle} value={view.average} onChange={e => set({ average: e.target.value })}>
+          <option value="median">Median</option>
+          <option value="mean">Mean</option>
+        </select>
+        <select style={selectStyle} value={view.count} onChange={e => set({ count: Number(e.target.value) })}>
+          {BEAT_COUNTS.map(n => <option key={n} value={n}>last {n} beats</option>)}
+        </select>
+        {template && (
+          <span style={{marginLeft:'auto',color:'#888'}}>
+            aligned on {template.alignLead} &middot; {template.outliers} outlier{template.outliers === 1 ? '' : 's'} of {template.beats.length}
+          </span>
+        )}
+      </div>
+      {!template && <div style={{color:'#888'}}>Waiting for a few clean normal beats…</div>}
+      {template && (view.layout === 'cascade'
+        ? <Cascade template={template} lead={lead} average={view.average} beats={beats} onSelect={onSelect} />
+        : <Overlay template={template} lead={lead} average={view.average} beats={beats} onSelect={onSelect} />)}
+      <div style={{marginTop:8,color:'#666'}}>
+        <span style={{color:'#7ef77e'}}>green</span>: template &middot; <span style={{color:'#9ad0ff'}}>blue</span>: beats in it &middot; <span style={{color:'#ff6b6b'}}>red</span>: outliers &middot; other colours: ectopic beats
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,33 @@
+import React from 'react'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',marginBottom:20,display:'flex',flexWrap:'wrap',gap:18,alignItems:'center',fontSize:12,color:'#ccc'};
+
+const SLIDERS = [
+  { key: 'heartRate', label: 'Heart rate', min: 30, max: 180, step: 1, unit: 'BPM' },
+  { key: 'hrv', label: 'HRV', min: 0, max: 150, step: 5, unit: 'ms' },
+  { key: 'respirationRate', label: 'Breathing', min: 6, max: 30, step: 1, unit: '/min' },
+  { key: 'noise', label: 'Noise', min: 0, max: 0.3, step: 0.01, unit: 'mV' },
+  { key: 'baselineWander', label: 'Baseline wander', min: 0, max: 1, step: 0.05, unit: 'mV' },
+  { key: 'powerline', label: 'Mains hum', min: 0, max: 0.3, step: 0.01, unit: 'mV' },
+  { key: 'ectopicRate', label: 'Ectopic beats', min: 0, max: 0.3, step: 0.01, unit: '' },
+];
+
+// Live controls for the synthetic ECG used in Demo Mode
+export default function DemoControls({options, onChange}) {
+  return (
+    <div style={panelStyle}>
+      <div style={{fontWeight:700,color:'#a78bfa'}}>🧪 Demo signal</div>
+      {SLIDERS.map(s => (
+        <label key={s.key} style={{display:'flex',flexDirection:'column',gap:4}}>
+          <span>{s.label}: <strong style={{color:'#fff'}}>{s.key === 'ectopicRate' ? `${Math.round(options[s.key] * 100)}%` : options[s.key]}</strong> {s.unit}</span>
+          <input type="range" min={s.min} max={s.max} step={s.step} value={options[s.key]}
+            onChange={e => onChange({[s.key]: parseFloat(e.target.value)})} />
+        </label>
+      ))}
+      <label style={{display:'flex',alignItems:'center',gap:6}}>
+        <input type="checkbox" checked={options.afib} onChange={e => onChange({afib: e.target.checked})} />
+        AF-like irregular rhythm
+      </label>
+    </div>
+  )
+}
@@ -0,0 +1,38 @@
+import React from 'react'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',marginBottom:20,display:'flex',flexWrap:'wrap',gap:14,alignItems:'center',fontSize:12,color:'#ccc'};
+const selectStyle = {padding:'4px 6px',borderRadius:6,border:'1px solid #2a3540',background:'#0d1218',color:'#ddd'};
+const smallButton = {padding:'6px 12px',fontSize:12};
+
+// Commands for a device that has a command channel (see deviceControl.js).
+// Every control waits for the device's ack; `busy` names the command in flight.
+export default function DeviceControls({device, onStart, onStop, onCalibrate, onGain, onSampleRate}) {
+  const { info, busy, error } = device;
+  const can = (capability) => info.capabilities.includes(capability) && !busy;
+  return (
+    <div style={panelStyle}>
+      <div style={{fontWeight:700,color:'#60a5fa'}}>🎛 Device</div>
+      <span style={{color:'#888'}}>fw {info.firmware ?? '?'}</span>
+      {info.streaming
+        ? <button style={smallButton} disabled={!can('stream')} onClick={onStop}>⏸ Stop streaming</button>
+        : <button style={smallButton} disabled={!can('stream')} onClick={onStart}>▶ Start streaming</button>}
+      <button style={smallButton} disabled={!can('calibrate')} onClick={onCalibrate}>⚖ Calibrate</button>
+      {info.gains.length > 0 && (
+        <label>Gain{' '}
+          <select style={selectStyle} value={info.gain ?? ''} disabled={!can('gain')} onChange={e => onGain(Number(e.target.value))}>
+            {info.gains.map(g => <option key={g} value={g}>×{g}</option>)}
+          </select>
+        </label>
+      )}
+      {info.sampleRates.length > 0 && (
+        <label title="The analysis restarts at the new rate">Sample rate{' '}
+          <select style={selectStyle} value={info.sampleRate ?? ''} disabled={!can('sampleRate')} onChange={e => onSampleRate(Number(e.target.value))}>
+            {info.sampleRates.map(r => <option key={r} value={r}>{r} Hz</option>)}
+          </select>
+        </label>
+      )}
+      {busy && <span style={{color:'#fbbf24'}}>⏳ {busy}…</span>}
+      {error && <span style={{color:'#ff6b6b'}}>⚠ {error}</span>}
+    </div>
+  )
+}
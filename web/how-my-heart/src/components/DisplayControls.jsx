@@ -0,0 +1,50 @@
+import React from 'react'
+import { SWEEP_SPEEDS, PAPER_GAINS } from '../ecgCanvas'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',display:'flex',flexWrap:'wrap',gap:14,alignItems:'center',fontSize:12,color:'#ccc'};
+const selectStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'2px 4px'};
+const smallButton = {padding:'6px 12px',fontSize:12};
+
+// Paper mode (sweep speed / gain), freeze + scroll-back over the buffered history, calipers,
+// printing the frozen strip
+export default function DisplayControls({display, onChange, frozen, onFreeze, scrollBackSec, maxScrollBackSec, onScrollBack, caliperCount, onClearCalipers, onPrintStrip}) {
+  return (
+    <div style={panelStyle}>
+      <div style={{fontWeight:700,color:'#facc15'}}>📏 Display</div>
+      <select style={selectStyle} value={display.mode} onChange={e => onChange({...display, mode: e.target.value})}>
+        <option value="paper">ECG paper</option>
+        <option value="fit">Fit to window</option>
+      </select>
+      {display.mode === 'paper' && (
+        <>
+          <label style={{display:'flex',alignItems:'center',gap:6}}>
+            Sweep
+            <select style={selectStyle} value={display.sweep} onChange={e => onChange({...display, sweep: Number(e.target.value)})}>
+              {SWEEP_SPEEDS.map(s => <option key={s} value={s}>{s} mm/s</option>)}
+            </select>
+          </label>
+          <label style={{display:'flex',alignItems:'center',gap:6}}>
+            Gain
+            <select style={selectStyle} value={display.gain} onChange={e => onChange({...display, gain: Number(e.target.value)})}>
+              {PAPER_GAINS.map(g => <option key={g} value={g}>{g} mm/mV</option>)}
+            </select>
+          </label>
+        </>
+      )}
+      <button style={smallButton} onClick={onFreeze}>{frozen ? '▶ Resume' : '❄ Freeze'}</button>
+      {frozen && (
+        <label style={{display:'flex',alignItems:'center',gap:6}}>
+          Scroll back
+          <input type="range" min={0} max={Math.max(0, maxScrollBackSec)} step={0.2} value={scrollBackSec}
+            onChange={e => onScrollBack(parseFloat(e.target.value))} />
+          <span style={{minWidth:40}}>-{scrollBackSec.toFixed(1)} s</span>
+        </label>
+      )}
+      {frozen && <button style={smallButton} onClick={onPrintStrip}>🖨 Print strip</button>}
+      <span style={{marginLeft:'auto',color:'#888'}}>
+        {caliperCount === 0 ? 'Click the trace twice to measure' : caliperCount === 1 ? 'Click a second point' : 'Calipers set'}
+      </span>
+      {caliperCount > 0 && <button style={smallButton} onClick={onClearCalipers}>Clear calipers</button>}
+    </div>
+  )
+}
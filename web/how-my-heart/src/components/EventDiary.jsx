@@ -0,0 +1,82 @@
+import React from 'react'
+import { SYMPTOMS, ACTIVITIES, MARKER_KEY, markerTitle } from '../markers'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',fontSize:12,color:'#ccc'};
+const selectStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'2px 4px'};
+const smallButton = {padding:'6px 12px',fontSize:12};
+const rowStyle = {display:'flex',gap:8,alignItems:'center',padding:'4px',borderBottom:'1px solid rgba(255,255,255,0.04)',flexWrap:'wrap'};
+const THUMB_W = 150;
+const THUMB_H = 36;
+
+function formatTime(index, sampleRate) {
+  const s = Math.max(0, index / sampleRate);
+  return `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, '0')}`;
+}
+
+// The strip kept around the marker, pen lifted over gaps, marker as a line
+function StripThumbnail({marker, sampleRate, onClick}) {
+  const strip = marker.strip;
+  if (!strip) return <span style={{width:THUMB_W,color:'#666'}}>capturing strip…</span>;
+  const values = strip.values.filter(v => v !== null);
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const x = (i) => i / Math.max(1, strip.values.length - 1) * THUMB_W;
+  const y = (v) => THUMB_H - 3 - (v - lo) / Math.max(1e-6, hi - lo) * (THUMB_H - 6);
+  const paths = [];
+  let d = '';
+  strip.values.forEach((v, i) => {
+    if (v === null) {
+      if (d) paths.push(d);
+      d = '';
+      return;
+    }
+    d += `${d ? 'L' : 'M'}${x(i).toFixed(1)} ${y(v).toFixed(1)}`;
+  });
+  if (d) paths.push(d);
+  const at = x(marker.index - strip.start);
+  return (
+    <svg width={THUMB_W} height={THUMB_H} style={{background:'#0d1218',borderRadius:4,cursor:'pointer'}} onClick={onClick}>
+      <title>{`${(strip.values.length / sampleRate).toFixed(0)} s around the marker, click to show it on the trace`}</title>
+      <line x1={at} x2={at} y1={0} y2={THUMB_H} stroke="#38bdf8" strokeDasharray="3 2" />
+      {paths.map((p, k) => <path key={k} d={p} fill="none" stroke="#7ef77e" strokeWidth={1} />)}
+    </svg>
+  )
+}
+
+// Symptom diary: "mark event" button (or the M key) and the session's markers,
+// newest first, each with its symptom, activity, note and the strip around it.
+export default function EventDiary({markers, sampleRate, canMark, onMark, onChange, onRemove, onSelect}) {
+  return (
+    <div style={panelStyle}>
+      <div style={{display:'flex',alignItems:'center',gap:12,marginBottom:8,flexWrap:'wrap'}}>
+        <div style={{fontWeight:700,color:'#38bdf8'}}>📍 Event diary</div>
+        <button style={smallButton} disabled={!canMark} onClick={onMark} title={`Mark this moment (key ${MARKER_KEY.toUpperCase()})`}>
+          📍 Mark event ({MARKER_KEY.toUpperCase()})
+        </button>
+        <span style={{marginLeft:'auto',color:'#888'}}>
+          {markers.length ? `${markers.length} marked` : 'Felt something? Mark it, then add what and while doing what'}
+        </span>
+      </div>
+      {markers.length > 0 && (
+        <div style={{maxHeight:220,overflowY:'auto'}}>
+          {markers.slice().reverse().map(m => (
+            <div key={m.id} style={rowStyle}>
+              <span style={{minWidth:40,color:'#888'}} title={m.time.toLocaleString()}>{formatTime(m.index, sampleRate)}</span>
+              <span style={{minWidth:90,fontWeight:700,color:'#38bdf8'}}>{markerTitle(m)}</span>
+              <select style={selectStyle} value={m.symptom || ''} onChange={e => onChange(m.id, { symptom: e.target.value || null })}>
+                <option value="">No symptom</option>
+                {Object.entries(SYMPTOMS).map(([key, name]) => <option key={key} value={key}>{name}</option>)}
+              </select>
+              <select style={selectStyle} value={m.activity || ''} onChange={e => onChange(m.id, { activity: e.target.value || null })}>
+                <option value="">Activity?</option>
+                {Object.entries(ACTIVITIES).map(([key, name]) => <option key={key} value={key}>{name}</option>)}
+              </select>
+              <input style={{...selectStyle,flex:1,minWidth:120}} placeholder="Note" value={m.note} onChange={e => onChange(m.id, { note: e.target.value })} />
+              <StripThumbnail marker={m} sampleRate={sampleRate} onClick={() => onSelect(m)} />
+              <button style={smallButton} title="Delete this marker" onClick={() => onRemove(m.id)}>✕</button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,47 @@
+import React from 'react'
+import { EVENT_TYPES } from '../dsp/arrhythmia'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',fontSize:12,color:'#ccc'};
+const rowStyle = {display:'flex',gap:10,alignItems:'baseline',padding:'3px 4px',borderBottom:'1px solid rgba(255,255,255,0.04)',cursor:'pointer'};
+
+function formatTime(index, sampleRate) {
+  const s = Math.max(0, index / sampleRate);
+  return `${Math.floor(s / 60)}:${String(Math.floor(s % 60)).padStart(2, '0')}`;
+}
+
+// Beat findings and rhythm episodes from the classifier, newest first.
+// Clicking an entry freezes the trace on it while it is still in the buffer.
+export default function EventLog({events, sampleRate, onSelect}) {
+  const counts = {};
+  for (const e of events) counts[e.type] = (counts[e.type] || 0) + 1;
+  const ongoing = events.filter(e => e.end === null);
+  return (
+    <div style={panelStyle}>
+      <div style={{display:'flex',alignItems:'center',gap:12,marginBottom:8,flexWrap:'wrap'}}>
+        <div style={{fontWeight:700,color:'#f472b6'}}>🩺 Rhythm events</div>
+        {ongoing.map(e => (
+          <span key={e.id} style={{color:EVENT_TYPES[e.type].color,border:`1px solid ${EVENT_TYPES[e.type].color}`,borderRadius:10,padding:'1px 8px'}}>
+            ● {EVENT_TYPES[e.type].name}
+          </span>
+        ))}
+        <span style={{marginLeft:'auto',color:'#888'}}>
+          {Object.keys(counts).length ? Object.entries(counts).map(([type, n]) => `${EVENT_TYPES[type].name} ×${n}`).join(' · ') : 'Nothing unusual so far'}
+        </span>
+      </div>
+      {events.length > 0 && (
+        <div style={{maxHeight:160,overflowY:'auto'}}>
+          {events.slice().reverse().map(e => (
+            <div key={e.id} style={rowStyle} onClick={() => onSelect(e)}>
+              <span style={{minWidth:40,color:'#888'}}>{formatTime(e.start, sampleRate)}</span>
+              <span style={{minWidth:130,fontWeight:700,color:EVENT_TYPES[e.type].color}}>{EVENT_TYPES[e.type].name}</span>
+              <span style={{color:'#aaa'}}>{e.detail}</span>
+              <span style={{marginLeft:'auto',color:'#888'}}>
+                {e.end === null ? 'ongoing' : e.end > e.start ? `${((e.end - e.start) / sampleRate).toFixed(1)} s` : ''}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
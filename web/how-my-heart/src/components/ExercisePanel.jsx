@@ -0,0 +1,118 @@
+import React from 'react'
+import { EXERCISE_PHASES, HRR_ABNORMAL_BPM } from '../exercise'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',fontSize:12,color:'#ccc'};
+const selectStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'2px 4px'};
+const smallButton = {padding:'6px 12px',fontSize:12};
+const W = 560;
+const H = 140;
+
+function formatClock(sec) {
+  const s = Math.max(0, Math.floor(sec));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Heart rate over the session on the zone bands, phase changes as lines
+function HeartRateChart({exercise}) {
+  const { series, zones, phases, maxHr } = exercise;
+  const span = Math.max(60, exercise.elapsedSec);
+  const values = series.map(r => r.bpm);
+  const lo = Math.min(Math.round(maxHr * 0.4), ...values) - 5;
+  const hi = Math.max(maxHr, ...values) + 5;
+  const x = (t) => t / span * W;
+  const y = (bpm) => H - (bpm - lo) / (hi - lo) * H;
+  return (
+    <svg width={W} height={H} style={{background:'#0d1218',borderRadius:4}}>
+      {zones.map((z, k) => {
+        const top = y(k === zones.length - 1 ? hi : Math.min(hi, z.hi));
+        const bottom = y(k === 0 ? lo : Math.max(lo, z.lo));
+        return bottom > top && <rect key={z.name} x={0} y={top} width={W} height={bottom - top} fill={z.color} opacity={0.08} />;
+      })}
+      {phases.map(p => (
+        <g key={p.startSec}>
+          <line x1={x(p.startSec)} x2={x(p.startSec)} y1={0} y2={H} stroke={EXERCISE_PHASES[p.phase].color} strokeDasharray="4 3" />
+          <text x={x(p.startSec) + 4} y={12} fill={EXERCISE_PHASES[p.phase].color} fontSize={10}>{EXERCISE_PHASES[p.phase].name}</text>
+        </g>
+      ))}
+      <polyline fill="none" stroke="#ff4444" strokeWidth={1.5}
+        points={series.map(r => `${x(r.t).toFixed(1)},${y(r.bpm).toFixed(1)}`).join(' ')} />
+      <text x={W - 4} y={H - 4} fill="#888" fontSize={10} textAnchor="end">{formatClock(span)}</text>
+    </svg>
+  )
+}
+
+function Recovery({recovery}) {
+  if (!recovery) return <div style={{color:'#888'}}>Heart rate recovery is measured at 1 and 2 minutes into the recovery phase.</div>;
+  return (
+    <div style={{display:'flex',gap:16,flexWrap:'wrap'}}>
+      <span>At recovery start <strong>{recovery.startBpm ?? '--'}</strong> bpm</span>
+      {recovery.hrr.map(h => (
+        <span key={h.afterSec} title={`A fall of ${HRR_ABNORMAL_BPM[h.afterSec]} bpm or less after ${h.afterSec / 60} min is considered abnormal`}>
+          HRR {h.afterSec / 60} min{' '}
+          {h.pending ? <span style={{color:'#888'}}>in {formatClock(h.afterSec - recovery.elapsedSec)}</span>
+            : h.drop === null ? '--'
+            : <strong style={{color: h.abnormal ? '#ff6b6b' : '#7ef77e'}}>−{h.drop} bpm{h.abnormal ? ' (abnormal)' : ''}</strong>}
+        </span>
+      ))}
+    </div>
+  )
+}
+
+// Exercise mode: phases, maximum heart rate, zones with the time spent in each,
+// the heart rate chart and the recovery figures. While a session runs the BPM
+// gauge shows training zones and the Heart Health Index uses exercise limits.
+export default function ExercisePanel({exercise, maxHr, customMaxHr, ageMaxHr, onMaxHrChange, onPhase, onEnd, onClear}) {
+  const active = !!exercise && exercise.phase !== 'done';
+  const current = exercise && exercise.phases[exercise.phases.length - 1];
+  const longest = exercise ? Math.max(1, ...exercise.zones.map(z => z.sec)) : 1;
+  return (
+    <div style={panelStyle}>
+      <div style={{display:'flex',alignItems:'center',gap:8,marginBottom:8,flexWrap:'wrap'}}>
+        <div style={{fontWeight:700,color:'#f97316',marginRight:4}}>🏃 Exercise</div>
+        {Object.entries(EXERCISE_PHASES).map(([id, p]) => (
+          <button key={id} style={{...smallButton,...(active && exercise.phase === id ? {border:`1px solid ${p.color}`,color:p.color} : {})}} onClick={() => onPhase(id)}>
+            {p.name}
+          </button>
+        ))}
+        {active && <button style={smallButton} onClick={onEnd}>■ End</button>}
+        {exercise && !active && <button style={smallButton} onClick={onClear}>Clear</button>}
+        <label style={{marginLeft:'auto',display:'flex',alignItems:'center',gap:6}}>
+          Max HR
+          <select style={selectStyle} value={customMaxHr === null ? 'age' : 'custom'} onChange={e => onMaxHrChange(e.target.value === 'age' ? null : maxHr)}>
+            <option value="age">age-predicted ({ageMaxHr} bpm)</option>
+            <option value="custom">custom</option>
+          </select>
+          {customMaxHr !== null && (
+            <input type="number" min={100} max={240} style={{...selectStyle,width:52}} value={customMaxHr} onChange={e => onMaxHrChange(Number(e.target.value))} />
+          )}
+        </label>
+      </div>
+      {!exercise && <div style={{color:'#888'}}>Start with a phase: the gauge switches to training zones and the health index to exercise limits until the session ends.</div>}
+      {exercise && (
+        <>
+          <div style={{display:'flex',gap:16,marginBottom:6,flexWrap:'wrap'}}>
+            <span>{active ? <strong style={{color:EXERCISE_PHASES[current.phase].color}}>{EXERCISE_PHASES[current.phase].name}</strong> : 'Finished'} {formatClock(active ? exercise.elapsedSec - current.startSec : exercise.elapsedSec)}</span>
+            <span>Peak <strong>{exercise.peakBpm ?? '--'}</strong> bpm ({exercise.peakBpm ? Math.round(exercise.peakBpm / exercise.maxHr * 100) : '--'} % of max)</span>
+            {exercise.currentZone !== null && active && <span style={{color:exercise.zones[exercise.currentZone].color}}>● {exercise.zones[exercise.currentZone].name}</span>}
+          </div>
+          <HeartRateChart exercise={exercise} />
+          <div style={{marginTop:8,display:'grid',gridTemplateColumns:'150px 80px 1fr 44px',gap:'2px 8px',alignItems:'center'}}>
+            {exercise.zones.slice().reverse().map(z => (
+              <React.Fragment key={z.name}>
+                <span style={{color:z.color}}>{z.name}</span>
+                <span style={{color:'#888'}}>{z.lo === 0 ? `< ${z.hi}` : `${z.lo}–${z.hi}`} bpm</span>
+                <div style={{height:8,background:'rgba(255,255,255,0.05)',borderRadius:4}}>
+                  <div style={{width:`${z.sec / longest * 100}%`,height:'100%',background:z.color,borderRadius:4}} />
+                </div>
+                <span style={{textAlign:'right'}}>{formatClock(z.sec)}</span>
+              </React.Fragment>
+            ))}
+          </div>
+          <div style={{marginTop:8}}>
+            <Recovery recovery={exercise.recovery} />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
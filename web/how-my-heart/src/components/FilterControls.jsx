@@ -0,0 +1,47 @@
+import React from 'react'
+import { bypassedStages } from '../dsp/filters'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',display:'flex',flexWrap:'wrap',gap:18,alignItems:'center',fontSize:12,color:'#ccc'};
+const selectStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'2px 4px'};
+
+function Bypassed({sampleRate}) {
+  return <span style={{color:'#fbbf24'}} title={`Not applied: too close to the ${sampleRate / 2} Hz limit of a ${sampleRate} Hz signal`}>bypassed at {sampleRate} Hz</span>;
+}
+
+// On/off toggles for the browser-side filter chain (see dsp/filters.js); a stage
+// the sample rate can't run says so instead of looking active
+export default function FilterControls({config, sampleRate, onChange, showRaw, onShowRawChange}) {
+  const set = (stage, patch) => onChange({...config, [stage]: {...config[stage], ...patch}});
+  const bypassed = bypassedStages(sampleRate, config);
+  return (
+    <div style={panelStyle}>
+      <div style={{fontWeight:700,color:'#60a5fa'}}>🎛 Filters</div>
+      <label style={{display:'flex',alignItems:'center',gap:6}}>
+        <input type="checkbox" checked={config.notch.enabled} onChange={e => set('notch', {enabled: e.target.checked})} />
+        Mains notch
+        <select style={selectStyle} value={config.notch.freq} onChange={e => set('notch', {freq: Number(e.target.value)})}>
+          <option value={50}>50 Hz</option>
+          <option value={60}>60 Hz</option>
+        </select>
+        {bypassed.includes('notch') && <Bypassed sampleRate={sampleRate} />}
+      </label>
+      <label style={{display:'flex',alignItems:'center',gap:6}}>
+        <input type="checkbox" checked={config.baseline.enabled} onChange={e => set('baseline', {enabled: e.target.checked})} />
+        Baseline wander
+        <select style={selectStyle} value={config.baseline.method} onChange={e => set('baseline', {method: e.target.value})}>
+          <option value="highpass">0.5 Hz high-pass</option>
+          <option value="median">Median</option>
+        </select>
+      </label>
+      <label style={{display:'flex',alignItems:'center',gap:6}}>
+        <input type="checkbox" checked={config.lowpass.enabled} onChange={e => set('lowpass', {enabled: e.target.checked})} />
+        {config.lowpass.cutoff} Hz low-pass
+        {bypassed.includes('lowpass') && <Bypassed sampleRate={sampleRate} />}
+      </label>
+      <label style={{display:'flex',alignItems:'center',gap:6,marginLeft:'auto'}}>
+        <input type="checkbox" checked={showRaw} onChange={e => onShowRawChange(e.target.checked)} />
+        Overlay raw signal
+      </label>
+    </div>
+  )
+}
@@ -0,0 +1,44 @@
+import React from 'react'
+import { HEALTH_CONTEXTS, DEFAULT_RULE_PROFILE, heartRateLimits } from '../healthIndex'
+
+const selectStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'2px 4px'};
+const inputStyle = {...selectStyle,width:48};
+const smallButton = {padding:'6px 12px',fontSize:12};
+
+// Context, per-component weights and category cut-offs of the Heart Health Index.
+// Age and athlete status come from the profile.
+export default function HealthRuleSettings({settings, ruleProfile, onChange}) {
+  const limits = heartRateLimits(ruleProfile);
+  const set = (key, patch) => onChange({...settings, [key]: {...ruleProfile[key], ...patch}});
+  const number = (key, field, props) => (
+    <input type="number" style={inputStyle} value={ruleProfile[key][field]} {...props} onChange={e => set(key, {[field]: Number(e.target.value)})} />
+  );
+  return (
+    <div style={{marginTop:10,padding:10,background:'rgba(0,0,0,0.2)',borderRadius:6,fontSize:12,color:'#ccc',display:'flex',flexDirection:'column',gap:8}}>
+      <label style={{display:'flex',alignItems:'center',gap:6}}>
+        Context
+        <select style={selectStyle} value={ruleProfile.context} onChange={e => onChange({...settings, context: e.target.value})}>
+          {Object.entries(HEALTH_CONTEXTS).map(([id, c]) => <option key={id} value={id}>{c.name}</option>)}
+        </select>
+      </label>
+      <div style={{color:'#888'}}>
+        Limits for {limits.who}: brady &lt; {limits.brady[0]} / {limits.brady[1]}, tachy &gt; {limits.tachy[0]} / {limits.tachy[1]} bpm
+        {ruleProfile.age === null && ' · set a date of birth in 👤 Profile for age-specific limits'}
+      </div>
+      <div style={{display:'flex',gap:10,flexWrap:'wrap'}}>
+        Weights
+        <label>brady {number('weights', 'brady', {min:0, max:3, step:0.1})}</label>
+        <label>tachy {number('weights', 'tachy', {min:0, max:3, step:0.1})}</label>
+        <label>irregularity {number('weights', 'irregularity', {min:0, max:3, step:0.1})}</label>
+      </div>
+      <div style={{display:'flex',gap:10,flexWrap:'wrap'}}>
+        Categories
+        <label>Moderate ≥ {number('cutoffs', 'moderate', {min:1, max:ruleProfile.cutoffs.high - 1})}</label>
+        <label>High ≥ {number('cutoffs', 'high', {min:ruleProfile.cutoffs.moderate + 1, max:100})}</label>
+      </div>
+      <div>
+        <button style={smallButton} onClick={() => onChange({context: settings.context || DEFAULT_RULE_PROFILE.context})}>Reset weights and cut-offs</button>
+      </div>
+    </div>
+  )
+}
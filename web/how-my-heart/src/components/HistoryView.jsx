@@ -0,0 +1,246 @@
+import React, { useEffect, useState } from 'react'
+import { listSessions, getWaveform, deleteSession, clearHistory } from '../history'
+import { EVENT_TYPES } from '../dsp/arrhythmia'
+import { markerTitle, markerDetail } from '../markers'
+import { recordingToCsv, recordingToEdf, recordingToWfdb, downloadBlob, recordingBaseName } from '../recording'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:16,borderRadius:8,border:'1px solid #2a3540',fontSize:12,color:'#ccc',marginBottom:20};
+const smallButton = {padding:'6px 12px',fontSize:12};
+const cell = {padding:'4px 8px',borderBottom:'1px solid rgba(255,255,255,0.05)',textAlign:'left'};
+
+const fmt = (v, digits = 0) => (v === null || v === undefined || Number.isNaN(v)) ? '--' : v.toFixed(digits);
+
+function formatDuration(sec) {
+  const m = Math.floor(sec / 60);
+  return m >= 60 ? `${Math.floor(m / 60)} h ${m % 60} min` : `${m} min ${Math.round(sec % 60)} s`;
+}
+
+function dayKey(date) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// One metric over time: a dot per session and a line through the daily means
+function TrendChart({title, unit, color, sessions, value}) {
+  const w = 300, h = 120, pad = 28;
+  const points = sessions.map(s => ({ t: s.startTime.getTime(), v: value(s) })).filter(p => p.v !== null && p.v !== undefined && !Number.isNaN(p.v));
+  if (!points.length) {
+    return (
+      <div style={{width:w}}>
+        <div style={{fontWeight:700,color,marginBottom:4}}>{title}</div>
+        <div style={{height:h,display:'flex',alignItems:'center',justifyContent:'center',background:'#0d1218',borderRadius:4,color:'#666'}}>No data yet</div>
+      </div>
+    );
+  }
+  const days = {};
+  for (const p of points) {
+    const key = dayKey(new Date(p.t));
+    (days[key] = days[key] || []).push(p);
+  }
+  const daily = Object.values(days).map(ps => ({ t: ps.reduce((a, p) => a + p.t, 0) / ps.length, v: ps.reduce((a, p) => a + p.v, 0) / ps.length })).sort((a, b) => a.t - b.t);
+  const t0 = points[0].t, t1 = Math.max(points[points.length - 1].t, t0 + 3600e3);
+  const vs = points.map(p => p.v);
+  const lo = Math.floor(Math.min(...vs) * 0.9), hi = Math.ceil(Math.max(...vs) * 1.1) || 1;
+  const x = (t) => pad + (t - t0) / (t1 - t0) * (w - pad - 8);
+  const y = (v) => h - 16 - (v - lo) / Math.max(1e-9, hi - lo) * (h - 26);
+  return (
+    <div style={{width:w}}>
+      <div style={{fontWeight:700,color,marginBottom:4}}>{title} <span style={{color:'#888',fontWeight:400}}>({unit})</span></div>
+      <svg width={w} height={h} style={{background:'#0d1218',borderRadius:4}}>
+        <text x={2} y={y(hi) + 4} fill="#666" fontSize={10}>{hi}</text>
+        <text x={2} y={y(lo)} fill="#666" fontSize={10}>{lo}</text>
+        <text x={pad} y={h - 3} fill="#666" fontSize={10}>{new Date(t0).toLocaleDateString()}</text>
+        <text x={w - 8} y={h - 3} fill="#666" fontSize={10} textAnchor="end">{new Date(t1).toLocaleDateString()}</text>
+        {daily.length > 1 && <polyline fill="none" stroke={color} strokeWidth={2} points={daily.map(p => `${x(p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join(' ')} />}
+        {points.map((p, k) => <circle key={k} cx={x(p.t)} cy={y(p.v)} r={3} fill={color} opacity={0.6} />)}
+      </svg>
+    </div>
+  );
+}
+
+function SessionDetail({session, onClose, onDelete, onReplay, onReport}) {
+  const [busy, setBusy] = useState(false);
+  const b = session.health && session.health.breakdown;
+
+  async function withWaveform(fn) {
+    setBusy(true);
+    try {
+      const waveform = await getWaveform(session.id);
+      if (waveform) fn(waveform);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function exportWaveform(format) {
+    withWaveform(rec => {
+      const name = recordingBaseName(rec);
+      if (format === 'csv') downloadBlob(new Blob([recordingToCsv(rec)], { type: 'text/csv' }), `${name}.csv`);
+      else if (format === 'edf+') downloadBlob(recordingToEdf(rec, { plus: true }), `${name}.edf`);
+      else for (const [filename, blob] of Object.entries(recordingToWfdb(rec, name))) downloadBlob(blob, filename);
+    });
+  }
+
+  return (
+    <div style={{marginTop:16,padding:12,background:'rgba(255,255,255,0.03)',borderRadius:8,border:'1px solid #2a3540'}}>
+      <div style={{display:'flex',alignItems:'center',gap:10,flexWrap:'wrap'}}>
+        <div style={{fontWeight:700,fontSize:14,color:'#fff'}}>{session.startTime.toLocaleString()}</div>
+        <span style={{color:'#888'}}>{formatDuration(session.durationSec)} &middot; {session.source || 'unknown source'}</span>
+        <div style={{display:'flex',gap:8,marginLeft:'auto'}}>
+          {session.hasWaveform && (
+            <>
+              <button style={smallButton} disabled={busy} onClick={() => withWaveform(rec => onReplay(rec))}>▶ Replay</button>
+              <button style={smallButton} disabled={busy} onClick={() => exportWaveform('csv')}>⬇ CSV</button>
+              <button style={smallButton} disabled={busy} onClick={() => exportWaveform('edf+')}>⬇ EDF+</button>
+              <button style={smallButton} disabled={busy} onClick={() => exportWaveform('wfdb')}>⬇ WFDB</button>
+            </>
+          )}
+          <button style={smallButton} disabled={busy} onClick={() => session.hasWaveform ? withWaveform(rec => onReport(session, rec)) : onReport(session, null)}>🖨 Report</button>
+          <button style={smallButton} onClick={() => onDelete(session)}>🗑 Delete</button>
+          <button style={smallButton} onClick={onClose}>✕</button>
+        </div>
+      </div>
+      <div style={{display:'flex',gap:30,marginTop:12,flexWrap:'wrap'}}>
+        <div>
+          <div style={{fontWeight:700,color:'#ff4444',marginBottom:4}}>Heart rate</div>
+          <div>Mean {fmt(session.bpm?.mean)} &middot; resting {fmt(session.bpm?.resting)} bpm</div>
+          <div>Range {fmt(session.bpm?.min)}–{fmt(session.bpm?.max)} bpm</div>
+          <div>{session.beats} beats ({Object.entries(session.beatCounts).map(([l, n]) => `${l} ${n}`).join(', ') || 'none'})</div>
+        </div>
+        <div>
+          <div style={{fontWeight:700,color:'#4ade80',marginBottom:4}}>HRV {session.hrv ? `(last ${session.hrv.windowSec} s)` : ''}</div>
+          <div>SDNN {fmt(session.hrv?.sdnn, 1)} &middot; RMSSD {fmt(session.hrv?.rmssd, 1)} ms &middot; pNN50 {fmt(session.hrv?.pnn50, 1)} %</div>
+          <div>SD1 {fmt(session.hrv?.sd1, 1)} &middot; SD2 {fmt(session.hrv?.sd2, 1)} ms &middot; LF/HF {fmt(session.hrv?.lfHf, 2)}</div>
+        </div>
+        <div>
+          <div style={{fontWeight:700,color:'#a78bfa',marginBottom:4}}>Heart Health Index</div>
+          <div>{session.health ? `${session.health.level} · ${session.health.score} at the end · ${fmt(session.health.meanScore)} on average` : '--'}</div>
+          {b && <div>Brady {b.brady} &middot; Tachy {b.tachy} &middot; Irregularity {b.irregularity} pts</div>}
+        </div>
+      </div>
+      <div style={{display:'flex',gap:30,marginTop:12,flexWrap:'wrap'}}>
+        <div style={{minWidth:260}}>
+          <div style={{fontWeight:700,color:'#f472b6',marginBottom:4}}>Rhythm events ({session.events.length})</div>
+          <div style={{maxHeight:140,overflowY:'auto'}}>
+            {session.events.map((e, k) => (
+              <div key={k}>
+                <span style={{color:'#888'}}>{fmt(e.startSec, 0)} s</span>{' '}
+                <span style={{color:EVENT_TYPES[e.type]?.color}}>{EVENT_TYPES[e.type]?.name || e.type}</span>{' '}
+                <span style={{color:'#aaa'}}>{e.detail}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+        <div style={{minWidth:260}}>
+          <div style={{fontWeight:700,color:'#fbbf24',marginBottom:4}}>Alarms ({session.alarms.length})</div>
+          <div style={{maxHeight:140,overflowY:'auto'}}>
+            {session.alarms.map((a, k) => (
+              <div key={k}><span style={{color:'#888'}}>{a.time.toLocaleTimeString()}</span> {a.name} <span style={{color:'#aaa'}}>{a.detail}</span></div>
+            ))}
+          </div>
+        </div>
+        <div style={{minWidth:260}}>
+          <div style={{fontWeight:700,color:'#38bdf8',marginBottom:4}}>Marked events ({(session.markers || []).length})</div>
+          <div style={{maxHeight:140,overflowY:'auto'}}>
+            {(session.markers || []).map((m, k) => (
+              <div key={k}>
+                <span style={{color:'#888'}}>{m.time.toLocaleTimeString()}</span>{' '}
+                {markerTitle(m)} <span style={{color:'#aaa'}}>{markerDetail(m)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Saved sessions: trends over days, the session list and a detail view
+export default function HistoryView({refreshKey, settings, onSettingsChange, onReplay, onReport, onClose}) {
+  const [sessions, setSessions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+
+  async function reload() {
+    try {
+      setSessions(await listSessions());
+      setError(null);
+    } catch (err) {
+      setError(err.message || String(err));
+    }
+  }
+
+  useEffect(() => { reload(); }, [refreshKey]);
+
+  async function remove(session) {
+    if (!confirm(`Delete the session from ${session.startTime.toLocaleString()}?`)) return;
+    await deleteSession(session.id);
+    setSelected(null);
+    reload();
+  }
+
+  async function removeAll() {
+    if (!confirm(`Delete all ${sessions.length} saved sessions?`)) return;
+    await clearHistory();
+    setSelected(null);
+    reload();
+  }
+
+  function exportAll() {
+    const blob = new Blob([JSON.stringify(sessions, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `hmh-history-${dayKey(new Date())}.json`);
+  }
+
+  return (
+    <div style={panelStyle}>
+      <div style={{display:'flex',alignItems:'center',gap:12,flexWrap:'wrap'}}>
+        <h3 style={{margin:0,color:'#fff'}}>📚 Session history</h3>
+        <span style={{color:'#888'}}>{sessions.length} session{sessions.length === 1 ? '' : 's'} stored in this browser</span>
+        <label style={{display:'flex',alignItems:'center',gap:6,marginLeft:'auto'}}>
+          <input type="checkbox" checked={settings.saveWaveforms} onChange={e => onSettingsChange({...settings, saveWaveforms: e.target.checked})} />
+          Keep waveforms
+        </label>
+        <label style={{display:'flex',alignItems:'center',gap:6}}>
+          <input type="checkbox" checked={settings.includeSimulated} onChange={e => onSettingsChange({...settings, includeSimulated: e.target.checked})} />
+          Also save demo / replay sessions
+        </label>
+        <button style={smallButton} disabled={!sessions.length} onClick={exportAll}>⬇ Export all (JSON)</button>
+        <button style={smallButton} disabled={!sessions.length} onClick={removeAll}>🗑 Delete all</button>
+        <button style={smallButton} onClick={onClose}>✕ Close</button>
+      </div>
+      {error && <div style={{color:'#ff6b6b',marginTop:8}}>Could not open the history database: {error}</div>}
+
+      <div style={{display:'flex',gap:16,marginTop:16,flexWrap:'wrap'}}>
+        <TrendChart title="Resting heart rate" unit="bpm" color="#ff4444" sessions={sessions} value={s => s.bpm?.resting} />
+        <TrendChart title="Heart Health Index" unit="mean score" color="#a78bfa" sessions={sessions} value={s => s.health?.meanScore} />
+        <TrendChart title="HRV (RMSSD)" unit="ms" color="#4ade80" sessions={sessions} value={s => s.hrv?.rmssd} />
+      </div>
+
+      {sessions.length > 0 && (
+        <table style={{width:'100%',borderCollapse:'collapse',marginTop:16}}>
+          <thead>
+            <tr style={{color:'#888'}}>
+              <th style={cell}>Start</th><th style={cell}>Duration</th><th style={cell}>Source</th>
+              <th style={cell}>Mean / resting HR</th><th style={cell}>RMSSD</th><th style={cell}>Health</th><th style={cell}>Events</th><th style={cell}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {sessions.slice().reverse().map(s => (
+              <tr key={s.id} style={{cursor:'pointer',background: selected && selected.id === s.id ? 'rgba(96,165,250,0.08)' : 'transparent'}} onClick={() => setSelected(s)}>
+                <td style={cell}>{s.startTime.toLocaleString()}</td>
+                <td style={cell}>{formatDuration(s.durationSec)}</td>
+                <td style={cell}>{s.source}</td>
+                <td style={cell}>{fmt(s.bpm?.mean)} / {fmt(s.bpm?.resting)} bpm</td>
+                <td style={cell}>{fmt(s.hrv?.rmssd, 1)} ms</td>
+                <td style={cell}>{s.health ? `${s.health.level} (${fmt(s.health.meanScore)})` : '--'}</td>
+                <td style={cell}>{s.events.length}</td>
+                <td style={cell}>{s.hasWaveform ? '〰' : ''}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {selected && <SessionDetail session={selected} onClose={() => setSelected(null)} onDelete={remove} onReplay={onReplay} onReport={onReport} />}
+    </div>
+  )
+}
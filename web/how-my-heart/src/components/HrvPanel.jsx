@@ -0,0 +1,97 @@
+import React from 'react'
+import { HRV_WINDOWS, LF_BAND, HF_BAND } from '../dsp/hrv'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',fontSize:12,color:'#ccc'};
+const selectStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'2px 4px'};
+const PLOT = 150;
+
+const fmt = (v, digits = 0) => (v === null || v === undefined || Number.isNaN(v)) ? '--' : v.toFixed(digits);
+
+function Stat({label, value, unit}) {
+  return (
+    <div style={{minWidth:70}}>
+      <div style={{fontSize:10,color:'#888'}}>{label}</div>
+      <div style={{fontSize:16,fontWeight:700,color:'#eee'}}>{value}<span style={{fontSize:10,color:'#888',marginLeft:3}}>{unit}</span></div>
+    </div>
+  )
+}
+
+// RR[n] vs RR[n+1] scatter with the SD1/SD2 ellipse around the mean
+function PoincarePlot({hrv}) {
+  const values = hrv.points.flat();
+  const lo = Math.min(...values, hrv.meanNN - 100), hi = Math.max(...values, hrv.meanNN + 100);
+  const scale = (PLOT - 20) / (hi - lo);
+  const px = (v) => 10 + (v - lo) * scale;
+  const py = (v) => PLOT - 10 - (v - lo) * scale;
+  const c = px(hrv.meanNN), cy = py(hrv.meanNN);
+  return (
+    <svg width={PLOT} height={PLOT} style={{background:'#0d1218',borderRadius:4}}>
+      <line x1={px(lo)} y1={py(lo)} x2={px(hi)} y2={py(hi)} stroke="#2a3540" />
+      {hrv.points.map(([a, b], k) => <circle key={k} cx={px(a)} cy={py(b)} r={1.6} fill="#60a5fa" opacity={0.7} />)}
+      <ellipse cx={c} cy={cy} rx={hrv.sd2 * scale} ry={hrv.sd1 * scale} transform={`rotate(-45 ${c} ${cy})`} fill="none" stroke="#facc15" />
+      <text x={6} y={14} fill="#888" fontSize={10}>RRn+1</text>
+      <text x={PLOT - 30} y={PLOT - 2} fill="#888" fontSize={10}>RRn</text>
+    </svg>
+  )
+}
+
+// Lomb-Scargle PSD with the LF and HF bands shaded
+function Spectrum({spectrum}) {
+  const w = 220, h = PLOT;
+  const { freqs, psd } = spectrum;
+  const fMax = freqs[freqs.length - 1];
+  const pMax = Math.max(...psd) || 1;
+  const x = (f) => f / fMax * w;
+  const y = (p) => h - 14 - p / pMax * (h - 24);
+  const band = ([a, b], color) => <rect x={x(a)} y={0} width={x(b) - x(a)} height={h - 14} fill={color} opacity={0.15} />;
+  return (
+    <svg width={w} height={h} style={{background:'#0d1218',borderRadius:4}}>
+      {band(LF_BAND, '#a78bfa')}
+      {band(HF_BAND, '#4ade80')}
+      <polyline fill="none" stroke="#60a5fa" points={freqs.map((f, k) => `${x(f).toFixed(1)},${y(psd[k]).toFixed(1)}`).join(' ')} />
+      <text x={x(0.07)} y={12} fill="#a78bfa" fontSize={10}>LF</text>
+      <text x={x(0.25)} y={12} fill="#4ade80" fontSize={10}>HF</text>
+      <text x={2} y={h - 2} fill="#888" fontSize={10}>0</text>
+      <text x={w - 34} y={h - 2} fill="#888" fontSize={10}>{fMax} Hz</text>
+    </svg>
+  )
+}
+
+// Heart rate variability over the selected window (see dsp/hrv.js)
+export default function HrvPanel({hrv, windowSec, onWindowChange}) {
+  return (
+    <div style={panelStyle}>
+      <div style={{display:'flex',alignItems:'center',gap:12,marginBottom:8}}>
+        <div style={{fontWeight:700,color:'#4ade80'}}>📈 Heart Rate Variability</div>
+        <select style={selectStyle} value={windowSec} onChange={e => onWindowChange(Number(e.target.value))}>
+          {HRV_WINDOWS.map(s => <option key={s} value={s}>last {s >= 120 ? `${s / 60} min` : `${s} s`}</option>)}
+        </select>
+        {hrv && (
+          <span style={{marginLeft:'auto',color:'#888'}}>
+            {hrv.nnCount} NN intervals over {Math.round(hrv.spanSec)} s &middot; {hrv.ectopicRemoved} ectopic/artefact removed
+          </span>
+        )}
+      </div>
+      {!hrv ? (
+        <div style={{color:'#888'}}>Waiting for beats...</div>
+      ) : (
+        <div style={{display:'flex',flexWrap:'wrap',gap:16,alignItems:'flex-start'}}>
+          <div style={{display:'grid',gridTemplateColumns:'repeat(2, auto)',gap:10}}>
+            <Stat label="Mean NN" value={fmt(hrv.meanNN)} unit="ms" />
+            <Stat label="SDNN" value={fmt(hrv.sdnn, 1)} unit="ms" />
+            <Stat label="RMSSD" value={fmt(hrv.rmssd, 1)} unit="ms" />
+            <Stat label="pNN50" value={fmt(hrv.pnn50, 1)} unit="%" />
+            <Stat label="SD1" value={fmt(hrv.sd1, 1)} unit="ms" />
+            <Stat label="SD2" value={fmt(hrv.sd2, 1)} unit="ms" />
+            <Stat label="LF" value={fmt(hrv.spectrum?.lf)} unit="ms²" />
+            <Stat label="HF" value={fmt(hrv.spectrum?.hf)} unit="ms²" />
+            <Stat label="LF/HF" value={fmt(hrv.spectrum?.lfHf, 2)} unit="" />
+            <Stat label="LF / HF n.u." value={hrv.spectrum ? `${fmt(hrv.spectrum.lfNu)}/${fmt(hrv.spectrum.hfNu)}` : '--'} unit="" />
+          </div>
+          {hrv.points.length > 1 && <PoincarePlot hrv={hrv} />}
+          {hrv.spectrum ? <Spectrum spectrum={hrv.spectrum} /> : <div style={{color:'#888',maxWidth:160}}>LF/HF needs at least 60 s of beats.</div>}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,81 @@
+import React from 'react'
+import { NORMAL_RANGES } from '../dsp/delineation'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',fontSize:12,color:'#ccc'};
+const FLAG_COLORS = { info: '#888', warn: '#fbbf24', alert: '#ff6b6b' };
+
+const fmt = (v) => (v === null || v === undefined || Number.isNaN(v)) ? '--' : Math.round(v);
+
+function Stat({label, value, range, flagged}) {
+  return (
+    <div style={{minWidth:70}}>
+      <div style={{fontSize:10,color:'#888'}}>{label}</div>
+      <div style={{fontSize:16,fontWeight:700,color: flagged ? '#fbbf24' : '#eee'}}>{fmt(value)}<span style={{fontSize:10,color:'#888',marginLeft:3}}>ms</span></div>
+      {range && <div style={{fontSize:10,color:'#666'}}>{range}</div>}
+    </div>
+  )
+}
+
+// The median beat with its fiducials as dashed lines
+function MedianBeatPlot({median, fiducials, sampleRate}) {
+  const w = 240, h = 120;
+  const values = median.values;
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const x = (i) => i / (values.length - 1) * w;
+  const y = (v) => h - 8 - (v - lo) / Math.max(1e-6, hi - lo) * (h - 20);
+  const marks = [
+    ['pOn', '#60a5fa'], ['pOff', '#60a5fa'], ['qrsOn', '#facc15'], ['qrsOff', '#facc15'], ['tEnd', '#f472b6'],
+  ].filter(([key]) => fiducials[key] !== null);
+  return (
+    <svg width={w} height={h} style={{background:'#0d1218',borderRadius:4}}>
+      {marks.map(([key, color]) => {
+        const px = x(median.rOffset + fiducials[key]);
+        return <line key={key} x1={px} x2={px} y1={4} y2={h - 4} stroke={color} strokeDasharray="3 2" />;
+      })}
+      <polyline fill="none" stroke="#7ef77e" strokeWidth={1.5} points={Array.from(values, (v, i) => `${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' ')} />
+      <text x={4} y={12} fill="#888" fontSize={10}>median of {median.count} beats</text>
+      <text x={w - 4} y={12} fill="#888" fontSize={10} textAnchor="end">{Math.round(values.length * 1000 / sampleRate)} ms</text>
+    </svg>
+  )
+}
+
+// PR / QRS / QT / QTc from the delineated median beat (see dsp/delineation.js)
+export default function IntervalsPanel({delineation, sampleRate, showMarkers, onShowMarkersChange}) {
+  const iv = delineation && delineation.intervals;
+  const flagged = (measure) => iv && iv.flags.some(f => f.measure === measure && f.severity !== 'info');
+  return (
+    <div style={panelStyle}>
+      <div style={{display:'flex',alignItems:'center',gap:12,marginBottom:8}}>
+        <div style={{fontWeight:700,color:'#facc15'}}>📐 Intervals</div>
+        <label style={{display:'flex',alignItems:'center',gap:6}}>
+          <input type="checkbox" checked={showMarkers} onChange={e => onShowMarkersChange(e.target.checked)} />
+          Show P / QRS / T markers on the trace
+        </label>
+        {iv && <span style={{marginLeft:'auto',color:'#888'}}>at {Math.round(iv.hr)} bpm</span>}
+      </div>
+      {!delineation && <div style={{color:'#888'}}>Waiting for at least 5 clean normal beats…</div>}
+      {delineation && (
+        <div style={{display:'flex',gap:16,flexWrap:'wrap',alignItems:'flex-start'}}>
+          <MedianBeatPlot median={delineation.median} fiducials={delineation.fiducials} sampleRate={sampleRate} />
+          <div style={{display:'flex',flexDirection:'column',gap:8}}>
+            <div style={{display:'flex',gap:12}}>
+              <Stat label="PR" value={iv.pr} range={`${NORMAL_RANGES.pr[0]}–${NORMAL_RANGES.pr[1]}`} flagged={flagged('pr')} />
+              <Stat label="QRS" value={iv.qrs} range={`< ${NORMAL_RANGES.qrs[1]}`} flagged={flagged('qrs')} />
+              <Stat label="QT" value={iv.qt} />
+            </div>
+            <div style={{display:'flex',gap:12}}>
+              <Stat label="QTc Bazett" value={iv.qtcB} range={`${NORMAL_RANGES.qtc[0]}–${NORMAL_RANGES.qtc[1]}`} flagged={flagged('qtc')} />
+              <Stat label="QTc Fridericia" value={iv.qtcF} />
+            </div>
+          </div>
+          {iv.flags.length > 0 && (
+            <ul style={{margin:0,paddingLeft:18,flex:1,minWidth:200}}>
+              {iv.flags.map((f, k) => <li key={k} style={{color:FLAG_COLORS[f.severity]}}>{f.text}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+      <div style={{marginTop:8,color:'#666'}}>Automated measurements on a single lead at {sampleRate} Hz ({Math.round(1000 / sampleRate)} ms per sample); confirm with calipers.</div>
+    </div>
+  )
+}
@@ -0,0 +1,39 @@
+import React from 'react'
+import { LEAD_NAMES } from '../leads'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',display:'flex',flexWrap:'wrap',gap:14,alignItems:'center',fontSize:12,color:'#ccc'};
+const selectStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'2px 4px'};
+
+// Lead visibility, colour and gain, layout, and which lead drives beat detection
+export default function LeadControls({view, onChange, hasLeadI}) {
+  const setLead = (name, patch) => onChange({...view, leads: {...view.leads, [name]: {...view.leads[name], ...patch}}});
+  return (
+    <div style={panelStyle}>
+      <div style={{fontWeight:700,color:'#ec4899'}}>📈 Leads</div>
+      <select style={selectStyle} value={view.layout} onChange={e => onChange({...view, layout: e.target.value})}>
+        <option value="stacked">Stacked</option>
+        <option value="overlay">Overlaid</option>
+      </select>
+      {LEAD_NAMES.map(name => {
+        const lead = view.leads[name];
+        const available = name === 'II' || hasLeadI;
+        return (
+          <div key={name} style={{display:'flex',alignItems:'center',gap:4,opacity: available ? 1 : 0.4}} title={available ? '' : 'Needs Lead I (A0)'}>
+            <input type="checkbox" checked={lead.visible} disabled={!available} onChange={e => setLead(name, {visible: e.target.checked})} />
+            <input type="color" value={lead.color} onChange={e => setLead(name, {color: e.target.value})} style={{width:20,height:18,padding:0,border:'none',background:'none'}} />
+            <span style={{color: lead.color, fontWeight:700, minWidth:26}}>{name}</span>
+            <select style={selectStyle} value={lead.gain} onChange={e => setLead(name, {gain: Number(e.target.value)})}>
+              {[0.5, 1, 2, 4].map(g => <option key={g} value={g}>×{g}</option>)}
+            </select>
+          </div>
+        );
+      })}
+      <label style={{display:'flex',alignItems:'center',gap:6,marginLeft:'auto'}}>
+        Detect beats on
+        <select style={selectStyle} value={view.detectionLead} onChange={e => onChange({...view, detectionLead: e.target.value})}>
+          {LEAD_NAMES.filter(name => name === 'II' || hasLeadI).map(name => <option key={name} value={name}>Lead {name}</option>)}
+        </select>
+      </label>
+    </div>
+  )
+}
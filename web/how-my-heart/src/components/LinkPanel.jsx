@@ -0,0 +1,37 @@
+import React from 'react'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',fontSize:11,color:'#ccc'};
+
+function Row({label, value, warn}) {
+  return (
+    <div style={{display:'flex',justifyContent:'space-between',gap:8}}>
+      <span style={{color:'#888'}}>{label}</span>
+      <span style={{color: warn ? '#fbbf24' : '#ddd'}}>{value}</span>
+    </div>
+  )
+}
+
+// Health of the device link: reconnect state, measured vs expected sample rate,
+// lost samples and malformed lines (see streamMonitor.js)
+export default function LinkPanel({link, malformed, sampleRate}) {
+  const s = link.stats;
+  const down = link.state === 'reconnecting';
+  return (
+    <div style={panelStyle}>
+      <div style={{fontSize:11,color:'#888',marginBottom:6,textAlign:'center'}}>LINK</div>
+      <div style={{fontSize:14,fontWeight:700,textAlign:'center',marginBottom:6,color: down ? '#ff6b6b' : '#7ef77e'}}>
+        {down ? `⟳ Reconnecting${link.attempt ? ` (${link.attempt})` : ''}` : '● Connected'}
+      </div>
+      {down && link.reason && <div style={{color:'#ff6b6b',textAlign:'center',marginBottom:6}}>{link.reason}</div>}
+      {s && (
+        <>
+          <Row label="Rate" value={`${s.measuredRate === null ? '--' : s.measuredRate.toFixed(0)} / ${s.expectedRate} Hz`} warn={!s.rateOk} />
+          <Row label="Dropped (seq)" value={s.dropped} warn={s.dropped > 0} />
+          <Row label="Gaps" value={s.gapCount ? `${s.gapCount} · ${(s.gapSamples / sampleRate).toFixed(1)} s` : 0} warn={s.gapCount > 0} />
+          <Row label="Reconnects" value={s.reconnects} warn={s.reconnects > 0} />
+          <Row label="Malformed lines" value={malformed} warn={malformed > 0} />
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,46 @@
+import React from 'react'
+import { profileAge } from '../profile'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',display:'flex',flexWrap:'wrap',gap:14,alignItems:'center',fontSize:12,color:'#ccc',marginBottom:12};
+const inputStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'4px 6px'};
+const smallButton = {padding:'6px 12px',fontSize:12};
+
+// Who the recordings belong to; printed in the report header and used for
+// the Heart Health Index limits
+export default function ProfilePanel({profile, onChange, onClose}) {
+  const set = (patch) => onChange({...profile, ...patch});
+  const age = profileAge(profile);
+  return (
+    <div style={panelStyle}>
+      <div style={{fontWeight:700,color:'#a78bfa'}}>👤 Profile</div>
+      <label style={{display:'flex',alignItems:'center',gap:6}}>
+        Name
+        <input style={{...inputStyle,width:160}} value={profile.name} onChange={e => set({name: e.target.value})} />
+      </label>
+      <label style={{display:'flex',alignItems:'center',gap:6}}>
+        Date of birth
+        <input type="date" style={inputStyle} value={profile.birthDate} onChange={e => set({birthDate: e.target.value})} />
+        {age !== null && <span style={{color:'#888'}}>{age} y</span>}
+      </label>
+      <label style={{display:'flex',alignItems:'center',gap:6}}>
+        Sex
+        <select style={inputStyle} value={profile.sex} onChange={e => set({sex: e.target.value})}>
+          <option value="">—</option>
+          <option value="female">Female</option>
+          <option value="male">Male</option>
+          <option value="other">Other</option>
+        </select>
+      </label>
+      <label style={{display:'flex',alignItems:'center',gap:6}} title="Lowers the bradycardia limits of the Heart Health Index">
+        <input type="checkbox" checked={profile.athlete} onChange={e => set({athlete: e.target.checked})} />
+        Endurance athlete
+      </label>
+      <label style={{display:'flex',alignItems:'center',gap:6,flex:1,minWidth:240}}>
+        Notes
+        <input style={{...inputStyle,flex:1}} placeholder="Medication, known conditions…" value={profile.notes} onChange={e => set({notes: e.target.value})} />
+      </label>
+      <span style={{color:'#888'}}>Stored in this browser only</span>
+      <button style={smallButton} onClick={onClose}>✕</button>
+    </div>
+  )
+}
@@ -0,0 +1,28 @@
+import React from 'react'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',display:'flex',flexWrap:'wrap',gap:12,alignItems:'center',fontSize:12,color:'#ccc'};
+const smallButton = {padding:'6px 12px',fontSize:12};
+
+function formatDuration(sec) {
+  const s = Math.floor(sec);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(Math.floor(s / 3600))}:${pad(Math.floor(s / 60) % 60)}:${pad(s % 60)}`;
+}
+
+// Session recording status, export buttons (CSV, EDF+, EDF, WFDB) and the printable report
+export default function RecordingPanel({recorder, onExport, onReport}) {
+  if (!recorder) return null;
+  return (
+    <div style={panelStyle}>
+      <div style={{fontWeight:700,color: recorder.recording ? '#ff4444' : '#aaa'}}>{recorder.recording ? '⏺ Recording' : '⏹ Last session'}</div>
+      <span>{formatDuration(recorder.durationSec)} &middot; {recorder.sampleCount} samples &middot; {recorder.beatCount} beats</span>
+      <div style={{display:'flex',gap:8,marginLeft:'auto'}}>
+        <button style={smallButton} disabled={!recorder.sampleCount} onClick={() => onExport('csv')}>⬇ CSV</button>
+        <button style={smallButton} disabled={!recorder.sampleCount} onClick={() => onExport('edf+')}>⬇ EDF+</button>
+        <button style={smallButton} disabled={!recorder.sampleCount} onClick={() => onExport('edf')}>⬇ EDF</button>
+        <button style={smallButton} disabled={!recorder.sampleCount} onClick={() => onExport('wfdb')}>⬇ WFDB</button>
+        <button style={smallButton} disabled={!recorder.sampleCount} onClick={onReport}>🖨 Report</button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,46 @@
+import React, { useState } from 'react'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',display:'flex',flexWrap:'wrap',gap:14,alignItems:'center',fontSize:12,color:'#ccc',marginBottom:12};
+const selectStyle = {background:'#0d1218',color:'#ddd',border:'1px solid #2a3540',borderRadius:4,padding:'2px 4px'};
+const smallButton = {padding:'6px 12px',fontSize:12};
+
+const SPEEDS = [0.5, 1, 2, 4, 10];
+const STEP_SEC = 0.2;
+
+function formatTime(sec) {
+  const s = Math.max(0, sec);
+  return `${Math.floor(s / 60)}:${(s % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// Transport for file replays: play/pause, speed, single steps while paused, seek.
+// When the file carries beat annotations the detector's count is shown next to them.
+export default function ReplayControls({source, startIndex, detectedBeats}) {
+  const [, setTick] = useState(0);
+  const act = (fn) => { fn(); setTick(t => t + 1); };
+  const state = source.getState();
+  const fs = state.sampleRate;
+  const reference = source.recording && source.recording.beats.length ? source.recording.beats : null;
+  const referenceBeats = reference ? reference.filter(b => b.index >= startIndex && b.index < state.position).length : 0;
+
+  return (
+    <div style={panelStyle}>
+      <div style={{fontWeight:700,color:'#a78bfa'}}>📂 Replay</div>
+      <button style={smallButton} onClick={() => act(state.playing ? source.pause : source.resume)}>{state.playing ? '⏸ Pause' : '▶ Play'}</button>
+      <button style={smallButton} disabled={state.playing} onClick={() => act(() => source.step(Math.round(STEP_SEC * fs)))}>⏭ Step {STEP_SEC * 1000} ms</button>
+      <label style={{display:'flex',alignItems:'center',gap:6}}>
+        Speed
+        <select style={selectStyle} value={state.speed} onChange={e => act(() => source.setSpeed(Number(e.target.value)))}>
+          {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+        </select>
+      </label>
+      <input type="range" min={0} max={Math.max(0, state.length - 1)} step={fs} value={state.position}
+        onChange={e => act(() => source.seek(Number(e.target.value)))} style={{flex:1,minWidth:160}} />
+      <span style={{minWidth:90}}>{formatTime(state.position / fs)} / {formatTime(state.length / fs)}</span>
+      {reference && (
+        <span style={{color:'#888'}} title="Counted from the start of the file or the last seek">
+          Annotated beats {referenceBeats} &middot; detected {detectedBeats}
+        </span>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,45 @@
+import React from 'react'
+import { EDR_SOURCES } from '../dsp/respiration'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',textAlign:'center'};
+
+function confidenceColor(confidence) {
+  return confidence >= 0.6 ? '#7ef77e' : confidence >= 0.35 ? '#fbbf24' : '#ff6b6b';
+}
+
+// Breathing rate derived from the ECG, its confidence, and what each source found
+export default function RespirationPanel({respiration, connected}) {
+  const rate = respiration ? respiration.rate : null;
+  const color = rate === null ? '#888' : confidenceColor(respiration.confidence);
+  return (
+    <div style={panelStyle}>
+      <div style={{fontSize:11,color:'#888',marginBottom:4}}>BREATHING</div>
+      <div style={{fontSize:24,fontWeight:700,color}}>
+        {rate === null ? '--' : Math.round(rate)} <span style={{fontSize:12,fontWeight:400,color:'#888'}}>/min</span>
+      </div>
+      <div style={{height:6,background:'#1e2836',borderRadius:4,overflow:'hidden',margin:'6px 0'}} title="Confidence">
+        <div style={{width:`${rate === null ? 0 : Math.round(respiration.confidence * 100)}%`,height:'100%',background:color}} />
+      </div>
+      <div style={{fontSize:10,color:'#888'}}>
+        {!connected ? 'Not connected'
+          : !respiration ? 'Waiting for a usable signal'
+          : rate === null ? 'Needs about 30 s of beats'
+          : `${Math.round(respiration.confidence * 100)}% confidence`}
+      </div>
+      {rate !== null && (
+        <div style={{fontSize:10,marginTop:6,textAlign:'left'}}>
+          {Object.entries(EDR_SOURCES).map(([key, source]) => {
+            const s = respiration.sources[key];
+            return (
+              <div key={key} style={{display:'flex',justifyContent:'space-between',color: s && s.agrees ? '#aaa' : '#666'}}
+                title={s ? `${Math.round(s.confidence * 100)}% of the breathing band${s.agrees ? '' : ', disagrees with the others and is left out'}` : 'Not enough data'}>
+                <span>{source.name}</span>
+                <span>{s ? `${s.rate.toFixed(1)}${s.agrees ? '' : ' ✕'}` : '--'}</span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
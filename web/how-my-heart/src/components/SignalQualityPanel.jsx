@@ -0,0 +1,38 @@
+import React from 'react'
+import { QUALITY_LEVELS } from '../dsp/signalQuality'
+
+const panelStyle = {background:'linear-gradient(180deg,rgba(30,30,30,0.8),rgba(20,20,20,0.9))',padding:12,borderRadius:8,border:'1px solid #2a3540',textAlign:'center'};
+
+const REASONS = {
+  flatline: 'flat line',
+  clipping: 'clipping',
+  noise: 'noise',
+  drift: 'baseline drift',
+  kurtosis: 'artefact',
+  template: 'unstable beats',
+};
+
+// Latest signal quality score for the detection lead, and lead-off state
+export default function SignalQualityPanel({quality, leadOff, deviceLeadOff, connected}) {
+  const level = leadOff ? 'poor' : quality ? quality.level : null;
+  const color = level ? QUALITY_LEVELS[level].color : '#888';
+  return (
+    <div style={panelStyle}>
+      <div style={{fontSize:11,color:'#888',marginBottom:4}}>SIGNAL QUALITY</div>
+      {leadOff ? (
+        <div style={{fontSize:18,fontWeight:700,color}}>⚠ Leads off</div>
+      ) : (
+        <div style={{fontSize:24,fontWeight:700,color}}>{quality ? quality.score : '--'}</div>
+      )}
+      <div style={{height:6,background:'#1e2836',borderRadius:4,overflow:'hidden',margin:'6px 0'}}>
+        <div style={{width:`${leadOff ? 0 : quality ? quality.score : 0}%`,height:'100%',background:color}} />
+      </div>
+      <div style={{fontSize:10,color:'#888'}}>
+        {!connected ? 'Not connected'
+          : leadOff ? (deviceLeadOff ? 'Reported by the device' : 'Flat or saturated signal')
+          : !quality ? 'Scoring...'
+          : quality.reasons.length ? quality.reasons.map(r => REASONS[r]).join(', ') : level}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,24 @@
+import { createPanTompkins } from './dsp/panTompkins.js'
+
+// QRS detection off the main thread.
+//   in:  { type: 'init', sampleRate, start }     (re)start the detector; `start` is the sample index of the next sample
+//        { type: 'samples', values: number[] }   consecutive samples of the detection lead
+//   out: { type: 'beats', beats: [{ index, rr }] } absolute sample indices, RR in samples
+let detector = null;
+let base = 0;
+
+self.onmessage = (ev) => {
+  const msg = ev.data;
+  if (msg.type === 'init') {
+    detector = createPanTompkins(msg.sampleRate);
+    base = msg.start || 0;
+    return;
+  }
+  if (msg.type === 'samples' && detector) {
+    const beats = [];
+    for (const v of msg.values) {
+      for (const beat of detector.push(v)) beats.push({ index: base + beat.index, rr: beat.rr });
+    }
+    if (beats.length) self.postMessage({ type: 'beats', beats });
+  }
+};
@@ -0,0 +1,165 @@
+import { formatCommand } from './protocol.js'
+
+// Command channel to the device (commands and replies are described in protocol.js).
+//
+// createDeviceControl({ send }) wraps a source's send(line). Feed it every
+// parsed frame through handleFrame(); it settles the matching command on an
+// ack and resolves waiters on events. Each command rejects when the device
+// says no (err.code 'rejected'), doesn't answer in time ('timeout') or goes
+// away ('disconnected').
+
+export const COMMAND_TIMEOUT_MS = 1500;
+export const CALIBRATION_TIMEOUT_MS = 20000;
+export const LEGACY_CALIBRATION_MS = 4000; // firmware without commands: its calibration is assumed done by then
+
+function commandError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+export function createDeviceControl({ send, timeoutMs = COMMAND_TIMEOUT_MS }) {
+  let nextId = 1;
+  const pending = new Map(); // id -> { cmd, resolve, reject, timer }
+  let waiters = []; // { event, match, resolve, reject, timer }
+  let info = null;
+  let closed = false;
+
+  function command(cmd, params = {}, { timeout = timeoutMs } = {}) {
+    if (closed) return Promise.reject(commandError(`${cmd}: device disconnected`, 'disconnected'));
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        reject(commandError(`${cmd}: no reply from the device within ${timeout} ms`, 'timeout'));
+      }, timeout);
+      pending.set(id, { cmd, resolve, reject, timer });
+      Promise.resolve()
+        .then(() => send(formatCommand(cmd, id, params)))
+        .catch(err => {
+          if (!pending.delete(id)) return;
+          clearTimeout(timer);
+          reject(commandError(`${cmd}: could not write to the device (${err.message})`, 'disconnected'));
+        });
+    });
+  }
+
+  // Resolves with the next `event` frame that passes `match`
+  function waitForEvent(event, match = () => true, timeout = timeoutMs) {
+    if (closed) return Promise.reject(commandError(`${event}: device disconnected`, 'disconnected'));
+    return new Promise((resolve, reject) => {
+      const waiter = { event, match, resolve, reject };
+      waiter.timer = setTimeout(() => {
+        waiters = waiters.filter(w => w !== waiter);
+        reject(commandError(`no ${event} event from the device within ${timeout} ms`, 'timeout'));
+      }, timeout);
+      waiters.push(waiter);
+    });
+  }
+
+  // Returns true when the frame belonged to the command channel
+  function handleFrame(frame) {
+    if (frame.type === 'ack') {
+      const entry = pending.get(frame.id);
+      if (!entry) return true; // late reply to a command that already timed out
+      pending.delete(frame.id);
+      clearTimeout(entry.timer);
+      if (frame.ok) entry.resolve(frame.fields);
+      else entry.reject(commandError(`${entry.cmd}: ${frame.error}`, 'rejected'));
+      return true;
+    }
+    if (frame.type === 'event') {
+      for (const w of waiters.filter(w => w.event === frame.event && w.match(frame.fields))) {
+        waiters = waiters.filter(x => x !== w);
+        clearTimeout(w.timer);
+        w.resolve(frame.fields);
+      }
+      if (info && frame.event === 'streaming') info = { ...info, streaming: frame.fields.on !== false };
+      return true;
+    }
+    return false;
+  }
+
+  function requireCapability(name) {
+    if (info && !info.capabilities.includes(name)) throw commandError(`the device does not support ${name}`, 'unsupported');
+  }
+
+  return {
+    command,
+    waitForEvent,
+    handleFrame,
+    getInfo() { return info; },
+
+    // Firmware version and capabilities, or null for firmware that ignores commands
+    async identify({ timeout = timeoutMs } = {}) {
+      try {
+        const fields = await command('info', {}, { timeout });
+        info = {
+          firmware: fields.firmware ?? null,
+          capabilities: Array.isArray(fields.capabilities) ? fields.capabilities : [],
+          gains: Array.isArray(fields.gains) ? fields.gains : [],
+          sampleRates: Array.isArray(fields.sampleRates) ? fields.sampleRates : [],
+          gain: fields.gain ?? null,
+          sampleRate: fields.sampleRate ?? null,
+          streaming: fields.streaming !== false,
+        };
+      } catch (err) {
+        if (err.code !== 'timeout') throw err;
+        info = null;
+      }
+      return info;
+    },
+
+    async start() {
+      requireCapability('stream');
+      await command('start');
+      if (info) info = { ...info, streaming: true };
+    },
+
+    async stop() {
+      requireCapability('stream');
+      await command('stop');
+      if (info) info = { ...info, streaming: false };
+    },
+
+    // Resolves once the device reports its calibration complete (not merely accepted)
+    async calibrate({ timeout = CALIBRATION_TIMEOUT_MS } = {}) {
+      requireCapability('calibrate');
+      const done = waitForEvent('calibration', f => f.state === 'complete' || f.state === 'failed', timeout);
+      done.catch(() => {}); // the ack may fail first
+      await command('calibrate');
+      const result = await done;
+      if (result.state === 'failed') throw commandError(`calibration failed${result.reason ? `: ${result.reason}` : ''}`, 'rejected');
+      return result;
+    },
+
+    async setGain(gain) {
+      requireCapability('gain');
+      if (info && info.gains.length && !info.gains.includes(gain)) throw commandError(`gain ${gain} is not one of ${info.gains.join(', ')}`, 'unsupported');
+      await command('set', { gain });
+      if (info) info = { ...info, gain };
+    },
+
+    async setSampleRate(sampleRate) {
+      requireCapability('sampleRate');
+      if (info && info.sampleRates.length && !info.sampleRates.includes(sampleRate)) throw commandError(`${sampleRate} Hz is not one of ${info.sampleRates.join(', ')}`, 'unsupported');
+      await command('set', { sampleRate });
+      if (info) info = { ...info, sampleRate };
+    },
+
+    // Rejects everything still outstanding; call when the source closes
+    dispose() {
+      closed = true;
+      for (const entry of pending.values()) {
+        clearTimeout(entry.timer);
+        entry.reject(commandError(`${entry.cmd}: device disconnected`, 'disconnected'));
+      }
+      pending.clear();
+      for (const w of waiters) {
+        clearTimeout(w.timer);
+        w.reject(commandError(`${w.event}: device disconnected`, 'disconnected'));
+      }
+      waiters = [];
+    },
+  };
+}
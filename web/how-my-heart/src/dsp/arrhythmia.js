@@ -0,0 +1,231 @@
+// Beat-by-beat classification and rhythm episodes.
+//
+// Each detected beat gets one label:
+//   N  normal
+//   V  premature ventricular: QRS differs from the running normal template
+//      (low correlation or much wider)
+//   A  premature atrial: normal QRS, but clearly early after a normal beat
+//   M  missed beat / pause: RR far longer than the recent normal RR
+//
+// On top of that a few rhythm episodes are tracked and opened/closed as the
+// beats come in: possible atrial fibrillation (irregular RR: normalised RMSSD
+// plus Shannon entropy of the RR histogram, after Dash et al. 2009), sinus
+// bradycardia / tachycardia (median HR of the last 8 normal beats, hysteresis
+// around the limits) and pauses longer than 2 s.
+//
+// This is a screening aid in the spirit of the rest of the app, not a
+// diagnostic classifier.
+
+export const BEAT_LABELS = {
+  N: { name: 'Normal', color: '#7ef77e' },
+  V: { name: 'Premature ventricular', color: '#ff6b6b' },
+  A: { name: 'Premature atrial', color: '#facc15' },
+  M: { name: 'Missed beat / pause', color: '#60a5fa' },
+};
+
+export const EVENT_TYPES = {
+  pvc: { name: 'PVC', color: '#ff6b6b' },
+  pac: { name: 'PAC', color: '#facc15' },
+  missed: { name: 'Missed beat', color: '#60a5fa' },
+  pause: { name: 'Pause > 2 s', color: '#60a5fa' },
+  af: { name: 'Possible AF', color: '#f472b6' },
+  brady: { name: 'Sinus bradycardia', color: '#fbbf24' },
+  tachy: { name: 'Sinus tachycardia', color: '#fb923c' },
+};
+
+export const DEFAULT_CLASSIFIER_OPTIONS = {
+  bradyBpm: 60,
+  tachyBpm: 100,
+  pauseSec: 2,
+  prematurity: 0.85,  // RR below this fraction of the normal RR counts as premature
+  missedRatio: 1.8,   // RR above this fraction of the normal RR counts as a missed beat
+  afWindow: 32,       // beats
+  afRmssd: 0.1,       // RMSSD / mean RR
+  afEntropy: 0.7,     // normalised Shannon entropy of the RR histogram
+};
+
+const MAX_EVENTS = 200;
+
+// Beat window used for morphology, relative to the R-peak
+export const SEGMENT_MS = [-120, 200];
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+function correlation(a, b) {
+  const ma = mean(a), mb = mean(b);
+  let ab = 0, aa = 0, bb = 0;
+  for (let i = 0; i < a.length; i++) {
+    const x = a[i] - ma, y = b[i] - mb;
+    ab += x * y; aa += x * x; bb += y * y;
+  }
+  return aa > 0 && bb > 0 ? ab / Math.sqrt(aa * bb) : 0;
+}
+
+// Width (samples) of the region around the R-peak where the signal stays above
+// 30 % of its largest deflection from the segment's baseline
+function qrsWidth(segment, rOffset) {
+  const base = median(segment);
+  let peak = 0;
+  for (const v of segment) peak = Math.max(peak, Math.abs(v - base));
+  if (peak === 0) return 0;
+  let centre = rOffset;
+  for (let i = Math.max(0, rOffset - 3); i <= Math.min(segment.length - 1, rOffset + 3); i++) {
+    if (Math.abs(segment[i] - base) > Math.abs(segment[centre] - base)) centre = i;
+  }
+  const level = 0.3 * peak;
+  let lo = centre, hi = centre;
+  while (lo > 0 && Math.abs(segment[lo - 1] - base) > level) lo--;
+  while (hi < segment.length - 1 && Math.abs(segment[hi + 1] - base) > level) hi++;
+  return hi - lo + 1;
+}
+
+// Normalised RMSSD and Shannon entropy of an RR window (Dash et al. 2009):
+// the two longest and two shortest intervals are dropped so isolated ectopics
+// don't look like AF
+export function rrIrregularity(rrs) {
+  const order = rrs.map((r, i) => i).sort((a, b) => rrs[a] - rrs[b]);
+  const drop = new Set([...order.slice(0, 2), ...order.slice(-2)]);
+  const trimmed = rrs.filter((r, i) => !drop.has(i));
+  const sorted = trimmed.slice().sort((a, b) => a - b);
+  let ss = 0;
+  for (let i = 1; i < trimmed.length; i++) ss += (trimmed[i] - trimmed[i - 1]) ** 2;
+  const rmssd = trimmed.length > 1 ? Math.sqrt(ss / (trimmed.length - 1)) : 0;
+  const m = mean(trimmed);
+  const bins = 16;
+  const lo = sorted[0], hi = sorted[sorted.length - 1];
+  const counts = new Array(bins).fill(0);
+  for (const r of trimmed) counts[hi > lo ? Math.min(bins - 1, Math.floor((r - lo) / (hi - lo) * bins)) : 0]++;
+  let entropy = 0;
+  for (const c of counts) {
+    if (!c) continue;
+    const p = c / trimmed.length;
+    entropy -= p * Math.log(p);
+  }
+  return { nRmssd: m > 0 ? rmssd / m : 0, entropy: entropy / Math.log(bins) };
+}
+
+// Streaming classifier. classify({ index, rr }, segment) takes one detected beat
+// (sample index, RR in samples or null) and, when available, the detection lead
+// from SEGMENT_MS[0] to SEGMENT_MS[1] around the R-peak; it returns the label.
+// `events` lists beat findings and episodes ({ id, type, start, end, detail },
+// sample indices, end null while an episode is ongoing), newest last.
+export function createArrhythmiaClassifier(sampleRate, options = {}) {
+  const opts = { ...DEFAULT_CLASSIFIER_OPTIONS, ...options };
+  const fs = sampleRate;
+  const rOffset = Math.round(-SEGMENT_MS[0] * fs / 1000);
+  const segmentLength = rOffset + Math.round(SEGMENT_MS[1] * fs / 1000) + 1;
+
+  let template = null;
+  let templateWidth = 0;
+  let templateBeats = 0;
+  const normalRr = []; // RR (samples) of the last normal-to-normal intervals
+  const rrWindow = []; // every RR, for the AF check
+  const events = [];
+  const open = {}; // episode type -> open event
+  let nextId = 1;
+  let prevLabel = null;
+
+  function addEvent(type, start, end, detail) {
+    const event = { id: nextId++, type, start, end, detail };
+    events.push(event);
+    if (events.length > MAX_EVENTS) events.splice(0, events.length - MAX_EVENTS);
+    return event;
+  }
+
+  function setEpisode(type, active, index, detail) {
+    if (active && !open[type]) open[type] = addEvent(type, index, null, detail);
+    else if (active) open[type].detail = detail;
+    else if (!active && open[type]) {
+      open[type].end = index;
+      delete open[type];
+    }
+  }
+
+  function morphology(segment) {
+    if (!segment || segment.length !== segmentLength) return null;
+    const width = qrsWidth(segment, rOffset);
+    if (!template) return { corr: 1, widthRatio: 1, width };
+    return { corr: correlation(segment, template), widthRatio: templateWidth > 0 ? width / templateWidth : 1, width };
+  }
+
+  function learn(segment, shape) {
+    if (!shape) return;
+    if (!template) {
+      template = Array.from(segment);
+      templateWidth = shape.width;
+    } else {
+      // slow exponential average once a few beats are in, so one odd beat can't drag it
+      const k = templateBeats < 8 ? 1 / (templateBeats + 1) : 0.05;
+      for (let i = 0; i < segmentLength; i++) template[i] += k * (segment[i] - template[i]);
+      templateWidth += k * (shape.width - templateWidth);
+    }
+    templateBeats++;
+  }
+
+  function classify({ index, rr }, segment) {
+    const shape = morphology(segment);
+    const ref = normalRr.length >= 4 ? median(normalRr) : null;
+    const inAf = !!open.af;
+    let label = 'N';
+
+    const abnormalShape = shape && templateBeats >= 8 && (shape.corr < 0.75 || shape.widthRatio > 1.5);
+    if (rr && ref && (rr > opts.missedRatio * ref || rr > opts.pauseSec * fs)) label = 'M';
+    else if (abnormalShape) label = 'V';
+    // prematurity only means something when coupled to a normal beat
+    else if (rr && ref && !inAf && prevLabel === 'N' && rr < opts.prematurity * ref) label = 'A';
+
+    if (label === 'N') learn(segment, shape);
+    if (rr && label === 'N') {
+      normalRr.push(rr);
+      if (normalRr.length > 8) normalRr.shift();
+    }
+
+    const start = rr ? index - rr : index;
+    if (label === 'V') addEvent('pvc', index, index, shape ? `QRS ${Math.round(shape.width * 1000 / fs)} ms` : '');
+    if (label === 'A') addEvent('pac', index, index, `RR ${Math.round(rr * 1000 / fs)} ms`);
+    if (label === 'M') {
+      if (rr > opts.pauseSec * fs) addEvent('pause', start, index, `${(rr / fs).toFixed(1)} s`);
+      else addEvent('missed', start, index, `RR ${Math.round(rr * 1000 / fs)} ms`);
+    }
+
+    // intervals touching a ventricular beat say nothing about the atrial rhythm
+    if (rr && label !== 'V' && prevLabel !== 'V') {
+      rrWindow.push(rr);
+      if (rrWindow.length > opts.afWindow) rrWindow.shift();
+    }
+    if (rrWindow.length >= opts.afWindow) {
+      const { nRmssd, entropy } = rrIrregularity(rrWindow);
+      const onset = inAf ? opts.afRmssd * 0.8 : opts.afRmssd;
+      const af = nRmssd > onset && entropy > opts.afEntropy;
+      setEpisode('af', af, af && !inAf ? index - rrWindow.reduce((a, b) => a + b, 0) : index, `nRMSSD ${nRmssd.toFixed(2)} · entropy ${entropy.toFixed(2)}`);
+    }
+
+    // rate episodes on sinus rhythm only
+    if (normalRr.length >= 8 && !open.af) {
+      const hr = 60 * fs / median(normalRr);
+      setEpisode('brady', open.brady ? hr < opts.bradyBpm + 2 : hr < opts.bradyBpm, index, `${Math.round(hr)} bpm`);
+      setEpisode('tachy', open.tachy ? hr > opts.tachyBpm - 2 : hr > opts.tachyBpm, index, `${Math.round(hr)} bpm`);
+    } else if (open.af) {
+      setEpisode('brady', false, index);
+      setEpisode('tachy', false, index);
+    }
+    prevLabel = label;
+    return label;
+  }
+
+  return {
+    classify,
+    events,
+    segmentLength,
+    rOffset,
+    get templateReady() { return templateBeats >= 8; },
+  };
+}
@@ -0,0 +1,132 @@
+import { MEDIAN_WINDOW_MS } from './medianBeat.js'
+
+// Beat templates for the overlay / cascade view. Every recent beat is cut out
+// around its R-peak on each lead, nudged by up to ALIGN_MS so that detector
+// jitter doesn't smear the QRS, and compared with a first-pass median on the
+// alignment lead. Normal beats that share its shape and size make up the
+// template, kept per lead as a sample-by-sample median and mean; the rest are
+// flagged as outliers (artefact, a mislabelled ectopic) but still returned, so
+// the view can show them against the template.
+
+export const TEMPLATE_BEATS = 30;
+export const MIN_TEMPLATE_BEATS = 3;
+export const ALIGN_MS = 24;
+export const ALIGN_QRS_MS = 60; // half-width of the stretch matched when aligning
+export const OUTLIER_CORR = 0.85; // correlation with the template below this
+export const OUTLIER_AMPLITUDE = [0.6, 1.6]; // peak-to-peak relative to the template's
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+function correlation(a, b, from = 0, to = a.length) {
+  let ma = 0, mb = 0;
+  for (let i = from; i < to; i++) { ma += a[i]; mb += b[i]; }
+  ma /= to - from; mb /= to - from;
+  let ab = 0, aa = 0, bb = 0;
+  for (let i = from; i < to; i++) {
+    const x = a[i] - ma, y = b[i] - mb;
+    ab += x * y; aa += x * x; bb += y * y;
+  }
+  return aa > 0 && bb > 0 ? ab / Math.sqrt(aa * bb) : 0;
+}
+
+function peakToPeak(values) {
+  let lo = Infinity, hi = -Infinity;
+  for (const v of values) { if (v < lo) lo = v; if (v > hi) hi = v; }
+  return hi - lo;
+}
+
+function cut(values, from, length) {
+  const out = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    const v = values[from + i];
+    if (v === null || v === undefined || Number.isNaN(v)) return null;
+    out[i] = v;
+  }
+  return out;
+}
+
+function combine(segments, length) {
+  const med = new Float64Array(length);
+  const avg = new Float64Array(length);
+  const column = new Array(segments.length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let k = 0; k < segments.length; k++) { column[k] = segments[k][i]; sum += column[k]; }
+    med[i] = median(column);
+    avg[i] = sum / segments.length;
+  }
+  return { median: med, mean: avg };
+}
+
+// leads: { name: values } sample buffers whose first element has absolute index
+// `start` (null where a sample is missing or the lead can't be derived);
+// beats: [{ index, label }] oldest first. alignLead must be one of `leads`.
+// Returns { rOffset, length, sampleRate, alignLead, count, outliers,
+//   leads: { name: { median, mean } }, beats } with beats oldest first as
+//   { index, label, shift, corr, amplitude, outlier, inTemplate, segments: { name } },
+// or null until MIN_TEMPLATE_BEATS normal beats agree.
+export function buildBeatTemplate(leads, start, beats, sampleRate, { alignLead = 'II', count = TEMPLATE_BEATS } = {}) {
+  const pre = Math.round(-MEDIAN_WINDOW_MS[0] / 1000 * sampleRate);
+  const length = pre + Math.round(MEDIAN_WINDOW_MS[1] / 1000 * sampleRate);
+  const maxShift = Math.round(ALIGN_MS / 1000 * sampleRate);
+  const qrsHalf = Math.round(ALIGN_QRS_MS / 1000 * sampleRate);
+  const align = leads[alignLead];
+  if (!align) return null;
+
+  // windows with room to shift either way, newest beats first
+  const candidates = [];
+  for (let k = beats.length - 1; k >= 0 && candidates.length < count; k--) {
+    const beat = beats[k];
+    const from = beat.index - pre - start;
+    if (from - maxShift < 0 || from + length + maxShift > align.length) continue;
+    const wide = cut(align, from - maxShift, length + 2 * maxShift);
+    if (wide) candidates.push({ beat, from, wide });
+  }
+  const normals = candidates.filter(c => c.beat.label === 'N');
+  if (normals.length < MIN_TEMPLATE_BEATS) return null;
+
+  // first pass: unshifted median of the normal beats
+  const reference = combine(normals.map(c => c.wide.subarray(maxShift, maxShift + length)), length).median;
+  const refAmplitude = peakToPeak(reference);
+  const qrsFrom = Math.max(0, pre - qrsHalf), qrsTo = Math.min(length, pre + qrsHalf);
+
+  const aligned = candidates.reverse().map(({ beat, from, wide }) => {
+    let shift = 0;
+    let best = -Infinity;
+    for (let s = -maxShift; s <= maxShift; s++) {
+      const c = correlation(wide.subarray(maxShift + s, maxShift + s + length), reference, qrsFrom, qrsTo);
+      if (c > best) { best = c; shift = s; }
+    }
+    const own = wide.subarray(maxShift + shift, maxShift + shift + length);
+    const corr = correlation(own, reference);
+    const amplitude = refAmplitude > 0 ? peakToPeak(own) / refAmplitude : 1;
+    const outlier = corr < OUTLIER_CORR || amplitude < OUTLIER_AMPLITUDE[0] || amplitude > OUTLIER_AMPLITUDE[1];
+    const segments = {};
+    for (const [name, values] of Object.entries(leads)) {
+      if (values) segments[name] = cut(values, from + shift, length);
+    }
+    return { index: beat.index, label: beat.label, shift, corr, amplitude, outlier, inTemplate: beat.label === 'N' && !outlier, segments };
+  });
+
+  const members = aligned.filter(b => b.inTemplate);
+  if (members.length < MIN_TEMPLATE_BEATS) return null;
+  const templates = {};
+  for (const name of Object.keys(leads)) {
+    const segments = members.map(b => b.segments[name]).filter(Boolean);
+    if (segments.length >= MIN_TEMPLATE_BEATS) templates[name] = combine(segments, length);
+  }
+  return {
+    rOffset: pre,
+    length,
+    sampleRate,
+    alignLead,
+    count: members.length,
+    outliers: aligned.filter(b => b.outlier).length,
+    leads: templates,
+    beats: aligned,
+  };
+}
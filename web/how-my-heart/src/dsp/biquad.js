@@ -0,0 +1,48 @@
+// Second-order IIR sections (RBJ audio-EQ cookbook designs), direct form I.
+// Each filter is a tiny stateful object: f.step(x) -> y.
+
+function makeBiquad(b0, b1, b2, a0, a1, a2) {
+  const nb0 = b0 / a0, nb1 = b1 / a0, nb2 = b2 / a0, na1 = a1 / a0, na2 = a2 / a0;
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  return {
+    step(x) {
+      const y = nb0 * x + nb1 * x1 + nb2 * x2 - na1 * y1 - na2 * y2;
+      x2 = x1; x1 = x;
+      y2 = y1; y1 = y;
+      return y;
+    },
+    // settle to a constant input (so a stream starting at an offset doesn't ring); returns the settled output
+    reset(value = 0) {
+      const dc = (nb0 + nb1 + nb2) / (1 + na1 + na2);
+      x1 = x2 = value;
+      y1 = y2 = Number.isFinite(dc) ? value * dc : 0;
+      return y1;
+    },
+  };
+}
+
+function clampFreq(f, fs, limit = 0.45) {
+  return Math.min(f, fs * limit);
+}
+
+export function lowpass(fs, f0, q = Math.SQRT1_2) {
+  const w0 = 2 * Math.PI * clampFreq(f0, fs) / fs;
+  const alpha = Math.sin(w0) / (2 * q);
+  const c = Math.cos(w0);
+  return makeBiquad((1 - c) / 2, 1 - c, (1 - c) / 2, 1 + alpha, -2 * c, 1 - alpha);
+}
+
+export function highpass(fs, f0, q = Math.SQRT1_2) {
+  const w0 = 2 * Math.PI * clampFreq(f0, fs) / fs;
+  const alpha = Math.sin(w0) / (2 * q);
+  const c = Math.cos(w0);
+  return makeBiquad((1 + c) / 2, -(1 + c), (1 + c) / 2, 1 + alpha, -2 * c, 1 - alpha);
+}
+
+// unlike the shelving designs a notch stays exact right up to Nyquist (60 Hz at 125 Hz)
+export function notch(fs, f0, q = 30) {
+  const w0 = 2 * Math.PI * clampFreq(f0, fs, 0.499) / fs;
+  const alpha = Math.sin(w0) / (2 * q);
+  const c = Math.cos(w0);
+  return makeBiquad(1, -2 * c, 1, 1 + alpha, -2 * c, 1 - alpha);
+}
@@ -0,0 +1,185 @@
+import { buildMedianBeat } from './medianBeat.js'
+
+// P / QRS / T delineation on the median beat, plus the standard intervals.
+//
+//   QRS onset/offset  from the R-peak out past the Q / S nadir until the slope
+//                     falls below a fraction of the steepest QRS slope
+//   T end             tangent at the steepest descent after the T peak, extended
+//                     to the isoelectric level (the usual manual method)
+//   P onset/offset    the same tangent method on both flanks of the P peak
+//
+// Fiducials are sample offsets relative to the R-peak, so they can be drawn on
+// every normal beat. A wave that isn't clearly there (P in AF, a flat T) is null.
+// The beat is first interpolated to at least WORK_RATE, slopes are in mV/s over
+// a fixed time span and every window is set in ms, so the same beat measures
+// the same at 125 Hz and at 1000 Hz.
+
+export const NORMAL_RANGES = {
+  pr: [120, 200], // ms
+  qrs: [60, 120], // 8 ms per sample at 125 Hz is too coarse for a borderline band
+  qtc: [350, 450], // Bazett; upper limit 460 ms for women
+};
+
+const WORK_RATE = 1000; // Hz; at 125 Hz a Q wave is two samples, too few to find where it starts
+const QRS_SLOPE_FRACTION = 0.06;
+const SLOPE_SPAN_MS = 8; // derivative taken across this much signal
+const NADIR_BRIDGE_MS = 12; // the slope is flat at a Q / S nadir: look this far past it before calling the QRS over
+const BASELINE_MS = 16; // PR segment averaged for the isoelectric level
+const MIN_PR_SEGMENT_MS = 20; // P offset to QRS onset
+const MIN_P_AMPLITUDE = 0.03; // mV
+const MIN_T_AMPLITUDE = 0.05;
+
+function argExtreme(x, from, to, score) {
+  let best = -1, bestValue = -Infinity;
+  for (let i = from; i <= to; i++) {
+    const v = score(x[i], i);
+    if (v > bestValue) { bestValue = v; best = i; }
+  }
+  return best;
+}
+
+// Tangent at the steepest point between `from` and `to`, extended to the
+// baseline (x is baseline-relative, d in mV/s); polarity +1 / -1 is the wave's sign
+function tangentToBaseline(x, d, fs, from, to, polarity, direction) {
+  const i = argExtreme(d, from, to, v => -direction * polarity * v);
+  const slope = d[i];
+  if (i < 0 || slope === 0 || Math.sign(slope) !== -direction * polarity) return null;
+  return i - x[i] / slope * fs;
+}
+
+function steepest(d, from, to) {
+  let m = 0;
+  for (let i = Math.max(0, from); i <= Math.min(d.length - 1, to); i++) m = Math.max(m, Math.abs(d[i]));
+  return m;
+}
+
+// Catmull-Rom interpolation, `factor` points per input sample
+function upsample(values, factor) {
+  const n = values.length;
+  const at = (i) => values[Math.max(0, Math.min(n - 1, i))];
+  const out = new Float64Array((n - 1) * factor + 1);
+  for (let i = 0; i < n - 1; i++) {
+    const p0 = at(i - 1), p1 = at(i), p2 = at(i + 1), p3 = at(i + 2);
+    for (let k = 0; k < factor; k++) {
+      const t = k / factor;
+      out[i * factor + k] = 0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t + (3 * p1 - p0 - 3 * p2 + p3) * t * t * t);
+    }
+  }
+  out[out.length - 1] = values[n - 1];
+  return out;
+}
+
+export function delineateBeat(beat, rOffset, sampleRate, rr = 1) {
+  const factor = Math.ceil(WORK_RATE / sampleRate);
+  if (factor <= 1) return delineateAt(beat, rOffset, sampleRate, rr);
+  const fine = delineateAt(upsample(beat, factor), rOffset * factor, sampleRate * factor, rr);
+  return Object.fromEntries(Object.entries(fine).map(([key, v]) => [key, v === null ? null : v / factor]));
+}
+
+function delineateAt(beat, rOffset, sampleRate, rr) {
+  const fs = sampleRate;
+  const ms = (v) => Math.round(v / 1000 * fs);
+  const n = beat.length;
+  const r = rOffset;
+  const h = Math.max(1, ms(SLOPE_SPAN_MS / 2));
+  const d = new Float64Array(n);
+  for (let i = h; i < n - h; i++) d[i] = (beat[i + h] - beat[i - h]) / (2 * h) * fs;
+
+  // QRS
+  const threshold = QRS_SLOPE_FRACTION * steepest(d, r - ms(60), r + ms(80));
+  const bridge = Math.max(1, ms(NADIR_BRIDGE_MS));
+  let on = r;
+  while (on > 1 && on > r - ms(60) && beat[on - 1] < beat[on]) on--; // down to Q (or the foot of R)
+  while (on > 1 && on > r - ms(150) && steepest(d, on - bridge, on) >= threshold) on--;
+  let off = r;
+  while (off < n - 2 && off < r + ms(80) && beat[off + 1] < beat[off]) off++; // down to S
+  while (off < n - 2 && off < r + ms(200) && steepest(d, off, off + bridge) >= threshold) off++;
+
+  // isoelectric level: the PR segment just before QRS onset
+  const baseFrom = Math.max(0, on - ms(BASELINE_MS));
+  let base = 0;
+  for (let i = baseFrom; i <= on; i++) base += beat[i];
+  base /= on - baseFrom + 1;
+  const x = Array.from(beat, v => v - base);
+
+  // T wave
+  let tPeak = null, tEnd = null;
+  const tFrom = off + ms(60);
+  const tTo = Math.min(n - 2, r + ms(Math.min(550, 700 * rr)));
+  if (tTo > tFrom) {
+    const peak = argExtreme(x, tFrom, tTo, v => Math.abs(v));
+    if (Math.abs(x[peak]) >= MIN_T_AMPLITUDE) {
+      tPeak = peak;
+      const end = tangentToBaseline(x, d, fs, peak, Math.min(n - 2, peak + ms(200)), Math.sign(x[peak]), +1);
+      if (end !== null && end > peak && end < n) tEnd = end;
+    }
+  }
+
+  // P wave
+  let pOn = null, pPeak = null, pOff = null;
+  // not before the previous beat's T wave has ended (it reaches into this window at high rates)
+  const previousTEnd = r - Math.round(rr * fs) + (tEnd !== null ? Math.ceil(tEnd - r) : ms(300));
+  const pFrom = Math.max(1, on - ms(300), previousTEnd);
+  const pTo = on - ms(20);
+  if (pTo > pFrom) {
+    // leftover wander tilts the window: measure from the line joining the TP
+    // segment at its start to the PR segment, not from the PR level alone
+    const tpEnd = Math.min(pTo, pFrom + ms(BASELINE_MS));
+    let tp = 0;
+    for (let i = pFrom; i <= tpEnd; i++) tp += x[i];
+    tp /= tpEnd - pFrom + 1;
+    const tilt = -tp / (on - pFrom); // per sample
+    const px = x.map((v, i) => v - tp - tilt * (i - pFrom));
+    const pd = d.map(v => v - tilt * fs);
+    const peak = argExtreme(px, pFrom, pTo, v => Math.abs(v));
+    const polarity = Math.sign(px[peak]);
+    // a P wave stands out from the rest of the window, noise doesn't
+    let rest = 0;
+    for (let i = pFrom; i <= pTo; i++) if (Math.abs(i - peak) > ms(60)) rest = Math.max(rest, Math.abs(px[i]));
+    if (Math.abs(px[peak]) >= MIN_P_AMPLITUDE && Math.abs(px[peak]) > 2 * rest) {
+      const start = tangentToBaseline(px, pd, fs, Math.max(1, peak - ms(80)), peak, polarity, -1);
+      const end = tangentToBaseline(px, pd, fs, peak, Math.min(on, peak + ms(80)), polarity, +1);
+      if (start !== null && end !== null && start < peak && end > peak && end <= on - ms(MIN_PR_SEGMENT_MS)) {
+        pOn = Math.max(0, start); pPeak = peak; pOff = end;
+      }
+    }
+  }
+
+  const rel = (i) => i === null ? null : i - r;
+  return { pOn: rel(pOn), pPeak: rel(pPeak), pOff: rel(pOff), qrsOn: rel(on), qrsOff: rel(off), tPeak: rel(tPeak), tEnd: rel(tEnd) };
+}
+
+// Intervals in ms from fiducials (R-relative samples); rr in seconds.
+// sex ('female' / other) picks the QTc upper limit.
+export function measureIntervals(fiducials, sampleRate, rr, { sex = '' } = {}) {
+  const toMs = (samples) => samples * 1000 / sampleRate;
+  const f = fiducials;
+  const pr = f.pOn !== null ? toMs(f.qrsOn - f.pOn) : null;
+  const qrs = toMs(f.qrsOff - f.qrsOn);
+  const qt = f.tEnd !== null ? toMs(f.tEnd - f.qrsOn) : null;
+  const qtcB = qt !== null ? qt / Math.sqrt(rr) : null;
+  const qtcF = qt !== null ? qt / Math.cbrt(rr) : null;
+  const qtcHigh = sex === 'female' ? 460 : NORMAL_RANGES.qtc[1];
+
+  const flags = [];
+  if (pr === null) flags.push({ measure: 'pr', severity: 'info', text: 'No clear P wave before the QRS (atrial fibrillation, junctional rhythm or a noisy signal).' });
+  else if (pr > NORMAL_RANGES.pr[1]) flags.push({ measure: 'pr', severity: 'warn', text: `PR ${Math.round(pr)} ms is over ${NORMAL_RANGES.pr[1]} ms (first-degree AV block range).` });
+  else if (pr < NORMAL_RANGES.pr[0]) flags.push({ measure: 'pr', severity: 'warn', text: `PR ${Math.round(pr)} ms is under ${NORMAL_RANGES.pr[0]} ms (short PR, possible pre-excitation).` });
+  if (qrs >= NORMAL_RANGES.qrs[1]) flags.push({ measure: 'qrs', severity: 'warn', text: `QRS ${Math.round(qrs)} ms is wide (≥ ${NORMAL_RANGES.qrs[1]} ms: bundle branch block or ventricular conduction).` });
+  if (qt === null) flags.push({ measure: 'qt', severity: 'info', text: 'T-wave end not found, QT not measured.' });
+  else if (qtcB > 500) flags.push({ measure: 'qtc', severity: 'alert', text: `QTc ${Math.round(qtcB)} ms is markedly prolonged (> 500 ms).` });
+  else if (qtcB > qtcHigh) flags.push({ measure: 'qtc', severity: 'warn', text: `QTc ${Math.round(qtcB)} ms is prolonged (> ${qtcHigh} ms).` });
+  else if (qtcB < NORMAL_RANGES.qtc[0]) flags.push({ measure: 'qtc', severity: 'warn', text: `QTc ${Math.round(qtcB)} ms is short (< ${NORMAL_RANGES.qtc[0]} ms).` });
+  if (rr < 0.6 && qtcB !== null) flags.push({ measure: 'qtc', severity: 'info', text: 'Bazett over-corrects above 100 bpm; Fridericia is the better estimate here.' });
+
+  return { pr, qrs, qt, qtcB, qtcF, rr, hr: 60 / rr, flags };
+}
+
+// Median beat of the recent normal beats, its fiducials and intervals; null
+// until there are enough clean beats
+export function analyzeDelineation(values, start, beats, sampleRate, options = {}) {
+  const median = buildMedianBeat(values, start, beats, sampleRate);
+  if (!median) return null;
+  const fiducials = delineateBeat(median.values, median.rOffset, sampleRate, median.rr);
+  return { median, fiducials, intervals: measureIntervals(fiducials, sampleRate, median.rr, options) };
+}
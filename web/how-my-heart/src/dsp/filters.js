@@ -0,0 +1,90 @@
+import { highpass, lowpass, notch } from './biquad.js'
+
+// Real-time cleanup applied to every lead before display and beat detection:
+//   notch     50/60 Hz mains interference
+//   baseline  wander removal, either a 0.5 Hz high-pass or a 200 ms + 600 ms median
+//   lowpass   40 Hz, EMG and electrode noise
+// Stages whose frequency the sample rate can't represent are bypassed (see bypassedStages).
+
+export const DEFAULT_FILTER_CONFIG = {
+  notch: { enabled: true, freq: 50 },
+  baseline: { enabled: true, method: 'highpass' }, // 'highpass' | 'median'
+  lowpass: { enabled: true, cutoff: 40 },
+};
+
+// Causal running median over the last `size` samples (sorted window, O(size) per step)
+function runningMedian(size) {
+  const ring = new Float64Array(size);
+  const sorted = [];
+  let count = 0;
+
+  function indexOf(v) {
+    let lo = 0, hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sorted[mid] < v) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  return {
+    step(x) {
+      if (count >= size) sorted.splice(indexOf(ring[count % size]), 1);
+      ring[count % size] = x;
+      sorted.splice(indexOf(x), 0, x);
+      count++;
+      return sorted[sorted.length >> 1];
+    },
+  };
+}
+
+function medianBaseline(fs) {
+  // 200 ms removes the QRS, 600 ms removes P/T; what is left is the baseline
+  const qrs = runningMedian(Math.max(3, Math.round(0.2 * fs)));
+  const ptSize = Math.max(3, Math.round(0.6 * fs));
+  const pt = runningMedian(ptSize);
+  return {
+    step: (x) => x - pt.step(qrs.step(x)),
+    reset(value) {
+      for (let i = 0; i < ptSize; i++) pt.step(qrs.step(value));
+      return 0;
+    },
+  };
+}
+
+// Stages that are switched on but can't run at this sample rate: the notch needs
+// its frequency below Nyquist (60 Hz still works at 125 Hz), the low-pass a
+// little room under it
+export function bypassedStages(sampleRate, config = DEFAULT_FILTER_CONFIG) {
+  const bypassed = [];
+  if (config.notch.enabled && !(config.notch.freq < sampleRate / 2)) bypassed.push('notch');
+  if (config.lowpass.enabled && !(config.lowpass.cutoff < 0.45 * sampleRate)) bypassed.push('lowpass');
+  return bypassed;
+}
+
+export function createFilterChain(sampleRate, config = DEFAULT_FILTER_CONFIG) {
+  const stages = [];
+  const bypassed = bypassedStages(sampleRate, config);
+
+  if (config.notch.enabled && !bypassed.includes('notch')) stages.push(notch(sampleRate, config.notch.freq));
+  if (config.baseline.enabled) {
+    stages.push(config.baseline.method === 'median' ? medianBaseline(sampleRate) : highpass(sampleRate, 0.5));
+  }
+  if (config.lowpass.enabled && !bypassed.includes('lowpass')) stages.push(lowpass(sampleRate, config.lowpass.cutoff));
+
+  let primed = false;
+  return {
+    step(x) {
+      if (!primed) {
+        // start every stage from the first sample instead of from zero to avoid a huge step transient
+        let v = x;
+        for (const st of stages) v = st.reset(v);
+        primed = true;
+      }
+      let y = x;
+      for (const st of stages) y = st.step(y);
+      return y;
+    },
+    get active() { return stages.length > 0; },
+  };
+}
@@ -0,0 +1,156 @@
+// Heart rate variability from a series of beats.
+//
+// Input is a list of { t, rr } with the beat time and the RR interval leading up
+// to it, both in seconds. Everything follows the Task Force recommendations
+// (Circulation 1996): time domain on normal-to-normal (NN) intervals, Poincaré
+// SD1/SD2, and LF (0.04-0.15 Hz) / HF (0.15-0.4 Hz) power from a Lomb-Scargle
+// periodogram, which works directly on the unevenly spaced RR series and
+// tolerates the gaps left by removed ectopic beats.
+
+export const HRV_WINDOWS = [60, 120, 300]; // seconds
+export const DEFAULT_HRV_WINDOW = 120;
+
+export const LF_BAND = [0.04, 0.15];
+export const HF_BAND = [0.15, 0.4];
+
+const MIN_RR = 0.3, MAX_RR = 2.0;
+
+// Drops intervals outside 300-2000 ms and any interval more than `tolerance`
+// away from the median of its neighbours (ectopic beats and the compensatory
+// pause after them, missed or extra detections). Kept intervals remember their
+// position so successive differences are only taken across true neighbours.
+export function filterEctopic(series, { tolerance = 0.2, halfWidth = 5 } = {}) {
+  const nn = [];
+  let removed = 0;
+  for (let i = 0; i < series.length; i++) {
+    const { t, rr } = series[i];
+    const neighbours = [];
+    for (let j = Math.max(0, i - halfWidth); j <= Math.min(series.length - 1, i + halfWidth); j++) {
+      if (j !== i) neighbours.push(series[j].rr);
+    }
+    const ref = neighbours.length ? median(neighbours) : rr;
+    if (rr < MIN_RR || rr > MAX_RR || Math.abs(rr - ref) > tolerance * ref) {
+      removed++;
+      continue;
+    }
+    nn.push({ t, rr, i });
+  }
+  return { nn, removed };
+}
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+function meanSd(values) {
+  if (!values.length) return { mean: 0, sd: 0 };
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.length > 1 ? values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length - 1) : 0;
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+// successive differences (ms) between intervals that were adjacent in the original series
+function successiveDiffs(nn) {
+  const diffs = [];
+  for (let k = 1; k < nn.length; k++) {
+    if (nn[k].i === nn[k - 1].i + 1) diffs.push((nn[k].rr - nn[k - 1].rr) * 1000);
+  }
+  return diffs;
+}
+
+// Time domain. All results in ms except meanHr (bpm) and pnn50 (%).
+export function timeDomain(nn) {
+  const rrMs = nn.map(b => b.rr * 1000);
+  const { mean, sd } = meanSd(rrMs);
+  const diffs = successiveDiffs(nn);
+  const rmssd = diffs.length ? Math.sqrt(diffs.reduce((a, d) => a + d * d, 0) / diffs.length) : 0;
+  const pnn50 = diffs.length ? 100 * diffs.filter(d => Math.abs(d) > 50).length / diffs.length : 0;
+  return { meanNN: mean, sdnn: sd, rmssd, pnn50, meanHr: mean > 0 ? 60000 / mean : 0 };
+}
+
+// Poincaré plot descriptors: SD1 (short-term, perpendicular to the identity
+// line) and SD2 (long-term, along it). Points are (RR[n], RR[n+1]) in ms.
+export function poincare(nn) {
+  const points = [];
+  for (let k = 1; k < nn.length; k++) {
+    if (nn[k].i === nn[k - 1].i + 1) points.push([nn[k - 1].rr * 1000, nn[k].rr * 1000]);
+  }
+  if (points.length < 2) return { sd1: 0, sd2: 0, points };
+  const { sd: sdDiff } = meanSd(points.map(([a, b]) => (b - a) / Math.SQRT2));
+  const { sd: sdSum } = meanSd(points.map(([a, b]) => (b + a) / Math.SQRT2));
+  return { sd1: sdDiff, sd2: sdSum, points };
+}
+
+// Lomb-Scargle periodogram of the RR series (ms) at the given frequencies (Hz).
+// Scaled to a one-sided PSD in ms²/Hz (2·Δ·P, Δ = mean RR), so integrating it
+// over frequency gives the variance, like an FFT-based PSD of resampled RR.
+export function lombScargle(nn, freqs) {
+  const t = nn.map(b => b.t);
+  const { mean } = meanSd(nn.map(b => b.rr * 1000));
+  const x = nn.map(b => b.rr * 1000 - mean);
+  const dt = nn.reduce((a, b) => a + b.rr, 0) / nn.length;
+  return freqs.map(f => {
+    const w = 2 * Math.PI * f;
+    let s2 = 0, c2 = 0;
+    for (const ti of t) { s2 += Math.sin(2 * w * ti); c2 += Math.cos(2 * w * ti); }
+    const tau = Math.atan2(s2, c2) / (2 * w);
+    let xc = 0, xs = 0, cc = 0, ss = 0;
+    for (let i = 0; i < t.length; i++) {
+      const c = Math.cos(w * (t[i] - tau)), s = Math.sin(w * (t[i] - tau));
+      xc += x[i] * c; xs += x[i] * s;
+      cc += c * c; ss += s * s;
+    }
+    const p = 0.5 * ((cc > 0 ? xc * xc / cc : 0) + (ss > 0 ? xs * xs / ss : 0));
+    return 2 * dt * p;
+  });
+}
+
+function bandPower(freqs, psd, [lo, hi]) {
+  let power = 0;
+  for (let k = 1; k < freqs.length; k++) {
+    const f0 = freqs[k - 1], f1 = freqs[k];
+    if (f1 <= lo || f0 >= hi) continue;
+    power += (psd[k - 1] + psd[k]) / 2 * (f1 - f0);
+  }
+  return power;
+}
+
+// LF/HF power (ms²), normalised units and the spectrum itself for plotting
+export function frequencyDomain(nn, { df = 0.0025, fMax = 0.5 } = {}) {
+  const freqs = [];
+  for (let f = df; f <= fMax + 1e-9; f += df) freqs.push(f);
+  const psd = lombScargle(nn, freqs);
+  const lf = bandPower(freqs, psd, LF_BAND);
+  const hf = bandPower(freqs, psd, HF_BAND);
+  return {
+    lf, hf,
+    lfHf: hf > 0 ? lf / hf : null,
+    lfNu: lf + hf > 0 ? 100 * lf / (lf + hf) : null,
+    hfNu: lf + hf > 0 ? 100 * hf / (lf + hf) : null,
+    freqs, psd,
+  };
+}
+
+// Full analysis of the last `windowSec` seconds of beats. Frequency-domain
+// numbers need at least ~1 min of data (LF periods are up to 25 s) and are
+// null below that.
+export function analyzeHrv(series, { windowSec = DEFAULT_HRV_WINDOW, tolerance = 0.2 } = {}) {
+  if (!series.length) return null;
+  const end = series[series.length - 1].t;
+  const windowed = series.filter(b => b.t > end - windowSec);
+  const { nn, removed } = filterEctopic(windowed, { tolerance });
+  if (nn.length < 3) return null;
+  const span = nn[nn.length - 1].t - nn[0].t + nn[0].rr;
+  return {
+    windowSec,
+    spanSec: span,
+    beats: windowed.length,
+    nnCount: nn.length,
+    ectopicRemoved: removed,
+    ...timeDomain(nn),
+    ...poincare(nn),
+    spectrum: span >= 60 ? frequencyDomain(nn) : null,
+  };
+}
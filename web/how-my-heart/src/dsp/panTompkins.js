@@ -0,0 +1,176 @@
+import { highpass, lowpass } from './biquad.js'
+
+// Streaming Pan-Tompkins QRS detector (Pan & Tompkins, IEEE TBME 1985).
+//
+//   bandpass 5-15 Hz -> 5-point derivative -> squaring -> 150 ms moving-window
+//   integration -> peak picking with dual adaptive thresholds (signal/noise
+//   levels), T-wave discrimination and search-back for missed beats.
+//
+// Everything is timed in samples: push(x) consumes one sample and returns the
+// beats confirmed by it as { index, rr } (sample index of the R-peak in the raw
+// input and the RR interval in samples, or null for the first beat). Because of
+// the search-back and peak confirmation, a beat is reported ~0.2-0.4 s after
+// its R-peak; `index` always points at the peak itself.
+
+export function createPanTompkins(sampleRate) {
+  const fs = sampleRate;
+  const ms = (v) => Math.max(1, Math.round(v * fs / 1000));
+
+  const hp = highpass(fs, 5);
+  const lp = lowpass(fs, 15);
+  const MWI = ms(150);
+  const REFRACTORY = ms(200);
+  const T_WAVE_WINDOW = ms(360);
+  const LEARNING = ms(2000);
+  const HISTORY = ms(4000);
+
+  // ring buffers (raw input, derivative magnitude, integrated signal)
+  const raw = new Float64Array(HISTORY);
+  const slope = new Float64Array(HISTORY);
+  const bp = new Float64Array(5);
+  const sq = new Float64Array(MWI);
+  let mwiSum = 0;
+
+  let n = 0; // index of the next sample
+  let prevMwi = 0, prevPrevMwi = 0;
+  let pending = null; // candidate peak waiting out the refractory window
+
+  let spki = 0, npki = 0;
+  let learnMax = 0, learnSum = 0;
+  let learned = false;
+
+  let lastQrs = null; // { index, peakIndex, slope }
+  let rrRecent = []; // last 8 RR intervals (samples)
+  let rrSelected = []; // last 8 RR intervals within 92-116 % of the average
+  let rrAvg2 = null;
+  let searchBack = null; // best noise peak above threshold II since the last QRS
+
+  const at = (buf, i) => buf[((i % buf.length) + buf.length) % buf.length];
+
+  function thresholds() {
+    let t1 = npki + 0.25 * (spki - npki);
+    if (rrRecent.length && rrAvg2 && (rrRecent[rrRecent.length - 1] < 0.92 * rrAvg2 || rrRecent[rrRecent.length - 1] > 1.16 * rrAvg2)) {
+      t1 *= 0.5; // irregular rhythm: be more sensitive
+    }
+    return { t1, t2: 0.5 * t1 };
+  }
+
+  function maxSlopeBefore(peakIndex) {
+    let m = 0;
+    for (let i = Math.max(0, peakIndex - MWI, n - HISTORY + 1); i <= peakIndex; i++) m = Math.max(m, at(slope, i));
+    return m;
+  }
+
+  // The integrated peak lags the R-wave; look for the largest raw deflection
+  // in the integration window that produced it.
+  function locateR(peakIndex) {
+    const from = Math.max(0, peakIndex - MWI - ms(50), n - HISTORY + 1);
+    let best = from;
+    let bestV = -Infinity;
+    for (let i = from; i <= peakIndex; i++) {
+      const v = at(raw, i);
+      if (v > bestV) { bestV = v; best = i; }
+    }
+    return best;
+  }
+
+  function acceptQrs(peak, fromSearchBack) {
+    const rIndex = locateR(peak.index);
+    if (fromSearchBack) spki = 0.25 * peak.value + 0.75 * spki;
+    else spki = 0.125 * peak.value + 0.875 * spki;
+
+    let rr = null;
+    if (lastQrs) {
+      rr = rIndex - lastQrs.index;
+      rrRecent.push(rr);
+      if (rrRecent.length > 8) rrRecent.shift();
+      const avg1 = rrRecent.reduce((a, b) => a + b, 0) / rrRecent.length;
+      if (!rrAvg2 || (rr > 0.92 * rrAvg2 && rr < 1.16 * rrAvg2)) {
+        rrSelected.push(rr);
+        if (rrSelected.length > 8) rrSelected.shift();
+        rrAvg2 = rrSelected.reduce((a, b) => a + b, 0) / rrSelected.length;
+      } else if (!rrSelected.length) {
+        rrAvg2 = avg1;
+      }
+    }
+    lastQrs = { index: rIndex, peakIndex: peak.index, slope: peak.slope };
+    searchBack = null;
+    return { index: rIndex, rr };
+  }
+
+  function classifyPeak(peak, out) {
+    if (!learned) return;
+    const { t1, t2 } = thresholds();
+    if (peak.value > t1) {
+      // a peak too soon after the last QRS with a shallow slope is a T-wave
+      if (lastQrs && peak.index - lastQrs.peakIndex < T_WAVE_WINDOW && peak.slope < 0.5 * lastQrs.slope) {
+        npki = 0.125 * peak.value + 0.875 * npki;
+        return;
+      }
+      if (lastQrs && peak.index - lastQrs.peakIndex < REFRACTORY) return;
+      out.push(acceptQrs(peak, false));
+    } else {
+      npki = 0.125 * peak.value + 0.875 * npki;
+      if (peak.value > t2 && (!searchBack || peak.value > searchBack.value)) searchBack = peak;
+    }
+  }
+
+  function push(x) {
+    const out = [];
+    const i = n;
+    raw[i % HISTORY] = x;
+
+    // bandpass + derivative (5-point, Pan-Tompkins form)
+    const y = lp.step(hp.step(x));
+    bp[i % 5] = y;
+    const d = i >= 4 ? (2 * y + at(bp, i - 1) - at(bp, i - 3) - 2 * at(bp, i - 4)) * fs / 8 : 0;
+    slope[i % HISTORY] = Math.abs(d);
+
+    // squaring + moving-window integration
+    const s = d * d;
+    mwiSum += s - sq[i % MWI];
+    sq[i % MWI] = s;
+    const mwi = mwiSum / MWI;
+
+    if (!learned) {
+      learnMax = Math.max(learnMax, mwi);
+      learnSum += mwi;
+      if (i + 1 >= LEARNING) {
+        spki = 0.25 * learnMax;
+        npki = 0.5 * learnSum / (i + 1);
+        learned = true;
+      }
+    }
+
+    // local maximum of the integrated signal at i-1
+    if (i >= 2 && prevMwi > prevPrevMwi && prevMwi >= mwi) {
+      const candidate = { index: i - 1, value: prevMwi, slope: maxSlopeBefore(i - 1) };
+      if (!pending || candidate.index - pending.index >= REFRACTORY) {
+        if (pending) classifyPeak(pending, out);
+        pending = candidate;
+      } else if (candidate.value > pending.value) {
+        pending = candidate;
+      }
+    }
+    if (pending && i - pending.index >= REFRACTORY) {
+      classifyPeak(pending, out);
+      pending = null;
+    }
+
+    // search-back: nothing detected for 166 % of the average RR
+    if (learned && lastQrs && rrAvg2 && searchBack && i - lastQrs.index > 1.66 * rrAvg2) {
+      out.push(acceptQrs(searchBack, true));
+    }
+
+    prevPrevMwi = prevMwi;
+    prevMwi = mwi;
+    n++;
+    return out;
+  }
+
+  return {
+    push,
+    get sampleRate() { return fs; },
+    get samplesSeen() { return n; },
+  };
+}
@@ -0,0 +1,154 @@
+import { filterEctopic } from './hrv.js'
+
+// ECG-derived respiration (EDR). Breathing shows up in the ECG three ways:
+//   amplitude  the R-peak amplitude swings as the chest moves relative to the
+//              electrodes and the lungs fill (QRS peak-to-peak per normal beat)
+//   rsa        respiratory sinus arrhythmia: RR intervals shorten on inhaling
+//              and lengthen on exhaling (ectopic-filtered RR series)
+//   baseline   the unfiltered signal's baseline wanders with each breath
+// Each is resampled evenly at RESAMPLE_HZ, detrended and Hann-windowed, and its
+// spectrum searched for the strongest peak in the breathing band. A source's
+// confidence is the share of the band's power in that peak. The estimates are
+// then fused: the most confident one and those within AGREE_BPM of it are
+// averaged by confidence, and the fused confidence is scaled down by the
+// weight of the sources that disagree.
+
+export const EDR_WINDOW_SEC = 60;
+export const BREATH_BAND_HZ = [0.1, 0.5]; // 6-30 breaths per minute
+export const EDR_SOURCES = {
+  amplitude: { name: 'R amplitude' },
+  rsa: { name: 'RR intervals' },
+  baseline: { name: 'Baseline wander' },
+};
+
+const RESAMPLE_HZ = 4;
+const DF_HZ = 0.005; // spectrum resolution, 0.3 breaths per minute
+const PEAK_HALF_WIDTH_HZ = 0.03; // Hann main lobe of a 60 s window
+const AGREE_BPM = 3;
+const MIN_BEATS = 12;
+const MIN_SPAN_SEC = 30; // below this a 6 per minute rhythm isn't even three cycles
+const QRS_HALF_MS = 60;
+
+// Evenly spaced linear interpolation of (t, x) points over [from, to)
+function resampleEven(points, from, to) {
+  const n = Math.floor((to - from) * RESAMPLE_HZ);
+  if (points.length < 2 || n < 4) return null;
+  const out = new Float64Array(n);
+  let k = 0;
+  for (let i = 0; i < n; i++) {
+    const t = from + i / RESAMPLE_HZ;
+    while (k < points.length - 2 && points[k + 1].t < t) k++;
+    const a = points[k], b = points[k + 1];
+    const f = b.t > a.t ? Math.max(0, Math.min(1, (t - a.t) / (b.t - a.t))) : 0;
+    out[i] = a.x + (b.x - a.x) * f;
+  }
+  return out;
+}
+
+// Removes the least-squares line, then applies a Hann window
+function detrendWindow(values) {
+  const n = values.length;
+  let st = 0, sx = 0, stt = 0, stx = 0;
+  for (let i = 0; i < n; i++) { st += i; sx += values[i]; stt += i * i; stx += i * values[i]; }
+  const slope = (n * stx - st * sx) / Math.max(1e-12, n * stt - st * st);
+  const offset = (sx - slope * st) / n;
+  return values.map((v, i) => (v - offset - slope * i) * (0.5 - 0.5 * Math.cos(2 * Math.PI * i / (n - 1))));
+}
+
+// Strongest breathing-band peak of an evenly sampled series -> { rate, confidence }
+function breathingPeak(values) {
+  const x = detrendWindow(values);
+  const freqs = [], power = [];
+  for (let f = BREATH_BAND_HZ[0]; f <= BREATH_BAND_HZ[1] + 1e-9; f += DF_HZ) {
+    const w = 2 * Math.PI * f / RESAMPLE_HZ;
+    let re = 0, im = 0;
+    for (let i = 0; i < x.length; i++) { re += x[i] * Math.cos(w * i); im -= x[i] * Math.sin(w * i); }
+    freqs.push(f);
+    power.push(re * re + im * im);
+  }
+  let peak = 0;
+  for (let k = 1; k < power.length; k++) if (power[k] > power[peak]) peak = k;
+  const total = power.reduce((a, b) => a + b, 0);
+  if (!(total > 0)) return null;
+  let inPeak = 0;
+  for (let k = 0; k < power.length; k++) if (Math.abs(freqs[k] - freqs[peak]) <= PEAK_HALF_WIDTH_HZ) inPeak += power[k];
+  return { rate: freqs[peak] * 60, confidence: inPeak / total };
+}
+
+// QRS peak-to-peak around each beat, from a buffer whose first element has index `start`
+function rAmplitudes(signal, start, beats, sampleRate) {
+  const half = Math.round(QRS_HALF_MS / 1000 * sampleRate);
+  const out = [];
+  for (const b of beats) {
+    const from = b.index - half - start, to = b.index + half - start;
+    if (from < 0 || to >= signal.length) continue;
+    let lo = Infinity, hi = -Infinity;
+    for (let i = from; i <= to; i++) {
+      const v = signal[i];
+      if (v === null || Number.isNaN(v)) { lo = Infinity; break; }
+      if (v < lo) lo = v;
+      if (v > hi) hi = v;
+    }
+    if (Number.isFinite(lo)) out.push({ t: b.index / sampleRate, x: hi - lo });
+  }
+  return out;
+}
+
+// Baseline: block means of the raw signal at RESAMPLE_HZ (which averages the QRS away)
+function baselinePoints(raw, start, sampleRate) {
+  const block = Math.max(1, Math.round(sampleRate / RESAMPLE_HZ));
+  const out = [];
+  for (let i = 0; i + block <= raw.length; i += block) {
+    let sum = 0, n = 0;
+    for (let j = i; j < i + block; j++) {
+      const v = raw[j];
+      if (v !== null && !Number.isNaN(v)) { sum += v; n++; }
+    }
+    if (n === block) out.push({ t: (start + i + block / 2) / sampleRate, x: sum / n });
+  }
+  return out;
+}
+
+function estimate(points, from, to) {
+  if (points.length < 2 || points[points.length - 1].t - points[0].t < MIN_SPAN_SEC) return null;
+  const values = resampleEven(points, Math.max(from, points[0].t), Math.min(to, points[points.length - 1].t));
+  return values && breathingPeak(values);
+}
+
+// signal: filtered lead, raw: the same lead unfiltered, both buffers whose first
+// element has absolute sample index `start` (null in gaps); beats: [{ index, label }]
+// oldest first. Returns { rate, confidence, sources: { amplitude, rsa, baseline } }
+// with each source { rate, confidence, agrees } or null, and rate / confidence
+// null while no source has an estimate.
+export function estimateRespiration({ signal, raw, start, beats, sampleRate, windowSec = EDR_WINDOW_SEC }) {
+  const end = start + signal.length;
+  const from = Math.max(start, end - Math.round(windowSec * sampleRate));
+  const recent = beats.filter(b => b.index >= from && b.index < end);
+  const fromSec = from / sampleRate, toSec = end / sampleRate;
+
+  const sources = { amplitude: null, rsa: null, baseline: null };
+  const normal = recent.filter(b => b.label === 'N' || b.label === undefined);
+  if (normal.length >= MIN_BEATS) sources.amplitude = estimate(rAmplitudes(signal, start, normal, sampleRate), fromSec, toSec);
+  if (recent.length >= MIN_BEATS) {
+    const series = [];
+    for (let k = 1; k < recent.length; k++) {
+      series.push({ t: recent[k].index / sampleRate, rr: (recent[k].index - recent[k - 1].index) / sampleRate });
+    }
+    const { nn } = filterEctopic(series);
+    sources.rsa = estimate(nn.map(b => ({ t: b.t, x: b.rr })), fromSec, toSec);
+  }
+  if (raw) sources.baseline = estimate(baselinePoints(raw.slice(from - start), from, sampleRate), fromSec, toSec);
+
+  const found = Object.values(sources).filter(Boolean);
+  if (!found.length) return { rate: null, confidence: null, sources };
+  const best = found.reduce((a, b) => b.confidence > a.confidence ? b : a);
+  for (const s of found) s.agrees = Math.abs(s.rate - best.rate) <= AGREE_BPM;
+  const agreeing = found.filter(s => s.agrees);
+  const weight = agreeing.reduce((a, s) => a + s.confidence, 0);
+  const total = found.reduce((a, s) => a + s.confidence, 0);
+  return {
+    rate: agreeing.reduce((a, s) => a + s.rate * s.confidence, 0) / weight,
+    confidence: (weight / agreeing.length) * (weight / total),
+    sources,
+  };
+}
@@ -0,0 +1,158 @@
+// Signal quality index (SQI) for the detection lead.
+//
+// Every HOP seconds the last WINDOW seconds are scored by a handful of simple
+// checks, each mapped to 0..1 (1 = fine) between a "good" and a "bad" level:
+//
+//   flatline    standard deviation of the filtered signal (electrode off, ADC stuck)
+//   clipping    share of raw samples sitting on the window's min/max rail (saturation)
+//   noise       RMS of the filtered second difference relative to the QRS amplitude
+//               (EMG, mains hum the notch is not removing)
+//   drift       excursion of the raw baseline (1 s moving mean), i.e. motion / respiration
+//   kurtosis    ECG is spiky (kurtosis well above 3); noise and artefact are not
+//   template    mean correlation of the window's beats with their average beat
+//
+// The window score is the worst check ×100; 70+ is good, 40-70 fair, below 40
+// poor. A window that is flat or railed throughout is reported as leads off,
+// for devices that don't signal lead-off themselves.
+
+export const QUALITY_WINDOW_SEC = 3;
+export const QUALITY_HOP_SEC = 0.5;
+
+export const QUALITY_LEVELS = {
+  good: { min: 70, color: '#7ef77e' },
+  fair: { min: 40, color: '#fbbf24' },
+  poor: { min: 0, color: '#ff6b6b' },
+};
+
+// q = 1 at `good`, 0 at `bad`, linear in between (works for either direction)
+function ramp(value, good, bad) {
+  const t = (value - good) / (bad - good);
+  return Math.max(0, Math.min(1, 1 - t));
+}
+
+function stats(values) {
+  const n = values.length;
+  let mean = 0;
+  for (const v of values) mean += v;
+  mean /= n;
+  let m2 = 0, m4 = 0;
+  for (const v of values) {
+    const d = (v - mean) ** 2;
+    m2 += d; m4 += d * d;
+  }
+  m2 /= n; m4 /= n;
+  return { mean, sd: Math.sqrt(m2), kurtosis: m2 > 0 ? m4 / (m2 * m2) : 0 };
+}
+
+function correlation(a, b) {
+  let ma = 0, mb = 0;
+  for (let i = 0; i < a.length; i++) { ma += a[i]; mb += b[i]; }
+  ma /= a.length; mb /= b.length;
+  let ab = 0, aa = 0, bb = 0;
+  for (let i = 0; i < a.length; i++) {
+    const x = a[i] - ma, y = b[i] - mb;
+    ab += x * y; aa += x * x; bb += y * y;
+  }
+  return aa > 0 && bb > 0 ? ab / Math.sqrt(aa * bb) : 0;
+}
+
+// Scores one window. raw/filtered are equally long arrays; beatOffsets are
+// R-peak positions inside them.
+export function scoreWindow(raw, filtered, beatOffsets, sampleRate) {
+  const fs = sampleRate;
+  const f = stats(filtered);
+  let ptp = 0;
+  {
+    let lo = Infinity, hi = -Infinity;
+    for (const v of filtered) { if (v < lo) lo = v; if (v > hi) hi = v; }
+    ptp = hi - lo;
+  }
+
+  // rails: samples equal to the raw min or max, only meaningful if they repeat
+  let rawLo = Infinity, rawHi = -Infinity;
+  for (const v of raw) { if (v < rawLo) rawLo = v; if (v > rawHi) rawHi = v; }
+  let atLo = 0, atHi = 0;
+  for (const v of raw) { if (v === rawLo) atLo++; if (v === rawHi) atHi++; }
+  const railFraction = rawHi > rawLo ? ((atLo >= 3 ? atLo : 0) + (atHi >= 3 ? atHi : 0)) / raw.length : 0;
+
+  // noise that made it through the filter chain, i.e. what the detector sees
+  let d2 = 0;
+  for (let i = 2; i < filtered.length; i++) d2 += (filtered[i] - 2 * filtered[i - 1] + filtered[i - 2]) ** 2;
+  const noise = ptp > 0 ? Math.sqrt(d2 / (filtered.length - 2)) / ptp : 1;
+
+  const half = Math.max(1, Math.round(fs / 2));
+  let sum = 0, lo = Infinity, hi = -Infinity;
+  for (let i = 0; i < raw.length; i++) {
+    sum += raw[i];
+    if (i >= 2 * half) sum -= raw[i - 2 * half];
+    if (i >= 2 * half - 1) {
+      const m = sum / (2 * half);
+      if (m < lo) lo = m;
+      if (m > hi) hi = m;
+    }
+  }
+  const drift = hi >= lo ? hi - lo : 0;
+
+  const segLen = Math.round(0.25 * fs), pre = Math.round(0.1 * fs);
+  const segments = beatOffsets.filter(o => o - pre >= 0 && o - pre + segLen <= filtered.length).map(o => filtered.slice(o - pre, o - pre + segLen));
+  let templateCorr = null;
+  if (segments.length >= 2) {
+    const avg = new Array(segLen).fill(0);
+    for (const s of segments) for (let i = 0; i < segLen; i++) avg[i] += s[i] / segments.length;
+    templateCorr = segments.reduce((a, s) => a + correlation(s, avg), 0) / segments.length;
+  }
+
+  const checks = {
+    flatline: ramp(f.sd, 0.05, 0.01),
+    clipping: ramp(railFraction, 0.01, 0.05),
+    noise: ramp(noise, 0.1, 0.25),
+    drift: ramp(drift, 1, 3),
+    kurtosis: ramp(f.kurtosis, 5, 2.5),
+    template: templateCorr === null ? 1 : ramp(templateCorr, 0.9, 0.5),
+  };
+  let score = 100;
+  for (const q of Object.values(checks)) score = Math.min(score, Math.round(q * 100));
+  const level = score >= QUALITY_LEVELS.good.min ? 'good' : score >= QUALITY_LEVELS.fair.min ? 'fair' : 'poor';
+  return {
+    score,
+    level,
+    reasons: Object.keys(checks).filter(k => checks[k] < 0.7),
+    leadOff: checks.flatline === 0 || railFraction > 0.5,
+    checks,
+    features: { sd: f.sd, railFraction, noise, drift, kurtosis: f.kurtosis, templateCorr },
+  };
+}
+
+// Streaming wrapper: push(raw, filtered) once per sample, addBeat(index) per
+// detected beat; push returns a scored window every HOP, otherwise null.
+// Window results carry absolute sample indices { start, end } (end exclusive).
+export function createQualityMonitor(sampleRate, start = 0) {
+  const fs = sampleRate;
+  const size = Math.round(QUALITY_WINDOW_SEC * fs);
+  const hop = Math.round(QUALITY_HOP_SEC * fs);
+  const raw = new Float64Array(size);
+  const filtered = new Float64Array(size);
+  let n = start; // absolute index of the next sample
+  let filled = 0;
+  let sinceHop = 0;
+  const beats = [];
+
+  return {
+    push(rawValue, filteredValue) {
+      raw[n % size] = rawValue;
+      filtered[n % size] = filteredValue;
+      n++;
+      if (filled < size) filled++;
+      if (++sinceHop < hop || filled < size) return null;
+      sinceHop = 0;
+      const from = n - size;
+      const r = new Array(size), y = new Array(size);
+      for (let i = 0; i < size; i++) { r[i] = raw[(from + i) % size]; y[i] = filtered[(from + i) % size]; }
+      while (beats.length && beats[0] < from) beats.shift();
+      return { start: from, end: n, ...scoreWindow(r, y, beats.map(b => b - from), fs) };
+    },
+    addBeat(index) {
+      beats.push(index);
+    },
+  };
+}
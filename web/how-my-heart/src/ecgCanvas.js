@@ -0,0 +1,342 @@
+import { LEAD_NAMES, deriveLeadSeries } from './leads.js'
+import { BEAT_LABELS } from './dsp/arrhythmia.js'
+import { markerTitle } from './markers.js'
+
+// ECG canvas rendering. Sample values are in mV (the device calibrates to
+// that range, and protocol headers can rescale raw units via unitsPerMv).
+//
+// Two display modes:
+//   fit    the whole recent buffer stretched over the canvas (the original view)
+//   paper  clinical ECG paper: 1 mm small / 5 mm large boxes, sweep speed in mm/s
+//          and gain in mm/mV, so intervals and amplitudes can be read off the grid
+
+export const PX_PER_MM = 96 / 25.4; // CSS pixels per millimetre
+export const SWEEP_SPEEDS = [12.5, 25, 50]; // mm/s
+export const PAPER_GAINS = [5, 10, 20]; // mm/mV
+
+export const DEFAULT_DISPLAY = {
+  mode: 'paper', // 'paper' | 'fit'
+  sweep: 25,
+  gain: 10,
+};
+
+const FIT_RANGE_MV = 4; // fit mode spans -2..2 mV per row
+
+// Maps between sample index / value and canvas coordinates for one frame.
+// Indices are absolute sample indices; the view ends at `viewEnd` (exclusive).
+export function computeLayout({ width, height, rows, display, sampleRate, viewEnd, available, fitSamples }) {
+  const rowH = height / rows;
+  const centerY = (row) => rowH * (row + 0.5);
+
+  if (display.mode === 'paper') {
+    const pxPerSample = display.sweep * PX_PER_MM / sampleRate;
+    const pxPerMv = display.gain * PX_PER_MM;
+    const visibleSamples = Math.ceil(width / pxPerSample);
+    return {
+      mode: 'paper', rows, rowH, centerY, pxPerMv,
+      startIndex: viewEnd - visibleSamples,
+      endIndex: viewEnd,
+      xOf: (index) => width - (viewEnd - 1 - index) * pxPerSample,
+      indexOf: (x) => Math.round(viewEnd - 1 - (width - x) / pxPerSample),
+      yOf: (v, row, leadGain = 1) => centerY(row) - v * pxPerMv * leadGain,
+      valueOf: (y, row, leadGain = 1) => (centerY(row) - y) / (pxPerMv * leadGain),
+    };
+  }
+
+  const n = Math.max(2, Math.min(fitSamples, available));
+  const pxPerMv = rowH * 0.85 / FIT_RANGE_MV;
+  return {
+    mode: 'fit', rows, rowH, centerY, pxPerMv,
+    startIndex: viewEnd - n,
+    endIndex: viewEnd,
+    xOf: (index) => ((index - (viewEnd - n)) / (n - 1)) * width,
+    indexOf: (x) => Math.round(viewEnd - n + (x / width) * (n - 1)),
+    yOf: (v, row, leadGain = 1) => centerY(row) - v * pxPerMv * leadGain,
+    valueOf: (y, row, leadGain = 1) => (centerY(row) - y) / (pxPerMv * leadGain),
+  };
+}
+
+export function rowAt(layout, y) {
+  return Math.max(0, Math.min(layout.rows - 1, Math.floor(y / layout.rowH)));
+}
+
+function drawFitGrid(ctx, w, h) {
+  ctx.strokeStyle = '#1a2530'; ctx.lineWidth = 1;
+  for (let i = 0; i < 8; i++) {
+    const y = (i / 7) * h;
+    ctx.beginPath(); ctx.moveTo(0, y); ctx.lineTo(w, y); ctx.stroke();
+  }
+  // draw midline
+  ctx.strokeStyle = '#2a3540'; ctx.lineWidth = 2;
+  ctx.beginPath(); ctx.moveTo(0,h/2); ctx.lineTo(w,h/2); ctx.stroke();
+}
+
+// Small boxes every 1 mm, large boxes every 5 mm, anchored to the right edge
+// so the grid scrolls with the trace.
+function drawPaperGrid(ctx, w, h, layout, sampleRate, sweep) {
+  const mm = PX_PER_MM;
+  const pxPerSample = sweep * mm / sampleRate;
+  const shift = ((layout.endIndex * pxPerSample) % (5 * mm) + 5 * mm) % (5 * mm);
+  for (const [step, color, width] of [[mm, 'rgba(255,90,90,0.10)', 1], [5 * mm, 'rgba(255,90,90,0.28)', 1]]) {
+    ctx.strokeStyle = color; ctx.lineWidth = width;
+    ctx.beginPath();
+    for (let x = w - shift; x >= 0; x -= step) { ctx.moveTo(x, 0); ctx.lineTo(x, h); }
+    for (let x = w - shift + step; x <= w; x += step) { ctx.moveTo(x, 0); ctx.lineTo(x, h); }
+    for (let row = 0; row < layout.rows; row++) {
+      const c = layout.centerY(row);
+      const top = row * layout.rowH;
+      for (let y = c; y >= top; y -= step) { ctx.moveTo(0, y); ctx.lineTo(w, y); }
+      for (let y = c + step; y <= top + layout.rowH; y += step) { ctx.moveTo(0, y); ctx.lineTo(w, y); }
+    }
+    ctx.stroke();
+  }
+}
+
+// Standard 1 mV x 200 ms calibration pulse at the start of a row
+function drawCalibrationPulse(ctx, layout, row, sampleRate, sweep, color) {
+  const base = layout.yOf(0, row);
+  const top = layout.yOf(1, row);
+  const x0 = 6;
+  const pulseW = 0.2 * sweep * PX_PER_MM;
+  ctx.strokeStyle = color; ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(x0, base); ctx.lineTo(x0 + 4, base); ctx.lineTo(x0 + 4, top);
+  ctx.lineTo(x0 + 4 + pulseW, top); ctx.lineTo(x0 + 4 + pulseW, base); ctx.lineTo(x0 + 8 + pulseW, base);
+  ctx.stroke();
+}
+
+function drawTrace(ctx, layout, values, startIndex, row, gain) {
+  let penDown = false;
+  ctx.beginPath();
+  for (let i = 0; i < values.length; i++) {
+    const v = values[i];
+    if (v === null) { penDown = false; continue; }
+    const x = layout.xOf(startIndex + i);
+    const y = layout.yOf(v, row, gain);
+    if (!penDown) { ctx.moveTo(x, y); penDown = true; } else ctx.lineTo(x, y);
+  }
+  ctx.stroke();
+}
+
+// Shade stretches the signal-quality monitor scored fair (amber) or poor (red)
+function drawQualityShading(ctx, layout, spans, h) {
+  if (!spans || !spans.length) return;
+  for (const span of spans) {
+    if (span.level === 'good' || span.end < layout.startIndex || span.start > layout.endIndex) continue;
+    const x0 = layout.xOf(Math.max(span.start, layout.startIndex));
+    const x1 = layout.xOf(Math.min(span.end, layout.endIndex));
+    ctx.fillStyle = span.level === 'poor' ? 'rgba(255,80,80,0.14)' : 'rgba(251,191,36,0.08)';
+    ctx.fillRect(x0, 0, Math.max(1, x1 - x0), h);
+  }
+}
+
+// Stretches where samples were lost (the trace itself breaks there, since the
+// buffers hold nulls): a grey band saying how long the gap was
+function drawGaps(ctx, layout, gaps, sampleRate, h) {
+  if (!gaps || !gaps.length) return;
+  ctx.save();
+  for (const gap of gaps) {
+    const end = gap.start + gap.length;
+    if (end < layout.startIndex || gap.start > layout.endIndex) continue;
+    const x0 = layout.xOf(Math.max(gap.start, layout.startIndex));
+    const x1 = layout.xOf(Math.min(end, layout.endIndex));
+    ctx.fillStyle = 'rgba(148,163,184,0.10)';
+    ctx.fillRect(x0, 0, Math.max(2, x1 - x0), h);
+    ctx.strokeStyle = 'rgba(148,163,184,0.5)'; ctx.lineWidth = 1; ctx.setLineDash([4, 4]);
+    ctx.beginPath(); ctx.moveTo(x0, 0); ctx.lineTo(x0, h); ctx.moveTo(x1, 0); ctx.lineTo(x1, h); ctx.stroke();
+    if (x1 - x0 > 40) {
+      ctx.fillStyle = 'rgba(203,213,225,0.8)'; ctx.font = '11px Arial'; ctx.textAlign = 'center';
+      ctx.fillText(`no data ${(gap.length / sampleRate).toFixed(1)} s`, (x0 + x1) / 2, 40);
+    }
+  }
+  ctx.restore();
+}
+
+// Beat labels from the classifier along the bottom of the detection lead's row
+function drawBeatMarkers(ctx, layout, beats, row) {
+  if (!beats || !beats.length) return;
+  const y = layout.rowH * (row + 1) - 24;
+  ctx.save();
+  ctx.textAlign = 'center';
+  for (const beat of beats) {
+    if (beat.index < layout.startIndex || beat.index > layout.endIndex) continue;
+    const x = layout.xOf(beat.index);
+    const style = BEAT_LABELS[beat.label] || BEAT_LABELS.N;
+    if (beat.label === 'N') {
+      ctx.fillStyle = 'rgba(126,247,126,0.5)'; ctx.font = '10px Arial';
+      ctx.fillText('N', x, y);
+      continue;
+    }
+    ctx.fillStyle = style.color; ctx.font = 'bold 13px Arial';
+    ctx.fillText(beat.label, x, y);
+    ctx.beginPath(); ctx.moveTo(x - 4, y + 4); ctx.lineTo(x + 4, y + 4); ctx.lineTo(x, y + 9); ctx.closePath(); ctx.fill();
+  }
+  ctx.restore();
+}
+
+// Event markers the user set: a flagged line through every row, titled at the top
+function drawEventMarkers(ctx, layout, markers, h) {
+  if (!markers || !markers.length) return;
+  ctx.save();
+  ctx.font = 'bold 11px Arial'; ctx.textAlign = 'left';
+  for (const marker of markers) {
+    if (marker.index < layout.startIndex || marker.index > layout.endIndex) continue;
+    const x = layout.xOf(marker.index);
+    ctx.strokeStyle = 'rgba(56,189,248,0.8)'; ctx.lineWidth = 1.5; ctx.setLineDash([6, 3]);
+    ctx.beginPath(); ctx.moveTo(x, 0); ctx.lineTo(x, h); ctx.stroke();
+    const title = `📍 ${markerTitle(marker)}`;
+    const width = ctx.measureText(title).width + 8;
+    ctx.fillStyle = 'rgba(13,18,24,0.85)'; ctx.fillRect(x + 2, 38, width, 16);
+    ctx.fillStyle = '#38bdf8';
+    ctx.fillText(title, x + 6, 50);
+  }
+  ctx.restore();
+}
+
+// P / QRS / T-end fiducials from the median-beat delineation, drawn on every
+// normal beat of the detection lead's row; labelled on the newest one only
+const FIDUCIAL_MARKS = [
+  { keys: ['pOn', 'pOff'], color: 'rgba(96,165,250,0.8)', label: 'P' },
+  { keys: ['qrsOn', 'qrsOff'], color: 'rgba(250,204,21,0.8)', label: 'QRS' },
+  { keys: ['tEnd'], color: 'rgba(244,114,182,0.8)', label: 'Tend' },
+];
+
+function drawFiducials(ctx, layout, beats, fiducials, row) {
+  if (!fiducials || !beats || !beats.length) return;
+  const c = layout.centerY(row);
+  const half = layout.rowH * 0.35;
+  const visible = beats.filter(b => b.label === 'N' && b.index >= layout.startIndex && b.index <= layout.endIndex);
+  ctx.save();
+  ctx.lineWidth = 1;
+  ctx.setLineDash([3, 2]);
+  ctx.font = '10px Arial'; ctx.textAlign = 'center';
+  visible.forEach((beat, k) => {
+    for (const mark of FIDUCIAL_MARKS) {
+      ctx.strokeStyle = mark.color; ctx.fillStyle = mark.color;
+      const xs = mark.keys.filter(key => fiducials[key] !== null).map(key => layout.xOf(beat.index + fiducials[key]));
+      for (const x of xs) {
+        ctx.beginPath(); ctx.moveTo(x, c - half); ctx.lineTo(x, c + half); ctx.stroke();
+      }
+      if (k === visible.length - 1 && xs.length) ctx.fillText(mark.label, xs.reduce((a, b) => a + b, 0) / xs.length, c - half - 3);
+    }
+  });
+  ctx.restore();
+}
+
+// Two-point calipers: vertical markers plus the time / amplitude difference
+function drawCalipers(ctx, layout, calipers, sampleRate, w) {
+  if (!calipers.length) return;
+  ctx.save();
+  ctx.strokeStyle = '#facc15'; ctx.fillStyle = '#facc15'; ctx.lineWidth = 1;
+  ctx.setLineDash([4, 3]);
+  const points = calipers.map(p => ({ x: layout.xOf(p.index), y: layout.yOf(p.value, p.row, p.gain) }));
+  for (const p of points) {
+    ctx.beginPath(); ctx.moveTo(p.x, 0); ctx.lineTo(p.x, layout.rowH * layout.rows); ctx.stroke();
+    ctx.beginPath(); ctx.arc(p.x, p.y, 3, 0, Math.PI * 2); ctx.fill();
+  }
+  if (points.length === 2) {
+    const [a, b] = calipers;
+    const dtMs = Math.abs(b.index - a.index) * 1000 / sampleRate;
+    const dMv = b.value - a.value;
+    ctx.setLineDash([]);
+    ctx.beginPath(); ctx.moveTo(points[0].x, points[0].y); ctx.lineTo(points[1].x, points[0].y); ctx.lineTo(points[1].x, points[1].y); ctx.stroke();
+    const label = `Δt ${Math.round(dtMs)} ms${dtMs > 0 ? ` (${Math.round(60000 / dtMs)} bpm)` : ''} · ΔV ${dMv >= 0 ? '+' : ''}${dMv.toFixed(2)} mV`;
+    ctx.font = 'bold 12px Arial';
+    const tw = ctx.measureText(label).width;
+    const lx = Math.min(w - tw - 12, Math.max(6, (points[0].x + points[1].x) / 2 - tw / 2));
+    ctx.fillStyle = 'rgba(13,18,24,0.85)'; ctx.fillRect(lx - 6, 6, tw + 12, 20);
+    ctx.fillStyle = '#facc15'; ctx.textAlign = 'left';
+    ctx.fillText(label, lx, 21);
+  }
+  ctx.restore();
+}
+
+function drawMessage(ctx, w, h, title, subtitle) {
+  ctx.fillStyle = '#555'; ctx.font = '14px Arial'; ctx.textAlign = 'center';
+  ctx.fillText(title, w/2, h/2 - 20);
+  ctx.fillStyle = '#777'; ctx.font = '12px Arial';
+  ctx.fillText(subtitle, w/2, h/2 + 10);
+}
+
+export function visibleLeads(leadView, hasLeadI) {
+  return LEAD_NAMES.filter(name => leadView.leads[name].visible && (name === 'II' || hasLeadI));
+}
+
+// Draws one frame and returns its layout (used to map mouse positions back to samples)
+export function drawEcg(ctx, frame) {
+  const { width: w, height: h, sampleRate, display, leadView, showRaw, buffers, beats, fiducials, quality, gaps, markers, leadOff, viewEnd, fitSamples, calipers, message, frozen } = frame;
+  const leads = visibleLeads(leadView, buffers.hasLeadI);
+  const rows = leadView.layout === 'stacked' ? Math.max(1, leads.length) : 1;
+  const bufferStart = buffers.endIndex - buffers.lead2.length;
+  const layout = computeLayout({ width: w, height: h, rows, display, sampleRate, viewEnd, available: viewEnd - bufferStart, fitSamples });
+
+  ctx.fillStyle = '#0d1218'; ctx.fillRect(0,0,w,h);
+  if (display.mode === 'paper') drawPaperGrid(ctx, w, h, layout, sampleRate, display.sweep);
+  else drawFitGrid(ctx, w, h);
+
+  if (message || buffers.lead2.length < 2) {
+    drawMessage(ctx, w, h, message ? message.title : 'Waiting for ECG data...', message ? message.subtitle : '');
+    return layout;
+  }
+
+  drawQualityShading(ctx, layout, quality, h);
+  drawGaps(ctx, layout, gaps, sampleRate, h);
+
+  const from = Math.max(0, layout.startIndex - bufferStart);
+  const to = Math.max(from, layout.endIndex - bufferStart);
+  const startIndex = bufferStart + from;
+  const lead1 = buffers.lead1.slice(from, to);
+  const lead2 = buffers.lead2.slice(from, to);
+  const raw1 = buffers.raw1.slice(from, to);
+  const raw2 = buffers.raw2.slice(from, to);
+
+  leads.forEach((name, i) => {
+    const lead = leadView.leads[name];
+    const row = leadView.layout === 'stacked' ? i : 0;
+    if (leadView.layout === 'stacked' && row > 0 && display.mode === 'fit') {
+      ctx.strokeStyle = '#2a3540'; ctx.lineWidth = 1;
+      ctx.beginPath(); ctx.moveTo(0, layout.rowH * row); ctx.lineTo(w, layout.rowH * row); ctx.stroke();
+    }
+    if (display.mode === 'paper' && (leadView.layout === 'stacked' || i === 0)) {
+      drawCalibrationPulse(ctx, layout, row, sampleRate, display.sweep, 'rgba(230,230,230,0.7)');
+    }
+
+    // Raw (unfiltered) lead underneath, to compare before/after the filter chain
+    if (showRaw) {
+      ctx.strokeStyle = 'rgba(160,170,190,0.45)'; ctx.lineWidth = 1.5;
+      drawTrace(ctx, layout, deriveLeadSeries(name, raw1, raw2), startIndex, row, lead.gain);
+    }
+    ctx.strokeStyle = lead.color; ctx.lineWidth = name === 'II' ? 2.5 : 2;
+    drawTrace(ctx, layout, deriveLeadSeries(name, lead1, lead2), startIndex, row, lead.gain);
+
+    // Label
+    const labelY = leadView.layout === 'stacked' ? layout.rowH * row + 22 : 22 + i * 18;
+    ctx.fillStyle = lead.color; ctx.font = 'bold 13px Arial'; ctx.textAlign = 'left';
+    const channel = name === 'II' ? ' (A1)' : name === 'I' ? ' (A0)' : '';
+    ctx.fillText(`Lead ${name}${channel}${lead.gain !== 1 ? ` ×${lead.gain}` : ''}${leadView.detectionLead === name ? ' ♥' : ''}`, display.mode === 'paper' ? 40 : 10, labelY);
+  });
+
+  const detectionRow = leadView.layout === 'stacked' ? Math.max(0, leads.indexOf(leadView.detectionLead)) : 0;
+  drawFiducials(ctx, layout, beats, fiducials, detectionRow);
+  drawBeatMarkers(ctx, layout, beats, detectionRow);
+  drawEventMarkers(ctx, layout, markers, h);
+
+  // scale / state legend, bottom right
+  ctx.fillStyle = 'rgba(200,200,200,0.75)'; ctx.font = '11px Arial'; ctx.textAlign = 'right';
+  const legend = [];
+  if (display.mode === 'paper') legend.push(`${display.sweep} mm/s · ${display.gain} mm/mV`);
+  if (showRaw) legend.push('raw (grey) vs filtered');
+  if (frozen) legend.push('❄ FROZEN');
+  if (quality && quality.some(s => s.level !== 'good')) legend.push('shaded: poor signal');
+  if (gaps && gaps.some(g => g.start + g.length >= layout.startIndex && g.start <= layout.endIndex)) legend.push('grey: samples lost');
+  ctx.fillText(legend.join('  ·  '), w - 10, h - 8);
+
+  if (leadOff) {
+    ctx.fillStyle = 'rgba(13,18,24,0.85)'; ctx.fillRect(w / 2 - 90, 8, 180, 26);
+    ctx.fillStyle = '#ff6b6b'; ctx.font = 'bold 14px Arial'; ctx.textAlign = 'center';
+    ctx.fillText('⚠ LEADS OFF', w / 2, 26);
+  }
+
+  drawCalipers(ctx, layout, calipers, sampleRate, w);
+  return layout;
+}
@@ -0,0 +1,127 @@
+// Exercise sessions: warm-up, exercise and recovery phases over a heart rate
+// read about once a second, scored against training zones (percent of the
+// maximum heart rate, age-predicted or set by hand) and, after exercise, the
+// heart rate recovery (HRR): how far the rate has fallen 1 and 2 minutes into
+// recovery. Times are wall-clock milliseconds in, seconds from the start out.
+
+export const EXERCISE_PHASES = {
+  warmup: { name: 'Warm-up', color: '#60a5fa' },
+  exercise: { name: 'Exercise', color: '#f97316' },
+  recovery: { name: 'Recovery', color: '#4ade80' },
+};
+
+// Zone 0 is everything below 50 % of the maximum; above 100 % still counts as zone 5
+export const HR_ZONES = [
+  { name: 'Below zones', from: 0, to: 0.5, color: '#64748b' },
+  { name: 'Zone 1 · Very light', from: 0.5, to: 0.6, color: '#94a3b8' },
+  { name: 'Zone 2 · Light', from: 0.6, to: 0.7, color: '#60a5fa' },
+  { name: 'Zone 3 · Moderate', from: 0.7, to: 0.8, color: '#4ade80' },
+  { name: 'Zone 4 · Hard', from: 0.8, to: 0.9, color: '#facc15' },
+  { name: 'Zone 5 · Maximum', from: 0.9, to: 1.0, color: '#ef4444' },
+];
+
+export const HRR_MARKS_SEC = [60, 120];
+// A fall of no more than this many bpm is an abnormal recovery (upright cool-down:
+// Cole et al. 1999 at 1 minute, Shetler et al. 2001 at 2 minutes)
+export const HRR_ABNORMAL_BPM = { 60: 12, 120: 22 };
+const HR_WINDOW_SEC = 5; // readings pooled (median) for the rate at a moment
+const MAX_READING_GAP_SEC = 5; // longer pauses between readings count towards no zone
+
+export function zoneOf(bpm, maxHr) {
+  const fraction = bpm / maxHr;
+  for (let z = HR_ZONES.length - 1; z > 0; z--) {
+    if (fraction >= HR_ZONES[z].from) return z;
+  }
+  return 0;
+}
+
+// The zones in bpm for a maximum heart rate
+export function zoneRanges(maxHr) {
+  return HR_ZONES.map(z => ({ ...z, lo: Math.round(z.from * maxHr), hi: Math.round(z.to * maxHr) }));
+}
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+// Median of the readings in [from, to] seconds, or null without any
+function rateBetween(series, from, to) {
+  const values = series.filter(r => r.t >= from && r.t <= to).map(r => r.bpm);
+  return values.length ? Math.round(median(values)) : null;
+}
+
+export function createExerciseSession({ phase = 'warmup', now = Date.now() } = {}) {
+  const start = now;
+  const phases = [{ phase, startSec: 0 }]; // in order; the last one is current
+  const series = []; // { t, bpm }
+  let endedSec = null;
+  const sec = (ms) => (ms - start) / 1000;
+
+  return {
+    setPhase(next, now = Date.now()) {
+      if (endedSec !== null || next === phases[phases.length - 1].phase) return;
+      phases.push({ phase: next, startSec: sec(now) });
+    },
+    addHeartRate(bpm, now = Date.now()) {
+      if (endedSec === null && bpm > 0) series.push({ t: sec(now), bpm });
+    },
+    end(now = Date.now()) {
+      if (endedSec === null) endedSec = sec(now);
+    },
+
+    get phase() { return endedSec === null ? phases[phases.length - 1].phase : 'done'; },
+
+    // Phases with their ends, time in each zone, peak rate and recovery so far
+    snapshot(maxHr, now = Date.now()) {
+      const elapsedSec = endedSec ?? sec(now);
+      const timeInZone = HR_ZONES.map(() => 0);
+      for (let k = 0; k < series.length; k++) {
+        const next = k + 1 < series.length ? series[k + 1].t : elapsedSec;
+        timeInZone[zoneOf(series[k].bpm, maxHr)] += Math.min(MAX_READING_GAP_SEC, Math.max(0, next - series[k].t));
+      }
+      const spans = phases.map((p, k) => ({ ...p, endSec: k + 1 < phases.length ? phases[k + 1].startSec : elapsedSec }));
+      // peak of the pooled rate, so a single spurious reading doesn't set it
+      let peakBpm = null;
+      for (let k = 0, from = 0; k < series.length; k++) {
+        while (series[from].t < series[k].t - HR_WINDOW_SEC) from++;
+        const bpm = Math.round(median(series.slice(from, k + 1).map(r => r.bpm)));
+        if (peakBpm === null || bpm > peakBpm) peakBpm = bpm;
+      }
+
+      // the latest recovery phase, measured from the rate when it began
+      let recovery = null;
+      const rec = spans.filter(p => p.phase === 'recovery').pop();
+      if (rec) {
+        const ongoing = endedSec === null && rec === spans[spans.length - 1];
+        const startBpm = rateBetween(series, rec.startSec - HR_WINDOW_SEC, rec.startSec);
+        recovery = {
+          startSec: rec.startSec,
+          elapsedSec: rec.endSec - rec.startSec,
+          startBpm,
+          hrr: HRR_MARKS_SEC.map(afterSec => {
+            const at = rec.startSec + afterSec;
+            if (rec.endSec < at + HR_WINDOW_SEC / 2) return { afterSec, bpm: null, drop: null, abnormal: null, pending: ongoing };
+            const bpm = rateBetween(series, at - HR_WINDOW_SEC / 2, at + HR_WINDOW_SEC / 2);
+            const drop = bpm !== null && startBpm !== null ? startBpm - bpm : null;
+            return { afterSec, bpm, drop, abnormal: drop === null ? null : drop <= HRR_ABNORMAL_BPM[afterSec], pending: false };
+          }),
+        };
+      }
+
+      const current = series.length ? series[series.length - 1].bpm : null;
+      return {
+        phase: endedSec === null ? phases[phases.length - 1].phase : 'done',
+        elapsedSec,
+        maxHr,
+        phases: spans,
+        series: series.slice(),
+        zones: zoneRanges(maxHr).map((z, k) => ({ ...z, sec: timeInZone[k] })),
+        currentZone: current === null ? null : zoneOf(current, maxHr),
+        peakBpm,
+        recovery,
+      };
+    },
+  };
+}
@@ -0,0 +1,153 @@
+import { profileAge } from './profile.js'
+
+// Heart Health Index: heart rate and rhythm irregularity scored against a rule
+// profile, 0 (fine) to 100 (worst). Pure functions, no React or browser state.
+//
+//   bradycardia   HR below the mild / severe limit        mild or severe points × weight
+//   tachycardia   HR above the mild / severe limit        mild or severe points × weight
+//   irregularity  0..1 (device value or RR variability)   irregularity × points × weight
+//
+// Limits depend on the rule profile: age band (children run faster), endurance
+// athletes (slow resting rates are normal) and context (resting, daily activity,
+// exercise, where the tachycardia limits follow the maximum HR: age-predicted,
+// or the one set for exercise sessions).
+// The result lists every rule that added points with a readable explanation.
+
+export const HEALTH_CONTEXTS = {
+  resting: { name: 'Resting' },
+  active: { name: 'Daily activity' },
+  exercise: { name: 'Exercise' },
+};
+
+export const DEFAULT_RULE_PROFILE = {
+  age: null, // years, null if unknown
+  athlete: false,
+  context: 'resting',
+  maxHr: null, // bpm, for the exercise limits; null = age-predicted
+  points: { mild: 20, severe: 40, irregularity: 40 },
+  weights: { brady: 1, tachy: 1, irregularity: 1 },
+  cutoffs: { moderate: 35, high: 70 },
+};
+
+const ASSUMED_AGE = 40; // for the exercise maximum when no age is known
+const IRREGULARITY_BEATS = 8;
+const DEVICE_IRREGULARITY_FRAMES = 5;
+
+const LEVEL_TEXT = {
+  Normal: 'Heart rate and rhythm are within typical ranges.',
+  Moderate: 'Moderate concern: some abnormal findings. Consider monitoring and consulting a clinician.',
+  High: 'High concern: heart rate or rhythm suggest elevated risk — seek medical attention if symptomatic.',
+};
+
+// User profile + stored settings -> rule profile
+export function ruleProfileFrom(profile, settings = {}) {
+  return {
+    ...DEFAULT_RULE_PROFILE,
+    ...settings,
+    points: { ...DEFAULT_RULE_PROFILE.points, ...settings.points },
+    weights: { ...DEFAULT_RULE_PROFILE.weights, ...settings.weights },
+    cutoffs: { ...DEFAULT_RULE_PROFILE.cutoffs, ...settings.cutoffs },
+    age: profileAge(profile),
+    athlete: !!(profile && profile.athlete),
+  };
+}
+
+// Age-predicted maximum heart rate (Tanaka: 208 - 0.7 × age)
+export function maxHeartRate(age) {
+  return Math.round(208 - 0.7 * (age ?? ASSUMED_AGE));
+}
+
+// Mild / severe limits in bpm plus who they apply to, for the explanations
+export function heartRateLimits(rules) {
+  const age = rules.age;
+  let brady = [60, 50], tachy = [100, 120], group = 'an adult';
+  if (age !== null && age < 6) { brady = [80, 70]; tachy = [140, 160]; group = 'a young child'; }
+  else if (age !== null && age < 12) { brady = [70, 60]; tachy = [120, 140]; group = 'a child'; }
+  else if (age !== null && age < 18) { brady = [55, 45]; group = 'an adolescent'; }
+  else if (rules.athlete) { brady = [45, 38]; group = 'an endurance athlete'; }
+
+  let who = `${group} at rest`;
+  if (rules.context === 'active') {
+    brady = brady.map(b => b - 5);
+    tachy = [tachy[0] + 20, tachy[1] + 30];
+    who = `${group} during daily activity`;
+  } else if (rules.context === 'exercise') {
+    const max = rules.maxHr ?? maxHeartRate(age);
+    tachy = [Math.round(0.9 * max), max];
+    who = rules.maxHr
+      ? `exercise (maximum ${max} bpm as set)`
+      : `exercise (age-predicted maximum ${max} bpm${age === null ? `, assuming age ${ASSUMED_AGE}` : ''})`;
+  }
+  return { brady, tachy, who };
+}
+
+function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+// input: { bpm, deviceIrregularity: [0..1, ...], rrIntervals: [seconds, ...] }, oldest first.
+// Without a BPM the rate comes from the intervals; without either the result
+// is 'no-data' rather than a guess.
+export function scoreHealthIndex(input, rules = DEFAULT_RULE_PROFILE) {
+  const { bpm = null, deviceIrregularity = [], rrIntervals = [] } = input;
+  const limits = heartRateLimits(rules);
+  const recentRr = rrIntervals.slice(-IRREGULARITY_BEATS);
+
+  let hr = null, hrSource = null;
+  if (Number.isFinite(bpm) && bpm > 0) { hr = Math.round(bpm); hrSource = 'bpm'; }
+  else if (recentRr.length >= 2) { hr = Math.round(60 / mean(recentRr)); hrSource = 'beats'; }
+
+  let irregularity = null, irregularitySource = null, cv = null;
+  if (deviceIrregularity.length) {
+    irregularity = mean(deviceIrregularity.slice(-DEVICE_IRREGULARITY_FRAMES));
+    irregularitySource = 'device';
+  } else if (recentRr.length >= 2) {
+    const m = mean(recentRr);
+    cv = Math.sqrt(mean(recentRr.map(r => (r - m) ** 2))) / m;
+    irregularity = Math.min(1, cv * 3);
+    irregularitySource = 'beats';
+  }
+
+  if (hr === null || irregularity === null) {
+    const missing = [hr === null && 'a heart rate', irregularity === null && 'a rhythm measurement'].filter(Boolean).join(' and ');
+    return {
+      status: 'no-data', level: 'No data', score: null,
+      desc: `Waiting for ${missing} — needs the device's BPM or at least 3 detected beats.`,
+      breakdown: null, rules: [], limits, inputs: { hr, hrSource, irregularity, irregularitySource },
+    };
+  }
+
+  const fired = [];
+  const { points, weights } = rules;
+  const bpmText = `Heart rate ${hr} bpm${hrSource === 'beats' ? ' (from the last beats)' : ''}`;
+  let brady = 0, tachy = 0;
+  if (hr < limits.brady[1]) {
+    brady = Math.round(points.severe * weights.brady);
+    fired.push({ id: 'brady-severe', component: 'brady', points: brady, explanation: `${bpmText} is below ${limits.brady[1]} bpm, the severe bradycardia limit for ${limits.who}.` });
+  } else if (hr < limits.brady[0]) {
+    brady = Math.round(points.mild * weights.brady);
+    fired.push({ id: 'brady-mild', component: 'brady', points: brady, explanation: `${bpmText} is below ${limits.brady[0]} bpm, the bradycardia limit for ${limits.who}.` });
+  }
+  if (hr > limits.tachy[1]) {
+    tachy = Math.round(points.severe * weights.tachy);
+    fired.push({ id: 'tachy-severe', component: 'tachy', points: tachy, explanation: `${bpmText} is above ${limits.tachy[1]} bpm, the severe tachycardia limit for ${limits.who}.` });
+  } else if (hr > limits.tachy[0]) {
+    tachy = Math.round(points.mild * weights.tachy);
+    fired.push({ id: 'tachy-mild', component: 'tachy', points: tachy, explanation: `${bpmText} is above ${limits.tachy[0]} bpm, the tachycardia limit for ${limits.who}.` });
+  }
+  const irr = Math.round(irregularity * points.irregularity * weights.irregularity);
+  if (irr > 0) {
+    const measured = irregularitySource === 'device'
+      ? `The device reports a rhythm irregularity of ${irregularity.toFixed(2)} (0–1)`
+      : `Beat-to-beat intervals vary by ${(cv * 100).toFixed(1)} % over the last ${recentRr.length} intervals`;
+    fired.push({ id: 'irregularity', component: 'irregularity', points: irr, explanation: `${measured}, adding up to ${Math.round(points.irregularity * weights.irregularity)} points for a fully irregular rhythm.` });
+  }
+
+  const score = Math.max(0, Math.min(100, brady + tachy + irr));
+  const level = score >= rules.cutoffs.high ? 'High' : score >= rules.cutoffs.moderate ? 'Moderate' : 'Normal';
+  return {
+    status: 'ok', level, score, desc: LEVEL_TEXT[level],
+    breakdown: { brady, tachy, irregularity: irr },
+    rules: fired, limits, inputs: { hr, hrSource, irregularity, irregularitySource },
+  };
+}
@@ -0,0 +1,84 @@
+// Session history in IndexedDB (no wrapper library, just promises around the raw API).
+//
+//   sessions   summary per session (see summary.js), keyPath id, index on startTime
+//   waveforms  optional recorder snapshot per session, same id; kept apart so
+//              listing the history never loads sample data
+
+const DB_NAME = 'how-my-heart';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onabort = tx.onerror = () => reject(tx.error);
+  });
+}
+
+export function isHistorySupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+function openDb() {
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains('sessions')) {
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id', autoIncrement: true });
+        sessions.createIndex('startTime', 'startTime');
+      }
+      if (!db.objectStoreNames.contains('waveforms')) db.createObjectStore('waveforms', { keyPath: 'id' });
+    };
+    dbPromise = request(req).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+// Stores a summary (and optionally the waveform snapshot); resolves to the new id
+export async function saveSession(summary, waveform = null) {
+  const db = await openDb();
+  const tx = db.transaction(['sessions', 'waveforms'], 'readwrite');
+  const id = await request(tx.objectStore('sessions').add({ ...summary, hasWaveform: !!waveform }));
+  if (waveform) tx.objectStore('waveforms').put({ id, ...waveform });
+  await transactionDone(tx);
+  return id;
+}
+
+// All summaries, oldest first
+export async function listSessions() {
+  const db = await openDb();
+  return request(db.transaction('sessions').objectStore('sessions').index('startTime').getAll());
+}
+
+export async function getWaveform(id) {
+  const db = await openDb();
+  return request(db.transaction('waveforms').objectStore('waveforms').get(id));
+}
+
+export async function deleteSession(id) {
+  const db = await openDb();
+  const tx = db.transaction(['sessions', 'waveforms'], 'readwrite');
+  tx.objectStore('sessions').delete(id);
+  tx.objectStore('waveforms').delete(id);
+  return transactionDone(tx);
+}
+
+export async function clearHistory() {
+  const db = await openDb();
+  const tx = db.transaction(['sessions', 'waveforms'], 'readwrite');
+  tx.objectStore('sessions').clear();
+  tx.objectStore('waveforms').clear();
+  return transactionDone(tx);
+}
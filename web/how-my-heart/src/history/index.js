@@ -0,0 +1,2 @@
+export { isHistorySupported, saveSession, listSessions, getWaveform, deleteSession, clearHistory } from './db.js'
+export { summarizeSession, rrSeriesFromBeats } from './summary.js'
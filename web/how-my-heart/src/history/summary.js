@@ -0,0 +1,109 @@
+import { analyzeHrv } from '../dsp/hrv.js'
+
+// Condenses a finished session into the record kept in the history:
+//   recording   recorder.snapshot(), including the user's event markers
+//   health      Heart Health Index result at the end of the session (healthIndex.js)
+//   healthScores  Heart Health Index scores sampled during the session
+//   events      rhythm events from the classifier (sample indices)
+//   alarms      alarm history entries
+//   exercise    exercise session snapshot (exercise.js), if one was run
+// Rates come from the detected beats, so they are the same whichever source
+// (device, bridge, replay, demo) produced the samples.
+
+const MIN_RR = 0.3, MAX_RR = 2.0;
+const RESTING_WINDOW_SEC = 60;
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function median(values) {
+  const s = [...values].sort((a, b) => a - b);
+  const m = s.length >> 1;
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+// RR series { t, rr } in seconds from consecutive beats, physiologically plausible intervals only
+export function rrSeriesFromBeats(beats, sampleRate) {
+  const series = [];
+  for (let k = 1; k < beats.length; k++) {
+    const rr = (beats[k].index - beats[k - 1].index) / sampleRate;
+    if (rr >= MIN_RR && rr <= MAX_RR) series.push({ t: beats[k].index / sampleRate, rr });
+  }
+  return series;
+}
+
+function heartRateStats(series, durationSec) {
+  if (series.length < 3) return null;
+  // 9-beat running median keeps single ectopics / missed beats out of min and max
+  const smooth = series.map((b, k) => 60 / median(series.slice(Math.max(0, k - 4), k + 5).map(s => s.rr)));
+  const meanBpm = 60 / mean(series.map(b => b.rr));
+  // resting HR: calmest full minute, or the session mean for short sessions
+  let resting = meanBpm;
+  if (durationSec >= RESTING_WINDOW_SEC) {
+    let lo = 0;
+    for (let hi = 0; hi < series.length; hi++) {
+      while (series[hi].t - series[lo].t > RESTING_WINDOW_SEC) lo++;
+      if (series[hi].t - series[0].t < RESTING_WINDOW_SEC) continue;
+      const windowBpm = 60 / mean(series.slice(lo, hi + 1).map(b => b.rr));
+      if (windowBpm < resting) resting = windowBpm;
+    }
+  }
+  return {
+    mean: Math.round(meanBpm),
+    min: Math.round(Math.min(...smooth)),
+    max: Math.round(Math.max(...smooth)),
+    resting: Math.round(resting),
+  };
+}
+
+export function summarizeSession({ recording, health = null, healthScores = [], events = [], alarms = [], exercise = null }) {
+  const fs = recording.sampleRate;
+  const durationSec = recording.lead2.length / fs;
+  const series = rrSeriesFromBeats(recording.beats, fs);
+  // short-term HRV is defined over 5 minutes; longer sessions use their last 5
+  const hrv = analyzeHrv(series, { windowSec: 300 });
+  const beatCounts = {};
+  for (const b of recording.beats) beatCounts[b.label] = (beatCounts[b.label] || 0) + 1;
+  const start = recording.startTime.getTime();
+  const end = recording.endTime.getTime();
+  const offset = recording.startIndex || 0; // classifier events use pipeline sample indices
+
+  return {
+    startTime: recording.startTime,
+    endTime: recording.endTime,
+    durationSec,
+    source: recording.source,
+    sampleRate: fs,
+    beats: recording.beats.length,
+    beatCounts,
+    bpm: heartRateStats(series, durationSec),
+    hrv: hrv && {
+      meanNN: hrv.meanNN, sdnn: hrv.sdnn, rmssd: hrv.rmssd, pnn50: hrv.pnn50, sd1: hrv.sd1, sd2: hrv.sd2,
+      lf: hrv.spectrum ? hrv.spectrum.lf : null,
+      hf: hrv.spectrum ? hrv.spectrum.hf : null,
+      lfHf: hrv.spectrum ? hrv.spectrum.lfHf : null,
+      windowSec: Math.round(hrv.spanSec),
+    },
+    health: health && typeof health.score === 'number' ? {
+      level: health.level,
+      score: health.score,
+      meanScore: healthScores.length ? Math.round(mean(healthScores)) : null,
+      breakdown: health.breakdown || null,
+      rules: (health.rules || []).map(r => r.explanation),
+    } : null,
+    events: events.map(e => ({ type: e.type, startSec: (e.start - offset) / fs, endSec: e.end === null ? durationSec : (e.end - offset) / fs, detail: e.detail })),
+    alarms: alarms
+      .filter(a => a.event === 'raised' && a.time.getTime() >= start && a.time.getTime() <= end)
+      .map(a => ({ time: a.time, name: a.name, priority: a.priority, detail: a.detail })),
+    exercise: exercise && {
+      maxHr: exercise.maxHr,
+      durationSec: exercise.elapsedSec,
+      peakBpm: exercise.peakBpm,
+      phases: exercise.phases.map(p => ({ phase: p.phase, durationSec: p.endSec - p.startSec })),
+      zones: exercise.zones.map(z => ({ name: z.name, lo: z.lo, hi: z.hi, sec: z.sec })),
+      recovery: exercise.recovery && { startBpm: exercise.recovery.startBpm, hrr: exercise.recovery.hrr.filter(h => h.bpm !== null) },
+    },
+    markers: (recording.markers || []).map(m => ({ sec: m.index / fs, time: m.time, symptom: m.symptom, activity: m.activity, note: m.note })),
+  };
+}
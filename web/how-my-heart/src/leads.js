@@ -0,0 +1,40 @@
+// Limb leads from the two acquired channels (Einthoven / Goldberger):
+//   I = A0, II = A1, III = II - I, aVR = -(I + II) / 2, aVL = I - II / 2, aVF = II - I / 2
+// Everything except Lead II needs Lead I, so single-channel devices only get Lead II.
+
+export const LEAD_NAMES = ['I', 'II', 'III', 'aVR', 'aVL', 'aVF'];
+
+export const DEFAULT_LEAD_VIEW = {
+  layout: 'stacked', // 'stacked' | 'overlay'
+  detectionLead: 'II',
+  leads: {
+    I: { visible: true, color: '#60a5fa', gain: 1 },
+    II: { visible: true, color: '#ff4444', gain: 1 },
+    III: { visible: false, color: '#4ade80', gain: 1 },
+    aVR: { visible: false, color: '#facc15', gain: 1 },
+    aVL: { visible: false, color: '#a78bfa', gain: 1 },
+    aVF: { visible: false, color: '#ec4899', gain: 1 },
+  },
+};
+
+export function deriveLead(name, lead1, lead2) {
+  if (name === 'II') return lead2;
+  if (lead1 === null || lead1 === undefined) return null;
+  switch (name) {
+    case 'I': return lead1;
+    case 'III': return lead2 - lead1;
+    case 'aVR': return -(lead1 + lead2) / 2;
+    case 'aVL': return lead1 - lead2 / 2;
+    case 'aVF': return lead2 - lead1 / 2;
+    default: return null;
+  }
+}
+
+// Derived lead over two aligned buffers (null where Lead I is missing)
+export function deriveLeadSeries(name, lead1Values, lead2Values) {
+  if (name === 'II') return lead2Values;
+  if (name === 'I') return lead1Values;
+  const out = new Array(lead2Values.length);
+  for (let i = 0; i < lead2Values.length; i++) out[i] = deriveLead(name, lead1Values[i], lead2Values[i]);
+  return out;
+}
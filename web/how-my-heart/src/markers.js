@@ -0,0 +1,63 @@
+// Event markers: moments the user flagged during a session ("I felt that"),
+// with an optional symptom, what they were doing and a note. A marker sits on
+// a sample index like a beat annotation does, so it travels with the
+// recording into the exports, the history and the report.
+
+export const SYMPTOMS = {
+  palpitations: 'Palpitations',
+  dizziness: 'Dizziness',
+  chestPain: 'Chest pain',
+  breathless: 'Shortness of breath',
+  fatigue: 'Fatigue',
+  fainting: 'Fainting / near fainting',
+  other: 'Other symptom',
+};
+
+export const ACTIVITIES = {
+  resting: 'Resting',
+  sitting: 'Sitting',
+  walking: 'Walking',
+  exercise: 'Exercise',
+  sleeping: 'Sleeping',
+  other: 'Other activity',
+};
+
+export const MARKER_KEY = 'm'; // keyboard shortcut for marking an event
+export const MARKER_STRIP_SEC = [-10, 5]; // strip kept around a marker, seconds before / after it
+
+let nextId = 1;
+
+export function createMarker(index, { symptom = null, activity = null, note = '' } = {}) {
+  return { id: nextId++, index, time: new Date(), symptom, activity, note };
+}
+
+// Short title: the symptom, or just "Event"
+export function markerTitle(marker) {
+  return SYMPTOMS[marker.symptom] || 'Event';
+}
+
+// Activity and note, for the detail column next to the title
+export function markerDetail(marker) {
+  return [ACTIVITIES[marker.activity], marker.note].filter(Boolean).join(' · ');
+}
+
+// One-line annotation text for the exporters ("Event: Dizziness / Walking / stood up"),
+// read back by parseMarkerText
+export function markerText(marker) {
+  const parts = [SYMPTOMS[marker.symptom], ACTIVITIES[marker.activity], marker.note].filter(Boolean);
+  return `Event: ${parts.join(' / ') || 'marked'}`;
+}
+
+const keyOf = (names, text) => Object.keys(names).find(k => names[k] === text) || null;
+
+// Annotation text -> { symptom, activity, note }, or null when it isn't a marker
+export function parseMarkerText(text) {
+  const match = /^Event:\s*(.*)$/.exec(String(text).trim());
+  if (!match) return null;
+  const parts = match[1] === 'marked' ? [] : match[1].split(' / ');
+  const symptom = parts.length ? keyOf(SYMPTOMS, parts[0]) : null;
+  if (symptom) parts.shift();
+  const activity = parts.length ? keyOf(ACTIVITIES, parts[0]) : null;
+  if (activity) parts.shift();
+  return { symptom, activity, note: parts.join(' / ') };
+}
@@ -0,0 +1,34 @@
+// User profile for reports and the Heart Health Index limits, kept in localStorage
+// (it never leaves the browser).
+
+const PROFILE_KEY = 'hmh-profile';
+
+export const EMPTY_PROFILE = {
+  name: '',
+  birthDate: '', // YYYY-MM-DD
+  sex: '', // '' | 'female' | 'male' | 'other'
+  athlete: false, // endurance-trained: slow resting rates are expected
+  notes: '', // medication, conditions, anything the reader of a report should know
+};
+
+export function loadProfile() {
+  try {
+    return { ...EMPTY_PROFILE, ...JSON.parse(localStorage.getItem(PROFILE_KEY) || '{}') };
+  } catch (e) {
+    return { ...EMPTY_PROFILE };
+  }
+}
+
+export function saveProfile(profile) {
+  localStorage.setItem(PROFILE_KEY, JSON.stringify(profile));
+}
+
+// Age in whole years at `at`, or null without a (valid) birth date
+export function profileAge(profile, at = new Date()) {
+  if (!profile || !profile.birthDate) return null;
+  const born = new Date(profile.birthDate);
+  if (Number.isNaN(born.getTime())) return null;
+  let age = at.getFullYear() - born.getFullYear();
+  if (at.getMonth() < born.getMonth() || (at.getMonth() === born.getMonth() && at.getDate() < born.getDate())) age--;
+  return age >= 0 ? age : null;
+}
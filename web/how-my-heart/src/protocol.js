@@ -0,0 +1,260 @@
+// Device line protocol (version 1).
+//
+// Every line from a source is one frame, either CSV or JSON:
+//
+//   CSV sample    lead1,lead2[,bpm[,irregularity]]      (columns follow the header's channels)
+//   JSON sample   {"type":"sample","v":512}              (single value: always Lead II)
+//                 {"type":"sample","v":[0.12,0.40],"seq":17}
+//                 {"type":"sample","I":0.12,"II":0.40}
+//   JSON bpm      {"type":"bpm","bpm":72,"irr":0.05}
+//   header        {"type":"header","protocol":1,"sampleRate":125,"channels":["I","II"],"firmware":"1.2.0","unitsPerMv":1}
+//                 # hmh protocol=1 sampleRate=125 channels=I,II firmware=1.2.0 unitsPerMv=1
+//   lead-off      !                                      (AD8232-style sketches print this instead of a sample)
+//                 {"type":"leadoff","off":true}          (state until the next leadoff frame)
+//   log           any other text, e.g. "Calibration Complete", or {"type":"log","msg":"..."}
+//   ack           {"type":"ack","id":3,"ok":true}          (reply to command 3; "error":"..." when ok is false)
+//   event         {"type":"event","event":"calibration","state":"complete"}
+//                 {"type":"event","event":"streaming","on":false}
+//
+// Commands go the other way, one JSON line each (see deviceControl.js). Every
+// command carries an id that the device echoes in its ack:
+//
+//   {"cmd":"info","id":1}          ack also carries firmware, capabilities, gains, sampleRates, gain, sampleRate
+//   {"cmd":"start","id":2}         {"cmd":"stop","id":3}           start / stop streaming samples
+//   {"cmd":"calibrate","id":4}     ack when accepted, then calibration events (start, complete or failed)
+//   {"cmd":"set","id":5,"gain":2}  {"cmd":"set","id":6,"sampleRate":250}   a new sample rate also re-sends the header
+//
+// Firmware without a command channel simply ignores these lines.
+//
+// The header is optional; without one the CSV columns are Lead I, Lead II and a
+// JSON "v" array is read by its length (one value Lead II, two Lead I, Lead II).
+// A single JSON value is Lead II (A1) whatever the header says, as the Arduino
+// sketch sends it.
+// A bpm/irregularity of 0 or less in a CSV line means "no beat on this sample".
+
+export const PROTOCOL_VERSION = 1;
+
+const DEFAULT_HEADER = {
+  protocol: PROTOCOL_VERSION,
+  sampleRate: null,
+  channels: null,
+  firmware: null,
+  unitsPerMv: 1,
+};
+
+const CSV_DEFAULT_CHANNELS = ['I', 'II'];
+const JSON_DEFAULT_CHANNELS = { 1: ['II'], 2: ['I', 'II'] }; // by number of values
+
+function num(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : NaN;
+  if (typeof v === 'string' && v.trim() !== '') return Number(v);
+  return NaN;
+}
+
+function positiveOrNull(v) {
+  const n = num(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+function nonNegativeOrNull(v) {
+  const n = num(v);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+function calibrationState(text) {
+  if (!/calibrat|baseline|starting/i.test(text)) return null;
+  return /complete|done|finished/i.test(text) ? 'complete' : 'start';
+}
+
+function parseTextHeader(line) {
+  // "# hmh key=value key=value ..."
+  const header = {};
+  for (const token of line.replace(/^#\s*hmh\s*/i, '').split(/\s+/)) {
+    const eq = token.indexOf('=');
+    if (eq <= 0) continue;
+    const key = token.slice(0, eq);
+    const value = token.slice(eq + 1);
+    if (key === 'channels') header.channels = value.split(',').filter(Boolean);
+    else if (key === 'firmware') header.firmware = value;
+    else header[key] = num(value);
+  }
+  return header;
+}
+
+export function createProtocolParser() {
+  let header = { ...DEFAULT_HEADER };
+  const stats = {
+    lines: 0,
+    malformed: 0,
+    ignored: 0,
+    frames: { sample: 0, bpm: 0, header: 0, log: 0, leadoff: 0, ack: 0, event: 0 },
+    format: null,        // 'csv' | 'json', whichever sample format was seen last
+    lastError: null,
+  };
+
+  function malformed(line, reason) {
+    stats.malformed++;
+    stats.lastError = { line, reason };
+    return null;
+  }
+
+  function applyHeader(fields, line) {
+    const next = { ...header };
+    if (fields.protocol !== undefined) next.protocol = num(fields.protocol);
+    if (fields.sampleRate !== undefined) next.sampleRate = num(fields.sampleRate);
+    if (fields.channels !== undefined) next.channels = fields.channels;
+    if (fields.firmware !== undefined) next.firmware = String(fields.firmware);
+    if (fields.unitsPerMv !== undefined) next.unitsPerMv = num(fields.unitsPerMv);
+    if (!Number.isFinite(next.protocol) || next.protocol < 1) return malformed(line, 'bad protocol version');
+    if (next.sampleRate !== null && !(next.sampleRate > 0)) return malformed(line, 'bad sample rate');
+    if (next.channels !== null && (!Array.isArray(next.channels) || !next.channels.length)) return malformed(line, 'bad channel list');
+    if (!(next.unitsPerMv > 0)) return malformed(line, 'bad unitsPerMv');
+    header = next;
+    stats.frames.header++;
+    return {
+      type: 'header',
+      ...header,
+      supported: header.protocol <= PROTOCOL_VERSION,
+    };
+  }
+
+  function sampleFrame(values, channels, extra, line) {
+    if (values.length > channels.length) return malformed(line, `expected ${channels.length} channel(s), got ${values.length}`);
+    const leads = {};
+    for (let i = 0; i < values.length; i++) {
+      if (!Number.isFinite(values[i])) return malformed(line, `channel ${channels[i]} is not a number`);
+      leads[channels[i]] = values[i] / header.unitsPerMv;
+    }
+    stats.frames.sample++;
+    return { type: 'sample', leads, bpm: null, irregularity: null, seq: null, ...extra };
+  }
+
+  function parseCsv(line) {
+    const parts = line.split(',');
+    const channels = header.channels || CSV_DEFAULT_CHANNELS;
+    if (parts.length < channels.length) return malformed(line, `expected at least ${channels.length} column(s)`);
+    const values = parts.slice(0, channels.length).map(num);
+    const rest = parts.slice(channels.length);
+    stats.format = 'csv';
+    return sampleFrame(values, channels, {
+      bpm: rest.length >= 1 ? positiveOrNull(rest[0]) : null,
+      irregularity: rest.length >= 2 ? nonNegativeOrNull(rest[1]) : null,
+    }, line);
+  }
+
+  function parseJson(line) {
+    let obj;
+    try { obj = JSON.parse(line); } catch (e) { return malformed(line, 'invalid JSON'); }
+    if (!obj || typeof obj !== 'object') return malformed(line, 'JSON frame is not an object');
+
+    switch (obj.type) {
+      case 'header':
+      case 'hello':
+        return applyHeader(obj, line);
+      case 'sample': {
+        let values;
+        let frameChannels;
+        if (Array.isArray(obj.v)) {
+          values = obj.v.map(num);
+          frameChannels = header.channels || JSON_DEFAULT_CHANNELS[values.length] || CSV_DEFAULT_CHANNELS;
+        } else if (obj.v !== undefined) {
+          values = [num(obj.v)];
+          frameChannels = ['II'];
+        } else {
+          frameChannels = (header.channels || CSV_DEFAULT_CHANNELS).filter(ch => obj[ch] !== undefined);
+          values = frameChannels.map(ch => num(obj[ch]));
+        }
+        if (!values.length) return malformed(line, 'sample frame has no values');
+        stats.format = 'json';
+        return sampleFrame(values, frameChannels, {
+          bpm: obj.bpm !== undefined ? positiveOrNull(obj.bpm) : null,
+          irregularity: obj.irr !== undefined ? nonNegativeOrNull(obj.irr) : null,
+          seq: Number.isInteger(obj.seq) ? obj.seq : null,
+        }, line);
+      }
+      case 'bpm': {
+        const bpm = positiveOrNull(obj.bpm);
+        if (bpm === null) return malformed(line, 'bpm frame without a positive bpm');
+        stats.frames.bpm++;
+        return { type: 'bpm', bpm, irregularity: obj.irr !== undefined ? nonNegativeOrNull(obj.irr) : null };
+      }
+      case 'leadoff':
+        stats.frames.leadoff++;
+        return { type: 'leadoff', off: obj.off !== false, latched: true };
+      case 'log': {
+        const text = String(obj.msg ?? obj.text ?? '');
+        stats.frames.log++;
+        return { type: 'log', text, calibration: calibrationState(text) };
+      }
+      case 'ack': {
+        if (!Number.isInteger(obj.id)) return malformed(line, 'ack without an integer id');
+        const { type, id, ok, error, ...fields } = obj;
+        stats.frames.ack++;
+        return { type: 'ack', id, ok: ok !== false, error: ok === false ? String(error ?? 'rejected') : null, fields };
+      }
+      case 'event': {
+        if (typeof obj.event !== 'string' || !obj.event) return malformed(line, 'event frame without a name');
+        const { type, event, ...fields } = obj;
+        stats.frames.event++;
+        return { type: 'event', event, fields };
+      }
+      default:
+        stats.ignored++;
+        return null;
+    }
+  }
+
+  function parse(raw) {
+    const line = String(raw).trim();
+    if (!line) return null;
+    stats.lines++;
+    const c = line[0];
+    if (c === '{') return parseJson(line);
+    if (c === '#') {
+      if (/^#\s*hmh\b/i.test(line)) return applyHeader(parseTextHeader(line), line);
+      stats.ignored++;
+      return null;
+    }
+    if (c === '-' || c === '+' || c === '.' || (c >= '0' && c <= '9')) return parseCsv(line);
+    // "!" only lasts until samples come back
+    if (line === '!') {
+      stats.frames.leadoff++;
+      return { type: 'leadoff', off: true, latched: false };
+    }
+    // free-form device chatter ("Starting calibration...", "Gain: 2")
+    stats.frames.log++;
+    return { type: 'log', text: line, calibration: calibrationState(line) };
+  }
+
+  return {
+    parse,
+    stats,
+    getHeader() { return { ...header }; },
+    reset() {
+      header = { ...DEFAULT_HEADER };
+      stats.lines = 0; stats.malformed = 0; stats.ignored = 0;
+      stats.frames = { sample: 0, bpm: 0, header: 0, log: 0, leadoff: 0, ack: 0, event: 0 };
+      stats.format = null; stats.lastError = null;
+    },
+  };
+}
+
+// One command line for the device, e.g. formatCommand('set', 5, { gain: 2 })
+export function formatCommand(cmd, id, params = {}) {
+  return JSON.stringify({ cmd, id, ...params });
+}
+
+// Serialises a sample back into the CSV form, e.g. for synthetic or replayed data
+export function formatCsvSample(lead1, lead2, bpm = null, irregularity = null) {
+  let line = `${lead1.toFixed(3)},${lead2.toFixed(3)}`;
+  if (bpm !== null || irregularity !== null) line += `,${bpm ?? 0}`;
+  if (irregularity !== null) line += `,${irregularity}`;
+  return line;
+}
+
+// True for lines that carry a sample (and so take one sample period when replayed)
+export function isSampleLine(line) {
+  const c = line.trimStart()[0];
+  if (c === '{') return /"type"\s*:\s*"sample"/.test(line);
+  return c === '-' || c === '+' || c === '.' || (c >= '0' && c <= '9');
+}
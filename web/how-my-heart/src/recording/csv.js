@@ -0,0 +1,28 @@
+import { markerText } from '../markers.js'
+
+// One row per sample; device BPM, beat labels and event markers sit on the sample they belong to.
+export function recordingToCsv(recording) {
+  const { sampleRate, lead1, lead2, hasLeadI, beats, deviceBpm } = recording;
+  const beatAt = new Map(beats.map(b => [b.index, b.label]));
+  // the importer splits on every comma, so none may be left in the text
+  const markerAt = new Map((recording.markers || []).map(m => [m.index, markerText(m).replace(/,/g, ';')]));
+  const bpmAt = new Map(deviceBpm.map(d => [d.index, d]));
+  const rows = [
+    `# How's My Heart recording, start ${recording.startTime.toISOString()}, ${sampleRate} Hz, values in mV`,
+    'index,time_s,lead_I_mV,lead_II_mV,device_bpm,device_irregularity,beat,event',
+  ];
+  for (let i = 0; i < lead2.length; i++) {
+    const d = bpmAt.get(i);
+    rows.push([
+      i,
+      (i / sampleRate).toFixed(4),
+      hasLeadI && !Number.isNaN(lead1[i]) ? lead1[i].toFixed(4) : '',
+      Number.isNaN(lead2[i]) ? '' : lead2[i].toFixed(4),
+      d ? d.bpm : '',
+      d && d.irregularity !== null ? d.irregularity : '',
+      beatAt.get(i) || '',
+      markerAt.get(i) || '',
+    ].join(','));
+  }
+  return rows.join('\n') + '\n';
+}
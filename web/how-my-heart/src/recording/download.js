@@ -0,0 +1,18 @@
+// Saves a Blob through a temporary <a download> link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// "hmh-2024-05-01-1403" style base name for a recording's files
+export function recordingBaseName(recording) {
+  const d = recording.startTime;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `hmh-${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
@@ -0,0 +1,131 @@
+// EDF / EDF+C writer (Kemp et al. 1992, EDF+ spec 2003).
+// 16-bit samples in 1 s data records; EDF+ adds an "EDF Annotations" signal
+// carrying the beat labels and event markers as time-stamped annotation lists (TALs).
+
+import { markerText } from '../markers.js'
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DIG_MIN = -32768;
+const DIG_MAX = 32767;
+
+function field(value, width) {
+  const s = String(value);
+  return (s.length > width ? s.slice(0, width) : s.padEnd(width, ' '));
+}
+
+function num8(v) {
+  // EDF numbers are ASCII in 8 characters; trim precision until it fits
+  for (let digits = 4; digits >= 0; digits--) {
+    const s = String(Number(v.toFixed(digits)));
+    if (s.length <= 8) return s;
+  }
+  return String(Math.round(v)).slice(0, 8);
+}
+
+function physicalRange(values) {
+  let min = Infinity, max = -Infinity;
+  for (const v of values) {
+    if (Number.isNaN(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  if (!Number.isFinite(min)) { min = -1; max = 1; }
+  // at least +-5 mV, and never a zero-width range
+  return { min: Math.min(min, -5), max: Math.max(max, 5) };
+}
+
+function onsetText(seconds) {
+  return `+${Number(seconds.toFixed(4))}`;
+}
+
+// annotations: [{ index, text }] -> per data record byte arrays of TALs
+function buildTals(annotations, sampleRate, records, recordDuration) {
+  const enc = new TextEncoder();
+  const perRecord = Array.from({ length: records }, (_, r) => [`${onsetText(r * recordDuration)}\x14\x14\x00`]);
+  for (const a of annotations) {
+    const t = a.index / sampleRate;
+    const r = Math.min(records - 1, Math.floor(t / recordDuration));
+    const text = String(a.text).replace(/[\x00-\x1f]/g, ' ');
+    perRecord[r].push(`${onsetText(t)}\x14${text}\x14\x00`);
+  }
+  return perRecord.map(parts => enc.encode(parts.join('')));
+}
+
+export function recordingToEdf(recording, { plus = true, annotations = null } = {}) {
+  const { sampleRate, hasLeadI, lead1, lead2, startTime } = recording;
+  const spr = Math.max(1, Math.round(sampleRate));
+  const recordDuration = spr / sampleRate;
+  const records = Math.max(1, Math.ceil(lead2.length / spr));
+
+  const signals = [];
+  if (hasLeadI) signals.push({ label: 'ECG I', data: lead1 });
+  signals.push({ label: 'ECG II', data: lead2 });
+  for (const s of signals) {
+    const { min, max } = physicalRange(s.data);
+    s.physMin = min; s.physMax = max;
+    s.spr = spr;
+  }
+
+  let tals = null;
+  if (plus) {
+    const list = annotations || [
+      ...recording.beats.map(b => ({ index: b.index, text: b.label })),
+      ...(recording.markers || []).map(m => ({ index: m.index, text: markerText(m) })),
+    ].sort((a, b) => a.index - b.index);
+    tals = buildTals(list, sampleRate, records, recordDuration);
+    const maxBytes = Math.max(...tals.map(t => t.length));
+    signals.push({ label: 'EDF Annotations', annotation: true, spr: Math.ceil(maxBytes / 2), physMin: -1, physMax: 1 });
+  }
+
+  const ns = signals.length;
+  const headerBytes = 256 * (ns + 1);
+  const recordSamples = signals.reduce((a, s) => a + s.spr, 0);
+  const buf = new ArrayBuffer(headerBytes + records * recordSamples * 2);
+  const bytes = new Uint8Array(buf);
+  const view = new DataView(buf);
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const d = startTime;
+  let header = '';
+  header += field('0', 8);
+  header += field(plus ? 'X X X X' : 'Unknown', 80);
+  header += field(plus ? `Startdate ${pad(d.getDate())}-${MONTHS[d.getMonth()]}-${d.getFullYear()} X X How's_My_Heart` : "How's My Heart ECG recording", 80);
+  header += field(`${pad(d.getDate())}.${pad(d.getMonth() + 1)}.${pad(d.getFullYear() % 100)}`, 8);
+  header += field(`${pad(d.getHours())}.${pad(d.getMinutes())}.${pad(d.getSeconds())}`, 8);
+  header += field(headerBytes, 8);
+  header += field(plus ? 'EDF+C' : '', 44);
+  header += field(records, 8);
+  header += field(num8(recordDuration), 8);
+  header += field(ns, 4);
+  header += signals.map(s => field(s.label, 16)).join('');
+  header += signals.map(s => field(s.annotation ? '' : 'Ag/AgCl electrodes', 80)).join('');
+  header += signals.map(s => field(s.annotation ? '' : 'mV', 8)).join('');
+  header += signals.map(s => field(num8(s.physMin), 8)).join('');
+  header += signals.map(s => field(num8(s.physMax), 8)).join('');
+  header += signals.map(() => field(DIG_MIN, 8)).join('');
+  header += signals.map(() => field(DIG_MAX, 8)).join('');
+  header += signals.map(s => field(s.annotation ? '' : 'raw, unfiltered', 80)).join('');
+  header += signals.map(s => field(s.spr, 8)).join('');
+  header += signals.map(() => field('', 32)).join('');
+  for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i) & 0x7f;
+
+  let off = headerBytes;
+  for (let r = 0; r < records; r++) {
+    for (const s of signals) {
+      if (s.annotation) {
+        bytes.set(tals[r], off); // rest stays zero-padded
+        off += s.spr * 2;
+        continue;
+      }
+      const scale = (DIG_MAX - DIG_MIN) / (s.physMax - s.physMin);
+      for (let k = 0; k < s.spr; k++) {
+        const i = r * spr + k;
+        const v = i < s.data.length && !Number.isNaN(s.data[i]) ? s.data[i] : 0;
+        const digital = Math.round((v - s.physMin) * scale + DIG_MIN);
+        view.setInt16(off, Math.max(DIG_MIN, Math.min(DIG_MAX, digital)), true);
+        off += 2;
+      }
+    }
+  }
+  return new Blob([buf], { type: 'application/octet-stream' });
+}
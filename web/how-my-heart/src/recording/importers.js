@@ -0,0 +1,388 @@
+import { ANNOTATION_CODES, NOTE_BEAT_LABELS } from './wfdb.js'
+import { createMarker, parseMarkerText } from '../markers.js'
+
+// Readers for recorded ECG files. Every reader returns the same shape as
+// recorder.snapshot(), so imported files can be replayed and re-exported:
+//   { name, startTime, sampleRate, hasLeadI, lead1, lead2, beats: [{ index, label }], deviceBpm: [], markers }
+// Event markers come back from our own exports (see markers.js); other files have none.
+// Lead II is taken from a channel labelled II / MLII / ECG II (or the first channel),
+// Lead I from a channel labelled I / ECG I; values are converted to mV.
+
+const CODE_TO_LABEL = Object.fromEntries(Object.entries(ANNOTATION_CODES).map(([label, code]) => [code, label]));
+// beat (not rhythm/comment) annotation labels; M comes back from a NOTE (see wfdb.js)
+const BEAT_LABELS = new Set(['N', 'L', 'R', 'A', 'a', 'J', 'S', 'V', 'F', 'E', 'Q', 'P', 'M']);
+
+function beatLabel(annotation) {
+  return annotation.label === '"' && NOTE_BEAT_LABELS.includes(annotation.aux) ? annotation.aux : annotation.label;
+}
+
+function pickLeads(labels) {
+  const norm = labels.map(l => String(l).toUpperCase().replace(/^ECG\s*/, '').replace(/^LEAD\s*/, '').trim());
+  let ii = norm.findIndex(l => l === 'II' || l === 'MLII');
+  let i = norm.findIndex(l => l === 'I');
+  if (ii < 0) ii = norm.findIndex((l, k) => k !== i);
+  if (ii < 0) ii = 0;
+  return { lead2: ii, lead1: i >= 0 && i !== ii ? i : -1 };
+}
+
+function unitScale(unit) {
+  const u = String(unit || '').trim().toLowerCase();
+  if (u === 'uv' || u === 'µv' || u === 'μv') return 0.001;
+  if (u === 'v') return 1000;
+  return 1; // mV or unspecified
+}
+
+function emptyLead(n) {
+  return new Float32Array(n).fill(NaN);
+}
+
+// Annotation text at a sample index -> a marker, or null for anything else
+function markerAt(index, text, startTime, sampleRate) {
+  const fields = parseMarkerText(text);
+  if (!fields) return null;
+  return { ...createMarker(index, fields), time: new Date(startTime.getTime() + index / sampleRate * 1000) };
+}
+
+function recording(name, sampleRate, lead1, lead2, beats = [], startTime = new Date(), markers = []) {
+  return {
+    name,
+    startTime,
+    endTime: new Date(startTime.getTime() + lead2.length / sampleRate * 1000),
+    sampleRate,
+    hasLeadI: !!lead1,
+    lead1: lead1 || emptyLead(lead2.length),
+    lead2,
+    beats,
+    deviceBpm: [],
+    markers,
+  };
+}
+
+// --- CSV -----------------------------------------------------------------
+// Our own export (index,time_s,lead_I_mV,lead_II_mV,...,beat), PhysioNet-style
+// CSV ('Elapsed time','MLII',... with a units row), or plain numeric columns.
+
+function splitCsv(line) {
+  return line.split(',').map(c => c.trim().replace(/^['"]|['"]$/g, ''));
+}
+
+function parseTimeCell(cell) {
+  if (/^\d+:\d+/.test(cell)) {
+    return cell.split(':').reduce((acc, part) => acc * 60 + parseFloat(part), 0);
+  }
+  return parseFloat(cell);
+}
+
+export function parseCsvRecording(text, name = 'recording.csv', fallbackRate = 125) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() && !l.startsWith('#'));
+  if (!lines.length) throw new Error(`${name} is empty`);
+  let header = splitCsv(lines[0]);
+  let start = 1;
+  if (header.every(c => c !== '' && !Number.isNaN(Number(c)))) {
+    header = header.map((_, k) => `col${k}`);
+    start = 0;
+  }
+  const lower = header.map(h => h.toLowerCase());
+  let units = lower.map(() => 'mv');
+  // PhysioNet CSV: second row holds units ('hh:mm:ss.mmm','mV',...)
+  if (lines[start] && splitCsv(lines[start]).some(c => /^(mv|uv|µv|v|hh:mm:ss\.mmm|sec|s)$/i.test(c))) {
+    units = splitCsv(lines[start]).map(u => u.toLowerCase());
+    start++;
+  }
+
+  const timeCol = lower.findIndex(h => /time|^t$|elapsed|sec/.test(h));
+  const beatCol = lower.findIndex(h => h === 'beat' || h === 'annotation');
+  const eventCol = lower.indexOf('event');
+  const skip = new Set([timeCol, beatCol, eventCol, lower.findIndex(h => h === 'index' || h === 'sample' || h === 'sample #')]);
+  lower.forEach((h, k) => { if (/bpm|irregular/.test(h)) skip.add(k); });
+  const signalCols = lower.map((h, k) => k).filter(k => !skip.has(k));
+  if (!signalCols.length) throw new Error(`${name} has no signal columns`);
+  const labels = signalCols.map(k => header[k].replace(/_mv$/i, '').replace(/^lead_/i, ''));
+  const { lead1: i1, lead2: i2 } = pickLeads(labels);
+
+  const n = lines.length - start;
+  const lead2 = new Float32Array(n);
+  const lead1 = i1 >= 0 ? new Float32Array(n) : null;
+  const beats = [];
+  const events = []; // { index, text }
+  const times = [];
+  for (let r = 0; r < n; r++) {
+    const cells = splitCsv(lines[start + r]);
+    const c2 = signalCols[i2];
+    lead2[r] = parseFloat(cells[c2]) * unitScale(units[c2]);
+    if (lead1) {
+      const c1 = signalCols[i1];
+      const v = parseFloat(cells[c1]);
+      lead1[r] = cells[c1] === '' ? NaN : v * unitScale(units[c1]);
+    }
+    if (timeCol >= 0 && times.length < 2000) times.push(parseTimeCell(cells[timeCol]));
+    if (beatCol >= 0 && cells[beatCol]) beats.push({ index: r, label: cells[beatCol] });
+    if (eventCol >= 0 && cells[eventCol]) events.push({ index: r, text: cells[eventCol] });
+  }
+
+  let sampleRate = fallbackRate;
+  if (times.length >= 2) {
+    const dt = (times[times.length - 1] - times[0]) / (times.length - 1);
+    if (dt > 0) sampleRate = Math.round(1 / dt * 1000) / 1000;
+  }
+  const startTime = new Date();
+  const markers = events.map(e => markerAt(e.index, e.text, startTime, sampleRate)).filter(Boolean);
+  return recording(name, sampleRate, lead1, lead2, beats, startTime, markers);
+}
+
+// --- EDF / EDF+ / BDF ---------------------------------------------------------
+// BDF (BioSemi) is EDF with 24-bit samples and "BIOSEMI" as its version field.
+
+function ascii(bytes, from, len) {
+  let s = '';
+  for (let i = from; i < from + len; i++) s += String.fromCharCode(bytes[i]);
+  return s.trim();
+}
+
+function parseEdfStart(date, time) {
+  const [dd, mm, yy] = date.split('.').map(Number);
+  const [h, m, s] = time.split('.').map(Number);
+  if ([dd, mm, yy, h, m, s].some(Number.isNaN)) return new Date();
+  return new Date(yy < 85 ? 2000 + yy : 1900 + yy, mm - 1, dd, h, m, s);
+}
+
+function parseTals(bytes, sampleRate, out) {
+  const text = new TextDecoder('latin1').decode(bytes);
+  for (const tal of text.split('\x00')) {
+    if (!tal) continue;
+    const parts = tal.split('\x14');
+    const onset = parseFloat(parts[0].split('\x15')[0]);
+    for (const label of parts.slice(1)) {
+      if (label && !Number.isNaN(onset)) out.push({ index: Math.round(onset * sampleRate), label });
+    }
+  }
+}
+
+export function parseEdf(buffer, name = 'recording.edf') {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const bdf = bytes.length >= 8 && bytes[0] === 0xff && ascii(bytes, 1, 7) === 'BIOSEMI';
+  if (bytes.length < 256 || !(bdf || ascii(bytes, 0, 8) === '0')) throw new Error(`${name} is not an EDF or BDF file`);
+  const width = bdf ? 3 : 2; // bytes per sample
+  const sampleAt = bdf
+    ? (at) => (bytes[at] | (bytes[at + 1] << 8) | (bytes[at + 2] << 16)) << 8 >> 8
+    : (at) => view.getInt16(at, true);
+  const startTime = parseEdfStart(ascii(bytes, 168, 8), ascii(bytes, 176, 8));
+  const headerBytes = parseInt(ascii(bytes, 184, 8), 10);
+  let records = parseInt(ascii(bytes, 236, 8), 10);
+  const duration = parseFloat(ascii(bytes, 244, 8));
+  const ns = parseInt(ascii(bytes, 252, 4), 10);
+
+  let off = 256;
+  const col = (width) => {
+    const values = [];
+    for (let k = 0; k < ns; k++) values.push(ascii(bytes, off + k * width, width));
+    off += ns * width;
+    return values;
+  };
+  const labels = col(16); col(80);
+  const dims = col(8);
+  const physMin = col(8).map(Number), physMax = col(8).map(Number);
+  const digMin = col(8).map(Number), digMax = col(8).map(Number);
+  col(80);
+  const spr = col(8).map(Number);
+
+  const recordSamples = spr.reduce((a, b) => a + b, 0);
+  if (records < 0) records = Math.floor((bytes.length - headerBytes) / (recordSamples * width));
+
+  const annotationSignal = labels.findIndex(l => l === 'EDF Annotations' || l === 'BDF Annotations');
+  const ecg = labels.map((l, k) => k).filter(k => k !== annotationSignal);
+  if (!ecg.length) throw new Error(`${name} has no signals`);
+  const { lead1: p1, lead2: p2 } = pickLeads(ecg.map(k => labels[k]));
+  const k2 = ecg[p2];
+  const k1 = p1 >= 0 ? ecg[p1] : -1;
+  if (k1 >= 0 && spr[k1] !== spr[k2]) throw new Error(`${name}: leads with different sample rates are not supported`);
+
+  const sampleRate = spr[k2] / duration;
+  const n = records * spr[k2];
+  const lead2 = new Float32Array(n);
+  const lead1 = k1 >= 0 ? new Float32Array(n) : null;
+  const annotations = [];
+  const convert = (k, d) => (d - digMin[k]) * (physMax[k] - physMin[k]) / (digMax[k] - digMin[k]) + physMin[k];
+
+  let pos = headerBytes;
+  for (let r = 0; r < records; r++) {
+    for (let k = 0; k < ns; k++) {
+      if (k === annotationSignal) {
+        parseTals(bytes.subarray(pos, pos + spr[k] * width), sampleRate, annotations);
+      } else if (k === k2 || k === k1) {
+        const target = k === k2 ? lead2 : lead1;
+        const scale = unitScale(dims[k]);
+        for (let j = 0; j < spr[k]; j++) target[r * spr[k] + j] = convert(k, sampleAt(pos + j * width)) * scale;
+      }
+      pos += spr[k] * width;
+    }
+  }
+  const beats = [], markers = [];
+  for (const a of annotations) {
+    const marker = markerAt(a.index, a.label, startTime, sampleRate);
+    if (marker) markers.push(marker);
+    else beats.push(a);
+  }
+  return recording(name, sampleRate, lead1, lead2, beats, startTime, markers);
+}
+
+// --- WFDB --------------------------------------------------------------------
+
+function parseHeader(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  const rec = lines[0].split(/\s+/);
+  const [nameAndSegs, nsig, freqField, nsampField, time, date] = rec;
+  const sampleRate = parseFloat(String(freqField || '250').split('/')[0]);
+  const signals = lines.slice(1, 1 + parseInt(nsig, 10)).map(line => {
+    const f = line.split(/\s+/);
+    const format = parseInt(f[1], 10);
+    const gainField = f[2] || '200';
+    const m = /^([\d.eE+-]+)(?:\(([-\d]+)\))?(?:\/(\S+))?/.exec(gainField);
+    const gain = m && parseFloat(m[1]) ? parseFloat(m[1]) : 200;
+    const adcZero = f[4] !== undefined ? parseInt(f[4], 10) : 0;
+    const baseline = m && m[2] !== undefined ? parseInt(m[2], 10) : adcZero;
+    return { file: f[0], format, gain, baseline, units: m && m[3] ? m[3] : 'mV', label: f.slice(8).join(' ') || f[0] };
+  });
+  let startTime = new Date();
+  if (time && date) {
+    const [h, mi, s] = time.split(':').map(Number);
+    const [d, mo, y] = date.split('/').map(Number);
+    if (![h, mi, s, d, mo, y].some(Number.isNaN)) startTime = new Date(y, mo - 1, d, h, mi, s);
+  }
+  return { name: nameAndSegs.split('/')[0], sampleRate, length: nsampField ? parseInt(nsampField, 10) : null, signals, startTime };
+}
+
+// Decodes interleaved samples of one signal file into per-signal Int arrays
+function decodeDat(buffer, format, nsig) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+  const out = [];
+  if (format === 16 || format === 61) {
+    const n = Math.floor(bytes.length / 2);
+    for (let i = 0; i < n; i++) out.push(view.getInt16(i * 2, format === 16));
+  } else if (format === 80) {
+    for (let i = 0; i < bytes.length; i++) out.push(bytes[i] - 128);
+  } else if (format === 212) {
+    for (let i = 0; i + 2 < bytes.length; i += 3) {
+      let a = bytes[i] | ((bytes[i + 1] & 0x0f) << 8);
+      let b = bytes[i + 2] | ((bytes[i + 1] & 0xf0) << 4);
+      if (a > 2047) a -= 4096;
+      if (b > 2047) b -= 4096;
+      out.push(a, b);
+    }
+  } else {
+    throw new Error(`WFDB format ${format} is not supported (use 16, 61, 80 or 212)`);
+  }
+  const frames = Math.floor(out.length / nsig);
+  return Array.from({ length: nsig }, (_, k) => {
+    const s = new Int32Array(frames);
+    for (let i = 0; i < frames; i++) s[i] = out[i * nsig + k];
+    return s;
+  });
+}
+
+export function decodeAnnotations(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const annotations = [];
+  let index = 0;
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    const word = bytes[i] | (bytes[i + 1] << 8);
+    const code = word >> 10;
+    const value = word & 0x3ff;
+    if (word === 0) break;
+    if (code === 59) { // SKIP: next 4 bytes are a PDP-11 long interval
+      const hi = bytes[i + 2] | (bytes[i + 3] << 8);
+      const lo = bytes[i + 4] | (bytes[i + 5] << 8);
+      index += (hi << 16) | lo;
+      i += 4;
+    } else if (code === 63) { // AUX string
+      const len = value;
+      const aux = new TextDecoder().decode(bytes.subarray(i + 2, i + 2 + len));
+      if (annotations.length) annotations[annotations.length - 1].aux = aux;
+      i += len + (len % 2);
+    } else if (code >= 60) {
+      // NUM / SUB / CHN fields: not needed here
+    } else {
+      index += value;
+      annotations.push({ index, label: CODE_TO_LABEL[code] || 'Q', code });
+    }
+  }
+  return annotations;
+}
+
+// files: { hea: string, dat: ArrayBuffer, atr?: ArrayBuffer }
+export function parseWfdb({ hea, dat, atr }, name) {
+  const header = parseHeader(hea);
+  if (!header.signals.length) throw new Error(`${name || header.name}: header lists no signals`);
+  const fmt = header.signals[0].format;
+  const columns = decodeDat(dat, fmt, header.signals.length);
+  const { lead1: i1, lead2: i2 } = pickLeads(header.signals.map(s => s.label));
+  const invalid = fmt === 212 ? -2048 : fmt === 80 ? -128 : -32768; // WFDB "no sample" value per format
+  const toMv = (k) => {
+    const s = header.signals[k];
+    const scale = unitScale(s.units);
+    return Float32Array.from(columns[k], v => v === invalid ? NaN : (v - s.baseline) / s.gain * scale);
+  };
+  const annotations = atr ? decodeAnnotations(atr) : [];
+  const beats = annotations.map(a => ({ index: a.index, label: beatLabel(a) })).filter(b => BEAT_LABELS.has(b.label));
+  const markers = annotations.filter(a => a.label === '"' && a.aux).map(a => markerAt(a.index, a.aux, header.startTime, header.sampleRate)).filter(Boolean);
+  return recording(name || header.name, header.sampleRate, i1 >= 0 ? toMv(i1) : null, toMv(i2), beats, header.startTime, markers);
+}
+
+// --- helpers -----------------------------------------------------------------
+
+// Linear-interpolation resampling so recordings at other rates can go through the live pipeline
+export function resampleRecording(rec, targetRate) {
+  if (Math.abs(rec.sampleRate - targetRate) < 1e-6) return rec;
+  const ratio = rec.sampleRate / targetRate;
+  const n = Math.floor((rec.lead2.length - 1) / ratio) + 1;
+  const resample = (src) => {
+    const out = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const t = i * ratio;
+      const k = Math.floor(t);
+      const f = t - k;
+      out[i] = k + 1 < src.length ? src[k] * (1 - f) + src[k + 1] * f : src[k];
+    }
+    return out;
+  };
+  return {
+    ...rec,
+    sampleRate: targetRate,
+    originalSampleRate: rec.sampleRate,
+    lead1: resample(rec.lead1),
+    lead2: resample(rec.lead2),
+    beats: rec.beats.map(b => ({ ...b, index: Math.round(b.index / ratio) })),
+    markers: (rec.markers || []).map(m => ({ ...m, index: Math.round(m.index / ratio) })),
+  };
+}
+
+// Picks the right reader from a multi-file selection. Returns a recording, or
+// null when the selection is a plain device log (replayed line by line instead).
+export async function importRecordingFiles(files, fallbackRate = 125) {
+  const list = Array.from(files);
+  const byExt = (ext) => list.find(f => f.name.toLowerCase().endsWith(ext));
+  const hea = byExt('.hea');
+  if (hea) {
+    const base = hea.name.replace(/\.hea$/i, '');
+    const headerText = await hea.text();
+    const datName = parseHeader(headerText).signals[0]?.file;
+    const dat = list.find(f => f.name === datName) || byExt('.dat');
+    if (!dat) throw new Error(`Select ${base}.dat together with ${hea.name}`);
+    const atr = list.find(f => f.name === `${base}.atr`) || byExt('.atr');
+    return parseWfdb({ hea: headerText, dat: await dat.arrayBuffer(), atr: atr ? await atr.arrayBuffer() : null }, base);
+  }
+  const edf = byExt('.edf') || byExt('.bdf');
+  if (edf) return parseEdf(await edf.arrayBuffer(), edf.name);
+  if (byExt('.dat')) throw new Error('Select the matching .hea header together with the .dat file');
+  const csv = byExt('.csv');
+  if (csv) {
+    const text = await csv.text();
+    // device logs (lead1,lead2,bpm,irr lines without a header row) keep the line-by-line replay
+    const first = text.split(/\r?\n/).find(l => l.trim() && !l.startsWith('#')) || '';
+    if (/^[-+.\d]/.test(first.trim())) return null;
+    return parseCsvRecording(text, csv.name, fallbackRate);
+  }
+  return null;
+}
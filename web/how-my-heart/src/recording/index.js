@@ -0,0 +1,6 @@
+export { createRecorder } from './recorder.js'
+export { recordingToCsv } from './csv.js'
+export { recordingToEdf } from './edf.js'
+export { recordingToWfdb } from './wfdb.js'
+export { downloadBlob, recordingBaseName } from './download.js'
+export { importRecordingFiles, parseCsvRecording, parseEdf, parseWfdb, resampleRecording } from './importers.js'
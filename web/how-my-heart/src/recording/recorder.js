@@ -0,0 +1,95 @@
+// Captures the whole raw stream of a session (not just the display buffers):
+// both leads before filtering, device-reported BPM/irregularity and the
+// detected beat annotations and the user's event markers, all indexed by sample
+// number from session start. startIndex is the pipeline's sample index of the
+// first recorded sample (not 0 when a replay was seeked); beat, BPM and marker
+// indices are stored relative to it.
+// Samples lost in transit are recorded as NaN, so the timeline stays true.
+
+const CHUNK = 4096;
+
+function createSeries() {
+  const chunks = [];
+  let length = 0;
+  return {
+    push(v) {
+      const at = length % CHUNK;
+      if (at === 0) chunks.push(new Float32Array(CHUNK));
+      chunks[chunks.length - 1][at] = v;
+      length++;
+    },
+    toArray() {
+      const out = new Float32Array(length);
+      chunks.forEach((c, i) => out.set(i === chunks.length - 1 ? c.subarray(0, length - i * CHUNK) : c, i * CHUNK));
+      return out;
+    },
+    get length() { return length; },
+  };
+}
+
+export function createRecorder({ sampleRate, source = null, device = null, startIndex = 0 }) {
+  const startTime = new Date();
+  const lead1 = createSeries();
+  const lead2 = createSeries();
+  const beats = []; // { index, label }
+  const deviceBpm = []; // { index, bpm, irregularity }
+  const markers = []; // { id, index, time, symptom, activity, note } (see markers.js)
+  let hasLeadI = false;
+  let stoppedAt = null;
+
+  return {
+    addSample(l1, l2) {
+      if (stoppedAt) return;
+      lead1.push(l1 === null ? NaN : l1);
+      lead2.push(l2);
+      if (l1 !== null) hasLeadI = true;
+    },
+    addGap(length) {
+      if (stoppedAt) return;
+      for (let i = 0; i < length; i++) { lead1.push(NaN); lead2.push(NaN); }
+    },
+    addBeat(index, label = 'N') {
+      if (!stoppedAt) beats.push({ index: index - startIndex, label });
+    },
+    addDeviceBpm(index, bpm, irregularity) {
+      if (!stoppedAt) deviceBpm.push({ index: index - startIndex, bpm, irregularity });
+    },
+    addMarker(marker) {
+      if (!stoppedAt) markers.push({ ...marker, index: marker.index - startIndex });
+    },
+    // symptom / activity / note can still be filled in after the session has stopped
+    updateMarker(id, fields) {
+      const marker = markers.find(m => m.id === id);
+      if (marker) Object.assign(marker, fields);
+    },
+    removeMarker(id) {
+      const k = markers.findIndex(m => m.id === id);
+      if (k >= 0) markers.splice(k, 1);
+    },
+    setDevice(header) { device = header; },
+    stop() { if (!stoppedAt) stoppedAt = new Date(); },
+
+    get sampleCount() { return lead2.length; },
+    get durationSec() { return lead2.length / sampleRate; },
+    get beatCount() { return beats.length; },
+    get recording() { return stoppedAt === null; },
+
+    // Immutable snapshot handed to the exporters
+    snapshot() {
+      return {
+        startTime,
+        endTime: stoppedAt || new Date(),
+        sampleRate,
+        startIndex,
+        source,
+        device,
+        hasLeadI,
+        lead1: lead1.toArray(),
+        lead2: lead2.toArray(),
+        beats: beats.slice(),
+        deviceBpm: deviceBpm.slice(),
+        markers: markers.map(m => ({ ...m })),
+      };
+    },
+  };
+}
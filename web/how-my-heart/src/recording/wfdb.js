@@ -0,0 +1,88 @@
+// WFDB (PhysioNet) writer: header (.hea), format-16 signal file (.dat) and
+// MIT-format annotation file (.atr) with the detected beats, and event markers
+// as comment (NOTE) annotations carrying their text. Missed beats (M) have no
+// MIT code and go out as a NOTE with the text "M".
+
+import { markerText } from '../markers.js'
+
+export const WFDB_GAIN = 1000; // ADC units per mV (1 uV resolution, +-32 mV range)
+
+// MIT annotation codes (ecgcodes.h). P is a paced beat (PACE, written '/' in
+// PhysioNet's own tools).
+export const ANNOTATION_CODES = { N: 1, L: 2, R: 3, A: 8, a: 4, J: 7, S: 9, V: 5, F: 6, E: 10, Q: 13, '|': 16, '~': 14, '+': 28, '"': 22, P: 12 };
+// Our beat labels with no MIT code: written as a NOTE carrying the label as its text
+export const NOTE_BEAT_LABELS = ['M'];
+const SKIP = 59;
+const AUX = 63;
+
+function toAdc(v) {
+  if (Number.isNaN(v)) return -32768; // WFDB "invalid sample" value
+  return Math.max(-32767, Math.min(32767, Math.round(v * WFDB_GAIN)));
+}
+
+function wfdbDate(d) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())} ${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+}
+
+// annotations: [{ index, code (label from ANNOTATION_CODES), aux? }] sorted by index
+export function encodeAnnotations(annotations) {
+  const out = [];
+  const word = (v) => { out.push(v & 0xff, (v >> 8) & 0xff); };
+  let last = 0;
+  for (const a of annotations) {
+    let interval = a.index - last;
+    if (interval > 1023 || interval < 0) {
+      word(SKIP << 10);
+      // PDP-11 long: high 16 bits first, each half little-endian
+      word((interval >> 16) & 0xffff);
+      word(interval & 0xffff);
+      interval = 0;
+    }
+    word(((ANNOTATION_CODES[a.code] ?? ANNOTATION_CODES.Q) << 10) | interval);
+    if (a.aux) {
+      const aux = new TextEncoder().encode(a.aux).slice(0, 255);
+      word((AUX << 10) | aux.length);
+      out.push(...aux);
+      if (aux.length % 2) out.push(0);
+    }
+    last = a.index;
+  }
+  word(0);
+  return new Uint8Array(out);
+}
+
+// Returns { '<name>.hea': Blob, '<name>.dat': Blob, '<name>.atr': Blob }
+export function recordingToWfdb(recording, name, { annotations = null } = {}) {
+  const { sampleRate, hasLeadI, lead1, lead2, startTime } = recording;
+  const signals = hasLeadI ? [{ label: 'I', data: lead1 }, { label: 'II', data: lead2 }] : [{ label: 'II', data: lead2 }];
+  const n = lead2.length;
+
+  const dat = new DataView(new ArrayBuffer(n * signals.length * 2));
+  const checksums = signals.map(() => 0);
+  for (let i = 0; i < n; i++) {
+    signals.forEach((s, k) => {
+      const adc = toAdc(s.data[i]);
+      dat.setInt16((i * signals.length + k) * 2, adc, true);
+      checksums[k] = (checksums[k] + adc) & 0xffff;
+    });
+  }
+
+  const lines = [`${name} ${signals.length} ${sampleRate} ${n} ${wfdbDate(startTime)}`];
+  signals.forEach((s, k) => {
+    const initial = n ? toAdc(s.data[0]) : 0;
+    const checksum = checksums[k] > 32767 ? checksums[k] - 65536 : checksums[k];
+    lines.push(`${name}.dat 16 ${WFDB_GAIN}/mV 16 0 ${initial} ${checksum} 0 ${s.label}`);
+  });
+  lines.push(`# How's My Heart recording${recording.device && recording.device.firmware ? `, firmware ${recording.device.firmware}` : ''}`);
+
+  const list = annotations || [
+    ...recording.beats.map(b => NOTE_BEAT_LABELS.includes(b.label) ? { index: b.index, code: '"', aux: b.label } : { index: b.index, code: b.label }),
+    ...(recording.markers || []).map(m => ({ index: m.index, code: '"', aux: markerText(m) })),
+  ].sort((a, b) => a.index - b.index);
+  return {
+    [`${name}.hea`]: new Blob([lines.join('\n') + '\n'], { type: 'text/plain' }),
+    [`${name}.dat`]: new Blob([dat.buffer], { type: 'application/octet-stream' }),
+    [`${name}.atr`]: new Blob([encodeAnnotations(list)], { type: 'application/octet-stream' }),
+  };
+}
@@ -0,0 +1,2 @@
+export { buildReportHtml, chooseStrips, filteredLead, printReport, STRIP_SEC } from './report.js'
+export { renderStripSvg, STRIP_SPEED, STRIP_GAIN } from './strip.js'
@@ -0,0 +1,245 @@
+import { createFilterChain, DEFAULT_FILTER_CONFIG } from '../dsp/filters.js'
+import { EVENT_TYPES } from '../dsp/arrhythmia.js'
+import { profileAge } from '../profile.js'
+import { markerTitle, markerDetail } from '../markers.js'
+import { EXERCISE_PHASES } from '../exercise.js'
+import { renderStripSvg, STRIP_SPEED, STRIP_GAIN } from './strip.js'
+
+// Printable session / strip report. The report is a self-contained HTML page
+// (A4 landscape, black on white, strips at true paper scale) printed from a
+// hidden iframe, so "Save as PDF" in the print dialog gives the PDF.
+//
+//   summary    a session summary (history/summary.js)
+//   recording  recorder snapshot for the rhythm strips, optional
+//   strips     [{ start, end, title }] in recording sample indices
+
+export const STRIP_SEC = 10;
+const MAX_EVENT_STRIPS = 9;
+
+const fmt = (v, digits = 0) => (v === null || v === undefined || Number.isNaN(v)) ? '--' : v.toFixed(digits);
+
+function escapeHtml(text) {
+  return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function clockTime(date) {
+  return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function formatOffset(sec) {
+  const s = Math.max(0, Math.round(sec));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Runs the default display filters over a recorded lead; gaps stay NaN
+export function filteredLead(values, sampleRate) {
+  const chain = createFilterChain(sampleRate, DEFAULT_FILTER_CONFIG);
+  const out = new Float32Array(values.length);
+  for (let i = 0; i < values.length; i++) out[i] = Number.isNaN(values[i]) ? NaN : chain.step(values[i]);
+  return out;
+}
+
+// Strips for a whole-session report: the first seconds as an overview, the
+// onset of each rhythm event and each marked event (overlapping ones share a
+// strip) and the end
+export function chooseStrips(summary, recording) {
+  const fs = recording.sampleRate;
+  const length = recording.lead2.length;
+  const span = Math.min(length, STRIP_SEC * fs);
+  const at = (startSec) => {
+    const start = Math.max(0, Math.min(length - span, Math.round(startSec * fs)));
+    return { start, end: start + span };
+  };
+  const strips = [{ ...at(0), title: 'Start of session' }];
+  let last = strips[0];
+  const onsets = [
+    ...summary.events.map(e => ({ sec: e.startSec - 3, name: EVENT_TYPES[e.type] ? EVENT_TYPES[e.type].name : e.type })),
+    // a marker is pressed after the feeling starts: show more of what came before it
+    ...(summary.markers || []).map(m => ({ sec: m.sec - 6, name: `Marked: ${markerTitle(m)}` })),
+  ].sort((a, b) => a.sec - b.sec);
+  for (const { sec, name } of onsets) {
+    if (strips.length > MAX_EVENT_STRIPS) break;
+    const strip = at(sec);
+    if (strip.start < last.end - fs) {
+      if (!last.title.includes(name)) last.title += `, ${name}`;
+      continue;
+    }
+    last = { ...strip, title: name };
+    strips.push(last);
+  }
+  const tail = at(length / fs - STRIP_SEC);
+  if (tail.start >= last.end) strips.push({ ...tail, title: 'End of session' });
+  return strips;
+}
+
+function profileHeader(profile, at) {
+  if (!profile) return '';
+  const age = profileAge(profile, at);
+  const items = [
+    ['Name', profile.name || '—'],
+    ['Date of birth', profile.birthDate ? `${profile.birthDate}${age !== null ? ` (${age} y)` : ''}` : '—'],
+    ['Sex', profile.sex || '—'],
+  ];
+  return `
+    <table class="kv">${items.map(([k, v]) => `<tr><th>${k}</th><td>${escapeHtml(v)}</td></tr>`).join('')}</table>
+    ${profile.notes ? `<div class="notes"><strong>Notes:</strong> ${escapeHtml(profile.notes)}</div>` : ''}`;
+}
+
+function summaryTables(summary) {
+  const bpm = summary.bpm || {};
+  const hrv = summary.hrv;
+  const health = summary.health;
+  const b = health && health.breakdown;
+  const counts = Object.entries(summary.beatCounts || {}).map(([l, n]) => `${l} ${n}`).join(', ') || 'none';
+  return `
+    <div class="columns">
+      <div>
+        <h3>Heart rate</h3>
+        <table class="kv">
+          <tr><th>Mean</th><td>${fmt(bpm.mean)} bpm</td></tr>
+          <tr><th>Resting</th><td>${fmt(bpm.resting)} bpm</td></tr>
+          <tr><th>Range</th><td>${fmt(bpm.min)}–${fmt(bpm.max)} bpm</td></tr>
+          <tr><th>Beats</th><td>${summary.beats} (${counts})</td></tr>
+        </table>
+      </div>
+      <div>
+        <h3>Heart rate variability${hrv ? ` <small>(last ${hrv.windowSec} s)</small>` : ''}</h3>
+        ${hrv ? `<table class="kv">
+          <tr><th>SDNN</th><td>${fmt(hrv.sdnn, 1)} ms</td></tr>
+          <tr><th>RMSSD</th><td>${fmt(hrv.rmssd, 1)} ms</td></tr>
+          <tr><th>pNN50</th><td>${fmt(hrv.pnn50, 1)} %</td></tr>
+          <tr><th>SD1 / SD2</th><td>${fmt(hrv.sd1, 1)} / ${fmt(hrv.sd2, 1)} ms</td></tr>
+          <tr><th>LF / HF</th><td>${fmt(hrv.lf)} / ${fmt(hrv.hf)} ms² (ratio ${fmt(hrv.lfHf, 2)})</td></tr>
+        </table>` : '<p>Not enough beats.</p>'}
+      </div>
+      <div>
+        <h3>Heart Health Index</h3>
+        ${health ? `<table class="kv">
+          <tr><th>Category</th><td><strong>${escapeHtml(health.level)}</strong></td></tr>
+          <tr><th>Score</th><td>${health.score} at the end${health.meanScore !== null ? `, ${health.meanScore} on average` : ''} (0–100, higher is worse)</td></tr>
+          ${b ? `<tr><th>Bradycardia</th><td>${b.brady} pts</td></tr>
+          <tr><th>Tachycardia</th><td>${b.tachy} pts</td></tr>
+          <tr><th>Irregularity</th><td>${b.irregularity} pts</td></tr>` : ''}
+        </table>
+        ${health.rules && health.rules.length ? `<ul class="rules">${health.rules.map(r => `<li>${escapeHtml(r)}</li>`).join('')}</ul>` : ''}` : '<p>Not assessed.</p>'}
+      </div>
+    </div>`;
+}
+
+function exerciseTable(summary) {
+  const ex = summary.exercise;
+  if (!ex) return '';
+  const hrr = ex.recovery ? ex.recovery.hrr : [];
+  return `
+    <h3>Exercise <small>(maximum ${ex.maxHr} bpm, peak ${fmt(ex.peakBpm)} bpm)</small></h3>
+    <div class="columns">
+      <table class="kv">
+        ${ex.phases.map(p => `<tr><th>${EXERCISE_PHASES[p.phase].name}</th><td>${formatOffset(p.durationSec)} min</td></tr>`).join('')}
+        ${hrr.map(h => `<tr><th>HRR ${h.afterSec / 60} min</th><td>${h.drop === null ? '--' : `${h.drop} bpm (${ex.recovery.startBpm} → ${h.bpm})${h.abnormal ? ' <strong>abnormal</strong>' : ''}`}</td></tr>`).join('')}
+      </table>
+      <table class="kv">
+        ${ex.zones.map(z => `<tr><th>${escapeHtml(z.name)}</th><td>${z.lo === 0 ? `&lt; ${z.hi}` : `${z.lo}–${z.hi}`} bpm</td><td>${formatOffset(z.sec)} min</td></tr>`).join('')}
+      </table>
+    </div>`;
+}
+
+function eventTable(summary) {
+  const markers = summary.markers || [];
+  if (!summary.events.length && !summary.alarms.length && !markers.length) return '<h3>Events</h3><p>No rhythm events, alarms or marked events.</p>';
+  const start = summary.startTime.getTime();
+  const rows = [
+    ...summary.events.map(e => ({
+      sec: e.startSec,
+      kind: EVENT_TYPES[e.type] ? EVENT_TYPES[e.type].name : e.type,
+      duration: e.endSec > e.startSec ? `${fmt(e.endSec - e.startSec, 1)} s` : '',
+      detail: e.detail,
+    })),
+    ...summary.alarms.map(a => ({ sec: (a.time.getTime() - start) / 1000, kind: `Alarm: ${a.name}`, duration: '', detail: `${a.priority} · ${a.detail || ''}` })),
+    ...markers.map(m => ({ sec: m.sec, kind: `Marked: ${markerTitle(m)}`, duration: '', detail: markerDetail(m) })),
+  ].sort((x, y) => x.sec - y.sec);
+  return `
+    <h3>Events (${summary.events.length} rhythm, ${summary.alarms.length} alarms, ${markers.length} marked)</h3>
+    <table class="list">
+      <tr><th>Time</th><th>Offset</th><th>Event</th><th>Duration</th><th>Detail</th></tr>
+      ${rows.map(r => `<tr><td>${clockTime(new Date(start + r.sec * 1000))}</td><td>${formatOffset(r.sec)}</td><td>${escapeHtml(r.kind)}</td><td>${r.duration}</td><td>${escapeHtml(r.detail)}</td></tr>`).join('')}
+    </table>`;
+}
+
+function stripBlocks(summary, recording, strips) {
+  if (!recording || !strips.length) return '';
+  const fs = recording.sampleRate;
+  const values = filteredLead(recording.lead2, fs);
+  const start = summary.startTime.getTime();
+  return `
+    <h2 class="break">Rhythm strips <small>Lead II · ${STRIP_SPEED} mm/s · ${STRIP_GAIN} mm/mV · filtered</small></h2>
+    ${strips.map(s => {
+      const beats = recording.beats.filter(b => b.index >= s.start && b.index < s.end);
+      const rr = [];
+      for (let k = 1; k < beats.length; k++) rr.push((beats[k].index - beats[k - 1].index) / fs);
+      const hr = rr.length ? 60 * rr.length / rr.reduce((a, b) => a + b, 0) : null;
+      return `
+      <div class="strip">
+        <div class="caption"><strong>${escapeHtml(s.title)}</strong> · ${clockTime(new Date(start + s.start / fs * 1000))} (${formatOffset(s.start / fs)}–${formatOffset(s.end / fs)}) · ${fmt(hr)} bpm</div>
+        ${renderStripSvg({ values, sampleRate: fs, start: s.start, end: s.end, beats })}
+      </div>`;
+    }).join('')}`;
+}
+
+export function buildReportHtml({ title = 'ECG session report', profile = null, summary, recording = null, strips = [], generatedAt = new Date() }) {
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title>
+<style>
+  @page { size: A4 landscape; margin: 10mm; }
+  body { font-family: Arial, sans-serif; font-size: 10pt; color: #000; margin: 0; }
+  h1 { font-size: 16pt; margin: 0 0 2mm; }
+  h2 { font-size: 13pt; margin: 4mm 0 2mm; }
+  h3 { font-size: 11pt; margin: 3mm 0 1mm; }
+  small { font-weight: 400; color: #555; }
+  .header { display: flex; justify-content: space-between; gap: 10mm; border-bottom: 0.5mm solid #000; padding-bottom: 2mm; }
+  .columns { display: flex; gap: 10mm; }
+  .kv th { text-align: left; font-weight: 400; color: #555; padding-right: 4mm; }
+  .list { border-collapse: collapse; width: 100%; }
+  .list th, .list td { text-align: left; padding: 0.6mm 2mm; border-bottom: 0.2mm solid #ccc; }
+  .notes { margin-top: 1mm; max-width: 120mm; }
+  .rules { margin: 1mm 0 0; padding-left: 5mm; max-width: 90mm; }
+  .break { break-before: page; }
+  .strip { break-inside: avoid; margin-bottom: 4mm; }
+  .caption { margin-bottom: 1mm; }
+  .footer { margin-top: 6mm; font-size: 8pt; color: #555; }
+</style></head>
+<body>
+  <div class="header">
+    <div>
+      <h1>${escapeHtml(title)}</h1>
+      ${profileHeader(profile, summary.startTime)}
+    </div>
+    <table class="kv">
+      <tr><th>Start</th><td>${summary.startTime.toLocaleString()}</td></tr>
+      <tr><th>End</th><td>${summary.endTime.toLocaleString()}</td></tr>
+      <tr><th>Duration</th><td>${formatOffset(summary.durationSec)} min</td></tr>
+      <tr><th>Source</th><td>${escapeHtml(summary.source)} · ${summary.sampleRate} Hz</td></tr>
+      <tr><th>Generated</th><td>${generatedAt.toLocaleString()}</td></tr>
+    </table>
+  </div>
+  ${summaryTables(summary)}
+  ${exerciseTable(summary)}
+  ${eventTable(summary)}
+  ${stripBlocks(summary, recording, strips)}
+  <div class="footer">Generated by How My Heart from a single-lead consumer ECG. Not a medical device; automated findings must be confirmed by a clinician.</div>
+</body></html>`;
+}
+
+// Prints the report from a hidden iframe (no popup to be blocked)
+export function printReport(html) {
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0';
+  document.body.appendChild(frame);
+  const doc = frame.contentWindow.document;
+  doc.open();
+  doc.write(html);
+  doc.close();
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+  // print() blocks until the dialog closes in most browsers; give the others a moment
+  setTimeout(() => frame.remove(), 60000);
+}
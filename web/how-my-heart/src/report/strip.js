@@ -0,0 +1,55 @@
+import { BEAT_LABELS } from '../dsp/arrhythmia.js'
+
+// Rhythm strip as an SVG string in millimetres, so it prints at true paper
+// scale: 1 mm / 5 mm grid, 25 mm/s and 10 mm/mV by default, a 1 mV
+// calibration pulse in front and beat labels along the top.
+
+export const STRIP_SPEED = 25; // mm/s
+export const STRIP_GAIN = 10; // mm/mV
+export const STRIP_HEIGHT = 40; // mm
+const LEAD_IN = 10; // mm reserved for the calibration pulse (two large boxes, keeps the time grid aligned)
+const LABEL_BAND = 5; // mm above the trace for beat labels
+
+// values: the lead (mV, NaN for gaps); start/end sample indices into it;
+// beats: [{ index, label }] in the same indexing
+export function renderStripSvg({ values, sampleRate, start, end, beats = [], speed = STRIP_SPEED, gain = STRIP_GAIN, height = STRIP_HEIGHT }) {
+  const width = LEAD_IN + (end - start) / sampleRate * speed;
+  const baseline = LABEL_BAND + (height - LABEL_BAND) * 0.6;
+  const parts = [];
+
+  // grid
+  const minor = [], major = [];
+  for (let x = 0, k = 0; x <= width + 1e-6; x += 1, k++) (k % 5 ? minor : major).push(`M${x} 0V${height}`);
+  // horizontal lines counted from the baseline so it sits on a major line
+  for (let k = Math.ceil(-baseline); k <= Math.floor(height - baseline); k++) {
+    (k % 5 ? minor : major).push(`M0 ${(baseline + k).toFixed(2)}H${width.toFixed(2)}`);
+  }
+  parts.push(`<path d="${minor.join('')}" stroke="#f6caca" stroke-width="0.1" fill="none"/>`);
+  parts.push(`<path d="${major.join('')}" stroke="#e58b8b" stroke-width="0.25" fill="none"/>`);
+
+  // calibration pulse: 1 mV high, 200 ms wide
+  const pulseW = 0.2 * speed;
+  const top = baseline - gain;
+  parts.push(`<path d="M0.5 ${baseline}H1.5V${top}H${1.5 + pulseW}V${baseline}H${2.5 + pulseW}" stroke="#000" stroke-width="0.3" fill="none"/>`);
+
+  // trace, pen lifted over gaps and clipped to the strip
+  let d = '', penDown = false;
+  for (let i = start; i < end; i++) {
+    const v = values[i];
+    if (v === null || v === undefined || Number.isNaN(v)) { penDown = false; continue; }
+    const x = LEAD_IN + (i - start) / sampleRate * speed;
+    const y = Math.max(LABEL_BAND, Math.min(height, baseline - v * gain));
+    d += `${penDown ? 'L' : 'M'}${x.toFixed(2)} ${y.toFixed(2)}`;
+    penDown = true;
+  }
+  parts.push(`<path d="${d}" stroke="#000" stroke-width="0.3" fill="none" stroke-linejoin="round"/>`);
+
+  for (const beat of beats) {
+    if (beat.index < start || beat.index >= end) continue;
+    const x = LEAD_IN + (beat.index - start) / sampleRate * speed;
+    const color = beat.label === 'N' ? '#555' : (BEAT_LABELS[beat.label] || BEAT_LABELS.N).color;
+    parts.push(`<text x="${x.toFixed(2)}" y="3.5" font-size="${beat.label === 'N' ? 2.5 : 3.2}" font-weight="${beat.label === 'N' ? 400 : 700}" text-anchor="middle" fill="${color}">${beat.label}</text>`);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width.toFixed(2)}mm" height="${height}mm" viewBox="0 0 ${width.toFixed(2)} ${height}">${parts.join('')}</svg>`;
+}
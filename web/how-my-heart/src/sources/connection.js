@@ -0,0 +1,126 @@
+// Connection manager for device sources: watches the stream for stalls and
+// re-opens the device after it drops or stalls, retrying until it is back or
+// the user disconnects. It has the same shape as the source it wraps, so the
+// UI can use it in place of that source.
+//
+// makeSource(previous) builds a fresh source; `previous` is the one that just
+// failed (null for the first), so e.g. Web Serial can reopen the port the user
+// already granted instead of asking again.
+//
+// open() takes one more handler: onStatus({ state, reason, attempt, downMs })
+//   state 'reconnecting'  the link dropped or stalled (reason says which)
+//         'connected'     it is back; downMs is how long it was gone
+
+export const CONNECTION_DEFAULTS = {
+  stallMs: 3000, // no line for this long counts as a dead link
+  retryMs: [500, 1000, 2000, 5000], // delay before each retry; the last one repeats
+  watchMs: 500,
+};
+
+export function createConnectionManager(makeSource, options = {}) {
+  const opts = { ...CONNECTION_DEFAULTS, ...options };
+  const first = makeSource(null);
+  let inner = null;
+  let handlers = null;
+  let closing = false;
+  let watching = true;
+  let lastLineAt = 0;
+  let downSince = null;
+  let attempt = 0;
+  let watchdog = null;
+  let retryTimer = null;
+
+  function status(state, extra = {}) {
+    handlers.onStatus && handlers.onStatus({ state, attempt, ...extra });
+  }
+
+  // Callbacks for one inner source; lines from a source that was already dropped are ignored
+  function callbacksFor(source) {
+    return {
+      onLine(line) {
+        if (source !== inner) return;
+        lastLineAt = performance.now();
+        handlers.onLine(line);
+      },
+      onClose(reason) {
+        if (source !== inner || closing || reason === 'closed') return;
+        drop(reason instanceof Error ? reason.message : `stream ${reason}`);
+      },
+    };
+  }
+
+  function drop(reason) {
+    const old = inner;
+    inner = null;
+    downSince = performance.now();
+    attempt = 0;
+    status('reconnecting', { reason });
+    Promise.resolve(old && old.close()).catch(() => {}).then(() => scheduleRetry(old));
+  }
+
+  function scheduleRetry(previous) {
+    if (closing) return;
+    const delay = opts.retryMs[Math.min(attempt, opts.retryMs.length - 1)];
+    retryTimer = setTimeout(async () => {
+      retryTimer = null;
+      attempt++;
+      const next = makeSource(previous);
+      try {
+        inner = next;
+        await next.open(callbacksFor(next));
+      } catch (err) {
+        inner = null;
+        if (!closing) status('reconnecting', { reason: err.message });
+        scheduleRetry(previous);
+        return;
+      }
+      if (closing) { next.close().catch(() => {}); return; }
+      lastLineAt = performance.now();
+      const downMs = lastLineAt - downSince;
+      downSince = null;
+      status('connected', { downMs });
+    }, delay);
+  }
+
+  return {
+    kind: first.kind,
+    label: first.label,
+    isDevice: first.isDevice,
+
+    async open(nextHandlers) {
+      handlers = nextHandlers;
+      inner = first;
+      await first.open(callbacksFor(first));
+      lastLineAt = performance.now();
+      watchdog = setInterval(() => {
+        if (inner && downSince === null && watching && performance.now() - lastLineAt > opts.stallMs) {
+          drop(`no data for ${(opts.stallMs / 1000).toFixed(0)} s`);
+        }
+      }, opts.watchMs);
+    },
+
+    ...(first.send ? {
+      send(line) {
+        if (!inner || downSince !== null) throw new Error('Device link is down');
+        return inner.send(line);
+      },
+    } : {}),
+
+    // A device told to stop streaming is silent on purpose
+    setWatching(on) {
+      watching = on;
+      lastLineAt = performance.now();
+    },
+
+    isUp() { return inner !== null && downSince === null; },
+
+    async close() {
+      closing = true;
+      clearInterval(watchdog);
+      clearTimeout(retryTimer);
+      const current = inner;
+      inner = null;
+      if (current) await current.close();
+    },
+  };
+}
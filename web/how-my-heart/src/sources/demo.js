@@ -0,0 +1,33 @@
+import { createSyntheticEcg, DEMO_DEFAULTS } from '../synthEcg.js'
+import { startPacer } from './pacer.js'
+import { formatCsvSample } from '../protocol.js'
+
+// Demo Mode: synthetic ECG formatted exactly like the Arduino CSV stream
+export function createDemoSource({ sampleRate, options = DEMO_DEFAULTS }) {
+  const generator = createSyntheticEcg(sampleRate, { ...options, seed: Date.now() & 0xffff });
+  let pacer = null;
+
+  return {
+    kind: 'demo',
+    label: 'Demo Mode — synthetic ECG',
+    isDevice: false,
+    sampleRate,
+
+    async open({ onLine }) {
+      pacer = startPacer({
+        sampleRate,
+        emit: () => {
+          const s = generator.next();
+          onLine(formatCsvSample(s.lead1, s.lead2));
+        },
+      });
+    },
+
+    async close() {
+      if (pacer) pacer.stop();
+      pacer = null;
+    },
+
+    setOptions(partial) { generator.setOptions(partial); },
+  };
+}
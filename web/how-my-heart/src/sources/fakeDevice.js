@@ -0,0 +1,168 @@
+import { createSyntheticEcg, DEMO_DEFAULTS } from '../synthEcg.js'
+import { startPacer } from './pacer.js'
+import { formatCsvSample } from '../protocol.js'
+
+// A scripted stand-in for the Arduino that speaks both directions of the line
+// protocol: a header, CSV samples scaled by the gain, and acks / events for
+// commands. The script picks how it misbehaves, so the command channel and the
+// connection manager can be exercised without hardware (timeouts, rejections,
+// failed calibration, old firmware that ignores commands, lost lines, a link
+// that stalls or drops).
+export const FAKE_DEVICE_DEFAULTS = {
+  firmware: '2.0.0-sim',
+  sampleRate: 125,
+  sampleRates: [125, 250, 500],
+  gain: 1,
+  gains: [1, 2, 4, 8],
+  calibrationMs: 2500,
+  replyDelayMs: 20,
+  commands: true,        // false: legacy firmware without a command channel
+  header: true,          // false: no header either, so the rate has to be measured
+  silent: [],            // commands that never get an ack
+  reject: {},            // cmd -> error text in a negative ack
+  failCalibration: null, // reason: calibration ends with state "failed"
+  sequence: false,       // JSON samples with "seq" numbers instead of CSV
+  lossRate: 0,           // fraction of sample lines that never arrive
+  stallAfterMs: null,    // goes silent this long after opening (link still up)
+  dropAfterMs: null,     // the link closes this long after opening
+};
+
+export function createFakeDeviceSource({ script = {}, ecg = DEMO_DEFAULTS } = {}) {
+  const opts = { ...FAKE_DEVICE_DEFAULTS, ...script };
+  const received = [];
+  let sampleRate = opts.sampleRate;
+  let gain = opts.gain;
+  let streaming = true;
+  let generator = null;
+  let pacer = null;
+  let timers = [];
+  let emitLine = null;
+  let seq = 0;
+
+  function later(fn, ms = opts.replyDelayMs) {
+    const timer = setTimeout(() => {
+      timers = timers.filter(t => t !== timer);
+      if (emitLine) fn();
+    }, ms);
+    timers.push(timer);
+  }
+
+  function sendJson(obj) {
+    emitLine(JSON.stringify(obj));
+  }
+
+  function sendHeader() {
+    if (!opts.header) return;
+    sendJson({ type: 'header', protocol: 1, sampleRate, channels: ['I', 'II'], firmware: opts.firmware, unitsPerMv: gain });
+  }
+
+  function startStream() {
+    if (pacer) pacer.stop();
+    generator = createSyntheticEcg(sampleRate, { ...ecg, seed: Date.now() & 0xffff });
+    pacer = startPacer({
+      sampleRate,
+      emit: () => {
+        if (!streaming) return;
+        const s = generator.next();
+        const n = seq++;
+        if (opts.lossRate && Math.random() < opts.lossRate) return;
+        emitLine(opts.sequence
+          ? JSON.stringify({ type: 'sample', v: [+(s.lead1 * gain).toFixed(3), +(s.lead2 * gain).toFixed(3)], seq: n })
+          : formatCsvSample(s.lead1 * gain, s.lead2 * gain));
+      },
+    });
+  }
+
+  function calibrate() {
+    sendJson({ type: 'event', event: 'calibration', state: 'start' });
+    emitLine('Starting calibration...');
+    later(() => {
+      if (opts.failCalibration) {
+        sendJson({ type: 'event', event: 'calibration', state: 'failed', reason: opts.failCalibration });
+        return;
+      }
+      emitLine('Calibration Complete');
+      sendJson({ type: 'event', event: 'calibration', state: 'complete' });
+    }, opts.calibrationMs);
+  }
+
+  function shutdown() {
+    if (pacer) pacer.stop();
+    for (const t of timers) clearTimeout(t);
+    pacer = null;
+    timers = [];
+    emitLine = null;
+  }
+
+  // Runs one command; returns the extra ack fields, or a string to reject it
+  function execute(msg) {
+    switch (msg.cmd) {
+      case 'info':
+        return {
+          firmware: opts.firmware,
+          protocol: 1,
+          capabilities: ['stream', 'calibrate', 'gain', 'sampleRate'],
+          gains: opts.gains, sampleRates: opts.sampleRates, gain, sampleRate, streaming,
+        };
+      case 'start':
+      case 'stop':
+        streaming = msg.cmd === 'start';
+        later(() => sendJson({ type: 'event', event: 'streaming', on: streaming }));
+        return {};
+      case 'calibrate':
+        later(calibrate);
+        return {};
+      case 'set':
+        if (msg.gain !== undefined) {
+          if (!opts.gains.includes(msg.gain)) return `unsupported gain ${msg.gain}`;
+          // the header with the new scale goes out before the first rescaled sample
+          later(() => { gain = msg.gain; sendHeader(); });
+        }
+        if (msg.sampleRate !== undefined) {
+          if (!opts.sampleRates.includes(msg.sampleRate)) return `unsupported sample rate ${msg.sampleRate}`;
+          later(() => { sampleRate = msg.sampleRate; sendHeader(); startStream(); });
+        }
+        return {};
+      default:
+        return `unknown command ${msg.cmd}`;
+    }
+  }
+
+  return {
+    kind: 'simulated',
+    label: `Simulated device (fw ${opts.firmware})`,
+    isDevice: true,
+
+    async open({ onLine, onClose }) {
+      emitLine = onLine;
+      sendHeader();
+      startStream();
+      if (opts.stallAfterMs !== null) later(() => { if (pacer) pacer.stop(); pacer = null; }, opts.stallAfterMs);
+      if (opts.dropAfterMs !== null) {
+        later(() => {
+          shutdown();
+          onClose && onClose('ended');
+        }, opts.dropAfterMs);
+      }
+    },
+
+    send(line) {
+      if (!emitLine) throw new Error('Simulated device is not open');
+      let msg;
+      try { msg = JSON.parse(line); } catch (e) { msg = null; }
+      received.push(msg || line);
+      if (!opts.commands || !msg || typeof msg.cmd !== 'string' || opts.silent.includes(msg.cmd)) return;
+      const reason = opts.reject[msg.cmd] ?? execute(msg);
+      later(() => sendJson(typeof reason === 'string'
+        ? { type: 'ack', id: msg.id, ok: false, error: reason }
+        : { type: 'ack', id: msg.id, ok: true, ...reason }));
+    },
+
+    async close() {
+      shutdown();
+    },
+
+    // Every line the device was sent (parsed JSON where possible), oldest first
+    getReceived() { return [...received]; },
+  };
+}
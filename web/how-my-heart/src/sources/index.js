@@ -0,0 +1,25 @@
+// Data sources all share one shape, so the UI consumes samples the same way
+// whatever produces them:
+//
+//   kind       'serial' | 'websocket' | 'replay' | 'demo' | 'simulated'
+//   label      human readable description
+//   isDevice   true when a real device (with its own calibration phase) is on the other end
+//   sampleRate known rate in Hz (demo, replay); devices leave it out and announce it in
+//              their header, or the UI times the stream to find it
+//   open({ onLine, onClose, onSeek })  start streaming; resolves once connected.
+//              onLine(line) gets one raw text line, onClose(reason) fires when the stream ends,
+//              onSeek(index) fires when a replay jumps and the next sample is `index` in the file
+//   close()    stop streaming and release the device
+//   send(line) devices that accept commands only: writes one command line (see deviceControl.js)
+//   sequence   { start, end } when every sample line carries "seq" from start up to end
+//              (recording replays), so samples missing at either end count as gaps too
+//
+// Replay sources also have pause(), resume(), setSpeed(x), step(n), seek(index) and getState().
+// Device sources are wrapped in a connection manager (connection.js), which adds
+// onStatus(status) to open() and reconnects after a drop or stall.
+export { createWebSerialSource, isWebSerialSupported } from './webSerial.js'
+export { createWebSocketSource, DEFAULT_BRIDGE_URL } from './webSocket.js'
+export { createReplaySource, createRecordingReplaySource } from './replay.js'
+export { createDemoSource } from './demo.js'
+export { createFakeDeviceSource, FAKE_DEVICE_DEFAULTS } from './fakeDevice.js'
+export { createConnectionManager, CONNECTION_DEFAULTS } from './connection.js'
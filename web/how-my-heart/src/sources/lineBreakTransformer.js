@@ -0,0 +1,13 @@
+// Helper to split text stream by newlines
+export class LineBreakTransformer {
+  constructor() { this.container = '' }
+  transform(chunk, controller) {
+    this.container += chunk;
+    const lines = this.container.split('\n');
+    this.container = lines.pop();
+    for (const line of lines) controller.enqueue(line);
+  }
+  flush(controller) {
+    if (this.container) controller.enqueue(this.container);
+  }
+}
@@ -0,0 +1,38 @@
+// Drives a software source at a fixed sample rate from a coarse timer.
+// Timers are late and uneven, so each tick emits however many samples are due.
+// emit() returns false once the source has nothing more to send.
+export function startPacer({ sampleRate, speed = 1, emit, onEnd, tickMs = 40 }) {
+  let rate = sampleRate * speed;
+  let t0 = performance.now();
+  let emitted = 0;
+  let timer = setInterval(tick, tickMs);
+
+  function tick() {
+    const due = Math.floor((performance.now() - t0) / 1000 * rate);
+    // don't try to catch up more than 1 s after the tab was in the background
+    if (due - emitted > rate) emitted = due - Math.ceil(rate);
+    while (emitted < due) {
+      emitted++;
+      if (emit() === false) {
+        stop();
+        onEnd && onEnd();
+        return;
+      }
+    }
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    stop,
+    setSpeed(nextSpeed) {
+      // restart the clock so the new rate applies from now on
+      rate = sampleRate * nextSpeed;
+      t0 = performance.now();
+      emitted = 0;
+    },
+  };
+}
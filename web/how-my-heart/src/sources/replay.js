@@ -0,0 +1,149 @@
+import { startPacer } from './pacer.js'
+import { createProtocolParser, isSampleLine, PROTOCOL_VERSION } from '../protocol.js'
+
+// File replay. Both flavours feed device-format lines through onLine(), so a
+// replay goes through exactly the same parsing/filtering/detection path as a
+// live device, and share the same transport controls:
+//   pause() / resume(), setSpeed(x), step(samples) while paused, seek(sampleIndex)
+// onSeek(index) tells the consumer that the stream jumps and the next sample has `index`.
+
+function createPlayback({ kind, label, sampleRate, length, emitSample, preamble = [], speed = 1, loop = false }) {
+  let pos = 0;
+  let pacer = null;
+  let playing = false;
+  let currentSpeed = speed;
+  let handlers = null;
+
+  function emitNext() {
+    if (pos >= length) {
+      if (!loop) return false;
+      seek(0);
+    }
+    emitSample(pos++, handlers.onLine);
+  }
+
+  function play() {
+    if (playing) return;
+    playing = true;
+    pacer = startPacer({
+      sampleRate,
+      speed: currentSpeed,
+      emit: emitNext,
+      onEnd: () => {
+        playing = false;
+        pacer = null;
+        handlers.onEnd && handlers.onEnd();
+      },
+    });
+  }
+
+  function pause() {
+    if (pacer) pacer.stop();
+    pacer = null;
+    playing = false;
+  }
+
+  function seek(index) {
+    pos = Math.max(0, Math.min(length - 1, Math.round(index)));
+    if (handlers.onSeek) handlers.onSeek(pos);
+    for (const line of preamble) handlers.onLine(line);
+  }
+
+  return {
+    kind,
+    label,
+    isDevice: false,
+    sampleRate,
+
+    async open({ onLine, onClose, onSeek }) {
+      if (!length) throw new Error(`${label} contains no samples`);
+      handlers = { onLine, onSeek, onEnd: () => onClose && onClose('ended') };
+      for (const line of preamble) onLine(line);
+      play();
+    },
+
+    async close() {
+      pause();
+    },
+
+    pause,
+    resume: play,
+    setSpeed(nextSpeed) {
+      currentSpeed = nextSpeed;
+      if (pacer) pacer.setSpeed(nextSpeed);
+    },
+    step(samples = 1) {
+      if (playing) return;
+      for (let i = 0; i < samples && pos < length; i++) emitSample(pos++, handlers.onLine);
+    },
+    seek,
+    getState() {
+      return { position: pos, length, sampleRate, playing, speed: currentSpeed };
+    },
+  };
+}
+
+// Replays a recorded text log (one device line per line). Lines that carry a
+// sample take one sample period; BPM-only frames and chatter go out with the
+// sample that follows them. The log is paced at the rate in its first header,
+// or at `sampleRate` when it has none.
+export function createReplaySource({ name = 'recording', text, sampleRate, speed = 1, loop = false }) {
+  const parser = createProtocolParser();
+  const groups = [];
+  let pendingLines = [];
+  let headerRate = null;
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    if (headerRate === null && !isSampleLine(line)) {
+      const frame = parser.parse(line);
+      if (frame && frame.type === 'header' && frame.sampleRate) headerRate = frame.sampleRate;
+    }
+    pendingLines.push(line);
+    if (isSampleLine(line)) {
+      groups.push(pendingLines);
+      pendingLines = [];
+    }
+  }
+  if (pendingLines.length && groups.length) groups[groups.length - 1].push(...pendingLines);
+
+  return createPlayback({
+    kind: 'replay',
+    label: `Replay ${name}`,
+    sampleRate: headerRate ?? sampleRate,
+    length: groups.length,
+    speed,
+    loop,
+    emitSample: (pos, onLine) => { for (const line of groups[pos]) onLine(line); },
+  });
+}
+
+// Replays an imported recording (see recording/importers.js) as JSON sample
+// lines numbered by their sample index. NaN (gaps, missing samples) in Lead II
+// is not sent at all, so the jump in "seq" shows up as the gap it was (at the
+// start or end of the file against `sequence`); a missing Lead I alone leaves
+// Lead II to go out by itself.
+export function createRecordingReplaySource({ recording, speed = 1, loop = false }) {
+  const { lead1, lead2, hasLeadI, sampleRate } = recording;
+  const channels = hasLeadI ? ['I', 'II'] : ['II'];
+  const header = JSON.stringify({ type: 'header', protocol: PROTOCOL_VERSION, sampleRate, channels, firmware: `file:${recording.name}` });
+  return {
+    ...createPlayback({
+      kind: 'replay',
+      label: `Replay ${recording.name}`,
+      sampleRate,
+      length: lead2.length,
+      speed,
+      loop,
+      preamble: [header],
+      emitSample: (pos, onLine) => {
+        const v2 = lead2[pos];
+        if (Number.isNaN(v2)) return;
+        if (!hasLeadI) onLine(JSON.stringify({ type: 'sample', v: +v2.toFixed(4), seq: pos }));
+        else if (Number.isNaN(lead1[pos])) onLine(JSON.stringify({ type: 'sample', II: +v2.toFixed(4), seq: pos }));
+        else onLine(JSON.stringify({ type: 'sample', v: [+lead1[pos].toFixed(4), +v2.toFixed(4)], seq: pos }));
+      },
+    }),
+    sequence: { start: 0, end: lead2.length },
+    recording,
+  };
+}
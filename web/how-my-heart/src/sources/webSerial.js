@@ -0,0 +1,87 @@
+import { LineBreakTransformer } from './lineBreakTransformer.js'
+
+export function isWebSerialSupported() {
+  return typeof navigator !== 'undefined' && 'serial' in navigator;
+}
+
+// The port the user granted earlier, or the same device after it was unplugged
+// and plugged back in (which gives it a new SerialPort object)
+async function findGrantedPort(previous) {
+  const ports = await navigator.serial.getPorts();
+  if (ports.includes(previous)) return previous;
+  const { usbVendorId, usbProductId } = previous.getInfo();
+  return ports.find(p => {
+    const info = p.getInfo();
+    return usbVendorId !== undefined && info.usbVendorId === usbVendorId && info.usbProductId === usbProductId;
+  }) || null;
+}
+
+// Reads newline-delimited text from a device picked through the Web Serial API (Chrome/Edge)
+// and writes command lines back to it. With `grantedPort` it reopens that device
+// without showing the port picker (used to reconnect).
+export function createWebSerialSource({ baudRate = 115200, grantedPort = null } = {}) {
+  let port = null;
+  let lastPort = grantedPort;
+  let reader = null;
+  let writer = null;
+  let closing = false;
+
+  return {
+    kind: 'serial',
+    label: 'Web Serial',
+    isDevice: true,
+
+    async open({ onLine, onClose }) {
+      if (!isWebSerialSupported()) throw new Error('Web Serial API not supported in this browser');
+      if (grantedPort) {
+        port = await findGrantedPort(grantedPort);
+        if (!port) throw new Error('Serial device is not plugged in');
+      } else {
+        port = await navigator.serial.requestPort();
+      }
+      lastPort = port;
+      await port.open({ baudRate });
+
+      const textDecoder = new TextDecoderStream();
+      const readableStreamClosed = port.readable.pipeTo(textDecoder.writable).catch(() => {});
+      reader = textDecoder.readable
+        .pipeThrough(new TransformStream(new LineBreakTransformer()))
+        .getReader();
+      writer = port.writable.getWriter();
+
+      // read loop runs detached; open() resolves as soon as the port is up
+      (async () => {
+        let reason = 'ended';
+        try {
+          while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            if (value) onLine(value);
+          }
+        } catch (err) {
+          reason = closing ? 'closed' : err;
+        }
+        await readableStreamClosed;
+        onClose && onClose(closing ? 'closed' : reason);
+      })();
+    },
+
+    // The device this source opened, for reconnecting to it later
+    get port() { return lastPort; },
+
+    async send(line) {
+      if (!writer) throw new Error('Serial port is not open');
+      await writer.write(new TextEncoder().encode(line + '\n'));
+    },
+
+    async close() {
+      closing = true;
+      try { if (writer) writer.releaseLock(); } catch (e) {}
+      try { if (reader) await reader.cancel(); } catch (e) {}
+      try { if (port) await port.close(); } catch (e) {}
+      reader = null;
+      writer = null;
+      port = null;
+    },
+  };
+}
@@ -0,0 +1,42 @@
+// Receives ECG lines from a WebSocket, e.g. tools/serial_bridge.mjs, which
+// passes the command lines sent back on to the device.
+// Works in every browser, so it is the fallback where Web Serial is missing.
+export const DEFAULT_BRIDGE_URL = 'ws://localhost:8765';
+
+export function createWebSocketSource({ url = DEFAULT_BRIDGE_URL } = {}) {
+  let ws = null;
+  let closing = false;
+
+  return {
+    kind: 'websocket',
+    label: `WebSocket ${url}`,
+    isDevice: true,
+
+    open({ onLine, onClose }) {
+      return new Promise((resolve, reject) => {
+        let opened = false;
+        ws = new WebSocket(url);
+        ws.onopen = () => { opened = true; resolve(); };
+        ws.onerror = () => { if (!opened) reject(new Error(`Could not connect to ${url}`)); };
+        ws.onmessage = (ev) => {
+          // the bridge sends one line per message, but tolerate batched lines
+          for (const line of String(ev.data).split('\n')) if (line) onLine(line);
+        };
+        ws.onclose = () => {
+          if (opened) onClose && onClose(closing ? 'closed' : 'ended');
+        };
+      });
+    },
+
+    send(line) {
+      if (!ws || ws.readyState !== WebSocket.OPEN) throw new Error('Bridge is not connected');
+      ws.send(line);
+    },
+
+    async close() {
+      closing = true;
+      if (ws) ws.close();
+      ws = null;
+    },
+  };
+}
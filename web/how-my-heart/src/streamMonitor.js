@@ -0,0 +1,134 @@
+// Integrity of a live sample stream: measured against expected sample rate,
+// samples lost to sequence-number jumps ("seq" in JSON samples) and gaps left
+// by reconnects. Parse errors are counted by the protocol parser itself.
+
+export const RATE_WINDOW_SEC = 5;
+export const RATE_TOLERANCE = 0.05; // measured rate within ±5 % of the expected one
+export const MAX_GAP_SEC = 120; // longer outages are recorded as a gap of this length
+export const RATE_MEASURE_SEC = 3; // a stream without a header is timed for this long
+export const COMMON_SAMPLE_RATES = [100, 125, 128, 200, 250, 256, 300, 360, 400, 500, 512, 1000];
+const RATE_SETTLE_MS = 500; // serial buffers empty in a burst right after connecting
+const CHECKPOINT_MS = 250;
+const MAX_GAPS = 50;
+
+// Nearest usual device rate when the measurement is within tolerance of one
+// (arrival jitter never gives an exact figure), else the measurement rounded
+export function snapSampleRate(measured) {
+  const nearest = COMMON_SAMPLE_RATES.reduce((best, r) => Math.abs(r - measured) < Math.abs(best - measured) ? r : best);
+  return Math.abs(nearest - measured) <= RATE_TOLERANCE * nearest ? nearest : Math.round(measured);
+}
+
+// Sample rate of a device that doesn't announce one: counts samples against
+// their arrival time. sample() returns null while measuring and the rate once,
+// when RATE_MEASURE_SEC have been timed.
+export function createRateDetector({ measureSec = RATE_MEASURE_SEC } = {}) {
+  let openedAt = null;
+  let firstAt = null;
+  let count = 0;
+  let done = false;
+
+  return {
+    sample(now = performance.now()) {
+      if (done) return null;
+      if (openedAt === null) openedAt = now;
+      if (now - openedAt < RATE_SETTLE_MS) return null;
+      if (firstAt === null) {
+        firstAt = now;
+        return null;
+      }
+      count++;
+      if (now - firstAt < measureSec * 1000) return null;
+      done = true;
+      return snapSampleRate(count / ((now - firstAt) / 1000));
+    },
+  };
+}
+
+// firstSeq: the sequence number the stream starts at, when the source knows it
+export function createStreamMonitor({ expectedRate, firstSeq = null }) {
+  let nextSeq = firstSeq;
+  let total = 0;
+  let checkpoints = []; // { t, n }: samples received by time t (ms)
+  const stats = {
+    expectedRate,
+    dropped: 0, // samples missing from the sequence numbers
+    resyncs: 0, // sequence numbers that went backwards (device restarted)
+    reconnects: 0,
+    gaps: [], // { start, length, reason: 'seq' | 'reconnect', at: Date }, newest last
+  };
+
+  return {
+    stats,
+
+    // One sample arrived; returns how many samples its sequence number says were
+    // lost just before it (0 without sequence numbers)
+    sample(seq = null, now = performance.now()) {
+      total++;
+      const last = checkpoints[checkpoints.length - 1];
+      if (!last || now - last.t >= CHECKPOINT_MS) checkpoints.push({ t: now, n: total });
+      while (checkpoints.length > 2 && now - checkpoints[1].t > RATE_WINDOW_SEC * 1000) checkpoints.shift();
+
+      if (!Number.isInteger(seq)) return 0;
+      let missing = 0;
+      if (nextSeq !== null && seq > nextSeq) missing = seq - nextSeq;
+      else if (nextSeq !== null && seq < nextSeq) stats.resyncs++;
+      nextSeq = seq + 1;
+      stats.dropped += missing;
+      return missing;
+    },
+
+    // The link came back: sequence numbers may restart and the rate window
+    // shouldn't average over the outage
+    reconnected() {
+      stats.reconnects++;
+      nextSeq = null;
+      checkpoints = [];
+    },
+
+    // The stream jumps on purpose (a replay seeks or loops): the next sequence
+    // number is `next` when known, else it starts afresh; either way the jump
+    // itself doesn't count as lost samples
+    restartSequence(next = null) {
+      nextSeq = next;
+    },
+
+    // The stream ended where `endSeq` would have come next; returns how many
+    // samples were lost at its very end
+    ended(endSeq) {
+      const missing = nextSeq !== null && endSeq > nextSeq ? endSeq - nextSeq : 0;
+      stats.dropped += missing;
+      nextSeq = null;
+      return missing;
+    },
+
+    addGap(start, length, reason) {
+      stats.gaps.push({ start, length, reason, at: new Date() });
+      if (stats.gaps.length > MAX_GAPS) stats.gaps.shift();
+    },
+
+    setExpectedRate(rate) { stats.expectedRate = rate; },
+
+    // Samples per second over the last few seconds, null until there is a second of data
+    measuredRate(now = performance.now()) {
+      const first = checkpoints[0];
+      if (!first || now - first.t < 1000) return null;
+      return (total - first.n) / ((now - first.t) / 1000);
+    },
+
+    snapshot(now = performance.now()) {
+      const measured = this.measuredRate(now);
+      return {
+        expectedRate: stats.expectedRate,
+        measuredRate: measured,
+        rateOk: measured === null || Math.abs(measured - stats.expectedRate) <= RATE_TOLERANCE * stats.expectedRate,
+        samples: total,
+        dropped: stats.dropped,
+        resyncs: stats.resyncs,
+        reconnects: stats.reconnects,
+        gapCount: stats.gaps.length,
+        gapSamples: stats.gaps.reduce((sum, g) => sum + g.length, 0),
+        lastGap: stats.gaps.length ? stats.gaps[stats.gaps.length - 1] : null,
+      };
+    },
+  };
+}
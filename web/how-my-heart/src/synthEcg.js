@@ -0,0 +1,155 @@
+// Synthetic two-lead ECG generator used by Demo Mode.
+// Each beat is a sum of Gaussian bumps (P, Q, R, S, T) placed around the R-peak,
+// with RR intervals modulated by respiratory sinus arrhythmia + random HRV.
+// Breathing also swings the R amplitude and drives most of the baseline wander.
+// Output is in "calibrated" units (~mV), the same range the Arduino sketch streams.
+
+export const DEMO_DEFAULTS = {
+  heartRate: 72,       // BPM
+  hrv: 40,             // ms, SD of random RR jitter
+  respirationRate: 15, // breaths per minute, drives RSA, R amplitude and wander
+  noise: 0.02,         // mV, white noise SD
+  baselineWander: 0.1, // mV, respiration/motion drift amplitude
+  powerline: 0,        // mV, 50 Hz mains interference amplitude
+  ectopicRate: 0,      // 0..1, probability that a beat is a premature ventricular beat
+  afib: false,         // irregularly irregular RR, no P waves, fibrillatory baseline
+  seed: 1,
+};
+
+// Small seedable PRNG so demo recordings are reproducible
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussianFrom(rand) {
+  let u = 0;
+  while (u === 0) u = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+// Waveform components relative to the R-peak: [offset s, amplitude mV, width s].
+// T-wave offset is scaled with sqrt(RR) (Bazett-like QT adaptation).
+const NORMAL_WAVES = [
+  { name: 'P', t: -0.19, a: 0.12, w: 0.022 },
+  { name: 'Q', t: -0.028, a: -0.12, w: 0.009 },
+  { name: 'R', t: 0, a: 1.1, w: 0.010 },
+  { name: 'S', t: 0.03, a: -0.28, w: 0.010 },
+  { name: 'T', t: 0.27, a: 0.3, w: 0.045, qt: true },
+];
+
+// Premature ventricular beat: no P, wide bizarre QRS, discordant T
+const PVC_WAVES = [
+  { name: 'R', t: 0, a: 1.5, w: 0.028 },
+  { name: 'S', t: 0.07, a: -0.6, w: 0.025 },
+  { name: 'T', t: 0.3, a: -0.4, w: 0.06, qt: true },
+];
+
+// Lead I sees the same dipole with a smaller projection
+const LEAD1_GAIN = 0.55;
+// Fraction by which breathing swings the beat amplitude
+const RESPIRATORY_GAIN = 0.08;
+
+export function createSyntheticEcg(sampleRate, options = {}) {
+  let opts = { ...DEMO_DEFAULTS, ...options };
+  const rand = mulberry32(opts.seed);
+  const gauss = () => gaussianFrom(rand);
+  const dt = 1 / sampleRate;
+
+  let t = 0;
+  let sampleIndex = 0;
+  let beats = []; // { t, rr, type }
+  let nextBeatT = 0.5;
+  let lastRR = 60 / opts.heartRate;
+  let pendingCompensation = false;
+  let nextType = 'N';
+  let breathPhase = 0; // radians, advanced every sample so rate changes stay smooth
+
+  // Breathing cycle (-1..1) at a time up to a couple of seconds ahead of t
+  function breathAt(time) {
+    return Math.sin(breathPhase + 2 * Math.PI * (opts.respirationRate / 60) * (time - t));
+  }
+
+  function nextRR() {
+    const base = 60 / Math.max(20, opts.heartRate);
+    if (opts.afib) {
+      // irregularly irregular: wide, uncorrelated spread around the mean
+      return Math.max(0.3, base * (0.65 + rand() * 0.7));
+    }
+    const rsa = 0.04 * base * breathAt(nextBeatT);
+    return Math.max(0.3, base + rsa + gauss() * (opts.hrv / 1000));
+  }
+
+  function scheduleBeats(until) {
+    while (nextBeatT < until) {
+      const prev = beats.length ? beats[beats.length - 1].t : nextBeatT - lastRR;
+      const t0 = Math.max(nextBeatT, prev + 0.25);
+      const gain = 1 + RESPIRATORY_GAIN * breathAt(t0);
+      beats.push({ t: t0, rr: t0 - prev, type: nextType, gain, sampleIndex: Math.round(t0 * sampleRate) });
+
+      // interval up to the following beat, and what kind of beat ends it:
+      // a PVC comes early and is followed by a compensatory pause
+      let rr = nextRR();
+      nextType = 'N';
+      if (pendingCompensation) {
+        rr = lastRR * 1.35;
+        pendingCompensation = false;
+      } else if (!opts.afib && opts.ectopicRate > 0 && rand() < opts.ectopicRate) {
+        nextType = 'V';
+        rr = lastRR * 0.65;
+        pendingCompensation = true;
+      } else {
+        lastRR = rr;
+      }
+      nextBeatT = t0 + rr;
+    }
+    // drop beats whose T-wave can no longer reach the current time
+    while (beats.length && beats[0].t < t - 1.5) beats.shift();
+  }
+
+  function beatValue(beat, time) {
+    const waves = beat.type === 'V' ? PVC_WAVES : NORMAL_WAVES;
+    const qtScale = Math.sqrt(Math.min(1.5, Math.max(0.4, beat.rr)));
+    let v = 0;
+    for (const wave of waves) {
+      if (opts.afib && wave.name === 'P') continue;
+      const center = beat.t + (wave.qt ? wave.t * qtScale : wave.t);
+      const d = (time - center) / wave.w;
+      if (d > -5 && d < 5) v += wave.a * Math.exp(-0.5 * d * d);
+    }
+    return v * beat.gain;
+  }
+
+  function next() {
+    scheduleBeats(t + 2);
+    let clean = 0;
+    let beat = null;
+    for (const b of beats) {
+      clean += beatValue(b, t);
+      if (b.sampleIndex === sampleIndex) beat = { type: b.type, rr: b.rr };
+    }
+    if (opts.afib) {
+      clean += 0.05 * Math.sin(2 * Math.PI * 6.3 * t) + 0.03 * Math.sin(2 * Math.PI * 8.1 * t + 1.3);
+    }
+    const wander = opts.baselineWander * (Math.sin(breathPhase) + 0.5 * Math.sin(2 * Math.PI * 0.07 * t + 0.7));
+    const hum = opts.powerline * Math.sin(2 * Math.PI * 50 * t);
+    const lead2 = clean + wander + hum + gauss() * opts.noise;
+    const lead1 = clean * LEAD1_GAIN + wander * 0.6 + hum + gauss() * opts.noise;
+    t += dt;
+    breathPhase = (breathPhase + 2 * Math.PI * (opts.respirationRate / 60) * dt) % (2 * Math.PI);
+    sampleIndex++;
+    return { lead1, lead2, beat };
+  }
+
+  return {
+    next,
+    setOptions(partial) { opts = { ...opts, ...partial }; },
+    getOptions() { return { ...opts }; },
+  };
+}
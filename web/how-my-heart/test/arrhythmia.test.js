@@ -0,0 +1,170 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { rrIrregularity } from '../src/dsp/arrhythmia.js'
+import { createAnalysisPipeline } from '../src/analysis/pipeline.js'
+import { loadFixture } from './fixtures/load.js'
+
+const MATCH_MS = 150;
+const LEARNING_BEATS = 10; // the QRS template needs 8 normal beats before V can be told apart
+
+// Runs a fixture through the app's pipeline and pairs every annotated beat
+// (after the learning beats) with the label of the detection that matches it
+function classify(name, rate) {
+  const rec = loadFixture(name, rate);
+  const pipeline = createAnalysisPipeline({ sampleRate: rec.sampleRate });
+  for (const x of rec.lead2) pipeline.push(null, x);
+  const window = MATCH_MS / 1000 * rec.sampleRate;
+  const pairs = rec.beats.slice(LEARNING_BEATS).map(ann => {
+    const beat = pipeline.beats.find(b => Math.abs(b.index - ann.index) <= window);
+    return { index: ann.index, t: ann.index / rec.sampleRate, expected: ann.label, label: beat ? beat.label : null };
+  });
+  return { rec, pairs, events: pipeline.events };
+}
+
+const labelled = (pairs, expected, label) => pairs.filter(p => p.expected === expected && p.label === label).length;
+const eventTypes = (events) => [...new Set(events.map(e => e.type))].sort();
+
+for (const rate of [250, 125]) {
+  test(`sinus rhythm at ${rate} Hz: normal beats, no findings`, () => {
+    const { pairs, events } = classify('nsr', rate);
+    assert.ok(pairs.every(p => p.label !== null), 'every beat detected');
+    assert.equal(pairs.filter(p => p.label === 'V' || p.label === 'M').length, 0);
+    // random HRV now and then puts a sinus beat below 85 % of the running RR,
+    // which the prematurity rule can only call atrial
+    const normal = labelled(pairs, 'N', 'N') / pairs.length;
+    assert.ok(normal >= 0.95, `${(normal * 100).toFixed(1)} % labelled N`);
+    assert.deepEqual(eventTypes(events).filter(t => t !== 'pac'), []);
+  });
+
+  test(`PVCs at ${rate} Hz: every V beat labelled V, no normal beat mistaken for one`, () => {
+    const { pairs, events } = classify('pvc', rate);
+    const ventricular = pairs.filter(p => p.expected === 'V');
+    assert.ok(ventricular.length >= 6);
+    assert.deepEqual(ventricular.filter(p => p.label !== 'V').map(p => p.t.toFixed(1)), []);
+    assert.equal(labelled(pairs, 'N', 'V'), 0);
+    // the compensatory pause after a PVC is neither a missed beat nor AF
+    assert.equal(pairs.filter(p => p.label === 'M').length, 0);
+    assert.equal(events.filter(e => e.type === 'pvc').length, ventricular.length);
+    assert.ok(!events.some(e => e.type === 'af'));
+  });
+
+  test(`AF at ${rate} Hz: one AF episode that stays open, no sinus rate episodes`, () => {
+    const { pairs, events } = classify('af', rate);
+    const af = events.filter(e => e.type === 'af');
+    assert.equal(af.length, 1);
+    assert.equal(af[0].end, null);
+    assert.ok(!events.some(e => (e.type === 'brady' || e.type === 'tachy') && e.end === null));
+    // fibrillatory waves can pull the odd beat's template correlation down
+    assert.ok(pairs.filter(p => p.label === 'V').length <= 0.02 * pairs.length);
+    // once in AF an early beat is just the irregular rhythm, not a PAC
+    assert.deepEqual(pairs.filter(p => p.t > 30 && p.label !== 'N').map(p => `${p.label}@${p.t.toFixed(1)}`), []);
+  });
+
+  test(`pause at ${rate} Hz: the beat ending the pause is M with a pause event over 2 s`, () => {
+    const { rec, pairs, events } = classify('pause', rate);
+    const after = rec.beats.findIndex((b, k) => k > 0 && b.index - rec.beats[k - 1].index > 2 * rec.sampleRate);
+    const gapStart = rec.beats[after - 1].index, gapEnd = rec.beats[after].index;
+    assert.deepEqual(pairs.filter(p => p.label !== 'N').map(p => [p.index, p.label]), [[gapEnd, 'M']]);
+    const pauses = events.filter(e => e.type === 'pause');
+    assert.equal(pauses.length, 1);
+    const slack = 0.05 * rec.sampleRate;
+    assert.ok(Math.abs(pauses[0].start - gapStart) <= slack && Math.abs(pauses[0].end - gapEnd) <= slack);
+    assert.equal(pauses[0].detail, `${((gapEnd - gapStart) / rec.sampleRate).toFixed(1)} s`);
+    // 55 bpm
+    assert.ok(events.some(e => e.type === 'brady' && e.end === null));
+    assert.ok(!events.some(e => e.type === 'missed' || e.type === 'af'));
+  });
+}
+
+// A rhythm written out by hand, independent of the demo generator: beats drawn
+// from straight-line QRS complexes and half-sine P and T waves over a slow
+// baseline sway, at RR intervals and labels listed here
+const HAND_RR_JITTER_MS = [0, 12, -8, 20, -16, 4, -4];
+
+function handRhythm() {
+  const beats = [];
+  let t = 1;
+  for (let k = 0; beats.length < 60; k++) {
+    const rr = 0.8 + HAND_RR_JITTER_MS[k % HAND_RR_JITTER_MS.length] / 1000;
+    if (k === 18 || k === 33) {
+      // PVC 0.5 s after the last sinus beat, then a full compensatory pause
+      beats.push({ t: t + 0.5, label: 'V' });
+      t += 2 * rr;
+      beats.push({ t, label: 'N' });
+    } else if (k === 45) {
+      // one sinus beat missing: the next comes two intervals later
+      t += 2 * rr;
+      beats.push({ t, label: 'M' });
+    } else {
+      t += rr;
+      beats.push({ t, label: 'N' });
+    }
+  }
+  return { beats, durationSec: t + 1 };
+}
+
+// Piecewise-linear through [time s, mV] points, zero outside them
+function lines(points, x) {
+  if (x <= points[0][0] || x >= points[points.length - 1][0]) return 0;
+  let i = 1;
+  while (points[i][0] < x) i++;
+  const [x0, y0] = points[i - 1], [x1, y1] = points[i];
+  return y0 + (y1 - y0) * (x - x0) / (x1 - x0);
+}
+
+const halfSine = (x, centre, width, height) => Math.abs(x - centre) < width / 2 ? height * Math.cos(Math.PI * (x - centre) / width) : 0;
+
+const NORMAL_QRS = [[-0.05, 0], [-0.03, -0.1], [0, 1], [0.03, -0.25], [0.05, 0]];
+const PVC_QRS = [[-0.06, 0], [0, 1.3], [0.07, -0.5], [0.12, 0]];
+
+function drawBeat(label, x) {
+  if (label === 'V') return lines(PVC_QRS, x) + halfSine(x, 0.32, 0.2, -0.35);
+  return halfSine(x, -0.16, 0.08, 0.1) + lines(NORMAL_QRS, x) + halfSine(x, 0.25, 0.16, 0.25);
+}
+
+function drawRhythm({ beats, durationSec }, sampleRate) {
+  const lead2 = new Float32Array(Math.round(durationSec * sampleRate));
+  for (let i = 0; i < lead2.length; i++) lead2[i] = 0.05 * Math.sin(2 * Math.PI * 0.3 * i / sampleRate);
+  for (const b of beats) {
+    const at = Math.round(b.t * sampleRate);
+    for (let i = Math.max(0, at - sampleRate); i < Math.min(lead2.length, at + sampleRate); i++) lead2[i] += drawBeat(b.label, (i - at) / sampleRate);
+  }
+  return { lead2, beats: beats.map(b => ({ index: Math.round(b.t * sampleRate), label: b.label })) };
+}
+
+for (const rate of [250, 360]) {
+  test(`hand-drawn rhythm at ${rate} Hz: PVCs and a missed beat labelled as annotated`, () => {
+    const { lead2, beats } = drawRhythm(handRhythm(), rate);
+    const pipeline = createAnalysisPipeline({ sampleRate: rate });
+    for (const x of lead2) pipeline.push(null, x);
+    const window = MATCH_MS / 1000 * rate;
+    const pairs = beats.slice(LEARNING_BEATS).map(ann => {
+      const beat = pipeline.beats.find(b => Math.abs(b.index - ann.index) <= window);
+      return { t: ann.index / rate, expected: ann.label, label: beat ? beat.label : null };
+    });
+    assert.deepEqual(pairs.filter(p => p.label !== p.expected).map(p => `${p.expected}->${p.label}@${p.t.toFixed(1)}`), []);
+    const events = pipeline.events;
+    assert.equal(events.filter(e => e.type === 'pvc').length, 2);
+    const after = beats.findIndex(b => b.label === 'M');
+    const missed = events.filter(e => e.type === 'missed');
+    const slack = 0.02 * rate;
+    assert.equal(missed.length, 1);
+    assert.ok(Math.abs(missed[0].start - beats[after - 1].index) <= slack && Math.abs(missed[0].end - beats[after].index) <= slack);
+    assert.ok(!events.some(e => e.type === 'pause' || e.type === 'af' || e.type === 'pac'));
+  });
+}
+
+test('rrIrregularity: a steady rhythm, one ectopic beat and an irregular rhythm', () => {
+  const steady = rrIrregularity(Array(32).fill(200));
+  assert.deepEqual(steady, { nRmssd: 0, entropy: 0 });
+
+  // the short-long pair around an ectopic beat is trimmed away
+  const ectopic = Array(32).fill(200);
+  ectopic[10] = 130; ectopic[11] = 270;
+  assert.equal(rrIrregularity(ectopic).nRmssd, 0);
+
+  let seed = 7;
+  const irregular = Array.from({ length: 32 }, () => 150 + ((seed = (seed * 16807) % 2147483647) % 100));
+  const r = rrIrregularity(irregular);
+  assert.ok(r.nRmssd > 0.1 && r.entropy > 0.7, JSON.stringify(r));
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { analyzeDelineation, measureIntervals } from '../src/dsp/delineation.js'
+import { createSyntheticEcg, DEMO_DEFAULTS } from '../src/synthEcg.js'
+import { createFilterChain } from '../src/dsp/filters.js'
+
+const RATES = [125, 250, 500, 1000];
+
+// 30 s of the demo ECG through the default filter chain, delineated on the generator's own beats
+function delineate(sampleRate, options = {}) {
+  const ecg = createSyntheticEcg(sampleRate, { ...DEMO_DEFAULTS, ...options });
+  const filters = createFilterChain(sampleRate);
+  const values = [], beats = [];
+  for (let i = 0; i < sampleRate * 30; i++) {
+    const s = ecg.next();
+    values.push(filters.step(s.lead2));
+    if (s.beat) beats.push({ index: i, label: 'N' });
+  }
+  return analyzeDelineation(values, 0, beats, sampleRate);
+}
+
+const warnings = (intervals) => intervals.flags.filter(f => f.severity !== 'info').map(f => f.text);
+
+test('a clean sinus beat measures the same at 125, 250, 500 and 1000 Hz', () => {
+  const results = RATES.map(rate => delineate(rate, { noise: 0, hrv: 0, seed: 4 }).intervals);
+  const reference = results[RATES.length - 1];
+  results.forEach((r, k) => {
+    assert.notEqual(r.pr, null, `no P wave at ${RATES[k]} Hz`);
+    for (const key of ['pr', 'qrs', 'qt', 'qtcB']) {
+      assert.ok(Math.abs(r[key] - reference[key]) <= 8, `${key} ${Math.round(r[key])} ms at ${RATES[k]} Hz, ${Math.round(reference[key])} ms at 1000 Hz`);
+    }
+    assert.deepEqual(warnings(r), [], `at ${RATES[k]} Hz`);
+  });
+});
+
+test('the intervals are in the normal ranges the beat was built with', () => {
+  const { pr, qrs, qtcB } = delineate(1000, { noise: 0, hrv: 0, seed: 4 }).intervals;
+  assert.ok(pr >= 160 && pr <= 200, `PR ${pr}`);
+  assert.ok(qrs >= 80 && qrs <= 110, `QRS ${qrs}`);
+  assert.ok(qtcB >= 360 && qtcB <= 420, `QTc ${qtcB}`);
+});
+
+// The demo beat's PR is about 190 ms, so noise alone can take it just over the 200 ms limit
+test('with the demo noise every rate still finds the P wave and agrees with the clean beat', () => {
+  const clean = delineate(1000, { noise: 0, hrv: 0, seed: 4 }).intervals;
+  for (const seed of [1, 2, 3]) {
+    for (const rate of RATES) {
+      const r = delineate(rate, { seed }).intervals;
+      assert.notEqual(r.pr, null, `no P wave at ${rate} Hz, seed ${seed}`);
+      for (const key of ['pr', 'qrs', 'qt']) {
+        assert.ok(Math.abs(r[key] - clean[key]) <= 20, `${key} ${Math.round(r[key])} ms at ${rate} Hz, seed ${seed}`);
+      }
+      assert.deepEqual(r.flags.filter(f => f.measure !== 'pr' && f.severity !== 'info'), [], `at ${rate} Hz, seed ${seed}`);
+    }
+  }
+});
+
+test('no P wave is reported in AF', () => {
+  for (const rate of [125, 500]) {
+    const { intervals, fiducials } = delineate(rate, { afib: true, seed: 2 });
+    assert.equal(fiducials.pOn, null);
+    assert.equal(intervals.pr, null);
+    assert.equal(intervals.flags.find(f => f.measure === 'pr').severity, 'info');
+  }
+});
+
+test('measureIntervals converts samples to ms and flags values outside the normal ranges', () => {
+  const fiducials = (pr, qrs, qt) => ({ pOn: -pr - 40, pPeak: null, pOff: null, qrsOn: -40, qrsOff: qrs - 40, tPeak: null, tEnd: qt - 40 });
+  const normal = measureIntervals(fiducials(160, 90, 380), 1000, 1);
+  assert.deepEqual([normal.pr, normal.qrs, normal.qt, normal.qtcB, normal.hr], [160, 90, 380, 380, 60]);
+  assert.deepEqual(warnings(normal), []);
+  assert.equal(measureIntervals(fiducials(40, 22.5, 95), 250, 1).pr, 160);
+
+  const flagged = (f, rr = 1, sex = '') => measureIntervals(f, 1000, rr, { sex }).flags.map(x => `${x.measure}:${x.severity}`);
+  assert.deepEqual(flagged(fiducials(220, 90, 380)), ['pr:warn']);
+  assert.deepEqual(flagged(fiducials(100, 90, 380)), ['pr:warn']);
+  assert.deepEqual(flagged(fiducials(160, 120, 380)), ['qrs:warn']);
+  assert.deepEqual(flagged(fiducials(160, 90, 455)), ['qtc:warn']);
+  assert.deepEqual(flagged(fiducials(160, 90, 455), 1, 'female'), []);
+  assert.deepEqual(flagged(fiducials(160, 90, 520)), ['qtc:alert']);
+  assert.deepEqual(flagged(fiducials(160, 90, 330)), ['qtc:warn']);
+  assert.deepEqual(flagged(fiducials(160, 90, 300), 0.5), ['qtc:info']);
+  assert.deepEqual(flagged({ ...fiducials(160, 90, 380), pOn: null, tEnd: null }), ['pr:info', 'qt:info']);
+});
+
+test('QTc by Bazett and Fridericia', () => {
+  const r = measureIntervals({ pOn: -200, qrsOn: -40, qrsOff: 50, tEnd: 360 }, 1000, 0.64);
+  assert.equal(r.qt, 400);
+  assert.equal(Math.round(r.qtcB), 500);
+  assert.equal(Math.round(r.qtcF), 464);
+});
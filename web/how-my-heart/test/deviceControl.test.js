@@ -0,0 +1,178 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createDeviceControl } from '../src/deviceControl.js'
+import { createFakeDeviceSource } from '../src/sources/fakeDevice.js'
+import { createProtocolParser } from '../src/protocol.js'
+
+const TIMEOUT_MS = 200;
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Opens a scripted fake device and wires it to a command channel through the
+// protocol parser, the way the app does. Every parsed frame is kept.
+async function connect(script = {}) {
+  const device = createFakeDeviceSource({ script: { replyDelayMs: 5, calibrationMs: 50, ...script } });
+  const control = createDeviceControl({ send: line => device.send(line), timeoutMs: TIMEOUT_MS });
+  const parser = createProtocolParser();
+  const frames = [];
+  await device.open({
+    onLine: line => {
+      const frame = parser.parse(line);
+      if (!frame) return;
+      frames.push(frame);
+      control.handleFrame(frame);
+    },
+  });
+  return { device, control, parser, frames };
+}
+
+// Runs a test body against a connected fake device and always closes it
+function withDevice(script, body) {
+  return async () => {
+    const link = await connect(script);
+    try {
+      await body(link);
+    } finally {
+      link.control.dispose();
+      await link.device.close();
+    }
+  };
+}
+
+async function rejectsWith(promise, code, message) {
+  await assert.rejects(promise, err => {
+    assert.equal(err.code, code);
+    if (message) assert.match(err.message, message);
+    return true;
+  });
+}
+
+test('identify reads firmware and capabilities from the info ack', withDevice({}, async ({ control, device, frames }) => {
+  const info = await control.identify();
+  assert.equal(info.firmware, '2.0.0-sim');
+  assert.deepEqual(info.capabilities, ['stream', 'calibrate', 'gain', 'sampleRate']);
+  assert.deepEqual([info.gains, info.sampleRates, info.gain, info.sampleRate, info.streaming], [[1, 2, 4, 8], [125, 250, 500], 1, 125, true]);
+  assert.equal(control.getInfo(), info);
+  assert.deepEqual(device.getReceived(), [{ cmd: 'info', id: 1 }]);
+  assert.equal(frames[0].type, 'header');
+  assert.ok(frames.some(f => f.type === 'ack' && f.id === 1 && f.ok));
+}));
+
+test('set gain is acked and followed by a header with the new scale', withDevice({}, async ({ control, parser }) => {
+  await control.identify();
+  await control.setGain(4);
+  assert.equal(control.getInfo().gain, 4);
+  await sleep(30);
+  assert.equal(parser.getHeader().unitsPerMv, 4);
+}));
+
+test('set sample rate restarts the stream at the new rate', withDevice({}, async ({ control, parser }) => {
+  await control.identify();
+  await control.setSampleRate(250);
+  await sleep(30);
+  assert.equal(parser.getHeader().sampleRate, 250);
+  assert.equal(control.getInfo().sampleRate, 250);
+}));
+
+test('values the device did not list are refused before anything is sent', withDevice({}, async ({ control, device }) => {
+  await control.identify();
+  await rejectsWith(control.setGain(3), 'unsupported', /gain 3 is not one of 1, 2, 4, 8/);
+  await rejectsWith(control.setSampleRate(200), 'unsupported', /200 Hz/);
+  assert.deepEqual(device.getReceived().map(m => m.cmd), ['info']);
+}));
+
+test('a negative ack rejects with the device\'s reason', withDevice({ reject: { set: 'busy' } }, async ({ control }) => {
+  await control.identify();
+  await rejectsWith(control.setGain(2), 'rejected', /^set: busy$/);
+  assert.equal(control.getInfo().gain, 1);
+  // a raw command skips the capability checks and gets the same answer
+  await rejectsWith(control.command('set', { gain: 3 }), 'rejected', /busy/);
+}));
+
+test('a value the device does not support is rejected by the device too', withDevice({}, async ({ control }) => {
+  await rejectsWith(control.command('set', { sampleRate: 200 }), 'rejected', /unsupported sample rate 200/);
+  await rejectsWith(control.command('reboot'), 'rejected', /unknown command reboot/);
+}));
+
+test('a command that is never acked times out, and its late reply is ignored', withDevice({ silent: ['start'] }, async ({ control }) => {
+  await control.identify();
+  const started = Date.now();
+  await rejectsWith(control.start(), 'timeout', /start: no reply from the device within 200 ms/);
+  assert.ok(Date.now() - started >= TIMEOUT_MS - 5);
+  assert.equal(control.handleFrame({ type: 'ack', id: 2, ok: true, fields: {} }), true);
+}));
+
+test('firmware without a command channel identifies as null and times out on commands', withDevice({ commands: false }, async ({ control, device, frames }) => {
+  assert.equal(await control.identify(), null);
+  await rejectsWith(control.command('start'), 'timeout');
+  assert.equal(device.getReceived().length, 2);
+  assert.ok(!frames.some(f => f.type === 'ack'));
+  // the samples keep coming regardless
+  assert.ok(frames.some(f => f.type === 'sample'));
+}));
+
+test('stop and start follow the streaming events', withDevice({}, async ({ control, frames }) => {
+  await control.identify();
+  // the event can beat the ack, so listen before sending
+  const stopped = control.waitForEvent('streaming', f => f.on === false);
+  await control.stop();
+  await stopped;
+  assert.equal(control.getInfo().streaming, false);
+  const count = frames.filter(f => f.type === 'sample').length;
+  await sleep(100);
+  assert.equal(frames.filter(f => f.type === 'sample').length, count);
+
+  const started = control.waitForEvent('streaming', f => f.on === true);
+  await control.start();
+  await started;
+  await sleep(100);
+  assert.ok(frames.filter(f => f.type === 'sample').length > count);
+  assert.equal(control.getInfo().streaming, true);
+}));
+
+test('calibrate resolves only when the device reports it complete', withDevice({}, async ({ control, frames }) => {
+  await control.identify();
+  const result = await control.calibrate();
+  assert.equal(result.state, 'complete');
+  const calibration = frames.filter(f => f.type === 'event' && f.event === 'calibration').map(f => f.fields.state);
+  assert.deepEqual(calibration, ['start', 'complete']);
+  assert.ok(frames.some(f => f.type === 'log' && f.calibration === 'complete'));
+}));
+
+test('a failed calibration rejects with the device\'s reason', withDevice({ failCalibration: 'leads off' }, async ({ control }) => {
+  await control.identify();
+  await rejectsWith(control.calibrate(), 'rejected', /calibration failed: leads off/);
+}));
+
+test('a calibration that never finishes times out', withDevice({ calibrationMs: 1000 }, async ({ control }) => {
+  await control.identify();
+  await rejectsWith(control.calibrate({ timeout: 100 }), 'timeout', /no calibration event/);
+}));
+
+test('a rejected calibrate command rejects without waiting for the event', withDevice({ reject: { calibrate: 'not now' } }, async ({ control }) => {
+  await control.identify();
+  const started = Date.now();
+  await rejectsWith(control.calibrate(), 'rejected', /calibrate: not now/);
+  assert.ok(Date.now() - started < TIMEOUT_MS);
+}));
+
+test('dispose rejects what is outstanding and everything after it', withDevice({ silent: ['info'] }, async ({ control }) => {
+  const pending = control.command('info');
+  const waiting = control.waitForEvent('calibration');
+  control.dispose();
+  await rejectsWith(pending, 'disconnected');
+  await rejectsWith(waiting, 'disconnected');
+  await rejectsWith(control.command('start'), 'disconnected');
+}));
+
+test('a send that throws rejects the command as disconnected', async () => {
+  const device = createFakeDeviceSource();
+  const control = createDeviceControl({ send: line => device.send(line), timeoutMs: TIMEOUT_MS });
+  await rejectsWith(control.command('info'), 'disconnected', /not open/);
+});
+
+test('a link that drops reports the close to the source owner', async () => {
+  const device = createFakeDeviceSource({ script: { dropAfterMs: 30 } });
+  const closed = new Promise(resolve => device.open({ onLine: () => {}, onClose: resolve }));
+  assert.equal(await closed, 'ended');
+  assert.throws(() => device.send('{"cmd":"info","id":1}'), /not open/);
+});
@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createFilterChain, bypassedStages, DEFAULT_FILTER_CONFIG } from '../src/dsp/filters.js'
+
+// RMS of a unit sine through the chain, after it has settled
+function residual(sampleRate, freq, config) {
+  const chain = createFilterChain(sampleRate, config);
+  let ss = 0, n = 0;
+  for (let i = 0; i < sampleRate * 20; i++) {
+    const y = chain.step(Math.sin(2 * Math.PI * freq * i / sampleRate));
+    if (i >= sampleRate * 10) { ss += y * y; n++; }
+  }
+  return Math.sqrt(ss / n);
+}
+
+const notchOnly = (freq) => ({ ...DEFAULT_FILTER_CONFIG, notch: { enabled: true, freq }, baseline: { enabled: false, method: 'highpass' }, lowpass: { enabled: false, cutoff: 40 } });
+
+for (const [rate, freq] of [[125, 50], [125, 60], [250, 50], [250, 60], [500, 60]]) {
+  test(`${freq} Hz notch at ${rate} Hz removes the mains tone and keeps the ECG band`, () => {
+    assert.ok(residual(rate, freq, notchOnly(freq)) < 0.05);
+    assert.ok(residual(rate, 10, notchOnly(freq)) > 0.69);
+  });
+}
+
+test('stages the sample rate cannot run are reported as bypassed', () => {
+  assert.deepEqual(bypassedStages(125, { ...DEFAULT_FILTER_CONFIG, notch: { enabled: true, freq: 60 } }), []);
+  assert.deepEqual(bypassedStages(100, { ...DEFAULT_FILTER_CONFIG, notch: { enabled: true, freq: 60 } }), ['notch']);
+  assert.deepEqual(bypassedStages(80, DEFAULT_FILTER_CONFIG), ['notch', 'lowpass']);
+  assert.deepEqual(bypassedStages(80, { ...DEFAULT_FILTER_CONFIG, notch: { enabled: false, freq: 50 } }), ['lowpass']);
+});
+
+test('a bypassed stage passes the signal through', () => {
+  assert.ok(residual(100, 60, notchOnly(60)) > 0.69);
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/*
+Writes the annotated fixture recordings the detector and classifier tests run on:
+one minute of lead II at 250 Hz from the demo generator (fixed seeds), saved as
+WFDB records (.hea / .dat / .atr) whose annotations are the beats the generator
+placed, labelled N or V.
+
+These are synthetic recordings, not real ECG: the tests that run on them are
+self-consistency checks of the detector and classifier against the app's own
+demo generator, and say nothing about accuracy on real recordings.
+
+  nsr     sinus rhythm, 72 bpm
+  pvc     sinus rhythm with premature ventricular beats
+  af      AF-like irregular rhythm, no P waves
+  pause   sinus rhythm at 55 bpm with one beat taken out, leaving a pause of over 2 s
+
+  node test/fixtures/generate.mjs [--verbose]      (from web/how-my-heart)
+*/
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createSyntheticEcg, DEMO_DEFAULTS } from '../../src/synthEcg.js'
+import { recordingToWfdb } from '../../src/recording/wfdb.js'
+
+const SAMPLE_RATE = 250;
+const DURATION_SEC = 60;
+const START = new Date(2024, 0, 1, 9, 0, 0);
+const DIR = path.dirname(fileURLToPath(import.meta.url));
+const VERBOSE = process.argv.includes('--verbose');
+
+const FIXTURES = {
+  nsr: { seed: 11 },
+  pvc: { seed: 12, ectopicRate: 0.12 },
+  af: { seed: 13, afib: true, heartRate: 90 },
+  pause: { seed: 14, heartRate: 55, hrv: 20, dropBeat: 30 },
+};
+
+// Small seedable PRNG for the noise laid over a removed beat
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Replaces the beat (P wave to end of T) with a straight line plus the generator's noise
+function removeBeat(lead2, beats, k, noise, seed) {
+  const rand = mulberry32(seed);
+  const at = beats[k].index;
+  const from = at - Math.round(0.3 * SAMPLE_RATE), to = at + Math.round(0.5 * SAMPLE_RATE);
+  for (let i = from; i <= to; i++) {
+    const f = (i - from) / (to - from);
+    const gauss = Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+    lead2[i] = lead2[from] + (lead2[to] - lead2[from]) * f + gauss * noise;
+  }
+  beats.splice(k, 1);
+}
+
+function generate(name, { dropBeat = null, ...options }) {
+  const opts = { ...DEMO_DEFAULTS, ...options };
+  const ecg = createSyntheticEcg(SAMPLE_RATE, opts);
+  const n = SAMPLE_RATE * DURATION_SEC;
+  const lead2 = new Float32Array(n);
+  const beats = [];
+  for (let i = 0; i < n; i++) {
+    const s = ecg.next();
+    lead2[i] = s.lead2;
+    if (s.beat) beats.push({ index: i, label: s.beat.type });
+  }
+  if (dropBeat !== null) removeBeat(lead2, beats, dropBeat, opts.noise, opts.seed);
+
+  const recording = { sampleRate: SAMPLE_RATE, hasLeadI: false, lead1: null, lead2, startTime: START, beats };
+  const files = recordingToWfdb(recording, name);
+  return Promise.all(Object.entries(files).map(async ([file, blob]) => {
+    fs.writeFileSync(path.join(DIR, file), Buffer.from(await blob.arrayBuffer()));
+  }));
+}
+
+for (const [name, options] of Object.entries(FIXTURES)) {
+  await generate(name, options);
+  if (VERBOSE) console.log(`wrote ${name}.hea/.dat/.atr`);
+}
@@ -0,0 +1,17 @@
+import fs from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { parseWfdb, resampleRecording } from '../../src/recording/importers.js'
+
+// Annotated fixture recordings, read with the app's own WFDB importer. They are
+// synthetic (see generate.mjs), so tests on them are self-consistency checks.
+const DIR = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURE_NAMES = ['nsr', 'pvc', 'af', 'pause'];
+
+export function loadFixture(name, sampleRate = null) {
+  const read = (ext) => fs.readFileSync(path.join(DIR, `${name}.${ext}`));
+  const bytes = (b) => b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
+  const rec = parseWfdb({ hea: read('hea').toString(), dat: bytes(read('dat')), atr: bytes(read('atr')) }, name);
+  return sampleRate ? resampleRecording(rec, sampleRate) : rec;
+}
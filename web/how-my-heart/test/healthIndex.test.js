@@ -0,0 +1,147 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_RULE_PROFILE, heartRateLimits, maxHeartRate, ruleProfileFrom, scoreHealthIndex } from '../src/healthIndex.js'
+
+const rules = (overrides = {}) => ({ ...DEFAULT_RULE_PROFILE, ...overrides });
+// a steady rhythm: the device says 0 irregularity, so only the rate scores
+const atRate = (bpm, r = DEFAULT_RULE_PROFILE) => scoreHealthIndex({ bpm, deviceIrregularity: [0] }, r);
+const firedIds = (result) => result.rules.map(x => x.id);
+
+test('missing inputs give no-data and say what is missing', () => {
+  const none = scoreHealthIndex({});
+  assert.equal(none.status, 'no-data');
+  assert.equal(none.score, null);
+  assert.match(none.desc, /a heart rate and a rhythm measurement/);
+
+  const rateOnly = scoreHealthIndex({ bpm: 70 });
+  assert.equal(rateOnly.status, 'no-data');
+  assert.match(rateOnly.desc, /Waiting for a rhythm measurement/);
+  assert.equal(rateOnly.inputs.hr, 70);
+
+  // one interval is not enough for either
+  assert.equal(scoreHealthIndex({ rrIntervals: [0.8] }).status, 'no-data');
+});
+
+test('the rate comes from the device BPM, else from the last intervals', () => {
+  const fromBeats = scoreHealthIndex({ rrIntervals: [0.8, 0.8, 0.8] });
+  assert.equal(fromBeats.status, 'ok');
+  assert.deepEqual([fromBeats.inputs.hr, fromBeats.inputs.hrSource, fromBeats.inputs.irregularitySource], [75, 'beats', 'beats']);
+  assert.ok(fromBeats.inputs.irregularity < 1e-12);
+
+  assert.equal(scoreHealthIndex({ bpm: 64.4, rrIntervals: [0.8, 0.8] }).inputs.hr, 64);
+  for (const bpm of [0, NaN, null]) {
+    assert.equal(scoreHealthIndex({ bpm, rrIntervals: [0.5, 0.5] }).inputs.hrSource, 'beats');
+  }
+  // only the last 8 intervals count
+  assert.equal(scoreHealthIndex({ rrIntervals: [...Array(20).fill(2), ...Array(8).fill(1)] }).inputs.hr, 60);
+});
+
+test('irregularity comes from the device (last 5 values), else from the RR variation', () => {
+  const device = scoreHealthIndex({ bpm: 70, deviceIrregularity: [1, 1, 0.2, 0.2, 0.2, 0.2, 0.2], rrIntervals: [0.5, 1.5] });
+  assert.equal(device.inputs.irregularitySource, 'device');
+  assert.ok(Math.abs(device.inputs.irregularity - 0.2) < 1e-12);
+  assert.equal(device.breakdown.irregularity, 8);
+
+  // 0.9 / 1.1 s: coefficient of variation 10 %, scored as 0.3
+  const beats = scoreHealthIndex({ bpm: 70, rrIntervals: [0.9, 1.1, 0.9, 1.1] });
+  assert.equal(beats.inputs.irregularitySource, 'beats');
+  assert.ok(Math.abs(beats.inputs.irregularity - 0.3) < 1e-12);
+  assert.equal(beats.breakdown.irregularity, 12);
+  assert.match(beats.rules[0].explanation, /vary by 10\.0 % over the last 4 intervals/);
+
+  // very irregular intervals saturate at 1
+  assert.equal(scoreHealthIndex({ bpm: 70, rrIntervals: [0.4, 1.6, 0.4, 1.6] }).inputs.irregularity, 1);
+});
+
+test('adult limits: each band edge', () => {
+  const cases = [[60, []], [59, ['brady-mild']], [50, ['brady-mild']], [49, ['brady-severe']],
+    [100, []], [101, ['tachy-mild']], [120, ['tachy-mild']], [121, ['tachy-severe']]];
+  for (const [bpm, ids] of cases) assert.deepEqual(firedIds(atRate(bpm)), ids, `${bpm} bpm`);
+  assert.equal(atRate(59).score, 20);
+  assert.equal(atRate(49).score, 40);
+  assert.equal(atRate(75).level, 'Normal');
+});
+
+test('each component is points × its weight, and the score is their sum capped at 100', () => {
+  const r = rules({ weights: { brady: 1, tachy: 0.5, irregularity: 2 } });
+  assert.deepEqual(atRate(110, r).breakdown, { brady: 0, tachy: 10, irregularity: 0 });
+  assert.deepEqual(atRate(45, r).breakdown, { brady: 40, tachy: 0, irregularity: 0 });
+  const both = scoreHealthIndex({ bpm: 130, deviceIrregularity: [0.5] }, r);
+  assert.deepEqual(both.breakdown, { brady: 0, tachy: 20, irregularity: 40 });
+  assert.equal(both.score, 60);
+  assert.deepEqual(firedIds(both), ['tachy-severe', 'irregularity']);
+
+  const heavy = rules({ points: { mild: 20, severe: 80, irregularity: 40 } });
+  assert.equal(scoreHealthIndex({ bpm: 130, deviceIrregularity: [1] }, heavy).score, 100);
+  // a zero weight switches a component off
+  assert.equal(atRate(130, rules({ weights: { brady: 1, tachy: 0, irregularity: 1 } })).score, 0);
+});
+
+test('levels switch at the moderate and high cutoffs', () => {
+  // severe bradycardia (40) plus device irregularity × 40
+  const level = (irregularity) => scoreHealthIndex({ bpm: 45, deviceIrregularity: [irregularity] });
+  assert.equal(atRate(80).level, 'Normal');
+  assert.deepEqual([level(0).score, level(0).level], [40, 'Moderate']);
+  assert.deepEqual([level(0.725).score, level(0.725).level], [69, 'Moderate']);
+  assert.deepEqual([level(0.75).score, level(0.75).level], [70, 'High']);
+  const irregularOnly = (value) => scoreHealthIndex({ bpm: 75, deviceIrregularity: [value] });
+  assert.deepEqual([irregularOnly(0.85).score, irregularOnly(0.85).level], [34, 'Normal']);
+  assert.deepEqual([irregularOnly(0.875).score, irregularOnly(0.875).level], [35, 'Moderate']);
+  assert.equal(scoreHealthIndex({ bpm: 75, deviceIrregularity: [0.875] }, rules({ cutoffs: { moderate: 50, high: 90 } })).level, 'Normal');
+});
+
+test('age bands, athletes and their edges', () => {
+  const limits = (age, extra = {}) => {
+    const { brady, tachy } = heartRateLimits(rules({ age, ...extra }));
+    return [...brady, ...tachy];
+  };
+  assert.deepEqual(limits(null), [60, 50, 100, 120]);
+  assert.deepEqual(limits(5), [80, 70, 140, 160]);
+  assert.deepEqual(limits(6), [70, 60, 120, 140]);
+  assert.deepEqual(limits(11), [70, 60, 120, 140]);
+  assert.deepEqual(limits(12), [55, 45, 100, 120]);
+  assert.deepEqual(limits(17), [55, 45, 100, 120]);
+  assert.deepEqual(limits(18), [60, 50, 100, 120]);
+  assert.deepEqual(limits(30, { athlete: true }), [45, 38, 100, 120]);
+  assert.deepEqual(limits(null, { athlete: true }), [45, 38, 100, 120]);
+  // the athlete allowance is for adults only
+  assert.deepEqual(limits(15, { athlete: true }), [55, 45, 100, 120]);
+
+  assert.deepEqual(firedIds(atRate(46, rules({ athlete: true }))), []);
+  assert.deepEqual(firedIds(atRate(130, rules({ age: 4 }))), []);
+  assert.match(atRate(130, rules({ age: 8 })).rules[0].explanation, /tachycardia limit for a child at rest/);
+});
+
+test('daily activity and exercise move the limits', () => {
+  const active = heartRateLimits(rules({ context: 'active' }));
+  assert.deepEqual([active.brady, active.tachy], [[55, 45], [120, 150]]);
+  assert.match(active.who, /during daily activity/);
+
+  assert.equal(maxHeartRate(40), 180);
+  assert.equal(maxHeartRate(null), 180);
+  assert.equal(maxHeartRate(20), 194);
+  const exercise = heartRateLimits(rules({ context: 'exercise' }));
+  assert.deepEqual(exercise.tachy, [162, 180]);
+  assert.match(exercise.who, /assuming age 40/);
+  assert.deepEqual(heartRateLimits(rules({ context: 'exercise', age: 20 })).tachy, [175, 194]);
+  const set = heartRateLimits(rules({ context: 'exercise', age: 20, maxHr: 200 }));
+  assert.deepEqual(set.tachy, [180, 200]);
+  assert.match(set.who, /maximum 200 bpm as set/);
+
+  assert.deepEqual(firedIds(atRate(150, rules({ context: 'exercise' }))), []);
+  assert.deepEqual(firedIds(atRate(170, rules({ context: 'exercise' }))), ['tachy-mild']);
+});
+
+test('ruleProfileFrom merges settings over the defaults and takes age and athlete from the profile', () => {
+  const r = ruleProfileFrom({ birthDate: '2000-01-01', athlete: true }, { context: 'active', weights: { tachy: 2 } });
+  assert.deepEqual(r.weights, { brady: 1, tachy: 2, irregularity: 1 });
+  assert.deepEqual(r.points, DEFAULT_RULE_PROFILE.points);
+  assert.equal(r.context, 'active');
+  assert.equal(r.athlete, true);
+  assert.ok(r.age >= 24);
+
+  const anonymous = ruleProfileFrom(null);
+  assert.equal(anonymous.age, null);
+  assert.equal(anonymous.athlete, false);
+  assert.deepEqual(anonymous.cutoffs, DEFAULT_RULE_PROFILE.cutoffs);
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { analyzeHrv, filterEctopic, frequencyDomain, lombScargle, poincare, timeDomain } from '../src/dsp/hrv.js'
+
+const near = (actual, expected, tolerance, what = '') =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${what} ${actual} is not within ${tolerance} of ${expected}`);
+
+// Beats from a list of RR intervals (s), each stamped at the end of its interval
+function beats(rrs) {
+  let t = 0;
+  return rrs.map((rr, i) => ({ t: (t += rr), rr, i }));
+}
+
+// RR modulated by one sinusoid: rr = mean + amplitude·sin(2π·f·t), amplitude in ms
+function modulated(freq, amplitude, seconds = 300, mean = 0.8) {
+  const rrs = [];
+  for (let t = 0; t < seconds;) {
+    const rr = mean + amplitude / 1000 * Math.sin(2 * Math.PI * freq * t);
+    rrs.push(rr);
+    t += rr;
+  }
+  return beats(rrs);
+}
+
+test('time domain on a hand-worked series', () => {
+  // 800, 850, 800, 900, 800 ms: mean 830, squared deviations sum to 8000,
+  // successive differences ±50 and ±100
+  const r = timeDomain(beats([0.8, 0.85, 0.8, 0.9, 0.8]));
+  near(r.meanNN, 830, 1e-9, 'meanNN');
+  near(r.sdnn, Math.sqrt(8000 / 4), 1e-9, 'SDNN');
+  near(r.rmssd, Math.sqrt(25000 / 4), 1e-9, 'RMSSD');
+  assert.equal(r.pnn50, 50);
+  near(r.meanHr, 60000 / 830, 1e-9, 'mean HR');
+});
+
+test('a steady rhythm has no variability', () => {
+  const nn = beats(Array(20).fill(1));
+  const r = timeDomain(nn);
+  near(r.meanNN, 1000, 1e-9, 'meanNN');
+  near(r.meanHr, 60, 1e-9, 'mean HR');
+  assert.equal(r.pnn50, 0);
+  for (const value of [r.sdnn, r.rmssd, poincare(nn).sd1, poincare(nn).sd2]) near(value, 0, 1e-9);
+});
+
+test('successive differences skip over removed beats', () => {
+  // 800 → 1000 is not a real neighbour pair once the beat between them is gone
+  const nn = beats([0.8, 0.8, 0.9, 1.0, 1.0]).filter(b => b.i !== 2);
+  const r = timeDomain(nn);
+  assert.equal(r.rmssd, 0);
+  assert.equal(poincare(nn).points.length, 2);
+});
+
+test('Poincaré SD1 and SD2 match their definitions and the SDSD / SDNN identities', () => {
+  const nn = beats([0.8, 0.85, 0.8, 0.9, 0.8]);
+  const { sd1, sd2, points } = poincare(nn);
+  assert.deepEqual(points, [[800, 850], [850, 800], [800, 900], [900, 800]]);
+  // (b - a)/√2 is ±50/√2, ±100/√2 around 0; (b + a)/√2 is 1650/√2 or 1700/√2
+  near(sd1, Math.sqrt(12500 / 3), 1e-9, 'SD1');
+  near(sd2, Math.sqrt(1250 / 3), 1e-9, 'SD2');
+
+  // On a long series SD1² = SDSD²/2 and SD1² + SD2² = 2·SDNN²
+  const long = modulated(0.1, 40);
+  const { sdnn, rmssd } = timeDomain(long);
+  const p = poincare(long);
+  near(p.sd1 ** 2 / (rmssd ** 2 / 2), 1, 0.01, 'SD1² / (SDSD²/2)');
+  near((p.sd1 ** 2 + p.sd2 ** 2) / (2 * sdnn ** 2), 1, 0.02, '(SD1² + SD2²) / 2·SDNN²');
+});
+
+test('ectopic filtering drops the premature beat and its compensatory pause', () => {
+  const series = beats([0.8, 0.8, 0.8, 0.8, 0.5, 1.1, 0.8, 0.8, 0.8, 0.8]);
+  const { nn, removed } = filterEctopic(series);
+  assert.equal(removed, 2);
+  assert.deepEqual(nn.map(b => b.i), [0, 1, 2, 3, 6, 7, 8, 9]);
+  assert.equal(filterEctopic(beats([0.8, 0.8, 2.5, 0.8, 0.8])).removed, 1);
+});
+
+test('Lomb-Scargle peaks at the modulation frequency and integrates to the variance', () => {
+  const nn = modulated(0.25, 50);
+  const freqs = [];
+  for (let f = 0.0025; f <= 0.5; f += 0.0025) freqs.push(f);
+  const psd = lombScargle(nn, freqs);
+  const peak = freqs[psd.indexOf(Math.max(...psd))];
+  near(peak, 0.25, 0.005, 'peak frequency');
+  // a sinusoid of amplitude A has variance A²/2
+  const total = psd.reduce((a, p) => a + p * 0.0025, 0);
+  near(total / (50 ** 2 / 2), 1, 0.1, 'total power / variance');
+});
+
+test('respiratory-rate modulation falls in HF, a 0.1 Hz (Mayer wave) one in LF', () => {
+  const hf = frequencyDomain(modulated(0.25, 50));
+  near(hf.hf / 1250, 1, 0.1, 'HF power / variance');
+  assert.ok(hf.lf < 0.05 * hf.hf, `LF ${hf.lf} vs HF ${hf.hf}`);
+  assert.ok(hf.hfNu > 95);
+
+  const lf = frequencyDomain(modulated(0.1, 50));
+  near(lf.lf / 1250, 1, 0.1, 'LF power / variance');
+  assert.ok(lf.hf < 0.05 * lf.lf, `HF ${lf.hf} vs LF ${lf.lf}`);
+  assert.ok(lf.lfHf > 20);
+  near(lf.lfNu + lf.hfNu, 100, 1e-9, 'normalised units');
+});
+
+test('the spectrum still finds the modulation with beats missing', () => {
+  const nn = modulated(0.25, 50).filter(b => b.i % 7 !== 3);
+  const { lf, hf } = frequencyDomain(nn);
+  near(hf / 1250, 1, 0.15, 'HF power / variance');
+  assert.ok(lf < 0.1 * hf);
+});
+
+test('analyzeHrv windows the series and needs a minute for the spectrum', () => {
+  assert.equal(analyzeHrv([]), null);
+  assert.equal(analyzeHrv(beats([0.8, 0.8])), null);
+
+  const series = modulated(0.25, 50);
+  const r = analyzeHrv(series, { windowSec: 120 });
+  assert.ok(r.spanSec > 119 && r.spanSec <= 120.8, `span ${r.spanSec}`);
+  assert.equal(r.beats, series.filter(b => b.t > series[series.length - 1].t - 120).length);
+  assert.equal(r.ectopicRemoved, 0);
+  assert.ok(r.spectrum.hfNu > 95);
+  assert.equal(analyzeHrv(series.slice(0, 60)).spectrum, null);
+});
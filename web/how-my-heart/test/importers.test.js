@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseEdf } from '../src/recording/importers.js'
+import { recordingToEdf } from '../src/recording/edf.js'
+
+const pad = (value, width) => String(value).padEnd(width, ' ').slice(0, width);
+
+// A BDF+ file built by hand: one ECG signal in µV at 1 µV per digit (24-bit)
+// and a "BDF Annotations" signal, one-second records
+function bdfFile({ sampleRate, values, tals }) {
+  const records = values.length / sampleRate;
+  const annotationBytes = 60; // 20 24-bit "samples" per record
+  const signals = [
+    { label: 'ECG II', dim: 'uV', min: -8388608, max: 8388607, spr: sampleRate },
+    { label: 'BDF Annotations', dim: '', min: -8388608, max: 8388607, spr: annotationBytes / 3 },
+  ];
+  const headerBytes = 256 * (1 + signals.length);
+  let header = '\xffBIOSEMI' + pad('patient', 80) + pad('recording', 80) + '01.01.24' + '09.00.00'
+    + pad(headerBytes, 8) + pad('BDF+C', 44) + pad(records, 8) + pad(1, 8) + pad(signals.length, 4);
+  for (const [key, width] of [['label', 16], [null, 80], ['dim', 8], ['min', 8], ['max', 8], ['min', 8], ['max', 8], [null, 80], ['spr', 8], [null, 32]]) {
+    for (const s of signals) header += pad(key ? s[key] : '', width);
+  }
+  const bytes = new Uint8Array(headerBytes + records * (sampleRate + annotationBytes / 3) * 3);
+  for (let i = 0; i < headerBytes; i++) bytes[i] = header.charCodeAt(i);
+  let pos = headerBytes;
+  for (let r = 0; r < records; r++) {
+    for (let j = 0; j < sampleRate; j++, pos += 3) {
+      const v = values[r * sampleRate + j] & 0xffffff;
+      bytes[pos] = v & 0xff; bytes[pos + 1] = (v >> 8) & 0xff; bytes[pos + 2] = v >> 16;
+    }
+    const tal = `+${r}\x14\x14\x00` + (tals[r] || '');
+    for (let j = 0; j < tal.length; j++) bytes[pos + j] = tal.charCodeAt(j);
+    pos += annotationBytes;
+  }
+  return bytes.buffer;
+}
+
+test('BDF: 24-bit samples, including values past the 16-bit range, and BDF+ annotations', () => {
+  const values = Array.from({ length: 512 }, (_, i) => [0, 1500, -1500, 70000, -70000, 8388607, -8388608][i % 7]);
+  const rec = parseEdf(bdfFile({ sampleRate: 256, values, tals: { 1: '+1.5\x14V\x14\x00' } }), 'test.bdf');
+  assert.equal(rec.sampleRate, 256);
+  assert.equal(rec.lead2.length, 512);
+  assert.equal(rec.hasLeadI, false);
+  values.forEach((v, i) => assert.ok(Math.abs(rec.lead2[i] - v / 1000) < 1e-3, `sample ${i}: ${rec.lead2[i]} mV for ${v} µV`));
+  assert.deepEqual(rec.beats, [{ index: 384, label: 'V' }]);
+});
+
+test('EDF still reads as before, and anything else is refused', async () => {
+  const lead2 = Float32Array.from({ length: 500 }, (_, i) => +(Math.sin(i / 10)).toFixed(3));
+  const recording = { sampleRate: 250, hasLeadI: false, lead1: null, lead2, startTime: new Date(2024, 0, 1), beats: [{ index: 125, label: 'N' }], markers: [] };
+  const rec = parseEdf(await recordingToEdf(recording).arrayBuffer(), 'test.edf');
+  assert.ok(rec.lead2.every((v, i) => Math.abs(v - lead2[i]) < 1e-3));
+  assert.deepEqual(rec.beats, [{ index: 125, label: 'N' }]);
+  assert.throws(() => parseEdf(new ArrayBuffer(300), 'x.bdf'), /not an EDF or BDF file/);
+});
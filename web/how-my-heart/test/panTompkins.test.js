@@ -0,0 +1,67 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createPanTompkins } from '../src/dsp/panTompkins.js'
+import { createFilterChain } from '../src/dsp/filters.js'
+import { FIXTURE_NAMES, loadFixture } from './fixtures/load.js'
+
+const MATCH_MS = 150; // beat-by-beat match window (ANSI/AAMI EC57)
+const LEARNING_SEC = 2; // the detector only starts reporting after its learning phase
+
+// The fixtures are synthetic (see fixtures/generate.mjs): these tests check the
+// detector against the beats the demo generator placed, not real recordings.
+
+// Runs lead II through the default filter chain and the detector, as the app does
+function detect(rec) {
+  const filters = createFilterChain(rec.sampleRate);
+  const detector = createPanTompkins(rec.sampleRate);
+  const beats = [];
+  for (const x of rec.lead2) beats.push(...detector.push(filters.step(x)));
+  return beats;
+}
+
+// Sensitivity and positive predictivity against the annotations, each detection matched at most once
+function score(rec, detected) {
+  const window = MATCH_MS / 1000 * rec.sampleRate;
+  const reference = rec.beats.filter(b => b.index >= LEARNING_SEC * rec.sampleRate);
+  const used = new Set();
+  let tp = 0;
+  for (const ref of reference) {
+    const k = detected.findIndex((d, i) => !used.has(i) && Math.abs(d.index - ref.index) <= window);
+    if (k >= 0) {
+      used.add(k);
+      tp++;
+    }
+  }
+  const counted = detected.filter(d => d.index >= LEARNING_SEC * rec.sampleRate - window).length;
+  return { sensitivity: tp / reference.length, ppv: tp / counted, tp, fn: reference.length - tp, fp: counted - tp };
+}
+
+for (const name of FIXTURE_NAMES) {
+  for (const rate of [250, 125]) {
+    test(`${name} at ${rate} Hz: every annotated beat found, no false detections`, () => {
+      const rec = loadFixture(name, rate);
+      const result = score(rec, detect(rec));
+      assert.ok(result.sensitivity >= 0.99, `sensitivity ${result.sensitivity.toFixed(3)} (${result.fn} missed)`);
+      assert.ok(result.ppv >= 0.99, `PPV ${result.ppv.toFixed(3)} (${result.fp} false)`);
+    });
+  }
+}
+
+test('beats point at the R-peak and RR is the distance to the previous beat', () => {
+  const rec = loadFixture('nsr');
+  const detected = detect(rec);
+  const tolerance = Math.round(0.02 * rec.sampleRate);
+  for (const beat of detected) {
+    const nearest = rec.beats.reduce((a, b) => Math.abs(b.index - beat.index) < Math.abs(a.index - beat.index) ? b : a);
+    assert.ok(Math.abs(nearest.index - beat.index) <= tolerance, `beat at ${beat.index}, annotation at ${nearest.index}`);
+  }
+  assert.equal(detected[0].rr, null);
+  for (let k = 1; k < detected.length; k++) assert.equal(detected[k].rr, detected[k].index - detected[k - 1].index);
+});
+
+test('a flat line produces no beats', () => {
+  const detector = createPanTompkins(250);
+  let count = 0;
+  for (let i = 0; i < 250 * 10; i++) count += detector.push(0).length;
+  assert.equal(count, 0);
+});
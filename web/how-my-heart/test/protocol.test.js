@@ -0,0 +1,182 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createProtocolParser, formatCommand, formatCsvSample, isSampleLine, PROTOCOL_VERSION } from '../src/protocol.js'
+
+test('CSV sample: leads, then optional bpm and irregularity (0 = no beat)', () => {
+  const p = createProtocolParser();
+  assert.deepEqual(p.parse('0.12,0.40'), { type: 'sample', leads: { I: 0.12, II: 0.4 }, bpm: null, irregularity: null, seq: null });
+  assert.deepEqual(p.parse('0.1,0.2,72,0.05'), { type: 'sample', leads: { I: 0.1, II: 0.2 }, bpm: 72, irregularity: 0.05, seq: null });
+  const noBeat = p.parse('0.1,0.2,0,0');
+  assert.equal(noBeat.bpm, null);
+  assert.equal(noBeat.irregularity, 0);
+  assert.equal(p.stats.format, 'csv');
+  assert.equal(p.stats.frames.sample, 3);
+});
+
+test('CSV sample: too few columns or a non-number is malformed', () => {
+  const p = createProtocolParser();
+  assert.equal(p.parse('0.12'), null);
+  assert.equal(p.parse('0.12,abc'), null);
+  assert.equal(p.stats.malformed, 2);
+  assert.equal(p.stats.lastError.line, '0.12,abc');
+});
+
+test('JSON sample without a header: a single value is Lead II, an array is read by its length', () => {
+  const p = createProtocolParser();
+  assert.deepEqual(p.parse('{"type":"sample","v":512}').leads, { II: 512 });
+  const pair = p.parse('{"type":"sample","v":[0.12,0.40],"seq":17}');
+  assert.deepEqual(pair.leads, { I: 0.12, II: 0.4 });
+  assert.equal(pair.seq, 17);
+  assert.deepEqual(p.parse('{"type":"sample","v":[0.3]}').leads, { II: 0.3 });
+  assert.equal(p.stats.malformed, 0);
+  assert.equal(p.stats.format, 'json');
+});
+
+test('JSON sample keyed by channel keeps every lead', () => {
+  const p = createProtocolParser();
+  assert.deepEqual(p.parse('{"type":"sample","I":0.12,"II":0.40}').leads, { I: 0.12, II: 0.4 });
+  assert.deepEqual(p.parse('{"type":"sample","II":0.5}').leads, { II: 0.5 });
+});
+
+test('JSON sample with bpm and irregularity', () => {
+  const p = createProtocolParser();
+  const frame = p.parse('{"type":"sample","v":0.2,"bpm":64,"irr":0.1}');
+  assert.equal(frame.bpm, 64);
+  assert.equal(frame.irregularity, 0.1);
+});
+
+test('JSON sample: too many values, no values or a non-number is malformed', () => {
+  const p = createProtocolParser();
+  assert.equal(p.parse('{"type":"sample","v":[1,2,3]}'), null);
+  assert.equal(p.parse('{"type":"sample","v":[]}'), null);
+  assert.equal(p.parse('{"type":"sample"}'), null);
+  assert.equal(p.parse('{"type":"sample","v":"x"}'), null);
+  assert.equal(p.stats.malformed, 4);
+  assert.equal(p.stats.frames.sample, 0);
+});
+
+test('after a two-channel header a scalar is still Lead II and arrays follow the header', () => {
+  const p = createProtocolParser();
+  p.parse('{"type":"header","protocol":1,"channels":["II","I"]}');
+  assert.deepEqual(p.parse('{"type":"sample","v":0.7}').leads, { II: 0.7 });
+  assert.deepEqual(p.parse('{"type":"sample","v":[0.1,0.2]}').leads, { II: 0.1, I: 0.2 });
+  assert.deepEqual(p.parse('0.3,0.4').leads, { II: 0.3, I: 0.4 });
+});
+
+test('JSON header sets rate, channels, firmware and units', () => {
+  const p = createProtocolParser();
+  const frame = p.parse('{"type":"header","protocol":1,"sampleRate":125,"channels":["I","II"],"firmware":"1.2.0","unitsPerMv":200}');
+  assert.deepEqual(frame, { type: 'header', protocol: 1, sampleRate: 125, channels: ['I', 'II'], firmware: '1.2.0', unitsPerMv: 200, supported: true });
+  assert.deepEqual(p.parse('100,200').leads, { I: 0.5, II: 1 });
+  assert.equal(p.getHeader().sampleRate, 125);
+});
+
+test('"hello" is a header too, and a newer protocol is reported unsupported', () => {
+  const p = createProtocolParser();
+  const frame = p.parse(`{"type":"hello","protocol":${PROTOCOL_VERSION + 1}}`);
+  assert.equal(frame.type, 'header');
+  assert.equal(frame.supported, false);
+});
+
+test('text header', () => {
+  const p = createProtocolParser();
+  const frame = p.parse('# hmh protocol=1 sampleRate=250 channels=II firmware=2.0 unitsPerMv=1');
+  assert.equal(frame.sampleRate, 250);
+  assert.deepEqual(frame.channels, ['II']);
+  assert.equal(frame.firmware, '2.0');
+  assert.deepEqual(p.parse('0.4').leads, { II: 0.4 });
+});
+
+test('bad headers are malformed and change nothing', () => {
+  const p = createProtocolParser();
+  assert.equal(p.parse('{"type":"header","protocol":0}'), null);
+  assert.equal(p.parse('{"type":"header","sampleRate":-5}'), null);
+  assert.equal(p.parse('{"type":"header","channels":[]}'), null);
+  assert.equal(p.parse('{"type":"header","unitsPerMv":0}'), null);
+  assert.equal(p.stats.malformed, 4);
+  assert.equal(p.getHeader().sampleRate, null);
+});
+
+test('bpm frame', () => {
+  const p = createProtocolParser();
+  assert.deepEqual(p.parse('{"type":"bpm","bpm":72,"irr":0.05}'), { type: 'bpm', bpm: 72, irregularity: 0.05 });
+  assert.deepEqual(p.parse('{"type":"bpm","bpm":60}'), { type: 'bpm', bpm: 60, irregularity: null });
+  assert.equal(p.parse('{"type":"bpm","bpm":0}'), null);
+  assert.equal(p.stats.frames.bpm, 2);
+  assert.equal(p.stats.malformed, 1);
+});
+
+test('lead-off: "!" lasts until the next sample, the JSON frame latches', () => {
+  const p = createProtocolParser();
+  assert.deepEqual(p.parse('!'), { type: 'leadoff', off: true, latched: false });
+  assert.deepEqual(p.parse('{"type":"leadoff","off":true}'), { type: 'leadoff', off: true, latched: true });
+  assert.deepEqual(p.parse('{"type":"leadoff","off":false}'), { type: 'leadoff', off: false, latched: true });
+  assert.equal(p.stats.frames.leadoff, 3);
+});
+
+test('log lines, text or JSON, with calibration progress', () => {
+  const p = createProtocolParser();
+  assert.deepEqual(p.parse('Starting calibration...'), { type: 'log', text: 'Starting calibration...', calibration: 'start' });
+  assert.deepEqual(p.parse('Calibration Complete'), { type: 'log', text: 'Calibration Complete', calibration: 'complete' });
+  assert.deepEqual(p.parse('{"type":"log","msg":"Gain: 2"}'), { type: 'log', text: 'Gain: 2', calibration: null });
+  assert.equal(p.stats.frames.log, 3);
+});
+
+test('ack frames carry their id, result and extra fields', () => {
+  const p = createProtocolParser();
+  assert.deepEqual(p.parse('{"type":"ack","id":3,"ok":true,"firmware":"1.2.0"}'), { type: 'ack', id: 3, ok: true, error: null, fields: { firmware: '1.2.0' } });
+  assert.deepEqual(p.parse('{"type":"ack","id":4,"ok":false,"error":"busy"}'), { type: 'ack', id: 4, ok: false, error: 'busy', fields: {} });
+  assert.equal(p.parse('{"type":"ack","id":4,"ok":false}').error, 'rejected');
+  assert.equal(p.parse('{"type":"ack","ok":true}'), null);
+  assert.equal(p.stats.frames.ack, 3);
+  assert.equal(p.stats.malformed, 1);
+});
+
+test('event frames', () => {
+  const p = createProtocolParser();
+  assert.deepEqual(p.parse('{"type":"event","event":"calibration","state":"complete"}'), { type: 'event', event: 'calibration', fields: { state: 'complete' } });
+  assert.deepEqual(p.parse('{"type":"event","event":"streaming","on":false}'), { type: 'event', event: 'streaming', fields: { on: false } });
+  assert.equal(p.parse('{"type":"event"}'), null);
+  assert.equal(p.stats.frames.event, 2);
+});
+
+test('unknown frames and comments are ignored, broken JSON is malformed', () => {
+  const p = createProtocolParser();
+  assert.equal(p.parse('{"type":"telemetry","temp":31}'), null);
+  assert.equal(p.parse('# just a comment'), null);
+  assert.equal(p.parse('{"type":"sample",'), null);
+  assert.equal(p.parse('   '), null);
+  assert.equal(p.stats.ignored, 2);
+  assert.equal(p.stats.malformed, 1);
+  assert.equal(p.stats.lines, 3);
+});
+
+test('reset forgets the header and the counts', () => {
+  const p = createProtocolParser();
+  p.parse('{"type":"header","protocol":1,"sampleRate":250,"channels":["II"]}');
+  p.parse('bad,line');
+  p.reset();
+  assert.equal(p.getHeader().sampleRate, null);
+  assert.equal(p.stats.malformed, 0);
+  assert.equal(p.stats.frames.header, 0);
+  assert.deepEqual(p.parse('0.1,0.2').leads, { I: 0.1, II: 0.2 });
+});
+
+test('formatCommand and formatCsvSample', () => {
+  assert.equal(formatCommand('set', 5, { gain: 2 }), '{"cmd":"set","id":5,"gain":2}');
+  assert.equal(formatCommand('info', 1), '{"cmd":"info","id":1}');
+  assert.equal(formatCsvSample(0.1, 0.2), '0.100,0.200');
+  assert.equal(formatCsvSample(0.1, 0.2, 72), '0.100,0.200,72');
+  assert.equal(formatCsvSample(0.1, 0.2, null, 0.3), '0.100,0.200,0,0.3');
+  const p = createProtocolParser();
+  assert.deepEqual(p.parse(formatCsvSample(0.1, 0.2, 72, 0.3)), { type: 'sample', leads: { I: 0.1, II: 0.2 }, bpm: 72, irregularity: 0.3, seq: null });
+});
+
+test('isSampleLine', () => {
+  assert.equal(isSampleLine('0.1,0.2'), true);
+  assert.equal(isSampleLine('-1.5,0'), true);
+  assert.equal(isSampleLine('{"type":"sample","v":1}'), true);
+  assert.equal(isSampleLine('{"type":"bpm","bpm":70}'), false);
+  assert.equal(isSampleLine('Calibration Complete'), false);
+  assert.equal(isSampleLine('!'), false);
+});
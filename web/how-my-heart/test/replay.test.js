@@ -0,0 +1,101 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRecordingReplaySource } from '../src/sources/replay.js'
+import { createStreamMonitor } from '../src/streamMonitor.js'
+import { createProtocolParser } from '../src/protocol.js'
+
+// Runs a recording replay through the parser and the stream monitor, as the
+// app does, collecting samples and the gaps the monitor reports. With `steps`
+// the replay is paused and stepped by hand, otherwise it plays to the end.
+async function replay(recording, steps = null) {
+  const source = createRecordingReplaySource({ recording: { name: 'test', sampleRate: 250, hasLeadI: false, lead1: null, ...recording } });
+  const parser = createProtocolParser();
+  const monitor = createStreamMonitor({ expectedRate: 250, firstSeq: source.sequence.start });
+  const samples = [], gaps = [];
+  let ended;
+  const done = new Promise(resolve => { ended = resolve; });
+  await source.open({
+    onLine: line => {
+      const frame = parser.parse(line);
+      if (!frame || frame.type !== 'sample') return;
+      const lost = monitor.sample(frame.seq);
+      if (lost) gaps.push({ before: frame.seq, lost });
+      samples.push(frame.leads);
+    },
+    onSeek: index => monitor.restartSequence(index),
+    onClose: reason => {
+      const lost = reason === 'ended' ? monitor.ended(source.sequence.end) : 0;
+      if (lost) gaps.push({ before: source.sequence.end, lost });
+      ended(reason);
+    },
+  });
+  if (steps) {
+    source.pause();
+    steps(source);
+  } else {
+    await done;
+  }
+  return { samples, gaps, monitor, parser };
+}
+
+test('NaN samples are skipped and show up as a sequence gap', async () => {
+  const lead2 = Float32Array.from([0.1, 0.2, NaN, NaN, NaN, 0.6, 0.7]);
+  const { samples, gaps, monitor, parser } = await replay({ lead2 }, source => source.step(7));
+  assert.deepEqual(samples.map(s => +s.II.toFixed(4)), [0.1, 0.2, 0.6, 0.7]);
+  assert.deepEqual(gaps, [{ before: 5, lost: 3 }]);
+  assert.equal(monitor.stats.dropped, 3);
+  assert.equal(parser.stats.malformed, 0);
+});
+
+test('NaN at the start of the recording is a gap from sample 0', async () => {
+  const lead2 = Float32Array.from([NaN, NaN, 0.3, 0.4]);
+  const { samples, gaps, monitor } = await replay({ lead2 }, source => source.step(4));
+  assert.equal(samples.length, 2);
+  assert.deepEqual(gaps, [{ before: 2, lost: 2 }]);
+  assert.equal(monitor.stats.dropped, 2);
+});
+
+test('NaN at the end of the recording is reported as a gap before it ends', async () => {
+  const lead2 = Float32Array.from([NaN, 0.2, 0.3, NaN, 0.5, NaN, NaN, NaN]);
+  const { samples, gaps, monitor } = await replay({ lead2 });
+  assert.equal(samples.length, 3);
+  assert.deepEqual(gaps, [{ before: 1, lost: 1 }, { before: 4, lost: 1 }, { before: 8, lost: 3 }]);
+  assert.equal(monitor.stats.dropped, 5);
+});
+
+test('a recording without NaN reports no gap at either end', async () => {
+  const { samples, gaps } = await replay({ lead2: new Float32Array(20).fill(0.1) });
+  assert.equal(samples.length, 20);
+  assert.deepEqual(gaps, []);
+});
+
+test('a missing Lead I alone keeps Lead II', async () => {
+  const lead1 = Float32Array.from([0.5, NaN, 0.5]);
+  const lead2 = Float32Array.from([1, 1.5, 2]);
+  const { samples, gaps } = await replay({ hasLeadI: true, lead1, lead2 }, source => source.step(3));
+  assert.deepEqual(samples, [{ I: 0.5, II: 1 }, { II: 1.5 }, { I: 0.5, II: 2 }]);
+  assert.deepEqual(gaps, []);
+});
+
+test('a seek is not a gap, but NaN right where it lands is', async () => {
+  const lead2 = new Float32Array(100).fill(0.3);
+  const { samples, gaps, monitor } = await replay({ lead2 }, source => {
+    source.step(5);
+    source.seek(60);
+    source.step(5);
+    source.seek(10);
+    source.step(5);
+  });
+  assert.equal(samples.length, 15);
+  assert.deepEqual(gaps, []);
+  assert.equal(monitor.stats.resyncs, 0);
+
+  const holed = new Float32Array(100).fill(0.3);
+  holed.fill(NaN, 50, 53);
+  const after = await replay({ lead2: holed }, source => {
+    source.step(5);
+    source.seek(50);
+    source.step(5);
+  });
+  assert.deepEqual(after.gaps, [{ before: 53, lost: 3 }]);
+});
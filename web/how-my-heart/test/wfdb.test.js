@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { recordingToWfdb, ANNOTATION_CODES } from '../src/recording/wfdb.js'
+import { parseWfdb, decodeAnnotations } from '../src/recording/importers.js'
+import { createMarker } from '../src/markers.js'
+
+function sampleRecording() {
+  const lead2 = Float32Array.from({ length: 2500 }, (_, i) => +(Math.sin(i / 20) * 0.5).toFixed(3));
+  return {
+    sampleRate: 250, hasLeadI: false, lead1: null, lead2, startTime: new Date(2024, 0, 1, 9, 0, 0),
+    beats: [{ index: 100, label: 'N' }, { index: 300, label: 'V' }, { index: 500, label: 'A' }, { index: 1200, label: 'M' }, { index: 1400, label: 'P' }, { index: 1600, label: 'N' }],
+    markers: [createMarker(1250, { symptom: 'dizziness', note: 'stood up' })],
+  };
+}
+
+async function roundTrip(recording) {
+  const files = recordingToWfdb(recording, 'rt');
+  const buffer = async (ext) => files[`rt.${ext}`].arrayBuffer();
+  return { files, buffer, parsed: parseWfdb({ hea: await files['rt.hea'].text(), dat: await buffer('dat'), atr: await buffer('atr') }, 'rt') };
+}
+
+test('beat labels, including missed beats (M), survive export and import', async () => {
+  const recording = sampleRecording();
+  const { parsed } = await roundTrip(recording);
+  assert.deepEqual(parsed.beats, recording.beats);
+  assert.equal(parsed.markers.length, 1);
+  assert.deepEqual([parsed.markers[0].index, parsed.markers[0].symptom, parsed.markers[0].note], [1250, 'dizziness', 'stood up']);
+  assert.equal(parsed.sampleRate, 250);
+  assert.ok(parsed.lead2.every((v, i) => Math.abs(v - recording.lead2[i]) < 1e-6));
+});
+
+test('M has no MIT code and is written as a NOTE with the text "M"; P is a paced beat', async () => {
+  const { buffer } = await roundTrip(sampleRecording());
+  const annotations = decodeAnnotations(await buffer('atr'));
+  const missed = annotations.find(a => a.index === 1200);
+  assert.deepEqual([missed.code, missed.aux], [ANNOTATION_CODES['"'], 'M']);
+  assert.equal(annotations.find(a => a.index === 1400).code, 12); // PACE
+  assert.ok(!annotations.some(a => a.code === ANNOTATION_CODES.Q));
+});
+
+test('a NOTE with other text is not a beat', async () => {
+  const recording = { ...sampleRecording(), beats: [{ index: 100, label: 'N' }] };
+  const { parsed } = await roundTrip({ ...recording, markers: [createMarker(200, { note: 'M' })] });
+  assert.deepEqual(parsed.beats, [{ index: 100, label: 'N' }]);
+  assert.equal(parsed.markers[0].note, 'M');
+});